@@ -10,9 +10,15 @@ const documentRoutes = require('./routes/documents');
 const imageRoutes = require('./routes/images');
 const imageCollectionRoutes = require('./routes/imageCollections');
 const ruleRoutes = require('./routes/rules');
+const promptTemplateRoutes = require('./routes/promptTemplates');
 const contentRoutes = require('./routes/content');
+const contentBatchRoutes = require('./routes/contentBatches');
 const knowledgeSetRoutes = require('./routes/knowledgeSets');
 const geoRoutes = require('./routes/geo');
+const usageRoutes = require('./routes/usage');
+const planRoutes = require('./routes/plans');
+const adminJobRoutes = require('./routes/adminJobs');
+const notificationRoutes = require('./routes/notifications');
 const errorHandler = require('./middleware/errorHandler');
 
 function createApp() {
@@ -30,9 +36,15 @@ function createApp() {
   app.use('/api/images', imageRoutes);
   app.use('/api/image-collections', imageCollectionRoutes);
   app.use('/api/rules', ruleRoutes);
+  app.use('/api/prompt-templates', promptTemplateRoutes);
+  app.use('/api/content/batches', contentBatchRoutes);
   app.use('/api/content', contentRoutes);
   app.use('/api/knowledge-sets', knowledgeSetRoutes);
   app.use('/api/geo', geoRoutes);
+  app.use('/api/usage', usageRoutes);
+  app.use('/api/plans', planRoutes);
+  app.use('/api/admin/jobs', adminJobRoutes);
+  app.use('/api/notifications', notificationRoutes);
 
   app.get('/', (req, res) => {
     res.send('GEO SaaS Platform Backend is running!');
@@ -10,6 +10,9 @@ const REQUIRED_ENV_VARS = [
   'JWT_SECRET',
 ];
 
+// "memory" runs content jobs inside the API process instead of a Redis-backed BullMQ queue.
+const QUEUE_DRIVERS = ['redis', 'memory'];
+
 const DEFAULTS = {
   redis: {
     host: '127.0.0.1',
@@ -43,6 +46,18 @@ function asBoolean(value, fallback = false) {
   return fallback;
 }
 
+function parseJsonObject(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (_err) {
+    return {};
+  }
+}
+
 function validateEnvironment() {
   const missing = REQUIRED_ENV_VARS.filter((key) => {
     const raw = process.env[key];
@@ -82,6 +97,10 @@ function validateEnvironment() {
     { key: 'DB_PORT', min: 1, max: 65535 },
     { key: 'REDIS_PORT', min: 1, max: 65535 },
     { key: 'AI_REQUEST_TIMEOUT_MS', min: 1000 },
+    { key: 'AI_MAX_OUTPUT_TOKENS', min: 1 },
+    { key: 'AI_REPAIR_MAX_ATTEMPTS', min: 0, max: 5 },
+    { key: 'AI_FACT_CHECK_MAX_CLAIMS', min: 1, max: 30 },
+    { key: 'CONTENT_DUPLICATE_THRESHOLD', min: 0, max: 1 },
     { key: 'CONTENT_QUEUE_ATTEMPTS', min: 1 },
     { key: 'CONTENT_QUEUE_BACKOFF_MS', min: 0 },
     { key: 'CONTENT_QUEUE_TIMEOUT_MS', min: 1000 },
@@ -113,14 +132,43 @@ function validateEnvironment() {
       warnings.push('AI_API_BASE_URL is not a valid URL. AI services may fail to initialize.');
     }
 
-    if (!process.env.AI_API_KEY || !process.env.CHAT_COMPLETION_MODEL) {
+    const keyOptional = (process.env.AI_PROVIDER || '').toLowerCase() === 'ollama';
+    if ((!process.env.AI_API_KEY && !keyOptional) || !process.env.CHAT_COMPLETION_MODEL) {
       warnings.push('AI API credentials are incomplete. Keyword expansion and content generation will fall back to defaults.');
     }
   } else if (process.env.AI_API_KEY || process.env.CHAT_COMPLETION_MODEL) {
     warnings.push('AI API credentials are set but AI_API_BASE_URL is missing. AI requests will not be sent.');
   }
 
-  if (!process.env.REDIS_URL && !process.env.REDIS_HOST) {
+  if (process.env.AI_PROVIDER) {
+    const { SUPPORTED_PROVIDERS } = require('./utils/aiProvider');
+    if (!SUPPORTED_PROVIDERS.includes(process.env.AI_PROVIDER.toLowerCase())) {
+      warnings.push(
+        `AI_PROVIDER "${process.env.AI_PROVIDER}" is not supported. Expected one of: ${SUPPORTED_PROVIDERS.join(', ')}.`
+      );
+    }
+  }
+
+  if (process.env.AI_PRICE_TABLE) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(process.env.AI_PRICE_TABLE);
+    } catch (_err) {
+      parsed = null;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      warnings.push('AI_PRICE_TABLE is not a JSON object. AI usage will be recorded without cost estimates.');
+    }
+  }
+
+  const queueDriver = (process.env.QUEUE_DRIVER || '').toLowerCase();
+  if (queueDriver && !QUEUE_DRIVERS.includes(queueDriver)) {
+    warnings.push(`QUEUE_DRIVER "${process.env.QUEUE_DRIVER}" is not supported. Expected one of: ${QUEUE_DRIVERS.join(', ')}.`);
+  }
+
+  if (resolveQueueDriver() === 'memory') {
+    warnings.push('Using the in-memory job queue; content jobs run inside this process and are lost on restart.');
+  } else if (!process.env.REDIS_URL && !process.env.REDIS_HOST) {
     warnings.push('Neither REDIS_URL nor REDIS_HOST is defined; falling back to localhost.');
   }
 
@@ -154,9 +202,18 @@ function ensureDirectories() {
   return { uploadDir, logDir, created };
 }
 
+// Production deployments without REDIS_AVAILABLE have always run without Redis.
+function resolveQueueDriver() {
+  const requested = (process.env.QUEUE_DRIVER || '').toLowerCase();
+  if (QUEUE_DRIVERS.includes(requested)) {
+    return requested;
+  }
+  return process.env.NODE_ENV === 'production' && !process.env.REDIS_AVAILABLE ? 'memory' : 'redis';
+}
+
 const provider = (process.env.AI_PROVIDER || 'openai').toLowerCase();
 const rawUseResponseFormat = process.env.AI_USE_RESPONSE_FORMAT;
-const defaultUseResponseFormat = provider === 'openai';
+const defaultUseResponseFormat = provider === 'openai' || provider === 'ollama';
 
 const config = {
   server: {
@@ -193,7 +250,18 @@ const config = {
     chatModel: process.env.CHAT_COMPLETION_MODEL,
     embeddingModel: process.env.EMBEDDING_MODEL,
     requestTimeoutMs: coerceNumber(process.env.AI_REQUEST_TIMEOUT_MS, DEFAULTS.queue.timeoutMs),
-    chatPath: process.env.AI_CHAT_COMPLETION_PATH || '/chat/completions',
+    chatPath: process.env.AI_CHAT_COMPLETION_PATH || null,
+    maxOutputTokens: coerceNumber(process.env.AI_MAX_OUTPUT_TOKENS, 4096),
+    anthropicVersion: process.env.AI_ANTHROPIC_VERSION || '2023-06-01',
+    repairMaxAttempts: coerceNumber(process.env.AI_REPAIR_MAX_ATTEMPTS, 2),
+    // Jobs may override this with their own factCheck flag.
+    factCheckEnabled: asBoolean(process.env.AI_FACT_CHECK_ENABLED, false),
+    factCheckMaxClaims: coerceNumber(process.env.AI_FACT_CHECK_MAX_CLAIMS, 10),
+    // Cosine similarity at which a new article is flagged as a near-duplicate of an existing one.
+    duplicateThreshold: coerceNumber(process.env.CONTENT_DUPLICATE_THRESHOLD, 0.9),
+    // Per-million-token prices keyed by model, e.g. {"gpt-4o-mini":{"prompt":0.15,"completion":0.6}}.
+    priceTable: parseJsonObject(process.env.AI_PRICE_TABLE),
+    priceCurrency: process.env.AI_PRICE_CURRENCY || 'USD',
     useResponseFormat:
       rawUseResponseFormat !== undefined
         ? asBoolean(rawUseResponseFormat, defaultUseResponseFormat)
@@ -204,10 +272,15 @@ const config = {
     backoffMs: coerceNumber(process.env.CONTENT_QUEUE_BACKOFF_MS, DEFAULTS.queue.backoffMs),
     timeoutMs: coerceNumber(process.env.CONTENT_QUEUE_TIMEOUT_MS, DEFAULTS.queue.timeoutMs),
     concurrency: coerceNumber(process.env.CONTENT_QUEUE_CONCURRENCY, 2),
+    driver: resolveQueueDriver(),
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
   },
+  traces: {
+    // Days a generation trace (prompt, raw response) is kept; 0 disables tracing.
+    retentionDays: coerceNumber(process.env.GENERATION_TRACE_RETENTION_DAYS, 30),
+  },
   cache: {
     keywords: {
       ttlMs: coerceNumber(process.env.KEYWORD_CACHE_TTL_MS, 60000),
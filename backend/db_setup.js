@@ -32,6 +32,56 @@ const setupDatabase = async () => {
 
     await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(50) NOT NULL DEFAULT 'user';`);
 
+    // NULL limits mean unlimited.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plans (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(40) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(`
+      INSERT INTO plans (code, name, monthly_generations, monthly_tokens, monthly_keyword_expansions, storage_bytes, max_documents, is_default)
+      VALUES
+        ('free', 'Free', 20, 200000, 20, 104857600, 20, true),
+        ('pro', 'Pro', 300, 5000000, 300, 2147483648, 500, false),
+        ('enterprise', 'Enterprise', NULL, NULL, NULL, NULL, NULL, false)
+      ON CONFLICT (code) DO NOTHING;
+    `);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES plans(id) ON DELETE SET NULL;`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_quota_overrides (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        note TEXT,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS usage_counters (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        metric VARCHAR(40) NOT NULL,
+        period_start DATE NOT NULL,
+        amount BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, metric, period_start)
+      );
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS keywords (
         id SERIAL PRIMARY KEY,
@@ -107,6 +157,7 @@ const setupDatabase = async () => {
     await client.query(
       `ALTER TABLE documents ADD COLUMN IF NOT EXISTS schema_metadata JSONB;`
     );
+    await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS file_size BIGINT NOT NULL DEFAULT 0;`);
     await client.query(
       `ALTER TABLE documents ADD COLUMN IF NOT EXISTS knowledge_set_id INTEGER REFERENCES knowledge_sets(id) ON DELETE SET NULL;`
     );
@@ -160,6 +211,7 @@ const setupDatabase = async () => {
     `);
 
     await client.query(`ALTER TABLE images ADD COLUMN IF NOT EXISTS collection_id INTEGER REFERENCES image_collections(id) ON DELETE SET NULL;`);
+    await client.query(`ALTER TABLE images ADD COLUMN IF NOT EXISTS file_size BIGINT NOT NULL DEFAULT 0;`);
 
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_images_user_collection ON images(user_id, collection_id);
@@ -175,6 +227,20 @@ const setupDatabase = async () => {
       `CREATE INDEX IF NOT EXISTS idx_image_collections_user_created_id ON image_collections(user_id, created_at DESC, id DESC);`
     );
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        template TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_prompt_templates_user_created_id ON prompt_templates(user_id, created_at DESC, id DESC);`
+    );
 
     await client.query(`
       CREATE TABLE IF NOT EXISTS generation_rules (
@@ -198,6 +264,15 @@ const setupDatabase = async () => {
       ALTER TABLE generation_rules
       ADD COLUMN IF NOT EXISTS schema_config JSONB;
     `);
+    await client.query(`
+      ALTER TABLE generation_rules
+      ADD COLUMN IF NOT EXISTS generation_mode VARCHAR(20) NOT NULL DEFAULT 'single';
+    `);
+    await client.query(`
+      ALTER TABLE generation_rules
+      ADD COLUMN IF NOT EXISTS prompt_template_id INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL;
+    `);
+    await client.query(`ALTER TABLE generation_rules ADD COLUMN IF NOT EXISTS locale VARCHAR(10);`);
     await client.query(
       `CREATE INDEX IF NOT EXISTS idx_generation_rules_user_created_id ON generation_rules(user_id, created_at DESC, id DESC);`
     );
@@ -222,10 +297,138 @@ const setupDatabase = async () => {
     await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS published_url TEXT;`);
     await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS schema_payload JSONB;`);
     await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS schema_types TEXT[];`);
+    await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS keyword VARCHAR(255);`);
+    await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS details JSONB;`);
+    await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS locale VARCHAR(10);`);
+    await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS slug VARCHAR(200);`);
+    await client.query(
+      `ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft';`
+    );
+    await client.query(`ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';`);
+    await client.query(
+      `ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS assigned_editor_id INTEGER REFERENCES users(id) ON DELETE SET NULL;`
+    );
+    await client.query(
+      `ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;`
+    );
+    await client.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_generated_content_user_slug ON generated_content(user_id, slug);`
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_generated_content_assigned_editor ON generated_content(assigned_editor_id);`
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_generated_content_user_rule ON generated_content(user_id, rule_id, created_at DESC);`
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_generated_content_title_trgm ON generated_content USING gin (title gin_trgm_ops);`
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_generated_content_body_trgm ON generated_content USING gin (body gin_trgm_ops);`
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_generated_content_user_locale ON generated_content(user_id, locale);`
+    );
     await client.query(
       `CREATE INDEX IF NOT EXISTS idx_generated_content_user_created_id ON generated_content(user_id, created_at DESC, id DESC);`
     );
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_embeddings (
+        content_id INTEGER PRIMARY KEY REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        embedding VECTOR(1024) NOT NULL,
+        model VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_content_embeddings_user_id ON content_embeddings(user_id);`);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_content_embeddings_hnsw ON content_embeddings USING hnsw (embedding vector_cosine_ops);`
+    );
+
+    // Nearest neighbours are saved with each embedding, so clusters never compare every article pair.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_similarity_pairs (
+        content_id INTEGER NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+        other_id INTEGER NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        similarity REAL NOT NULL,
+        PRIMARY KEY (content_id, other_id)
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_content_similarity_pairs_user ON content_similarity_pairs(user_id, similarity DESC);`
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_content_similarity_pairs_other ON content_similarity_pairs(other_id);`
+    );
+    // Embeddings stored before the pairs table existed get their neighbours through the HNSW index once.
+    await client.query(`
+      INSERT INTO content_similarity_pairs (user_id, content_id, other_id, similarity)
+      SELECT a.user_id, LEAST(a.content_id, n.content_id), GREATEST(a.content_id, n.content_id), 1 - n.distance
+      FROM content_embeddings a
+      CROSS JOIN LATERAL (
+        SELECT b.content_id, b.embedding <=> a.embedding AS distance
+        FROM content_embeddings b
+        WHERE b.user_id = a.user_id AND b.content_id <> a.content_id
+        ORDER BY b.embedding <=> a.embedding
+        LIMIT 20
+      ) n
+      WHERE n.distance <= 0.5 AND NOT EXISTS (SELECT 1 FROM content_similarity_pairs)
+      ON CONFLICT (content_id, other_id) DO NOTHING;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_revisions (
+        id SERIAL PRIMARY KEY,
+        content_id INTEGER REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        revision_number INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        meta_description TEXT,
+        body TEXT,
+        schema_payload JSONB,
+        source VARCHAR(20) NOT NULL DEFAULT 'edit',
+        note TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_content_revisions_content_number ON content_revisions(content_id, revision_number);`
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_batches (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        keyword_id INTEGER REFERENCES keywords(id) ON DELETE SET NULL,
+        rule_id INTEGER REFERENCES generation_rules(id) ON DELETE SET NULL,
+        options JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_content_batches_user_created_id ON content_batches(user_id, created_at DESC, id DESC);`
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_batch_items (
+        id SERIAL PRIMARY KEY,
+        batch_id INTEGER REFERENCES content_batches(id) ON DELETE CASCADE,
+        variation_id INTEGER REFERENCES keyword_variations(id) ON DELETE SET NULL,
+        keyword VARCHAR(255) NOT NULL,
+        job_id VARCHAR(64),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_content_batch_items_batch ON content_batch_items(batch_id, id);`
+    );
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS content_schedules (
         id SERIAL PRIMARY KEY,
@@ -250,6 +453,103 @@ const setupDatabase = async () => {
       );
     `);
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        job_id VARCHAR(255),
+        rule_id INTEGER REFERENCES generation_rules(id) ON DELETE SET NULL,
+        feature VARCHAR(40) NOT NULL,
+        provider VARCHAR(40),
+        model VARCHAR(255),
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        latency_ms INTEGER,
+        estimated_cost NUMERIC(14, 6),
+        currency VARCHAR(10),
+        status VARCHAR(20) NOT NULL DEFAULT 'success',
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at DESC);`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_job ON ai_usage(job_id);`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS generation_traces (
+        id SERIAL PRIMARY KEY,
+        content_id INTEGER UNIQUE NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        job_id VARCHAR(255),
+        rule_id INTEGER REFERENCES generation_rules(id) ON DELETE SET NULL,
+        generation_mode VARCHAR(20) NOT NULL,
+        prompt TEXT,
+        schema_config JSONB,
+        snippets JSONB NOT NULL DEFAULT '[]'::jsonb,
+        provider VARCHAR(40),
+        model VARCHAR(255),
+        parameters JSONB,
+        raw_response TEXT,
+        calls JSONB NOT NULL DEFAULT '[]'::jsonb,
+        fallback_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_generation_traces_expires_at ON generation_traces(expires_at);`
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dead_letter_jobs (
+        id SERIAL PRIMARY KEY,
+        job_id VARCHAR(255) NOT NULL,
+        job_name VARCHAR(100) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        failed_reason TEXT,
+        attempts_made INTEGER NOT NULL DEFAULT 0,
+        stacktrace JSONB NOT NULL DEFAULT '[]'::jsonb,
+        failed_at TIMESTAMP WITH TIME ZONE,
+        moved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_created_id ON dead_letter_jobs(created_at DESC, id DESC);`
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_jobs (
+        job_id VARCHAR(255) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        job_name VARCHAR(100) NOT NULL,
+        state VARCHAR(20) NOT NULL DEFAULT 'waiting',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_content_jobs_user_state_created ON content_jobs(user_id, state, created_at DESC);`
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        message TEXT,
+        details JSONB NOT NULL DEFAULT '{}'::jsonb,
+        read_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_notifications_user_created_id ON notifications(user_id, created_at DESC, id DESC);`
+    );
+
     await client.query(`
       INSERT INTO knowledge_sets (user_id, name, description, is_default)
       SELECT u.id,
@@ -2,15 +2,20 @@ const jwt = require('jsonwebtoken');
 const { config } = require('../config');
 const AppError = require('../utils/appError');
 
-const auth = (req, _res, next) => {
-  const token = req.header('x-auth-token');
+const STREAM_TOKEN_SCOPE = 'job-stream';
+const STREAM_TOKEN_TTL_SECONDS = 300;
 
+// Session tokens carry no scope; scoped tokens are only good for the endpoint they were issued for.
+const verifyToken = (token, req, next, scope = null) => {
   if (!token) {
     return next(new AppError('No token, authorization denied.', 401));
   }
 
   try {
     const decoded = jwt.verify(token, config.auth.jwtSecret);
+    if ((decoded.scope || null) !== scope || (scope && decoded.jobId !== String(req.params.id))) {
+      return next(new AppError('Token is not valid.', 401));
+    }
     req.user = decoded.user;
     next();
   } catch (err) {
@@ -18,6 +23,20 @@ const auth = (req, _res, next) => {
   }
 };
 
+const auth = (req, _res, next) => verifyToken(req.header('x-auth-token'), req, next);
+
+const signStreamToken = (user, jobId) =>
+  jwt.sign({ user, scope: STREAM_TOKEN_SCOPE, jobId: String(jobId) }, config.auth.jwtSecret, {
+    expiresIn: STREAM_TOKEN_TTL_SECONDS,
+  });
+
+// EventSource clients cannot set custom headers, so streaming endpoints also accept ?token=. URLs end up in
+// logs, so only a short-lived token scoped to the streamed job is taken from there, never the session token.
+const streamAuth = (req, _res, next) =>
+  req.header('x-auth-token')
+    ? verifyToken(req.header('x-auth-token'), req, next)
+    : verifyToken(req.query.token, req, next, STREAM_TOKEN_SCOPE);
+
 const requireRole = (...roles) => (req, _res, next) => {
   if (!req.user) {
     return next(new AppError('Unauthorized', 401));
@@ -28,4 +47,4 @@ const requireRole = (...roles) => (req, _res, next) => {
   return next();
 };
 
-module.exports = { auth, requireRole };
+module.exports = { STREAM_TOKEN_TTL_SECONDS, auth, streamAuth, signStreamToken, requireRole };
@@ -1,5 +1,8 @@
 const logger = require('../logger');
 
+// Stream tokens travel in the query string; they are kept out of the logs.
+const redactUrl = (url) => String(url || '').replace(/([?&]token=)[^&#]*/gi, '$1[redacted]');
+
 const errorHandler = (err, req, res, _next) => {
   const statusCode = err.statusCode || 500;
   const isOperational = err.isOperational || false;
@@ -7,14 +10,15 @@ const errorHandler = (err, req, res, _next) => {
 
   logger.error('Request failed', {
     statusCode,
-    path: req.originalUrl,
+    path: redactUrl(req.originalUrl),
     method: req.method,
     message: err.message,
     stack: err.stack,
     meta: err.meta,
   });
 
-  res.status(statusCode).json({ error: message });
+  // `details` carries structured data meant for the client, e.g. the remaining quota allowance.
+  res.status(statusCode).json(isOperational && err.details ? { error: message, ...err.details } : { error: message });
 };
 
 module.exports = errorHandler;
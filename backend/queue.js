@@ -1,13 +1,23 @@
 const { Queue, QueueEvents } = require('bullmq');
 const { config } = require('./config');
 const logger = require('./logger');
+const { MemoryQueue } = require('./utils/memoryQueue');
 
-// 在生产环境中如果Redis不可用，使用内存队列作为fallback
-const useFallback = process.env.NODE_ENV === 'production' && !process.env.REDIS_AVAILABLE;
+const queueName = 'content-generation';
+const defaultJobOptions = {
+  attempts: config.queue.attempts,
+  backoff: {
+    type: 'exponential',
+    delay: config.queue.backoffMs,
+  },
+  removeOnComplete: false,
+  removeOnFail: false,
+  timeout: config.queue.timeoutMs,
+};
 
 let contentQueue, events;
 
-if (!useFallback) {
+if (config.queue.driver !== 'memory') {
   const connection = config.redis.url
     ? {
         url: config.redis.url,
@@ -32,23 +42,9 @@ if (!useFallback) {
         keepAlive: 30000,
       };
 
-try {
-    const queueName = 'content-generation';
-
+  try {
     events = new QueueEvents(queueName, { connection });
-    contentQueue = new Queue(queueName, {
-      connection,
-      defaultJobOptions: {
-        attempts: config.queue.attempts,
-        backoff: {
-          type: 'exponential',
-          delay: config.queue.backoffMs,
-        },
-        removeOnComplete: false,
-        removeOnFail: false,
-        timeout: config.queue.timeoutMs,
-      },
-    });
+    contentQueue = new Queue(queueName, { connection, defaultJobOptions });
 
     events.on('failed', ({ jobId, failedReason, attemptsMade }) => {
       logger.error('Content job failed', { jobId, failedReason, attemptsMade });
@@ -67,31 +63,30 @@ try {
     events.on('error', (err) => {
       logger.error('Queue events stream error', { error: err.message });
     });
-
   } catch (error) {
-    logger.warn('Redis queue initialization failed, using memory fallback', { error: error.message });
-    // Fallback to memory queue
+    logger.warn('Redis queue initialization failed, using in-memory queue', { error: error.message });
+    contentQueue = null;
   }
 }
 
-// 如果Redis不可用或fallback被触发，使用内存队列
+// Without Redis, jobs run in this process through the same processor the BullMQ worker uses.
 if (!contentQueue) {
   logger.info('Using in-memory queue for content generation (Redis not available)');
 
-  contentQueue = {
-    add: async (name, data, options = {}) => {
-      logger.info('Memory queue: job added (not processed)', { name, data: data.title || 'unknown' });
-      return { id: Date.now().toString() };
-    },
-    getWorkers: () => Promise.resolve([]),
-    process: () => {},
-    close: async () => {}
-  };
+  contentQueue = new MemoryQueue(queueName, {
+    // Required lazily: worker.js pulls in the whole generation pipeline.
+    processor: (job) => require('./worker').processContentJob(job),
+    concurrency: config.queue.concurrency,
+    defaultJobOptions,
+  });
+  events = contentQueue.events;
 
-  events = {
-    on: () => {},
-    close: async () => {}
-  };
+  events.on('failed', ({ jobId, failedReason }) => {
+    logger.error('Content job failed', { jobId, failedReason });
+  });
+  events.on('completed', ({ jobId }) => {
+    logger.info('Content job completed', { jobId });
+  });
 }
 
 module.exports = { contentQueue, queueEvents: events };
@@ -0,0 +1,315 @@
+const express = require('express');
+const db = require('../db');
+const { auth, requireRole } = require('../middleware/auth');
+const { validate, adminJobSchemas } = require('../validation');
+const { contentQueue } = require('../queue');
+const logger = require('../logger');
+const AppError = require('../utils/appError');
+const { summarizeJob } = require('../utils/jobControl');
+const { indexJob, setIndexedJobState, unindexJob } = require('../utils/jobIndex');
+
+const router = express.Router();
+
+router.use(auth, requireRole('admin'));
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const JOB_SCAN_LIMIT = 500;
+const ADMIN_JOB_STATES = ['failed', 'stalled'];
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * BullMQ has no stalled state of its own. A live worker keeps renewing the
+ * lock of its active job however long it runs, so an active job without a lock
+ * has lost its worker. BullMQ's stalled checker only runs inside workers and
+ * leaves such jobs active while none is running.
+ */
+async function isStalled(job) {
+  // The in-memory queue runs its active jobs in this process and has no locks.
+  if (typeof contentQueue.toKey !== 'function') {
+    return false;
+  }
+  const client = await contentQueue.client;
+  return !(await client.exists(`${contentQueue.toKey(job.id)}:lock`));
+}
+
+const summarizeAdminJob = (job, state) => ({
+  ...summarizeJob(job, state),
+  userId: job.data?.userId || null,
+  maxAttempts: job.opts?.attempts || 1,
+  lastError: state === 'failed' ? (job.stacktrace || []).slice(-1)[0] || null : null,
+});
+
+async function fetchUsers(userIds) {
+  const ids = Array.from(new Set(userIds.filter(Boolean)));
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const placeholders = ids.map((_id, index) => `$${index + 1}`).join(', ');
+  const result = await db.query(`SELECT id, username, email FROM users WHERE id IN (${placeholders})`, ids);
+  return new Map(result.rows.map((user) => [user.id, user]));
+}
+
+async function loadJob(jobId) {
+  const job = await contentQueue.getJob(jobId);
+  if (!job) {
+    return null;
+  }
+  const state = await job.getState();
+  return { job, state: state === 'active' && (await isStalled(job)) ? 'stalled' : state };
+}
+
+async function enqueueCopy(name, data, previousJobId) {
+  const job = await contentQueue.add(name, data);
+  await indexJob(job.id, data.userId, name);
+  if (data.batchId) {
+    await db.query('UPDATE content_batch_items SET job_id = $1 WHERE batch_id = $2 AND job_id = $3', [
+      String(job.id),
+      data.batchId,
+      String(previousJobId),
+    ]);
+  }
+  await job.updateProgress({ stage: 'queued', percent: 10 });
+  return job;
+}
+
+// Stalled jobs are still locked by their lost worker, so they are flagged as cancelled and replaced by a copy.
+async function requeueJob(job, state) {
+  const { cancelRequested, ...data } = job.data || {};
+  if (state === 'failed') {
+    if (cancelRequested) {
+      await job.updateData(data);
+    }
+    await setIndexedJobState(job, 'waiting');
+    await job.retry('failed');
+    await job.updateProgress({ stage: 'queued', percent: 10 });
+    return { id: job.id, action: 'requeued', jobId: job.id };
+  }
+  if (state === 'stalled') {
+    await job.updateData({ ...data, cancelRequested: true });
+    const requeued = await enqueueCopy(job.name, { ...data, requeuedFrom: String(job.id) }, job.id);
+    return { id: job.id, action: 'requeued', jobId: requeued.id };
+  }
+  throw new AppError(`Only failed or stalled jobs can be requeued; this job is ${state}.`, 409, {
+    jobId: job.id,
+    state,
+  });
+}
+
+async function discardJob(job, state) {
+  if (state === 'failed') {
+    await job.remove();
+    await unindexJob(job.id);
+    return { id: job.id, action: 'discarded' };
+  }
+  if (state === 'stalled') {
+    await job.updateData({ ...job.data, cancelRequested: true });
+    return { id: job.id, action: 'cancelling' };
+  }
+  throw new AppError(`Only failed or stalled jobs can be discarded; this job is ${state}.`, 409, {
+    jobId: job.id,
+    state,
+  });
+}
+
+// Failed jobs have used their final attempt; moving them keeps the inputs and error while clearing the queue.
+async function deadLetterJob(job, state, adminId) {
+  if (state !== 'failed') {
+    throw new AppError(`Only failed jobs can be moved to the dead-letter queue; this job is ${state}.`, 409, {
+      jobId: job.id,
+      state,
+    });
+  }
+  const { cancelRequested, ...data } = job.data || {};
+  return db.withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO dead_letter_jobs
+        (job_id, job_name, user_id, data, failed_reason, attempts_made, stacktrace, failed_at, moved_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [
+        String(job.id),
+        job.name,
+        data.userId || null,
+        JSON.stringify(data),
+        job.failedReason || null,
+        job.attemptsMade || 0,
+        JSON.stringify(job.stacktrace || []),
+        job.finishedOn ? new Date(job.finishedOn) : null,
+        adminId,
+      ]
+    );
+    await job.remove();
+    await unindexJob(job.id);
+    return { id: job.id, action: 'dead-lettered', deadLetterId: result.rows[0].id };
+  });
+}
+
+const singleJobAction = (action, label, status = 200) => async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const loaded = await loadJob(id);
+    if (!loaded) {
+      return next(new AppError('Job not found.', 404));
+    }
+    const result = await action(loaded.job, loaded.state, req.user.id);
+    logger.info(`Admin ${label} job`, { jobId: id, state: loaded.state, adminId: req.user.id });
+    res.status(status).json(result);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    next(new AppError(`Failed to ${label} job.`, 500, { jobId: id, error: err.message }));
+  }
+};
+
+// Each job is handled independently so one bad id does not undo the rest of the batch.
+const bulkJobAction = (action, label) => async (req, res, next) => {
+  const jobIds = req.body.jobIds.map(String);
+  const processed = [];
+  const skipped = [];
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const id of jobIds) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const loaded = await loadJob(id);
+        if (!loaded) {
+          skipped.push({ id, reason: 'Job not found.' });
+        } else {
+          // eslint-disable-next-line no-await-in-loop
+          processed.push(await action(loaded.job, loaded.state, req.user.id));
+        }
+      } catch (err) {
+        if (!(err instanceof AppError)) {
+          logger.error(`Failed to ${label} job`, { jobId: id, adminId: req.user.id, error: err.message });
+        }
+        skipped.push({ id, reason: err instanceof AppError ? err.message : `Failed to ${label} job.` });
+      }
+    }
+    logger.info(`Admin bulk ${label}`, { processed: processed.length, skipped: skipped.length, adminId: req.user.id });
+    res.json({ processed, skipped });
+  } catch (err) {
+    next(new AppError(`Failed to ${label} jobs.`, 500, { error: err.message }));
+  }
+};
+
+router.get('/', async (req, res, next) => {
+  const requested =
+    typeof req.query.state === 'string' && req.query.state.trim()
+      ? req.query.state.split(',').map((state) => state.trim().toLowerCase()).filter(Boolean)
+      : ADMIN_JOB_STATES;
+  const invalid = requested.filter((state) => !ADMIN_JOB_STATES.includes(state));
+  if (invalid.length) {
+    return next(new AppError(`state must be one of: ${ADMIN_JOB_STATES.join(', ')}.`, 400, { invalid }));
+  }
+  const userId = req.query.userId === undefined ? null : parsePositiveInt(req.query.userId, null);
+  if (req.query.userId !== undefined && userId === null) {
+    return next(new AppError('userId must be a positive integer.', 400));
+  }
+  const page = parsePositiveInt(req.query.page, 1);
+  const pageSize = Math.min(parsePositiveInt(req.query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const states = Array.from(new Set(requested));
+  try {
+    const items = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const state of states) {
+      // eslint-disable-next-line no-await-in-loop
+      const jobs = await contentQueue.getJobs([state === 'stalled' ? 'active' : state], 0, JOB_SCAN_LIMIT - 1);
+      const candidates = jobs.filter((job) => job && (!userId || job.data?.userId === userId));
+      // eslint-disable-next-line no-await-in-loop
+      const stalled = state === 'stalled' ? await Promise.all(candidates.map((job) => isStalled(job))) : null;
+      candidates
+        .filter((_job, index) => !stalled || stalled[index])
+        .forEach((job) => items.push(summarizeAdminJob(job, state)));
+    }
+    items.sort((a, b) => (b.timestamps.timestamp || 0) - (a.timestamps.timestamp || 0));
+    const pageItems = items.slice((page - 1) * pageSize, page * pageSize);
+    const users = await fetchUsers(pageItems.map((item) => item.userId));
+    res.json({
+      page,
+      pageSize,
+      total: items.length,
+      counts: Object.fromEntries(states.map((state) => [state, items.filter((item) => item.state === state).length])),
+      scanLimit: JOB_SCAN_LIMIT,
+      items: pageItems.map((item) => ({ ...item, user: users.get(item.userId) || null })),
+    });
+  } catch (err) {
+    next(new AppError('Failed to list jobs.', 500, { error: err.message }));
+  }
+});
+
+router.get('/dead-letter', async (req, res, next) => {
+  const page = parsePositiveInt(req.query.page, 1);
+  const pageSize = Math.min(parsePositiveInt(req.query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const userId = req.query.userId === undefined ? null : parsePositiveInt(req.query.userId, null);
+  try {
+    const where = userId ? 'WHERE dl.user_id = $1' : '';
+    const params = userId ? [userId] : [];
+    const total = await db.query(`SELECT COUNT(*) AS total FROM dead_letter_jobs dl ${where}`, params);
+    const result = await db.query(
+      `SELECT dl.*, u.username, u.email
+       FROM dead_letter_jobs dl
+       LEFT JOIN users u ON u.id = dl.user_id
+       ${where}
+       ORDER BY dl.created_at DESC, dl.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    res.json({
+      page,
+      pageSize,
+      total: Number(total.rows[0].total),
+      items: result.rows.map(({ username, email, ...entry }) => ({
+        ...entry,
+        user: entry.user_id ? { id: entry.user_id, username, email } : null,
+      })),
+    });
+  } catch (err) {
+    next(new AppError('Failed to list dead-letter jobs.', 500, { error: err.message }));
+  }
+});
+
+router.post('/dead-letter/:entryId/requeue', async (req, res, next) => {
+  const { entryId } = req.params;
+  try {
+    const result = await db.query('SELECT * FROM dead_letter_jobs WHERE id = $1', [entryId]);
+    const entry = result.rows[0];
+    if (!entry) {
+      return next(new AppError('Dead-letter job not found.', 404));
+    }
+    const job = await enqueueCopy(entry.job_name, { ...entry.data, requeuedFrom: entry.job_id }, entry.job_id);
+    await db.query('DELETE FROM dead_letter_jobs WHERE id = $1', [entry.id]);
+    logger.info('Admin requeued dead-letter job', { entryId: entry.id, jobId: job.id, adminId: req.user.id });
+    res.status(202).json({ id: entry.id, action: 'requeued', jobId: job.id });
+  } catch (err) {
+    next(new AppError('Failed to requeue dead-letter job.', 500, { entryId, error: err.message }));
+  }
+});
+
+router.delete('/dead-letter/:entryId', async (req, res, next) => {
+  const { entryId } = req.params;
+  try {
+    const result = await db.query('DELETE FROM dead_letter_jobs WHERE id = $1 RETURNING id', [entryId]);
+    if (result.rows.length === 0) {
+      return next(new AppError('Dead-letter job not found.', 404));
+    }
+    res.json({ id: result.rows[0].id, action: 'discarded' });
+  } catch (err) {
+    next(new AppError('Failed to discard dead-letter job.', 500, { entryId, error: err.message }));
+  }
+});
+
+router.post('/requeue', validate(adminJobSchemas.bulk), bulkJobAction(requeueJob, 'requeue'));
+router.post('/discard', validate(adminJobSchemas.bulk), bulkJobAction(discardJob, 'discard'));
+router.post('/dead-letter', validate(adminJobSchemas.bulk), bulkJobAction(deadLetterJob, 'dead-letter'));
+
+router.post('/:id/requeue', singleJobAction(requeueJob, 'requeue', 202));
+router.post('/:id/dead-letter', singleJobAction(deadLetterJob, 'dead-letter'));
+router.delete('/:id', singleJobAction(discardJob, 'discard'));
+
+module.exports = router;
@@ -1,12 +1,119 @@
 const express = require('express');
 const db = require('../db');
-const { auth } = require('../middleware/auth');
-const { validate, contentGenerationSchemas, contentScheduleSchemas } = require('../validation');
-const { contentQueue } = require('../queue');
+const { STREAM_TOKEN_TTL_SECONDS, auth, streamAuth, signStreamToken } = require('../middleware/auth');
+const {
+  validate,
+  contentGenerationSchemas,
+  contentScheduleSchemas,
+  contentEditSchemas,
+  contentExportSchemas,
+} = require('../validation');
+const { contentQueue, queueEvents } = require('../queue');
+const logger = require('../logger');
+const { config } = require('../config');
 const AppError = require('../utils/appError');
+const {
+  REVISION_FIELDS,
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions,
+} = require('../utils/contentRevisions');
+const { analyzeSeoCompliance } = require('../utils/seoAnalyzer');
+const { RENDER_FORMATS, renderContent } = require('../utils/contentRenderer');
+const { EXPORT_FORMATS, exportContent, exportWxr } = require('../utils/contentExporter');
+const { buildJsonLdDocuments, renderJsonLdScript } = require('../utils/schemaPayload');
+const { locateSection } = require('../utils/sectionRewrite');
+const { SUPPORTED_LOCALES, normalizeLocale } = require('../utils/locale');
+const { createCitationRegistry, applyCitations, listCitedIds } = require('../utils/citations');
+const {
+  MIN_CLUSTER_THRESHOLD,
+  findSimilarContent,
+  refreshContentSimilarity,
+  listSimilarityClusters,
+} = require('../utils/contentSimilarity');
+const { assertQuota, reserveQuota, releaseQuota, releaseJobQuota } = require('../utils/quotas');
+const { indexJob, setIndexedJobState, unindexJob, countIndexedJobs, listIndexedJobs } = require('../utils/jobIndex');
+const { CONTENT_STATUSES, normalizeSlug, normalizeTags } = require('../utils/contentEditorial');
+const {
+  JOB_STATES,
+  PENDING_JOB_STATES,
+  RETRY_INPUT_FIELDS,
+  summarizeJob,
+} = require('../utils/jobControl');
 
 const router = express.Router();
 
+const STREAM_HEARTBEAT_MS = 15000;
+
+async function fetchOwnedContent(executor, contentId, userId, { forUpdate = false } = {}) {
+  const result = await executor.query(
+    `SELECT * FROM generated_content WHERE id = $1 AND user_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [contentId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// The assigned editor works on the owner's article, so edits are open to both.
+async function fetchEditableContent(executor, contentId, userId, { forUpdate = false } = {}) {
+  const result = await executor.query(
+    `SELECT * FROM generated_content WHERE id = $1 AND (user_id = $2 OR assigned_editor_id = $2)${
+      forUpdate ? ' FOR UPDATE' : ''
+    }`,
+    [contentId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+const parseRevisionId = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+async function fetchRevision(executor, contentId, revisionId) {
+  const result = await executor.query(
+    'SELECT * FROM content_revisions WHERE id = $1 AND content_id = $2',
+    [revisionId, contentId]
+  );
+  return result.rows[0] || null;
+}
+
+async function fetchContentImages(executor, imageIds, userId) {
+  const ids = Array.from(new Set((imageIds || []).map(Number).filter(Number.isInteger)));
+  if (!ids.length) {
+    return [];
+  }
+  const placeholders = ids.map((_, index) => `$${index + 2}`).join(', ');
+  const result = await executor.query(
+    `SELECT id, image_name, image_path, tags FROM images WHERE user_id = $1 AND id IN (${placeholders})`,
+    [userId, ...ids]
+  );
+  return result.rows;
+}
+
+// Chunks are matched by document and position; re-uploaded or deleted documents simply drop out.
+async function fetchCitedChunks(executor, citations, userId) {
+  if (!citations.length) {
+    return new Map();
+  }
+  const conditions = citations
+    .map((_, index) => `(dc.document_id = $${index * 2 + 2} AND dc.chunk_index = $${index * 2 + 3})`)
+    .join(' OR ');
+  const result = await executor.query(
+    `SELECT dc.document_id, dc.chunk_index, dc.content, d.file_name
+     FROM document_chunks dc
+     JOIN documents d ON d.id = dc.document_id
+     WHERE dc.user_id = $1 AND (${conditions})`,
+    [userId, ...citations.flatMap((citation) => [citation.documentId, citation.chunkIndex])]
+  );
+  return new Map(result.rows.map((row) => [`${row.document_id}:${row.chunk_index}`, row]));
+}
+
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const writeStreamEvent = (res, event, payload) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
 router.post('/generate', auth, validate(contentGenerationSchemas.generateContent), async (req, res, next) => {
   const {
     keyword,
@@ -17,9 +124,11 @@ router.post('/generate', auth, validate(contentGenerationSchemas.generateContent
     imageTags,
     imageCount,
     ruleId,
+    locale,
     schemaConfig,
     schemaEntities = {},
     schemaOverrides = null,
+    factCheck,
   } = req.body;
   const userId = req.user.id;
 
@@ -28,41 +137,427 @@ router.post('/generate', auth, validate(contentGenerationSchemas.generateContent
   }
 
   try {
-    const job = await contentQueue.add('generate-content', {
-      keyword,
-      knowledgeBaseId,
-      knowledgeSetId,
-      imageIds,
-      imageCollectionId,
-      imageTags,
-      imageCount,
-      ruleId,
-      userId,
-      schemaConfig,
-      schemaEntities,
-      schemaOverrides,
-    });
+    const reservation = await reserveQuota(userId, { generations: 1, tokens: 0 });
+    let job;
+    try {
+      job = await contentQueue.add('generate-content', {
+        keyword,
+        knowledgeBaseId,
+        knowledgeSetId,
+        imageIds,
+        imageCollectionId,
+        imageTags,
+        imageCount,
+        ruleId,
+        locale,
+        userId,
+        schemaConfig,
+        schemaEntities,
+        schemaOverrides,
+        factCheck,
+      });
+    } catch (err) {
+      await releaseQuota(reservation);
+      throw err;
+    }
+    await indexJob(job.id, userId, 'generate-content');
     await job.updateProgress({ stage: 'queued', percent: 10 });
 
     res.status(202).json({ jobId: job.id, progress: { stage: 'queued', percent: 10 } });
   } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
     next(new AppError('Failed to start content generation job.', 500, { userId }));
   }
 });
 
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORT_COLUMNS = {
+  created_at: 'gc.created_at',
+  updated_at: 'gc.updated_at',
+  title: 'gc.title',
+};
+const ORIGIN_FILTERS = new Set(['ai', 'fallback']);
+const FALLBACK_CONDITION = "gc.details->>'fallbackReason' IS NOT NULL";
+const PUBLISHED_CONDITION = "(gc.published_url IS NOT NULL OR gc.status = 'published')";
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+// Backslash is the default LIKE escape in Postgres, so escaped patterns need no ESCAPE clause.
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const parseDateFilter = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new AppError(`Invalid ${name} date.`, 400);
+  }
+  return parsed;
+};
+
+// Paging and sorting fall back to defaults like the keyword list; filters reject bad input.
+function parseContentListQuery(query) {
+  const locale = query.locale ? normalizeLocale(query.locale) : null;
+  if (query.locale && !locale) {
+    throw new AppError(`Unsupported locale. Use one of: ${SUPPORTED_LOCALES.join(', ')}.`, 400);
+  }
+  const ruleId = query.ruleId === undefined || query.ruleId === '' ? null : Number(query.ruleId);
+  if (ruleId !== null && (!Number.isInteger(ruleId) || ruleId <= 0)) {
+    throw new AppError('Invalid ruleId.', 400);
+  }
+  const origin = typeof query.origin === 'string' && query.origin ? query.origin.toLowerCase() : null;
+  if (origin && !ORIGIN_FILTERS.has(origin)) {
+    throw new AppError('origin must be one of: ai, fallback.', 400);
+  }
+  const published = query.published === undefined || query.published === '' ? null : String(query.published);
+  if (published !== null && !['true', 'false'].includes(published)) {
+    throw new AppError('published must be true or false.', 400);
+  }
+  const status = typeof query.status === 'string' && query.status ? query.status : null;
+  if (status && !CONTENT_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${CONTENT_STATUSES.join(', ')}.`, 400);
+  }
+  const sortField = typeof query.sortField === 'string' ? query.sortField.toLowerCase() : '';
+  return {
+    page: parsePositiveInt(query.page, 1),
+    pageSize: Math.min(parsePositiveInt(query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+    sortField: SORT_COLUMNS[sortField] ? sortField : 'created_at',
+    sortOrder: typeof query.sortOrder === 'string' && query.sortOrder.toLowerCase() === 'asc' ? 'asc' : 'desc',
+    search: typeof query.search === 'string' ? query.search.trim() : '',
+    locale,
+    ruleId,
+    schemaType: typeof query.schemaType === 'string' && query.schemaType.trim() ? query.schemaType.trim() : null,
+    from: parseDateFilter(query.from, 'from'),
+    to: parseDateFilter(query.to, 'to'),
+    origin,
+    published: published === null ? null : published === 'true',
+    status,
+  };
+}
+
+async function fetchContentPage(userId, options) {
+  const { page, pageSize, sortField, sortOrder, search } = options;
+  const filters = ['gc.user_id = $1'];
+  const values = [userId];
+  const addFilter = (sql, value) => {
+    values.push(value);
+    filters.push(sql.replace(/\?/g, `$${values.length}`));
+  };
+
+  // Substring matching is served by the pg_trgm GIN indexes on title and body; the built-in
+  // full-text parsers do not segment Chinese, so tsvector search would miss most queries.
+  if (search) {
+    addFilter('(gc.title ILIKE ? OR gc.body ILIKE ?)', `%${escapeLikePattern(search)}%`);
+  }
+  if (options.locale) {
+    addFilter('gc.locale = ?', options.locale);
+  }
+  if (options.ruleId) {
+    addFilter('gc.rule_id = ?', options.ruleId);
+  }
+  if (options.schemaType) {
+    addFilter('? = ANY(gc.schema_types)', options.schemaType);
+  }
+  if (options.from) {
+    addFilter('gc.created_at >= ?', options.from);
+  }
+  if (options.to) {
+    addFilter('gc.created_at <= ?', options.to);
+  }
+  if (options.status) {
+    addFilter('gc.status = ?', options.status);
+  }
+  if (options.origin) {
+    filters.push(options.origin === 'fallback' ? FALLBACK_CONDITION : `NOT (${FALLBACK_CONDITION})`);
+  }
+  if (options.published !== null) {
+    filters.push(options.published ? PUBLISHED_CONDITION : `NOT ${PUBLISHED_CONDITION}`);
+  }
+
+  const whereClause = filters.join(' AND ');
+  const countRes = await db.query(
+    `SELECT COUNT(*)::int AS total,
+            COALESCE(SUM(CASE WHEN ${FALLBACK_CONDITION} THEN 1 ELSE 0 END), 0)::int AS fallback,
+            COALESCE(SUM(CASE WHEN ${PUBLISHED_CONDITION} THEN 1 ELSE 0 END), 0)::int AS published
+     FROM generated_content gc
+     WHERE ${whereClause}`,
+    values
+  );
+  const row = countRes.rows[0] || {};
+  const total = Number(row.total || 0);
+  const counts = {
+    ai: total - Number(row.fallback || 0),
+    fallback: Number(row.fallback || 0),
+    published: Number(row.published || 0),
+  };
+  if (total === 0) {
+    return { items: [], total, counts };
+  }
+
+  const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+  const listRes = await db.query(
+    `SELECT gc.*, gr.rule_name
+     FROM generated_content gc
+     LEFT JOIN generation_rules gr ON gc.rule_id = gr.id
+     WHERE ${whereClause}
+     ORDER BY ${SORT_COLUMNS[sortField]} ${direction}, gc.id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, pageSize, (page - 1) * pageSize]
+  );
+  return { items: listRes.rows, total, counts };
+}
+
 router.get('/', auth, async (req, res, next) => {
   try {
+    const options = parseContentListQuery(req.query);
+    let { page } = options;
+    let collection = await fetchContentPage(req.user.id, options);
+    if (collection.items.length === 0 && collection.total > 0 && page > 1) {
+      page = Math.max(1, Math.ceil(collection.total / options.pageSize));
+      collection = await fetchContentPage(req.user.id, { ...options, page });
+    }
+    res.json({
+      page,
+      pageSize: options.pageSize,
+      total: collection.total,
+      counts: collection.counts,
+      items: collection.items,
+    });
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    next(new AppError('Failed to fetch generated content.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+router.post('/export/wxr', auth, validate(contentExportSchemas.wxr), async (req, res, next) => {
+  const { contentIds, siteUrl } = req.body;
+  const userId = req.user.id;
+  try {
+    const placeholders = contentIds.map((_, index) => `$${index + 2}`).join(', ');
     const result = await db.query(
-      `SELECT gc.*, gr.rule_name
-       FROM generated_content gc
-       LEFT JOIN generation_rules gr ON gc.rule_id = gr.id
-       WHERE gc.user_id = $1
-       ORDER BY gc.created_at DESC`,
-      [req.user.id]
+      `SELECT * FROM generated_content WHERE user_id = $1 AND id IN (${placeholders}) ORDER BY created_at ASC, id ASC`,
+      [userId, ...contentIds]
     );
-    res.json(result.rows);
+    if (result.rows.length !== contentIds.length) {
+      const found = new Set(result.rows.map((row) => row.id));
+      return next(
+        new AppError('Content not found or user not authorized.', 404, {
+          missing: contentIds.filter((contentId) => !found.has(contentId)),
+        })
+      );
+    }
+    const images = await fetchContentImages(
+      db,
+      result.rows.flatMap((row) => row.image_ids || []),
+      userId
+    );
+    const xml = exportWxr(result.rows, new Map(images.map((image) => [Number(image.id), image])), {
+      siteUrl: siteUrl || requestBaseUrl(req),
+      assetBaseUrl: requestBaseUrl(req),
+    });
+    res.attachment(`wordpress-export-${new Date().toISOString().slice(0, 10)}.xml`);
+    res.type('application/rss+xml; charset=utf-8');
+    res.send(xml);
   } catch (err) {
-    next(new AppError('Failed to fetch generated content.', 500, { userId: req.user.id }));
+    logger.error('Failed to build WXR export', { error: err.message, userId });
+    next(new AppError('Failed to export content.', 500, { userId }));
+  }
+});
+
+const MAX_SIMILAR_RESULTS = 20;
+
+router.get('/clusters', auth, async (req, res, next) => {
+  const userId = req.user.id;
+  const threshold =
+    req.query.threshold === undefined || req.query.threshold === ''
+      ? config.ai.duplicateThreshold
+      : Number(req.query.threshold);
+  if (!Number.isFinite(threshold) || threshold < MIN_CLUSTER_THRESHOLD || threshold >= 1) {
+    return next(new AppError(`threshold must be a number from ${MIN_CLUSTER_THRESHOLD} up to (but excluding) 1.`, 400));
+  }
+  try {
+    const { clusters, truncated } = await listSimilarityClusters(userId, { threshold });
+    const contentIds = clusters.flatMap((cluster) => cluster.contentIds);
+    const contentById = new Map();
+    if (contentIds.length) {
+      const placeholders = contentIds.map((_, index) => `$${index + 2}`).join(', ');
+      const result = await db.query(
+        `SELECT id, title, keyword, locale, status, created_at
+         FROM generated_content
+         WHERE user_id = $1 AND id IN (${placeholders})`,
+        [userId, ...contentIds]
+      );
+      result.rows.forEach((row) => contentById.set(row.id, row));
+    }
+    res.json({
+      threshold,
+      total: clusters.length,
+      truncated,
+      clusters: clusters.map((cluster, index) => ({
+        id: index + 1,
+        size: cluster.contentIds.length,
+        maxSimilarity: cluster.maxSimilarity,
+        items: cluster.contentIds.filter((id) => contentById.has(id)).map((id) => contentById.get(id)),
+        pairs: cluster.pairs.map(({ contentId, otherId, similarity }) => ({
+          contentIds: [contentId, otherId],
+          similarity,
+        })),
+      })),
+    });
+  } catch (err) {
+    next(new AppError('Failed to fetch content clusters.', 500, { userId, error: err.message }));
+  }
+});
+
+// Owner check shared by the job routes; jobs of other users look like missing ones.
+async function fetchOwnedJob(jobId, userId) {
+  const job = await contentQueue.getJob(jobId);
+  return job && job.data && job.data.userId === userId ? job : null;
+}
+
+router.get('/jobs', auth, async (req, res, next) => {
+  const requested =
+    typeof req.query.state === 'string' && req.query.state.trim()
+      ? req.query.state.split(',').map((state) => state.trim().toLowerCase()).filter(Boolean)
+      : JOB_STATES;
+  const invalid = requested.filter((state) => !JOB_STATES.includes(state));
+  if (invalid.length) {
+    return next(new AppError(`state must be one of: ${JOB_STATES.join(', ')}.`, 400, { invalid }));
+  }
+  const page = parsePositiveInt(req.query.page, 1);
+  const pageSize = Math.min(parsePositiveInt(req.query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const states = Array.from(new Set(requested));
+  try {
+    const counts = await countIndexedJobs(req.user.id, states);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const rows = await listIndexedJobs(req.user.id, states, { limit: pageSize, offset: (page - 1) * pageSize });
+    // The listed page is read back from the queue, which also corrects index entries that fell behind it.
+    const items = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const row of rows) {
+      // eslint-disable-next-line no-await-in-loop
+      const job = await fetchOwnedJob(row.job_id, req.user.id);
+      if (!job) {
+        // eslint-disable-next-line no-await-in-loop
+        await unindexJob(row.job_id);
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        const state = await job.getState();
+        if (state !== row.state) {
+          // eslint-disable-next-line no-await-in-loop
+          await setIndexedJobState(job, state);
+        }
+        items.push(summarizeJob(job, state));
+      }
+    }
+    res.json({ page, pageSize, total, counts, items });
+  } catch (err) {
+    next(new AppError('Failed to list jobs.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+router.post('/jobs/:id/cancel', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const job = await fetchOwnedJob(id, req.user.id);
+    if (!job) {
+      return next(new AppError('Job not found.', 404));
+    }
+    const state = await job.getState();
+    if (PENDING_JOB_STATES.has(state)) {
+      await job.remove();
+      await unindexJob(job.id);
+      await releaseJobQuota(job);
+      return res.json({ id: job.id, state: 'cancelled', previousState: state });
+    }
+    if (state === 'active') {
+      await job.updateData({ ...job.data, cancelRequested: true });
+      return res.status(202).json({ id: job.id, state: 'cancelling', previousState: state });
+    }
+    next(new AppError(`Job is already ${state} and cannot be cancelled.`, 409, { jobId: job.id, state }));
+  } catch (err) {
+    next(new AppError('Failed to cancel job.', 500, { jobId: id, userId: req.user.id, error: err.message }));
+  }
+});
+
+router.post('/jobs/:id/retry', auth, validate(contentGenerationSchemas.retryJob), async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const edits = RETRY_INPUT_FIELDS.reduce((acc, field) => {
+    if (req.body[field] !== undefined) {
+      acc[field] = req.body[field];
+    }
+    return acc;
+  }, {});
+  const edited = Object.keys(edits).length > 0;
+  try {
+    const job = await fetchOwnedJob(id, userId);
+    if (!job) {
+      return next(new AppError('Job not found.', 404));
+    }
+    const state = await job.getState();
+    if (state !== 'failed') {
+      return next(new AppError(`Only failed jobs can be retried; this job is ${state}.`, 409, { jobId: job.id, state }));
+    }
+    const isGeneration = job.name === 'generate-content';
+    if (edited && !isGeneration) {
+      return next(new AppError('Only content generation jobs can be retried with edited inputs.', 400));
+    }
+    const { cancelRequested, ...originalData } = job.data;
+    const data = { ...originalData, ...edits };
+    if (data.knowledgeBaseId && data.knowledgeSetId) {
+      return next(new AppError('Choose either a knowledge set or a single knowledge base document.', 400));
+    }
+
+    const reservation = await reserveQuota(userId, isGeneration ? { generations: 1, tokens: 0 } : { tokens: 0 });
+    let retried = job;
+    try {
+      if (edited) {
+        // Edited inputs get a new job so the failed one keeps the inputs it actually ran with.
+        retried = await contentQueue.add(job.name, { ...data, retryOf: job.id });
+      } else {
+        if (cancelRequested) {
+          await job.updateData(originalData);
+        }
+        // Recorded before the retry so a worker that picks the job up at once is not overwritten.
+        await setIndexedJobState(job, 'waiting');
+        await job.retry('failed');
+      }
+    } catch (err) {
+      await releaseQuota(reservation);
+      throw err;
+    }
+    if (edited) {
+      await indexJob(retried.id, userId, job.name);
+    }
+    if (edited && data.batchId) {
+      await db.query('UPDATE content_batch_items SET job_id = $1 WHERE batch_id = $2 AND job_id = $3', [
+        String(retried.id),
+        data.batchId,
+        String(job.id),
+      ]);
+    }
+    await retried.updateProgress({ stage: 'queued', percent: 10 });
+    res.status(202).json({
+      jobId: retried.id,
+      retryOf: job.id,
+      edited,
+      progress: { stage: 'queued', percent: 10 },
+    });
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    next(new AppError('Failed to retry job.', 500, { jobId: id, userId, error: err.message }));
   }
 });
 
@@ -92,6 +587,102 @@ router.get('/jobs/:id', auth, async (req, res, next) => {
   }
 });
 
+router.post('/jobs/:id/stream-token', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const job = await fetchOwnedJob(id, req.user.id);
+    if (!job) {
+      return next(new AppError('Job not found.', 404));
+    }
+    res.json({ token: signStreamToken(req.user, job.id), expiresIn: STREAM_TOKEN_TTL_SECONDS });
+  } catch (err) {
+    next(new AppError('Failed to issue stream token.', 500, { jobId: id, userId: req.user.id }));
+  }
+});
+
+router.get('/jobs/:id/stream', streamAuth, async (req, res, next) => {
+  const { id } = req.params;
+
+  let job;
+  try {
+    job = await contentQueue.getJob(id);
+  } catch (err) {
+    return next(new AppError('Failed to fetch job status.', 500, { jobId: id, userId: req.user.id }));
+  }
+
+  if (!job || !job.data || job.data.userId !== req.user.id) {
+    return next(new AppError('Job not found.', 404));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let heartbeat = null;
+  const listeners = {};
+  const closeStream = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    Object.entries(listeners).forEach(([event, listener]) => queueEvents.removeListener(event, listener));
+    res.end();
+  };
+
+  // Subscribe before reading the current state so no transition is lost in between.
+  listeners[`progress:${job.id}`] = ({ data }) => writeStreamEvent(res, 'progress', data || {});
+  listeners[`completed:${job.id}`] = ({ returnvalue }) => {
+    writeStreamEvent(res, 'completed', { result: returnvalue });
+    closeStream();
+  };
+  listeners[`failed:${job.id}`] = ({ failedReason }) => {
+    writeStreamEvent(res, 'failed', { failedReason });
+    closeStream();
+  };
+  // Cancelled or discarded pending jobs are removed from the queue and will not report anything else.
+  listeners[`removed:${job.id}`] = () => {
+    writeStreamEvent(res, 'removed', { id: job.id });
+    closeStream();
+  };
+  Object.entries(listeners).forEach(([event, listener]) => queueEvents.on(event, listener));
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', closeStream);
+
+  try {
+    const state = await job.getState();
+    writeStreamEvent(res, 'snapshot', {
+      id: job.id,
+      state,
+      progress: job.progress || {},
+      attempts: job.attemptsMade || 0,
+    });
+    if (state === 'completed') {
+      writeStreamEvent(res, 'completed', { result: job.returnvalue });
+      closeStream();
+    } else if (state === 'failed') {
+      writeStreamEvent(res, 'failed', { failedReason: job.failedReason });
+      closeStream();
+    } else if (state === 'unknown') {
+      writeStreamEvent(res, 'removed', { id: job.id });
+      closeStream();
+    }
+  } catch (err) {
+    logger.error('Failed to read job state for progress stream', {
+      error: err.message,
+      jobId: id,
+      userId: req.user.id,
+    });
+    writeStreamEvent(res, 'error', { message: 'Failed to fetch job status.' });
+    closeStream();
+  }
+});
+
 router.post('/schedule', auth, validate(contentScheduleSchemas.createSchedule), async (req, res, next) => {
   const { content_id, platform, publish_at } = req.body;
   const userId = req.user.id;
@@ -165,6 +756,573 @@ router.get('/:id/schema', auth, async (req, res, next) => {
   }
 });
 
+router.get('/:id/schema/jsonld', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await db.query(
+      'SELECT schema_payload FROM generated_content WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const schemaPayload = result.rows[0].schema_payload;
+    const documents = buildJsonLdDocuments(schemaPayload);
+    const scripts = documents.map(renderJsonLdScript);
+    if (req.query.format === 'html') {
+      return res.type('html').send(scripts.join('\n'));
+    }
+    res.json({
+      documents,
+      scripts,
+      html: scripts.join('\n'),
+      validation: schemaPayload?.validation || null,
+    });
+  } catch (err) {
+    next(new AppError('Failed to build JSON-LD.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.get('/:id/rendered', auth, async (req, res, next) => {
+  const { id } = req.params;
+  const format = String(req.query.format || 'markdown').toLowerCase();
+  if (!RENDER_FORMATS.includes(format)) {
+    return next(new AppError(`Unsupported render format. Use one of: ${RENDER_FORMATS.join(', ')}.`, 400));
+  }
+  try {
+    const content = await fetchOwnedContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const images = await fetchContentImages(db, content.image_ids, req.user.id);
+    const rendered = renderContent(content, images, {
+      format,
+      keyword: content.keyword,
+      assetBaseUrl: requestBaseUrl(req),
+    });
+    res.json({ contentId: content.id, ...rendered });
+  } catch (err) {
+    next(new AppError('Failed to render content.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+// Numbering follows the current body, matching the footnotes of the rendered and exported article.
+router.get('/:id/citations', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const content = await fetchOwnedContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const stored = new Map((content.details?.citations || []).map((citation) => [citation.id, citation]));
+    const citedIds = listCitedIds(content.body);
+    const cited = citedIds.filter((citationId) => stored.has(citationId)).map((citationId) => stored.get(citationId));
+    const chunks = await fetchCitedChunks(db, cited, req.user.id);
+    res.json({
+      contentId: content.id,
+      citations: cited.map((citation, index) => {
+        const chunk = chunks.get(`${citation.documentId}:${citation.chunkIndex}`);
+        return {
+          number: index + 1,
+          id: citation.id,
+          documentId: citation.documentId,
+          documentName: chunk ? chunk.file_name : citation.documentName,
+          chunkIndex: citation.chunkIndex,
+          text: chunk ? chunk.content : null,
+          preview: citation.preview,
+          available: Boolean(chunk),
+        };
+      }),
+      unresolved: citedIds.filter((citationId) => !stored.has(citationId)),
+    });
+  } catch (err) {
+    next(new AppError('Failed to fetch citations.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.get('/:id/similar', auth, async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  try {
+    const content = await fetchOwnedContent(db, id, userId);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const stored = await db.query('SELECT embedding FROM content_embeddings WHERE content_id = $1 AND user_id = $2', [
+      content.id,
+      userId,
+    ]);
+    if (!stored.rows[0]) {
+      return res.json({ contentId: content.id, embedded: false, threshold: config.ai.duplicateThreshold, matches: [] });
+    }
+    const matches = await findSimilarContent(db, {
+      userId,
+      vector: stored.rows[0].embedding,
+      excludeContentId: content.id,
+      limit: Math.min(parsePositiveInt(req.query.limit, 5), MAX_SIMILAR_RESULTS),
+    });
+    res.json({
+      contentId: content.id,
+      embedded: true,
+      threshold: config.ai.duplicateThreshold,
+      matches: matches.map((match) => ({
+        ...match,
+        duplicate: match.similarity >= config.ai.duplicateThreshold,
+      })),
+    });
+  } catch (err) {
+    next(new AppError('Failed to fetch similar content.', 500, { contentId: id, userId, error: err.message }));
+  }
+});
+
+router.get('/:id/export', auth, async (req, res, next) => {
+  const { id } = req.params;
+  const format = String(req.query.format || 'html').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return next(
+      new AppError(`Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`, 400)
+    );
+  }
+  try {
+    const content = await fetchOwnedContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const images = await fetchContentImages(db, content.image_ids, req.user.id);
+    const exported = await exportContent(format, content, images, {
+      keyword: content.keyword,
+      assetBaseUrl: requestBaseUrl(req),
+    });
+    res.attachment(exported.filename);
+    res.type(exported.contentType);
+    res.send(exported.body);
+  } catch (err) {
+    logger.error('Failed to export content', { error: err.message, contentId: id, format, userId: req.user.id });
+    next(new AppError('Failed to export content.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.get('/:id/seo-report', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await db.query(
+      `SELECT gc.id, gc.rule_id, gc.keyword, gc.locale, gc.title, gc.meta_description, gc.body, gc.details,
+              gr.seo_settings
+       FROM generated_content gc
+       LEFT JOIN generation_rules gr ON gr.id = gc.rule_id
+       WHERE gc.id = $1 AND gc.user_id = $2`,
+      [id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const row = result.rows[0];
+    // Re-measure the current body so edits made after generation are reflected.
+    const report = analyzeSeoCompliance(row, row.seo_settings, { keyword: row.keyword, locale: row.locale });
+    res.json({
+      contentId: row.id,
+      ruleId: row.rule_id,
+      keyword: row.keyword || null,
+      ...report,
+      generationReport: row.details?.seoReport || null,
+    });
+  } catch (err) {
+    next(new AppError('Failed to build SEO report.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.get('/:id/trace', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const content = await fetchOwnedContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const result = await db.query(
+      `SELECT job_id, rule_id, generation_mode, prompt, schema_config, snippets, provider, model, parameters,
+              raw_response, calls, fallback_reason, created_at, expires_at
+       FROM generation_traces
+       WHERE content_id = $1 AND expires_at > $2`,
+      [content.id, new Date()]
+    );
+    if (result.rows.length === 0) {
+      return next(
+        new AppError('No generation trace is stored for this content. It may predate tracing or have expired.', 404, {
+          contentId: content.id,
+        })
+      );
+    }
+    const trace = result.rows[0];
+    res.json({
+      contentId: content.id,
+      jobId: trace.job_id,
+      ruleId: trace.rule_id,
+      generationMode: trace.generation_mode,
+      prompt: trace.prompt,
+      schemaConfig: trace.schema_config,
+      snippets: trace.snippets || [],
+      provider: trace.provider,
+      model: trace.model,
+      parameters: trace.parameters,
+      rawResponse: trace.raw_response,
+      calls: trace.calls || [],
+      fallbackReason: trace.fallback_reason,
+      createdAt: trace.created_at,
+      expiresAt: trace.expires_at,
+    });
+  } catch (err) {
+    next(new AppError('Failed to fetch generation trace.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.post('/:id/sections/rewrite', auth, validate(contentGenerationSchemas.rewriteSection), async (req, res, next) => {
+  const { id } = req.params;
+  const { heading, range, knowledgeBaseId, knowledgeSetId } = req.body;
+  const instruction = req.body.instruction.trim();
+  const userId = req.user.id;
+  try {
+    const content = await fetchOwnedContent(db, id, userId);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const target = heading ? { heading: heading.trim() } : { range };
+    const section = locateSection(content.body, target);
+    if (!section) {
+      const message = heading
+        ? `Section "${heading.trim()}" not found.`
+        : 'Character range is outside the content body.';
+      return next(new AppError(message, 400));
+    }
+    // Without an explicit source, the rewrite draws on the knowledge the article was generated from.
+    const originalSource = content.details?.knowledgeBase?.source;
+    const knowledge =
+      knowledgeBaseId || knowledgeSetId
+        ? { knowledgeBaseId: knowledgeBaseId || null, knowledgeSetId: knowledgeSetId || null }
+        : {
+            knowledgeBaseId: originalSource?.type === 'document' ? originalSource.id : null,
+            knowledgeSetId: originalSource?.type === 'set' ? originalSource.id : null,
+          };
+
+    await assertQuota(userId, { tokens: 0 });
+    const job = await contentQueue.add('rewrite-section', {
+      contentId: content.id,
+      userId,
+      target,
+      instruction,
+      expectedText: section.text,
+      ...knowledge,
+    });
+    await indexJob(job.id, userId, 'rewrite-section');
+    await job.updateProgress({ stage: 'queued', percent: 10 });
+    res.status(202).json({
+      jobId: job.id,
+      progress: { stage: 'queued', percent: 10 },
+      section: { type: section.type, heading: section.heading, start: section.start, end: section.end },
+    });
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    next(new AppError('Failed to start section rewrite.', 500, { contentId: id, userId }));
+  }
+});
+
+router.get('/:id/revisions', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const content = await fetchOwnedContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const result = await db.query(
+      `SELECT id, content_id, user_id, revision_number, title, meta_description, source, note, created_at
+       FROM content_revisions
+       WHERE content_id = $1
+       ORDER BY revision_number DESC`,
+      [id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(new AppError('Failed to fetch content revisions.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.get('/:id/revisions/diff', auth, async (req, res, next) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return next(new AppError('Both "from" and "to" revision ids are required.', 400));
+  }
+  if (!parseRevisionId(from) || !parseRevisionId(to)) {
+    return next(new AppError('"from" and "to" must be revision ids.', 400, { from, to }));
+  }
+  try {
+    const content = await fetchOwnedContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const [fromRevision, toRevision] = await Promise.all([
+      fetchRevision(db, id, from),
+      fetchRevision(db, id, to),
+    ]);
+    if (!fromRevision || !toRevision) {
+      return next(new AppError('Revision not found.', 404));
+    }
+    res.json(diffRevisions(fromRevision, toRevision));
+  } catch (err) {
+    next(new AppError('Failed to diff content revisions.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.get('/:id/revisions/:revisionId', auth, async (req, res, next) => {
+  const { id, revisionId } = req.params;
+  if (!parseRevisionId(revisionId)) {
+    return next(new AppError('Invalid revision id.', 400, { revisionId }));
+  }
+  try {
+    const content = await fetchOwnedContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    const revision = await fetchRevision(db, id, revisionId);
+    if (!revision) {
+      return next(new AppError('Revision not found.', 404));
+    }
+    res.json(revision);
+  } catch (err) {
+    next(new AppError('Failed to fetch content revision.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.post('/:id/revisions/:revisionId/restore', auth, async (req, res, next) => {
+  const { id, revisionId } = req.params;
+  const userId = req.user.id;
+  if (!parseRevisionId(revisionId)) {
+    return next(new AppError('Invalid revision id.', 400, { revisionId }));
+  }
+  try {
+    const restored = await db.withTransaction(async (client) => {
+      const content = await fetchOwnedContent(client, id, userId, { forUpdate: true });
+      if (!content) {
+        throw new AppError('Content not found or user not authorized.', 404);
+      }
+      const revision = await fetchRevision(client, id, revisionId);
+      if (!revision) {
+        throw new AppError('Revision not found.', 404);
+      }
+      await ensureBaselineRevision(client, content);
+      const details = await refreshDerivedDetails(client, content, {
+        title: revision.title,
+        meta_description: revision.meta_description,
+        body: revision.body,
+      });
+      const updated = await client.query(
+        `UPDATE generated_content
+         SET title = $1, meta_description = $2, body = $3, schema_payload = $4, schema_types = $5, details = $6,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7 AND user_id = $8
+         RETURNING *`,
+        [
+          revision.title,
+          revision.meta_description,
+          revision.body,
+          revision.schema_payload,
+          Array.isArray(revision.schema_payload?.types) && revision.schema_payload.types.length
+            ? revision.schema_payload.types
+            : null,
+          details,
+          id,
+          userId,
+        ]
+      );
+      const row = updated.rows[0];
+      const newRevision = await recordRevision(client, row, {
+        source: 'restore',
+        userId,
+        note: `Restored revision ${revision.revision_number}`,
+      });
+      return { content: row, revision: newRevision };
+    });
+    restored.content.details = await refreshEditedSimilarity(restored.content);
+    res.json(restored);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    next(new AppError('Failed to restore content revision.', 500, { contentId: id, userId }));
+  }
+});
+
+const EDITABLE_FIELDS = [
+  'title',
+  'meta_description',
+  'body',
+  'image_ids',
+  'schema_payload',
+  'published_url',
+  'slug',
+  'status',
+  'tags',
+  'assigned_editor_id',
+];
+
+// Normalizes the submitted fields and checks the ones that point at other rows.
+async function resolveContentEdits(executor, content, body, fields) {
+  const values = {};
+  // eslint-disable-next-line no-restricted-syntax
+  for (const field of fields) {
+    const value = body[field];
+    if (field === 'title') {
+      values.title = value.trim();
+    } else if (field === 'meta_description' || field === 'published_url') {
+      values[field] = value || null;
+    } else if (field === 'image_ids') {
+      // eslint-disable-next-line no-await-in-loop
+      const images = await fetchContentImages(executor, value, content.user_id);
+      const found = new Set(images.map((image) => Number(image.id)));
+      const missing = value.filter((imageId) => !found.has(Number(imageId)));
+      if (missing.length) {
+        throw new AppError('Some images were not found in the owner\'s library.', 400, { missing });
+      }
+      values.image_ids = value;
+    } else if (field === 'schema_payload') {
+      values.schema_payload = value;
+      values.schema_types = Array.isArray(value?.types) && value.types.length ? value.types : null;
+    } else if (field === 'slug') {
+      values.slug = normalizeSlug(value);
+      if (values.slug) {
+        // eslint-disable-next-line no-await-in-loop
+        const taken = await executor.query(
+          'SELECT id FROM generated_content WHERE user_id = $1 AND slug = $2 AND id <> $3',
+          [content.user_id, values.slug, content.id]
+        );
+        if (taken.rows.length) {
+          throw new AppError('Another article already uses this slug.', 409, { slug: values.slug });
+        }
+      }
+    } else if (field === 'tags') {
+      values.tags = normalizeTags(value);
+    } else if (field === 'assigned_editor_id') {
+      if (value !== null) {
+        // eslint-disable-next-line no-await-in-loop
+        const editor = await executor.query('SELECT id FROM users WHERE id = $1', [value]);
+        if (!editor.rows.length) {
+          throw new AppError('Assigned editor not found.', 400, { assignedEditorId: value });
+        }
+      }
+      values.assigned_editor_id = value;
+    } else {
+      values[field] = value;
+    }
+  }
+  return values;
+}
+
+const sameValue = (left, right) => JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+
+const TEXT_FIELDS = ['title', 'meta_description', 'body'];
+
+// Mirrors the section rewrite: the SEO report and cited sources follow the edited text, and the
+// similarity report is flagged until the article has been embedded again.
+async function refreshDerivedDetails(executor, content, values) {
+  const edited = { ...content, ...values };
+  const rule = content.rule_id
+    ? (await executor.query('SELECT seo_settings FROM generation_rules WHERE id = $1', [content.rule_id])).rows[0]
+    : null;
+  const citationCheck = applyCitations(edited.body, createCitationRegistry(content.details?.citations));
+  const { invalidCitations, ...details } = content.details || {};
+  return {
+    ...details,
+    seoReport: analyzeSeoCompliance(edited, rule?.seo_settings, { keyword: content.keyword, locale: content.locale }),
+    citations: citationCheck.citations,
+    ...(citationCheck.invalid.length ? { invalidCitations: citationCheck.invalid } : {}),
+    ...(details.similarity ? { similarity: { ...details.similarity, stale: true } } : {}),
+  };
+}
+
+// Runs after the edit commits because it calls the embedding API; a failure leaves the report marked stale.
+async function refreshEditedSimilarity(content) {
+  try {
+    return (await refreshContentSimilarity(content)) || content.details;
+  } catch (err) {
+    logger.warn('Failed to refresh the similarity of edited content', { contentId: content.id, error: err.message });
+    return content.details;
+  }
+}
+
+// PUT and PATCH both update only the fields present in the body, like the other routers.
+const updateContent = async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const fields = EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined);
+  if (!fields.length) {
+    return next(new AppError(`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}.`, 400));
+  }
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const content = await fetchEditableContent(client, id, userId, { forUpdate: true });
+      if (!content) {
+        throw new AppError('Content not found or user not authorized.', 404);
+      }
+      if (fields.includes('assigned_editor_id') && Number(content.user_id) !== Number(userId)) {
+        throw new AppError('Only the owner can change the assigned editor.', 403);
+      }
+      const values = await resolveContentEdits(client, content, req.body, fields);
+      const revisionChanged = REVISION_FIELDS.some(
+        (field) => field in values && !sameValue(values[field], content[field])
+      );
+      if (revisionChanged) {
+        await ensureBaselineRevision(client, content);
+      }
+      const textChanged = TEXT_FIELDS.some((field) => field in values && !sameValue(values[field], content[field]));
+      if (textChanged) {
+        values.details = await refreshDerivedDetails(client, content, values);
+      }
+      const columns = Object.keys(values);
+      const result = await client.query(
+        `UPDATE generated_content
+         SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map((column) => values[column]), content.id]
+      );
+      const row = result.rows[0];
+      const revision = revisionChanged
+        ? await recordRevision(client, row, { source: 'edit', userId, note: req.body.note || null })
+        : null;
+      return { content: row, revision, textChanged };
+    });
+    const { textChanged, ...body } = updated;
+    if (textChanged) {
+      body.content.details = await refreshEditedSimilarity(body.content);
+    }
+    res.json(body);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    if (err.code === '23505' && err.constraint === 'idx_generated_content_user_slug') {
+      return next(new AppError('Another article already uses this slug.', 409, { contentId: id }));
+    }
+    next(new AppError('Failed to update content.', 500, { contentId: id, userId, error: err.message }));
+  }
+};
+
+router.get('/:id', auth, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const content = await fetchEditableContent(db, id, req.user.id);
+    if (!content) {
+      return next(new AppError('Content not found or user not authorized.', 404));
+    }
+    res.json(content);
+  } catch (err) {
+    next(new AppError('Failed to fetch content.', 500, { contentId: id, userId: req.user.id }));
+  }
+});
+
+router.put('/:id', auth, validate(contentEditSchemas.update), updateContent);
+router.patch('/:id', auth, validate(contentEditSchemas.update), updateContent);
 
 router.delete('/:id', auth, async (req, res, next) => {
   const { id } = req.params;
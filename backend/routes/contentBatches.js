@@ -0,0 +1,399 @@
+const express = require('express');
+const db = require('../db');
+const { auth } = require('../middleware/auth');
+const { validate, contentBatchSchemas } = require('../validation');
+const { contentQueue } = require('../queue');
+const logger = require('../logger');
+const AppError = require('../utils/appError');
+const { reserveQuota, releaseQuota, releaseJobQuota } = require('../utils/quotas');
+const { indexJob, setIndexedJobState, unindexJob } = require('../utils/jobIndex');
+
+const router = express.Router();
+
+router.use(auth);
+
+const DEFAULT_BATCH_SIZE = 10;
+const PENDING_STATES = new Set(['waiting', 'delayed', 'prioritized', 'waiting-children']);
+const FINISHED_STATES = new Set(['completed', 'failed']);
+
+async function fetchBatch(batchId, userId) {
+  const batchResult = await db.query(
+    `SELECT cb.*, k.base_keyword, gr.rule_name
+     FROM content_batches cb
+     LEFT JOIN keywords k ON k.id = cb.keyword_id
+     LEFT JOIN generation_rules gr ON gr.id = cb.rule_id
+     WHERE cb.id = $1 AND cb.user_id = $2`,
+    [batchId, userId]
+  );
+  if (batchResult.rows.length === 0) {
+    return null;
+  }
+  const itemsResult = await db.query(
+    `SELECT id, variation_id, keyword, job_id, created_at
+     FROM content_batch_items
+     WHERE batch_id = $1
+     ORDER BY id ASC`,
+    [batchId]
+  );
+  return { ...batchResult.rows[0], items: itemsResult.rows };
+}
+
+async function inspectBatchItem(item) {
+  const job = item.job_id ? await contentQueue.getJob(item.job_id) : null;
+  if (!job) {
+    return { item, job: null, state: 'missing', percent: 0 };
+  }
+  const state = await job.getState();
+  const percent = FINISHED_STATES.has(state) ? 100 : Number(job.progress?.percent || 0);
+  return { item, job, state, percent };
+}
+
+function summarizeBatch(batch, inspected) {
+  const counts = inspected.reduce((acc, entry) => {
+    acc[entry.state] = (acc[entry.state] || 0) + 1;
+    return acc;
+  }, {});
+  const total = inspected.length;
+  const percent = total
+    ? Math.round(inspected.reduce((acc, entry) => acc + entry.percent, 0) / total)
+    : 0;
+  const pending = inspected.filter((entry) => entry.state === 'active' || PENDING_STATES.has(entry.state)).length;
+
+  let status = batch.status;
+  if (status !== 'cancelled') {
+    if (pending > 0) {
+      status = 'running';
+    } else if (counts.failed || counts.missing) {
+      status = counts.completed ? 'partially_failed' : 'failed';
+    } else {
+      status = 'completed';
+    }
+  }
+
+  return {
+    id: batch.id,
+    keywordId: batch.keyword_id,
+    baseKeyword: batch.base_keyword || null,
+    ruleId: batch.rule_id,
+    ruleName: batch.rule_name || null,
+    status,
+    createdAt: batch.created_at,
+    progress: { total, percent, counts },
+    items: inspected.map(({ item, job, state, percent: itemPercent }) => ({
+      id: item.id,
+      variationId: item.variation_id,
+      keyword: item.keyword,
+      jobId: item.job_id,
+      state,
+      progress: job ? job.progress || {} : {},
+      percent: itemPercent,
+      contentId: state === 'completed' ? job.returnvalue?.id || null : null,
+      failedReason: state === 'failed' ? job.failedReason || null : null,
+    })),
+  };
+}
+
+async function loadBatchSummary(batchId, userId) {
+  const batch = await fetchBatch(batchId, userId);
+  if (!batch) {
+    return null;
+  }
+  const inspected = await Promise.all(batch.items.map(inspectBatchItem));
+  return { batch, inspected, summary: summarizeBatch(batch, inspected) };
+}
+
+function buildJobData(options, userId, batchId, variation) {
+  return {
+    keyword: variation.keyword,
+    knowledgeBaseId: options.knowledgeBaseId,
+    knowledgeSetId: options.knowledgeSetId,
+    imageCollectionId: options.imageCollectionId,
+    imageTags: options.imageTags,
+    imageCount: options.imageCount,
+    ruleId: options.ruleId,
+    locale: options.locale || undefined,
+    userId,
+    schemaConfig: options.schemaConfig,
+    schemaEntities: {
+      keyword: { id: options.keywordId, schemaMetadata: options.keywordSchemaMetadata || undefined },
+      variation: { id: variation.variationId, schemaMetadata: variation.schemaMetadata || undefined },
+    },
+    schemaOverrides: options.schemaOverrides || null,
+    factCheck: typeof options.factCheck === 'boolean' ? options.factCheck : undefined,
+    batchId,
+    variationId: variation.variationId,
+  };
+}
+
+async function enqueueBatchItem(options, userId, batchId, variation) {
+  const job = await contentQueue.add(
+    'generate-content',
+    buildJobData(options, userId, batchId, variation)
+  );
+  await indexJob(job.id, userId, 'generate-content');
+  await job.updateProgress({ stage: 'queued', percent: 10 });
+  return job;
+}
+
+router.post('/', validate(contentBatchSchemas.createBatch), async (req, res, next) => {
+  const {
+    keywordId,
+    variationIds,
+    top,
+    sortBy,
+    ruleId,
+    knowledgeBaseId,
+    knowledgeSetId,
+    imageCollectionId,
+    imageTags,
+    imageCount,
+    locale,
+    schemaConfig,
+    schemaOverrides = null,
+    factCheck,
+  } = req.body;
+  const userId = req.user.id;
+
+  if (knowledgeBaseId && knowledgeSetId) {
+    return next(new AppError('Choose either a knowledge set or a single knowledge base document.', 400));
+  }
+
+  try {
+    const keywordResult = await db.query(
+      'SELECT id, base_keyword, schema_metadata FROM keywords WHERE id = $1 AND user_id = $2',
+      [keywordId, userId]
+    );
+    if (keywordResult.rows.length === 0) {
+      return next(new AppError('Keyword not found or user not authorized.', 404));
+    }
+    const ruleResult = await db.query(
+      'SELECT id FROM generation_rules WHERE id = $1 AND user_id = $2',
+      [ruleId, userId]
+    );
+    if (ruleResult.rows.length === 0) {
+      return next(new AppError('Rule not found or user not authorized.', 404));
+    }
+
+    const orderColumn = sortBy === 'monthly_search_volume' ? 'monthly_search_volume' : 'weight';
+    const variationValues = [keywordId];
+    let variationFilter = '';
+    if (Array.isArray(variationIds) && variationIds.length) {
+      variationValues.push(variationIds);
+      variationFilter = `AND id = ANY($${variationValues.length}::int[])`;
+    }
+    variationValues.push(top || (variationIds ? variationIds.length : DEFAULT_BATCH_SIZE));
+    const variationsResult = await db.query(
+      `SELECT id, name, schema_metadata
+       FROM keyword_variations
+       WHERE keyword_id = $1 ${variationFilter}
+       ORDER BY ${orderColumn} DESC NULLS LAST, id ASC
+       LIMIT $${variationValues.length}`,
+      variationValues
+    );
+    if (variationsResult.rows.length === 0) {
+      return next(new AppError('No keyword variations matched the batch filter.', 400));
+    }
+
+    const reservation = await reserveQuota(userId, { generations: variationsResult.rows.length, tokens: 0 });
+
+    const options = {
+      keywordId,
+      keywordSchemaMetadata: keywordResult.rows[0].schema_metadata || null,
+      ruleId,
+      knowledgeBaseId: knowledgeBaseId || null,
+      knowledgeSetId: knowledgeSetId || null,
+      imageCollectionId: imageCollectionId || null,
+      imageTags,
+      imageCount,
+      locale: locale || null,
+      schemaConfig,
+      schemaOverrides,
+      factCheck: typeof factCheck === 'boolean' ? factCheck : null,
+      filter: { variationIds: variationIds || null, top: top || null, sortBy: orderColumn },
+    };
+
+    const jobs = [];
+    let batchId;
+    try {
+      const batch = await db.query(
+        `INSERT INTO content_batches (user_id, keyword_id, rule_id, options, status)
+         VALUES ($1, $2, $3, $4, 'running')
+         RETURNING *`,
+        [userId, keywordId, ruleId, options]
+      );
+      batchId = batch.rows[0].id;
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const variation of variationsResult.rows) {
+        const entry = {
+          variationId: variation.id,
+          keyword: variation.name,
+          schemaMetadata: variation.schema_metadata,
+        };
+        // eslint-disable-next-line no-await-in-loop
+        const job = await enqueueBatchItem(options, userId, batchId, entry);
+        jobs.push({ variationId: variation.id, keyword: variation.name, jobId: job.id });
+        // eslint-disable-next-line no-await-in-loop
+        await db.query(
+          `INSERT INTO content_batch_items (batch_id, variation_id, keyword, job_id)
+           VALUES ($1, $2, $3, $4)`,
+          [batchId, variation.id, variation.name, String(job.id)]
+        );
+      }
+    } catch (err) {
+      // Jobs that made it into the queue keep their share; only the rest is given back.
+      await releaseQuota(reservation, { generations: variationsResult.rows.length - jobs.length });
+      throw err;
+    }
+
+    res.status(202).json({ batchId, jobCount: jobs.length, jobs });
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    logger.error('Failed to start content batch', { error: err.message, userId, keywordId });
+    next(new AppError('Failed to start content batch.', 500, { userId, keywordId }));
+  }
+});
+
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT cb.id, cb.keyword_id, cb.rule_id, cb.status, cb.created_at,
+              k.base_keyword, gr.rule_name,
+              COALESCE(items.item_count, 0)::int AS item_count
+       FROM content_batches cb
+       LEFT JOIN keywords k ON k.id = cb.keyword_id
+       LEFT JOIN generation_rules gr ON gr.id = cb.rule_id
+       LEFT JOIN (
+         SELECT batch_id, COUNT(*)::int AS item_count
+         FROM content_batch_items
+         GROUP BY batch_id
+       ) items ON items.batch_id = cb.id
+       WHERE cb.user_id = $1
+       ORDER BY cb.created_at DESC, cb.id DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    logger.error('Failed to fetch content batches', { error: err.message, userId: req.user.id });
+    next(new AppError('Failed to fetch content batches.', 500, { userId: req.user.id }));
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const loaded = await loadBatchSummary(id, req.user.id);
+    if (!loaded) {
+      return next(new AppError('Batch not found.', 404));
+    }
+    res.json(loaded.summary);
+  } catch (err) {
+    logger.error('Failed to fetch content batch', { error: err.message, batchId: id, userId: req.user.id });
+    next(new AppError('Failed to fetch content batch.', 500, { batchId: id, userId: req.user.id }));
+  }
+});
+
+router.post('/:id/cancel', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const loaded = await loadBatchSummary(id, req.user.id);
+    if (!loaded) {
+      return next(new AppError('Batch not found.', 404));
+    }
+
+    const result = { removed: 0, cancelling: 0, finished: 0 };
+    // eslint-disable-next-line no-restricted-syntax
+    for (const entry of loaded.inspected) {
+      if (entry.job && PENDING_STATES.has(entry.state)) {
+        // eslint-disable-next-line no-await-in-loop
+        await entry.job.remove();
+        // eslint-disable-next-line no-await-in-loop
+        await unindexJob(entry.job.id);
+        // eslint-disable-next-line no-await-in-loop
+        await releaseJobQuota(entry.job);
+        result.removed += 1;
+      } else if (entry.job && entry.state === 'active') {
+        // Active jobs cannot be removed; the worker stops them at its next stage, as for a single cancel.
+        // eslint-disable-next-line no-await-in-loop
+        await entry.job.updateData({ ...entry.job.data, cancelRequested: true });
+        result.cancelling += 1;
+      } else {
+        result.finished += 1;
+      }
+    }
+
+    await db.query(
+      `UPDATE content_batches SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id]
+    );
+    res.json({ batchId: Number(id), status: 'cancelled', ...result });
+  } catch (err) {
+    logger.error('Failed to cancel content batch', { error: err.message, batchId: id, userId: req.user.id });
+    next(new AppError('Failed to cancel content batch.', 500, { batchId: id, userId: req.user.id }));
+  }
+});
+
+router.post('/:id/retry', async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  try {
+    const loaded = await loadBatchSummary(id, userId);
+    if (!loaded) {
+      return next(new AppError('Batch not found.', 404));
+    }
+
+    const options = loaded.batch.options || {};
+    const retryable = loaded.inspected.filter((entry) => entry.state === 'failed' || entry.state === 'missing');
+    const reservation = await reserveQuota(userId, { generations: retryable.length, tokens: 0 });
+    const result = { retried: 0, requeued: 0 };
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const entry of retryable) {
+        if (entry.state === 'failed') {
+          const { cancelRequested, ...data } = entry.job.data || {};
+          if (cancelRequested) {
+            // eslint-disable-next-line no-await-in-loop
+            await entry.job.updateData(data);
+          }
+          // eslint-disable-next-line no-await-in-loop
+          await setIndexedJobState(entry.job, 'waiting');
+          // eslint-disable-next-line no-await-in-loop
+          await entry.job.retry('failed');
+          result.retried += 1;
+        } else {
+          // Cancelled items no longer have a queue entry, so they are enqueued again.
+          // eslint-disable-next-line no-await-in-loop
+          const job = await enqueueBatchItem(options, userId, loaded.batch.id, {
+            variationId: entry.item.variation_id,
+            keyword: entry.item.keyword,
+          });
+          result.requeued += 1;
+          // eslint-disable-next-line no-await-in-loop
+          await db.query('UPDATE content_batch_items SET job_id = $1 WHERE id = $2', [
+            String(job.id),
+            entry.item.id,
+          ]);
+        }
+      }
+    } catch (err) {
+      await releaseQuota(reservation, { generations: retryable.length - result.retried - result.requeued });
+      throw err;
+    }
+
+    await db.query(
+      `UPDATE content_batches SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id]
+    );
+    res.json({ batchId: Number(id), status: 'running', ...result });
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    logger.error('Failed to retry content batch', { error: err.message, batchId: id, userId });
+    next(new AppError('Failed to retry content batch.', 500, { batchId: id, userId }));
+  }
+});
+
+module.exports = router;
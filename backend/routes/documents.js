@@ -5,12 +5,15 @@ const fs = require('fs');
 const db = require('../db');
 const { auth } = require('../middleware/auth');
 const { validate, documentSchemas } = require('../validation');
-const axios = require('axios');
 const logger = require('../logger');
 const AppError = require('../utils/appError');
 
 const { config } = require('../config');
 const { extractDocumentText, sanitizeText } = require('../utils/documentParser');
+const { extractTokenUsage } = require('../utils/aiProvider');
+const { recordAiUsage } = require('../utils/aiUsage');
+const { embeddingConfigured, embeddingClient, vectorLiteral } = require('../utils/embeddings');
+const { assertQuota } = require('../utils/quotas');
 
 const router = express.Router();
 const uploadsDir = path.join(__dirname, '..', 'uploads');
@@ -61,29 +64,11 @@ async function resolveKnowledgeSetId(userId, knowledgeSetId) {
   return ensureDefaultKnowledgeSet(userId);
 }
 
-// AI Client for Embeddings
-const embeddingConfigured =
-  Boolean(config.ai.embeddingModel) &&
-  Boolean((config.ai.embeddingBaseUrl || config.ai.baseUrl) && (config.ai.embeddingApiKey || config.ai.apiKey));
-
-const embeddingClient = embeddingConfigured
-  ? axios.create({
-      baseURL: config.ai.embeddingBaseUrl || config.ai.baseUrl,
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${config.ai.embeddingApiKey || config.ai.apiKey}`,
-      },
-      timeout: config.ai.requestTimeoutMs,
-    })
-  : null;
-
 const CHUNK_SIZE = 800;
 const CHUNK_OVERLAP = 200;
 const MAX_CHUNKS_PER_DOCUMENT = 256;
 const EMBEDDING_BATCH_SIZE = 16;
 
-const vectorLiteral = (values) => (Array.isArray(values) ? `[${values.join(',')}]` : null);
-
 const splitIntoChunks = (raw) => {
   const sanitized = sanitizeText(raw);
   if (!sanitized) {
@@ -135,7 +120,7 @@ const splitIntoChunks = (raw) => {
   return chunks;
 };
 
-const generateChunkEmbeddings = async (chunks) => {
+const generateChunkEmbeddings = async (chunks, userId) => {
   if (!embeddingConfigured || !embeddingClient || chunks.length === 0) {
     return Array(chunks.length).fill(null);
   }
@@ -144,11 +129,20 @@ const generateChunkEmbeddings = async (chunks) => {
 
   for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
     const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const startedAt = Date.now();
     try {
       const response = await embeddingClient.post('/v1/embeddings', {
         model: config.ai.embeddingModel,
         input: batch,
       });
+      await recordAiUsage({
+        userId,
+        feature: 'document_embedding',
+        provider: 'embedding',
+        model: config.ai.embeddingModel,
+        usage: extractTokenUsage(response?.data, 'openai'),
+        latencyMs: Date.now() - startedAt,
+      });
       const vectors = response?.data?.data || [];
       vectors.forEach((item, index) => {
         embeddings.push(item?.embedding || null);
@@ -197,6 +191,12 @@ router.post('/upload', auth, upload.single('document'), async (req, res, next) =
   const absolutePath = path.join(uploadsDir, storedFilename);
 
   try {
+    try {
+      await assertQuota(req.user.id, { documents: 1, storage_bytes: req.file.size || 0 });
+    } catch (quotaErr) {
+      await fs.promises.unlink(absolutePath).catch(() => {});
+      throw quotaErr;
+    }
     const resolvedKnowledgeSetId = await resolveKnowledgeSetId(req.user.id, knowledgeSetId);
     const fileBuffer = await fs.promises.readFile(absolutePath);
     const parseResult = await extractDocumentText({
@@ -231,7 +231,7 @@ router.post('/upload', auth, upload.single('document'), async (req, res, next) =
 
     if (sanitizedContent) {
       chunks = splitIntoChunks(sanitizedContent);
-      chunkEmbeddings = await generateChunkEmbeddings(chunks);
+      chunkEmbeddings = await generateChunkEmbeddings(chunks, req.user.id);
       hasChunkEmbeddings = chunkEmbeddings.some((vector) => Array.isArray(vector) && vector.length > 0);
       documentEmbedding = hasChunkEmbeddings
         ? chunkEmbeddings.find((vector) => Array.isArray(vector) && vector.length > 0)
@@ -274,11 +274,11 @@ router.post('/upload', auth, upload.single('document'), async (req, res, next) =
     const persisted = await db.withTransaction(async (client) => {
       const embeddingVector = vectorLiteral(documentEmbedding);
       const insertDocumentSql = embeddingVector
-        ? `INSERT INTO public.documents (user_id, knowledge_set_id, file_name, file_path, embedding)
-            VALUES ($1, $2, $3, $4, $5::vector)
+        ? `INSERT INTO public.documents (user_id, knowledge_set_id, file_name, file_path, embedding, file_size)
+            VALUES ($1, $2, $3, $4, $5::vector, $6)
             RETURNING *`
-        : `INSERT INTO public.documents (user_id, knowledge_set_id, file_name, file_path, embedding)
-            VALUES ($1, $2, $3, $4, $5)
+        : `INSERT INTO public.documents (user_id, knowledge_set_id, file_name, file_path, embedding, file_size)
+            VALUES ($1, $2, $3, $4, $5, $6)
             RETURNING *`;
 
       const documentResult = await client.query(insertDocumentSql, [
@@ -287,6 +287,7 @@ router.post('/upload', auth, upload.single('document'), async (req, res, next) =
         originalname,
         storedPath,
         embeddingVector,
+        req.file.size || 0,
       ]);
 
       const document = documentResult.rows[0];
@@ -7,6 +7,7 @@ const { auth } = require('../middleware/auth');
 const { validate, imageSchemas } = require('../validation');
 const logger = require('../logger');
 const AppError = require('../utils/appError');
+const { assertQuota } = require('../utils/quotas');
 
 const router = express.Router();
 const uploadsDir = path.join(__dirname, '..', 'uploads');
@@ -48,19 +49,30 @@ router.post('/upload', auth, upload.single('image'), async (req, res, next) => {
   const collectionId = req.body.collectionId ? parseInt(req.body.collectionId, 10) : null;
 
   try {
+    try {
+      await assertQuota(req.user.id, { storage_bytes: req.file.size || 0 });
+    } catch (quotaErr) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      throw quotaErr;
+    }
     if (collectionId) {
       await ensureCollectionAccess(collectionId, req.user.id);
     }
 
     const newImage = await db.withTransaction(async (client) => {
       const result = await client.query(
-        'INSERT INTO public.images (user_id, image_name, image_path, collection_id) VALUES ($1, $2, $3, $4) RETURNING *',
-        [req.user.id, originalname, storedPath, collectionId]
+        `INSERT INTO public.images (user_id, image_name, image_path, collection_id, file_size)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [req.user.id, originalname, storedPath, collectionId, req.file.size || 0]
       );
       return result.rows[0];
     });
     res.json(newImage);
   } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
     logger.error('Failed to upload image', { error: err, userId: req.user.id });
     next(new AppError('Failed to upload image.', 500, { userId: req.user.id }));
   }
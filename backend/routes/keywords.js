@@ -1,5 +1,4 @@
 const express = require('express');
-const axios = require('axios');
 const db = require('../db');
 const { validate, keywordSchemas, keywordSchemaMetadataSchemas } = require('../validation');
 const { auth } = require('../middleware/auth');
@@ -8,6 +7,9 @@ const AppError = require('../utils/appError');
 const logger = require('../logger');
 const SimpleCache = require('../utils/simpleCache');
 const QueryProfiler = require('../utils/queryProfiler');
+const { isAiConfigured, normalizeJsonContent } = require('../utils/aiProvider');
+const { trackChatCompletion, trackJsonFromAi } = require('../utils/aiUsage');
+const { assertQuota, reserveQuota, releaseQuota } = require('../utils/quotas');
 
 const router = express.Router();
 
@@ -35,144 +37,6 @@ function invalidateKeywordCache(userId) {
   keywordListCache.deleteByPrefix(cachePrefixForUser(userId));
 }
 
-function resolveChatPath(pathFragment) {
-  if (!pathFragment) {
-    return '/chat/completions';
-  }
-  return pathFragment.startsWith('/') ? pathFragment : `/${pathFragment}`;
-}
-
-function buildAiClient() {
-  return axios.create({
-    baseURL: config.ai.baseUrl,
-    headers: (() => {
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-      if (config.ai.provider === 'gemini') {
-        headers['x-goog-api-key'] = config.ai.apiKey || '';
-      } else {
-        headers.Authorization = `Bearer ${config.ai.apiKey || ''}`;
-      }
-      return headers;
-    })(),
-    params: config.ai.provider === 'gemini' ? { key: config.ai.apiKey } : undefined,
-    timeout: config.ai.requestTimeoutMs,
-  });
-}
-
-async function requestJsonFromAi(systemInstruction, userPrompt) {
-  const aiClient = buildAiClient();
-  const isGemini = config.ai.provider === 'gemini';
-  const payload = isGemini
-    ? {
-        contents: [
-          {
-            role: 'user',
-            parts: [
-              {
-                text: `${systemInstruction}\n\n${userPrompt}`,
-              },
-            ],
-          },
-        ],
-        generation_config: config.ai.useResponseFormat
-          ? {
-              response_mime_type: 'application/json',
-            }
-          : undefined,
-      }
-    : {
-        model: config.ai.chatModel,
-        messages: [
-          {
-            role: 'system',
-            content: systemInstruction,
-          },
-          {
-            role: 'user',
-            content: userPrompt,
-          },
-        ],
-      };
-
-  if (!isGemini && config.ai.useResponseFormat) {
-    payload.response_format = { type: 'json_object' };
-  }
-
-  const aiResponse = await aiClient.post(resolveChatPath(config.ai.chatPath), payload);
-  const message = extractMessagePayload(aiResponse?.data);
-  const sanitized = normalizeJsonContent(message);
-  if (!sanitized) {
-    throw new Error('AI response was empty');
-  }
-  return JSON.parse(sanitized);
-}
-
-function extractMessagePayload(data) {
-  if (typeof data?.content === 'string' && data.content.trim()) {
-    return data.content;
-  }
-  if (typeof data?.result === 'string' && data.result.trim()) {
-    return data.result;
-  }
-  if (typeof data?.text === 'string' && data.text.trim()) {
-    return data.text;
-  }
-  const openAiStyle = data?.choices?.[0]?.message?.content;
-  if (typeof openAiStyle === 'string' && openAiStyle.trim()) {
-    return openAiStyle;
-  }
-
-  if (Array.isArray(data?.candidates)) {
-    const concatenated = data.candidates
-      .flatMap((candidate) => candidate?.content?.parts || [])
-      .map((part) => (typeof part?.text === 'string' ? part.text : ''))
-      .join('')
-      .trim();
-
-    if (concatenated) {
-      return concatenated;
-    }
-  }
-
-  return null;
-}
-
-function normalizeJsonContent(raw) {
-  if (typeof raw !== 'string') {
-    return null;
-  }
-
-  let content = raw.trim();
-  if (!content) {
-    return null;
-  }
-
-  const fenceMatch = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-  if (fenceMatch) {
-    content = fenceMatch[1].trim();
-  }
-
-  if (content.startsWith('{') || content.startsWith('[')) {
-    return content;
-  }
-
-  const firstBrace = content.indexOf('{');
-  const lastBrace = content.lastIndexOf('}');
-  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-    return content.slice(firstBrace, lastBrace + 1).trim();
-  }
-
-  const firstBracket = content.indexOf('[');
-  const lastBracket = content.lastIndexOf(']');
-  if (firstBracket !== -1 && lastBracket !== -1 && lastBracket > firstBracket) {
-    return content.slice(firstBracket, lastBracket + 1).trim();
-  }
-
-  return content;
-}
-
 function truncateForPrompt(payload, maxLength = 1500) {
   if (payload === null || payload === undefined) {
     return '';
@@ -1072,7 +936,7 @@ router.put(
 router.post('/expand', auth, validate(keywordSchemas.expandKeyword), async (req, res, next) => {
   const { base_keyword } = req.body;
 
-  if (!config.ai.baseUrl || !config.ai.apiKey || !config.ai.chatModel) {
+  if (!isAiConfigured()) {
     logger.warn('Attempted keyword expansion without AI configuration', { userId: req.user.id });
     return next(new AppError('AI service is not configured.', 503));
   }
@@ -1088,10 +952,9 @@ router.post('/expand', auth, validate(keywordSchemas.expandKeyword), async (req,
 
   const keywordId = keywordRecord.rows[0].id;
 
-  const aiClient = buildAiClient();
-
+  let reservation = null;
   try {
-    const isGemini = config.ai.provider === 'gemini';
+    reservation = await reserveQuota(req.user.id, { keyword_expansions: 1, tokens: 0 });
     const systemInstruction = [
       'You are a keyword research assistant.',
       `Generate ${VARIATION_TARGET_COUNT} long-tail keywords for the base keyword provided.`,
@@ -1099,48 +962,18 @@ router.post('/expand', auth, validate(keywordSchemas.expandKeyword), async (req,
       'Respond strictly in JSON. Use the schema: { "keywords": [ { "name": string, "monthly_search_volume": number, "weight": number } ] }',
     ].join(' ');
 
-    const payload = isGemini
-      ? {
-          contents: [
-            {
-              role: 'user',
-              parts: [
-                {
-                  text: `${systemInstruction}\nBase keyword: ${base_keyword}`,
-                },
-              ],
-            },
-          ],
-          generation_config: config.ai.useResponseFormat
-            ? {
-                response_mime_type: 'application/json',
-              }
-            : undefined,
-        }
-      : {
-          model: config.ai.chatModel,
-          messages: [
-            {
-              role: 'system',
-              content: systemInstruction,
-            },
-            {
-              role: 'user',
-              content: base_keyword,
-            },
-          ],
-        };
-
-    if (!isGemini && config.ai.useResponseFormat) {
-      payload.response_format = { type: 'json_object' };
-    }
-
-    const aiResponse = await aiClient.post(resolveChatPath(config.ai.chatPath), payload);
+    const aiResponse = await trackChatCompletion(
+      {
+        system: systemInstruction,
+        prompt: `Base keyword: ${base_keyword}`,
+        json: true,
+      },
+      { userId: req.user.id, feature: 'keyword_expansion' }
+    );
 
-    const message = extractMessagePayload(aiResponse?.data);
     let parsed;
     try {
-      const sanitized = normalizeJsonContent(message);
+      const sanitized = normalizeJsonContent(aiResponse.content);
       parsed = sanitized ? JSON.parse(sanitized) : null;
     } catch (parseErr) {
       logger.error('Failed to parse AI response for keyword expansion', {
@@ -1159,6 +992,7 @@ router.post('/expand', auth, validate(keywordSchemas.expandKeyword), async (req,
         baseKeyword: base_keyword,
         response: parsed,
       });
+      await releaseQuota(reservation);
       return next(new AppError('AI service returned an unexpected response format.', 502));
     }
 
@@ -1209,6 +1043,10 @@ router.post('/expand', auth, validate(keywordSchemas.expandKeyword), async (req,
     invalidateKeywordCache(req.user.id);
     res.json(inserted);
   } catch (err) {
+    await releaseQuota(reservation);
+    if (err instanceof AppError) {
+      return next(err);
+    }
     logger.error('AI API Error during keyword expansion', {
       error: err.response ? err.response.data : err.message,
       userId: req.user.id,
@@ -1250,7 +1088,7 @@ router.put(
 );
 
 router.post('/:id/schema/ai', auth, validate(keywordSchemaMetadataSchemas.generateKeywordSchemaAi), async (req, res, next) => {
-  if (!config.ai.baseUrl || !config.ai.apiKey || !config.ai.chatModel) {
+  if (!isAiConfigured()) {
     logger.warn('Attempted keyword schema AI generation without AI configuration', { userId: req.user.id });
     return next(new AppError('AI service is not configured.', 503));
   }
@@ -1265,6 +1103,7 @@ router.post('/:id/schema/ai', auth, validate(keywordSchemaMetadataSchemas.genera
   const sanitizedHint = typeof hint === 'string' ? hint.trim() : '';
 
   try {
+    await assertQuota(req.user.id, { tokens: 0 });
     const keywordResult = await db.query(
       `SELECT id, base_keyword, schema_metadata
        FROM public.keywords
@@ -1315,7 +1154,10 @@ router.post('/:id/schema/ai', auth, validate(keywordSchemaMetadataSchemas.genera
     let suggestion;
     let source = 'ai';
     try {
-      suggestion = await requestJsonFromAi(systemInstruction, promptSections.join('\n\n') || '无额外上下文。');
+      suggestion = await trackJsonFromAi(systemInstruction, promptSections.join('\n\n') || '无额外上下文。', {
+        userId: req.user.id,
+        feature: 'schema_suggestion',
+      });
     } catch (err) {
       logger.warn('Failed to generate keyword schema suggestion via AI, using fallback', {
         error: err.message,
@@ -1342,6 +1184,9 @@ router.post('/:id/schema/ai', auth, validate(keywordSchemaMetadataSchemas.genera
 
     res.json({ schemaMetadata: suggestion, metadata: { source } });
   } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
     logger.error('Failed to prepare keyword schema AI suggestion', {
       error: err.message,
       keywordId: id,
@@ -1397,7 +1242,7 @@ router.post(
   auth,
   validate(keywordSchemaMetadataSchemas.generateVariationSchemaAi),
   async (req, res, next) => {
-    if (!config.ai.baseUrl || !config.ai.apiKey || !config.ai.chatModel) {
+    if (!isAiConfigured()) {
       logger.warn('Attempted variation schema AI generation without AI configuration', { userId: req.user.id });
       return next(new AppError('AI service is not configured.', 503));
     }
@@ -1412,6 +1257,7 @@ router.post(
     };
 
     try {
+      await assertQuota(req.user.id, { tokens: 0 });
       const keywordResult = await db.query(
         `SELECT id, base_keyword
        FROM public.keywords
@@ -1480,7 +1326,10 @@ router.post(
     let suggestion;
     let source = 'ai';
     try {
-      suggestion = await requestJsonFromAi(systemInstruction, promptSections.join('\n\n') || '无额外上下文。');
+      suggestion = await trackJsonFromAi(systemInstruction, promptSections.join('\n\n') || '无额外上下文。', {
+        userId: req.user.id,
+        feature: 'schema_suggestion',
+      });
     } catch (err) {
       logger.warn('Failed to generate variation schema suggestion via AI, using fallback', {
         error: err.message,
@@ -1509,6 +1358,9 @@ router.post(
 
     res.json({ schemaMetadata: suggestion, metadata: { source } });
   } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
     logger.error('Failed to prepare variation schema AI suggestion', {
       error: err.message,
       keywordId,
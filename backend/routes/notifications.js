@@ -0,0 +1,63 @@
+const express = require('express');
+const db = require('../db');
+const { auth } = require('../middleware/auth');
+const AppError = require('../utils/appError');
+
+const router = express.Router();
+
+router.use(auth);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+router.get('/', async (req, res, next) => {
+  const parsedLimit = Number.parseInt(req.query.limit, 10);
+  const limit = Number.isInteger(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_LIMIT) : DEFAULT_LIMIT;
+  const unreadOnly = req.query.unread === 'true';
+  try {
+    const result = await db.query(
+      `SELECT * FROM notifications
+       WHERE user_id = $1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [req.user.id, limit]
+    );
+    const unread = await db.query(
+      'SELECT COUNT(*) AS total FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+    res.json({ unread: Number(unread.rows[0].total), items: result.rows });
+  } catch (err) {
+    next(new AppError('Failed to fetch notifications.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+router.post('/read-all', async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'UPDATE notifications SET read_at = $2 WHERE user_id = $1 AND read_at IS NULL RETURNING id',
+      [req.user.id, new Date()]
+    );
+    res.json({ updated: result.rows.length });
+  } catch (err) {
+    next(new AppError('Failed to update notifications.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+router.post('/:id/read', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await db.query(
+      'UPDATE notifications SET read_at = COALESCE(read_at, $3) WHERE id = $1 AND user_id = $2 RETURNING *',
+      [id, req.user.id, new Date()]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Notification not found.', 404));
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(new AppError('Failed to update notification.', 500, { notificationId: id, error: err.message }));
+  }
+});
+
+module.exports = router;
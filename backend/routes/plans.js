@@ -0,0 +1,185 @@
+const express = require('express');
+const db = require('../db');
+const { auth, requireRole } = require('../middleware/auth');
+const { validate, planSchemas } = require('../validation');
+const AppError = require('../utils/appError');
+const { PLAN_LIMIT_COLUMNS, getQuotaStatus } = require('../utils/quotas');
+
+const router = express.Router();
+
+router.use(auth);
+
+const PLAN_COLUMNS = `id, code, name, ${PLAN_LIMIT_COLUMNS.join(', ')}, is_default, created_at, updated_at`;
+
+// BIGINT limits come back from pg as strings.
+const formatPlan = (plan) =>
+  plan && {
+    ...plan,
+    ...Object.fromEntries(
+      PLAN_LIMIT_COLUMNS.map((column) => [column, plan[column] === null ? null : Number(plan[column])])
+    ),
+  };
+
+async function fetchUser(userId) {
+  const result = await db.query('SELECT id, username, email, role, plan_id FROM users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await db.query(`SELECT ${PLAN_COLUMNS} FROM plans ORDER BY id ASC`);
+    res.json(result.rows.map(formatPlan));
+  } catch (err) {
+    next(new AppError('Failed to fetch plans.', 500, { error: err.message }));
+  }
+});
+
+router.get('/me/quota', async (req, res, next) => {
+  try {
+    res.json(await getQuotaStatus(req.user.id));
+  } catch (err) {
+    next(new AppError('Failed to fetch quota.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+router.get('/users/:userId/quota', requireRole('admin'), async (req, res, next) => {
+  const { userId } = req.params;
+  try {
+    const user = await fetchUser(userId);
+    if (!user) {
+      return next(new AppError('User not found.', 404, { userId }));
+    }
+    res.json({ user: { id: user.id, username: user.username, email: user.email }, ...(await getQuotaStatus(user.id)) });
+  } catch (err) {
+    next(new AppError('Failed to fetch quota.', 500, { userId, error: err.message }));
+  }
+});
+
+router.put('/users/:userId', requireRole('admin'), validate(planSchemas.assign), async (req, res, next) => {
+  const { userId } = req.params;
+  const { plan_id: planId } = req.body;
+  try {
+    if (planId !== null) {
+      const plan = await db.query('SELECT id FROM plans WHERE id = $1', [planId]);
+      if (plan.rows.length === 0) {
+        return next(new AppError('Plan not found.', 404, { planId }));
+      }
+    }
+    const result = await db.query('UPDATE users SET plan_id = $1 WHERE id = $2 RETURNING id', [planId, userId]);
+    if (result.rows.length === 0) {
+      return next(new AppError('User not found.', 404, { userId }));
+    }
+    res.json(await getQuotaStatus(result.rows[0].id));
+  } catch (err) {
+    next(new AppError('Failed to assign plan.', 500, { userId, planId, error: err.message }));
+  }
+});
+
+// Fields left out of the body keep their current override; null falls back to the plan limit.
+router.put('/users/:userId/override', requireRole('admin'), validate(planSchemas.override), async (req, res, next) => {
+  const { userId } = req.params;
+  const fields = [...PLAN_LIMIT_COLUMNS, 'note', 'expires_at'].filter((field) => req.body[field] !== undefined);
+  try {
+    const user = await fetchUser(userId);
+    if (!user) {
+      return next(new AppError('User not found.', 404, { userId }));
+    }
+    const values = fields.map((field) => (req.body[field] === '' ? null : req.body[field]));
+    await db.query(
+      `INSERT INTO user_quota_overrides (user_id, ${fields.join(', ')}, updated_at)
+       VALUES ($1, ${fields.map((_field, index) => `$${index + 2}`).join(', ')}, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id) DO UPDATE
+       SET ${fields.map((field) => `${field} = EXCLUDED.${field}`).join(', ')}, updated_at = CURRENT_TIMESTAMP`,
+      [user.id, ...values]
+    );
+    res.json(await getQuotaStatus(user.id));
+  } catch (err) {
+    next(new AppError('Failed to save quota override.', 500, { userId, error: err.message }));
+  }
+});
+
+router.delete('/users/:userId/override', requireRole('admin'), async (req, res, next) => {
+  const { userId } = req.params;
+  try {
+    const result = await db.query('DELETE FROM user_quota_overrides WHERE user_id = $1 RETURNING user_id', [userId]);
+    if (result.rows.length === 0) {
+      return next(new AppError('Quota override not found.', 404, { userId }));
+    }
+    res.json({ msg: 'Quota override removed successfully.' });
+  } catch (err) {
+    next(new AppError('Failed to remove quota override.', 500, { userId, error: err.message }));
+  }
+});
+
+router.post('/', requireRole('admin'), validate(planSchemas.create), async (req, res, next) => {
+  const { code, name, is_default: isDefault = false } = req.body;
+  const limits = PLAN_LIMIT_COLUMNS.map((column) => (req.body[column] === undefined ? null : req.body[column]));
+  const placeholders = [code, name, ...limits, isDefault].map((_value, index) => `$${index + 1}`).join(', ');
+  try {
+    const plan = await db.withTransaction(async (client) => {
+      if (isDefault) {
+        await client.query('UPDATE plans SET is_default = false WHERE is_default = true');
+      }
+      const result = await client.query(
+        `INSERT INTO plans (code, name, ${PLAN_LIMIT_COLUMNS.join(', ')}, is_default)
+         VALUES (${placeholders})
+         RETURNING ${PLAN_COLUMNS}`,
+        [code, name.trim(), ...limits, isDefault]
+      );
+      return result.rows[0];
+    });
+    res.status(201).json(formatPlan(plan));
+  } catch (err) {
+    if (err.code === '23505') {
+      return next(new AppError('A plan with this code already exists.', 400, { code }));
+    }
+    next(new AppError('Failed to create plan.', 500, { code, error: err.message }));
+  }
+});
+
+router.put('/:id', requireRole('admin'), validate(planSchemas.update), async (req, res, next) => {
+  const { id } = req.params;
+  const fields = ['name', ...PLAN_LIMIT_COLUMNS, 'is_default'].filter((field) => req.body[field] !== undefined);
+  const values = fields.map((field) => (field === 'name' ? req.body.name.trim() : req.body[field]));
+  try {
+    const plan = await db.withTransaction(async (client) => {
+      if (req.body.is_default === true) {
+        await client.query('UPDATE plans SET is_default = false WHERE is_default = true AND id <> $1', [id]);
+      }
+      const result = await client.query(
+        `UPDATE plans
+         SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${fields.length + 1}
+         RETURNING ${PLAN_COLUMNS}`,
+        [...values, id]
+      );
+      return result.rows[0];
+    });
+    if (!plan) {
+      return next(new AppError('Plan not found.', 404, { planId: id }));
+    }
+    res.json(formatPlan(plan));
+  } catch (err) {
+    next(new AppError('Failed to update plan.', 500, { planId: id, error: err.message }));
+  }
+});
+
+// Users on a deleted plan fall back to the default plan (ON DELETE SET NULL).
+router.delete('/:id', requireRole('admin'), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const existing = await db.query('SELECT id, is_default FROM plans WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return next(new AppError('Plan not found.', 404, { planId: id }));
+    }
+    if (existing.rows[0].is_default) {
+      return next(new AppError('The default plan cannot be deleted. Mark another plan as default first.', 400));
+    }
+    await db.query('DELETE FROM plans WHERE id = $1', [id]);
+    res.json({ msg: 'Plan deleted successfully.' });
+  } catch (err) {
+    next(new AppError('Failed to delete plan.', 500, { planId: id, error: err.message }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const db = require('../db');
+const { auth } = require('../middleware/auth');
+const { validate, promptTemplateSchemas } = require('../validation');
+const AppError = require('../utils/appError');
+const { mergeSchemaConfig } = require('../utils/promptContext');
+const {
+  PROMPT_TEMPLATE_VARIABLES,
+  DEFAULT_PROMPT_TEMPLATE,
+  findTemplateVariables,
+  composeContentPrompt,
+} = require('../utils/promptTemplates');
+const { resolveLocale } = require('../utils/locale');
+
+const router = express.Router();
+
+router.use(auth);
+
+const TEMPLATE_COLUMNS = 'id, name, description, template, created_at, updated_at';
+
+const unknownVariablesError = (template) => {
+  const { unknown } = findTemplateVariables(template);
+  return unknown.length
+    ? new AppError(`Unknown template variables: ${unknown.join(', ')}.`, 400, { unknown })
+    : null;
+};
+
+async function fetchOwnedTemplate(templateId, userId) {
+  const result = await db.query(`SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates WHERE id = $1 AND user_id = $2`, [
+    templateId,
+    userId,
+  ]);
+  return result.rows[0] || null;
+}
+
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(new AppError('Failed to fetch prompt templates.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+router.get('/default', (req, res) => {
+  res.json({ template: DEFAULT_PROMPT_TEMPLATE, variables: PROMPT_TEMPLATE_VARIABLES });
+});
+
+router.post('/preview', validate(promptTemplateSchemas.preview), async (req, res, next) => {
+  const userId = req.user.id;
+  const { ruleId, keyword, locale, templateId, template, knowledgeSample } = req.body;
+  try {
+    const ruleResult = await db.query('SELECT * FROM generation_rules WHERE id = $1 AND user_id = $2', [
+      ruleId,
+      userId,
+    ]);
+    const rule = ruleResult.rows[0];
+    if (!rule) {
+      return next(new AppError('Rule not found.', 404, { ruleId }));
+    }
+
+    let source = { id: null, name: null, isDefault: true, template: DEFAULT_PROMPT_TEMPLATE };
+    const selectedId = templateId || (template ? null : rule.prompt_template_id);
+    if (template) {
+      source = { id: null, name: null, isDefault: false, template };
+    } else if (selectedId) {
+      const stored = await fetchOwnedTemplate(selectedId, userId);
+      if (!stored) {
+        return next(new AppError('Prompt template not found.', 404, { templateId: selectedId }));
+      }
+      source = { id: stored.id, name: stored.name, isDefault: false, template: stored.template };
+    }
+
+    // Images and knowledge are only resolved when a job runs, so the preview uses the generic
+    // image instructions and an optional knowledge sample supplied by the caller.
+    const resolvedLocale = resolveLocale(locale, rule.locale);
+    const prompt = composeContentPrompt({
+      template: source.template,
+      keyword,
+      locale: resolvedLocale,
+      rule,
+      knowledgeBaseContent: knowledgeSample || '',
+      imageDetails: null,
+      schemaConfig: mergeSchemaConfig(rule.schema_config),
+      entitySchemaData: {},
+    });
+    res.json({
+      prompt,
+      locale: resolvedLocale,
+      template: { id: source.id, name: source.name, isDefault: source.isDefault },
+      variables: findTemplateVariables(source.template),
+    });
+  } catch (err) {
+    next(new AppError('Failed to preview prompt template.', 500, { userId, ruleId, error: err.message }));
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const template = await fetchOwnedTemplate(req.params.id, req.user.id);
+    if (!template) {
+      return next(new AppError('Prompt template not found.', 404, { templateId: req.params.id }));
+    }
+    res.json({ ...template, variables: findTemplateVariables(template.template) });
+  } catch (err) {
+    next(new AppError('Failed to fetch prompt template.', 500, { templateId: req.params.id, error: err.message }));
+  }
+});
+
+router.post('/', validate(promptTemplateSchemas.create), async (req, res, next) => {
+  const userId = req.user.id;
+  const { name, description } = req.body;
+  const template = req.body.template || DEFAULT_PROMPT_TEMPLATE;
+  const invalid = unknownVariablesError(template);
+  if (invalid) {
+    return next(invalid);
+  }
+  try {
+    const result = await db.query(
+      `INSERT INTO prompt_templates (user_id, name, description, template)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${TEMPLATE_COLUMNS}`,
+      [userId, name.trim(), description || null, template]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    next(new AppError('Failed to create prompt template.', 500, { userId, error: err.message }));
+  }
+});
+
+router.put('/:id', validate(promptTemplateSchemas.update), async (req, res, next) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+  const { name, description, template } = req.body;
+  if (template) {
+    const invalid = unknownVariablesError(template);
+    if (invalid) {
+      return next(invalid);
+    }
+  }
+
+  const updates = [];
+  const values = [];
+  let idx = 1;
+  if (name != null) {
+    updates.push(`name = $${idx++}`);
+    values.push(name.trim());
+  }
+  if (description !== undefined) {
+    updates.push(`description = $${idx++}`);
+    values.push(description || null);
+  }
+  if (template) {
+    updates.push(`template = $${idx++}`);
+    values.push(template);
+  }
+
+  try {
+    values.push(id, userId);
+    const result = await db.query(
+      `UPDATE prompt_templates
+       SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${idx++} AND user_id = $${idx}
+       RETURNING ${TEMPLATE_COLUMNS}`,
+      values
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Prompt template not found.', 404, { templateId: id }));
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(new AppError('Failed to update prompt template.', 500, { userId, templateId: id, error: err.message }));
+  }
+});
+
+// Rules that referenced the template fall back to the default prompt (ON DELETE SET NULL).
+router.delete('/:id', async (req, res, next) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+  try {
+    const result = await db.query('DELETE FROM prompt_templates WHERE id = $1 AND user_id = $2 RETURNING id', [
+      id,
+      userId,
+    ]);
+    if (result.rows.length === 0) {
+      return next(new AppError('Prompt template not found.', 404, { templateId: id }));
+    }
+    res.json({ msg: 'Prompt template deleted successfully.' });
+  } catch (err) {
+    next(new AppError('Failed to delete prompt template.', 500, { userId, templateId: id, error: err.message }));
+  }
+});
+
+module.exports = router;
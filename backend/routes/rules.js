@@ -7,6 +7,19 @@ const AppError = require('../utils/appError');
 
 const router = express.Router();
 
+async function assertPromptTemplateOwned(client, templateId, userId) {
+  if (!templateId) {
+    return;
+  }
+  const result = await client.query('SELECT 1 FROM prompt_templates WHERE id = $1 AND user_id = $2', [
+    templateId,
+    userId,
+  ]);
+  if (result.rows.length === 0) {
+    throw new AppError('Prompt template not found.', 400, { templateId });
+  }
+}
+
 // Create a new generation rule
 router.post('/', auth, validate(ruleSchemas.createRule), async (req, res, next) => {
   const {
@@ -16,14 +29,18 @@ router.post('/', auth, validate(ruleSchemas.createRule), async (req, res, next)
     seo_settings,
     media_settings,
     ranking_settings,
+    generation_mode,
+    prompt_template_id,
+    locale,
     schemaConfig,
   } = req.body;
   try {
     const newRule = await db.withTransaction(async (client) => {
+      await assertPromptTemplateOwned(client, prompt_template_id, req.user.id);
       const result = await client.query(
         `INSERT INTO public.generation_rules
-          (user_id, rule_name, source_settings, style_settings, seo_settings, media_settings, ranking_settings, schema_config)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          (user_id, rule_name, source_settings, style_settings, seo_settings, media_settings, ranking_settings, schema_config, generation_mode, prompt_template_id, locale)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
          RETURNING *`,
         [
           req.user.id,
@@ -34,6 +51,9 @@ router.post('/', auth, validate(ruleSchemas.createRule), async (req, res, next)
           media_settings,
           ranking_settings || null,
           schemaConfig || null,
+          generation_mode || 'single',
+          prompt_template_id || null,
+          locale || null,
         ]
       );
       return result.rows[0];
@@ -41,6 +61,9 @@ router.post('/', auth, validate(ruleSchemas.createRule), async (req, res, next)
 
     res.json(newRule);
   } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
     logger.error('Failed to create generation rule', { error: err, userId: req.user.id });
     next(new AppError('Failed to create rule.', 500, { userId: req.user.id }));
   }
@@ -81,10 +104,15 @@ router.put('/:id', auth, validate(ruleSchemas.updateRule), async (req, res, next
     seo_settings,
     media_settings,
     ranking_settings,
+    generation_mode,
+    prompt_template_id,
+    locale,
     schemaConfig,
   } = req.body;
   try {
     const updatedRule = await db.withTransaction(async (client) => {
+      await assertPromptTemplateOwned(client, prompt_template_id, req.user.id);
+      // prompt_template_id and locale may be explicitly null to switch the rule back to the defaults.
       const result = await client.query(
         `UPDATE public.generation_rules
          SET
@@ -94,8 +122,11 @@ router.put('/:id', auth, validate(ruleSchemas.updateRule), async (req, res, next
           seo_settings = COALESCE($4, seo_settings),
           media_settings = COALESCE($5, media_settings),
           ranking_settings = COALESCE($6, ranking_settings),
-          schema_config = COALESCE($7, schema_config)
-         WHERE id = $8 AND user_id = $9
+          schema_config = COALESCE($7, schema_config),
+          generation_mode = COALESCE($8, generation_mode),
+          prompt_template_id = CASE WHEN $9::boolean THEN $10::integer ELSE prompt_template_id END,
+          locale = CASE WHEN $11::boolean THEN $12 ELSE locale END
+         WHERE id = $13 AND user_id = $14
          RETURNING *`,
         [
           rule_name,
@@ -105,6 +136,11 @@ router.put('/:id', auth, validate(ruleSchemas.updateRule), async (req, res, next
           media_settings,
           ranking_settings,
           schemaConfig,
+          generation_mode,
+          prompt_template_id !== undefined,
+          prompt_template_id || null,
+          locale !== undefined,
+          locale || null,
           id,
           req.user.id,
         ]
@@ -116,6 +152,9 @@ router.put('/:id', auth, validate(ruleSchemas.updateRule), async (req, res, next
     }
     res.json(updatedRule);
   } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
     logger.error('Failed to update generation rule', { error: err, ruleId: id, userId: req.user.id });
     next(new AppError('Failed to update rule.', 500, { ruleId: id, userId: req.user.id }));
   }
@@ -0,0 +1,203 @@
+const express = require('express');
+const db = require('../db');
+const { auth, requireRole } = require('../middleware/auth');
+const { config } = require('../config');
+const AppError = require('../utils/appError');
+const { AI_USAGE_FEATURES } = require('../utils/aiUsage');
+
+const router = express.Router();
+
+router.use(auth);
+
+const GROUP_COLUMNS = {
+  feature: 'u.feature',
+  model: "COALESCE(u.model, 'unknown')",
+  day: 'CAST(u.created_at AS DATE)',
+  rule: 'u.rule_id',
+  job: 'u.job_id',
+  user: 'u.user_id',
+};
+const USER_GROUPS = ['feature', 'model', 'day', 'rule', 'job'];
+const ADMIN_GROUPS = ['user', 'feature', 'model', 'day'];
+
+const TOTALS_SQL = `
+  COUNT(*)::int AS calls,
+  COALESCE(SUM(CASE WHEN u.status = 'error' THEN 1 ELSE 0 END), 0)::int AS failed_calls,
+  COALESCE(SUM(CASE WHEN u.status <> 'error' AND u.estimated_cost IS NULL THEN 1 ELSE 0 END), 0)::int AS unpriced_calls,
+  COALESCE(SUM(u.prompt_tokens), 0)::int AS prompt_tokens,
+  COALESCE(SUM(u.completion_tokens), 0)::int AS completion_tokens,
+  COALESCE(SUM(u.total_tokens), 0)::int AS total_tokens,
+  COALESCE(SUM(u.estimated_cost), 0) AS estimated_cost,
+  AVG(u.latency_ms) AS average_latency_ms`;
+
+const formatTotals = (row = {}) => ({
+  calls: Number(row.calls || 0),
+  failedCalls: Number(row.failed_calls || 0),
+  unpricedCalls: Number(row.unpriced_calls || 0),
+  promptTokens: Number(row.prompt_tokens || 0),
+  completionTokens: Number(row.completion_tokens || 0),
+  totalTokens: Number(row.total_tokens || 0),
+  estimatedCost: Math.round(Number(row.estimated_cost || 0) * 1e6) / 1e6,
+  averageLatencyMs: row.average_latency_ms == null ? null : Math.round(Number(row.average_latency_ms)),
+});
+
+const formatGroupKey = (groupBy, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (groupBy === 'day') {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+  return groupBy === 'rule' || groupBy === 'user' ? Number(value) : String(value);
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new AppError(`Invalid ${name} date.`, 400);
+  }
+  return parsed;
+};
+
+// Shared by the user and admin views: validates the query and builds the WHERE clause.
+function parseUsageQuery(query, allowedGroups, defaultGroup) {
+  const groupBy = query.groupBy || defaultGroup;
+  if (!allowedGroups.includes(groupBy)) {
+    throw new AppError(`groupBy must be one of: ${allowedGroups.join(', ')}.`, 400);
+  }
+  if (query.feature && !AI_USAGE_FEATURES.includes(query.feature)) {
+    throw new AppError(`feature must be one of: ${AI_USAGE_FEATURES.join(', ')}.`, 400);
+  }
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  if (from) {
+    addCondition('u.created_at >= ?', from);
+  }
+  if (to) {
+    addCondition('u.created_at <= ?', to);
+  }
+  if (query.feature) {
+    addCondition('u.feature = ?', query.feature);
+  }
+  return { groupBy, from, to, conditions, params };
+}
+
+async function summarizeUsage({ groupBy, conditions, params }) {
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const groupColumn = GROUP_COLUMNS[groupBy];
+  const [totalsResult, breakdownResult] = await Promise.all([
+    db.query(`SELECT ${TOTALS_SQL} FROM ai_usage u ${where}`, params),
+    db.query(
+      `SELECT ${groupColumn} AS group_key, ${TOTALS_SQL}
+       FROM ai_usage u
+       ${where}
+       GROUP BY ${groupColumn}
+       ORDER BY ${groupColumn} ASC`,
+      params
+    ),
+  ]);
+  return {
+    totals: formatTotals(totalsResult.rows[0]),
+    breakdown: breakdownResult.rows.map((row) => ({
+      key: formatGroupKey(groupBy, row.group_key),
+      ...formatTotals(row),
+    })),
+  };
+}
+
+const buildResponse = ({ groupBy, from, to }, summary) => ({
+  range: { from: from ? from.toISOString() : null, to: to ? to.toISOString() : null },
+  groupBy,
+  currency: config.ai.priceCurrency,
+  ...summary,
+});
+
+router.get('/', async (req, res, next) => {
+  try {
+    const parsed = parseUsageQuery(req.query, USER_GROUPS, 'feature');
+    parsed.params.push(req.user.id);
+    parsed.conditions.push(`u.user_id = $${parsed.params.length}`);
+    res.json(buildResponse(parsed, await summarizeUsage(parsed)));
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    next(new AppError('Failed to fetch AI usage.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+router.get('/jobs/:jobId', async (req, res, next) => {
+  const { jobId } = req.params;
+  try {
+    const result = await db.query(
+      `SELECT u.id, u.feature, u.provider, u.model, u.prompt_tokens, u.completion_tokens, u.total_tokens,
+              u.latency_ms, u.estimated_cost, u.currency, u.status, u.error, u.created_at
+       FROM ai_usage u
+       WHERE u.user_id = $1 AND u.job_id = $2
+       ORDER BY u.created_at ASC, u.id ASC`,
+      [req.user.id, jobId]
+    );
+    const calls = result.rows.map((row) => ({
+      ...row,
+      estimated_cost: row.estimated_cost === null ? null : Number(row.estimated_cost),
+    }));
+    const totals = calls.reduce(
+      (acc, call) => ({
+        promptTokens: acc.promptTokens + Number(call.prompt_tokens || 0),
+        completionTokens: acc.completionTokens + Number(call.completion_tokens || 0),
+        totalTokens: acc.totalTokens + Number(call.total_tokens || 0),
+        estimatedCost: Math.round((acc.estimatedCost + (call.estimated_cost || 0)) * 1e6) / 1e6,
+      }),
+      { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 }
+    );
+    res.json({ jobId, currency: config.ai.priceCurrency, calls: calls.length, totals, items: calls });
+  } catch (err) {
+    next(new AppError('Failed to fetch job AI usage.', 500, { userId: req.user.id, jobId, error: err.message }));
+  }
+});
+
+router.get('/admin', requireRole('admin'), async (req, res, next) => {
+  try {
+    const parsed = parseUsageQuery(req.query, ADMIN_GROUPS, 'user');
+    if (req.query.userId !== undefined) {
+      const userId = Number(req.query.userId);
+      if (!Number.isInteger(userId) || userId <= 0) {
+        return next(new AppError('Invalid userId.', 400));
+      }
+      parsed.params.push(userId);
+      parsed.conditions.push(`u.user_id = $${parsed.params.length}`);
+    }
+    const summary = await summarizeUsage(parsed);
+    if (parsed.groupBy === 'user' && summary.breakdown.length) {
+      const userIds = summary.breakdown.map((entry) => entry.key).filter(Boolean);
+      const placeholders = userIds.map((_id, index) => `$${index + 1}`).join(', ');
+      const users = userIds.length
+        ? await db.query(`SELECT id, username, email FROM users WHERE id IN (${placeholders})`, userIds)
+        : { rows: [] };
+      const byId = new Map(users.rows.map((user) => [Number(user.id), user]));
+      summary.breakdown = summary.breakdown.map((entry) => ({
+        ...entry,
+        username: byId.get(entry.key)?.username || null,
+        email: byId.get(entry.key)?.email || null,
+      }));
+    }
+    res.json(buildResponse(parsed, summary));
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    next(new AppError('Failed to fetch AI usage.', 500, { userId: req.user.id, error: err.message }));
+  }
+});
+
+module.exports = router;
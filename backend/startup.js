@@ -21,9 +21,9 @@ async function startServices() {
     logger.info(`Server is running on port ${port}`);
   });
 
-  // Start Worker
-  logger.info('Starting BullMQ Worker...');
-  require('./worker');
+  // Start Worker (the in-memory queue processes jobs itself)
+  logger.info('Starting content worker...');
+  require('./worker').startWorker();
 
   // Graceful shutdown
   process.on('SIGTERM', () => {
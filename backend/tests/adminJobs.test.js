@@ -0,0 +1,256 @@
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { UnrecoverableError } = require('bullmq');
+const { createApp } = require('../app');
+const db = require('../db');
+const { contentQueue } = require('../queue');
+const { config } = require('../config');
+const { isFinalAttempt } = require('../utils/jobControl');
+const { notifyJobFailed } = require('../utils/notifications');
+
+describe('Admin job management', () => {
+  let app;
+  let pool;
+  let userId;
+  let userToken;
+  let adminToken;
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    const { Pool } = mem.adapters.createPg();
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE content_batch_items (
+        id SERIAL PRIMARY KEY,
+        batch_id INTEGER NOT NULL,
+        job_id VARCHAR(255)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE dead_letter_jobs (
+        id SERIAL PRIMARY KEY,
+        job_id VARCHAR(255) NOT NULL,
+        job_name VARCHAR(100) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        failed_reason TEXT,
+        attempts_made INTEGER NOT NULL DEFAULT 0,
+        stacktrace JSONB NOT NULL DEFAULT '[]'::jsonb,
+        failed_at TIMESTAMP WITH TIME ZONE,
+        moved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        message TEXT,
+        details JSONB NOT NULL DEFAULT '{}'::jsonb,
+        read_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const hashed = await bcrypt.hash('JobsPass!123', 10);
+    const inserted = await db.query(
+      `INSERT INTO users (username, email, password, role)
+       VALUES ($1, $2, $3, 'user'), ($4, $5, $3, 'admin')
+       RETURNING id`,
+      ['jobs-user', 'jobs@example.com', hashed, 'jobs-admin', 'jobs-admin@example.com']
+    );
+    userId = inserted.rows[0].id;
+
+    app = createApp();
+    const login = async (email) =>
+      (await request(app).post('/api/auth/login').send({ email, password: 'JobsPass!123' })).body.token;
+    userToken = await login('jobs@example.com');
+    adminToken = await login('jobs-admin@example.com');
+  });
+
+  const lockedJobIds = new Set();
+
+  beforeEach(() => {
+    contentQueue.toKey = (type) => `bull:content-generation:${type}`;
+    contentQueue.client = Promise.resolve({
+      exists: jest.fn(async (key) => (lockedJobIds.has(key.replace(/^bull:content-generation:|:lock$/g, '')) ? 1 : 0)),
+    });
+  });
+
+  afterEach(() => {
+    contentQueue.getJob.mockReset().mockResolvedValue(null);
+    contentQueue.getJobs.mockReset().mockResolvedValue([]);
+    delete contentQueue.toKey;
+    delete contentQueue.client;
+    lockedJobIds.clear();
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  const makeJob = (id, owner, overrides = {}) => ({
+    id,
+    name: 'generate-content',
+    data: { userId: owner, keyword: `kw-${id}`, ruleId: 1 },
+    opts: { attempts: 3 },
+    timestamp: Number(id),
+    attemptsMade: 3,
+    progress: {},
+    stacktrace: ['Error: AI request failed.'],
+    getState: jest.fn().mockResolvedValue(overrides.state || 'failed'),
+    remove: jest.fn(),
+    retry: jest.fn(),
+    updateData: jest.fn(),
+    updateProgress: jest.fn(),
+    ...overrides,
+  });
+
+  it('lists failed and stalled jobs of every user and requeues, discards or dead-letters them', async () => {
+    const failed = makeJob('1', userId, { failedReason: 'AI request failed.', finishedOn: Date.now() });
+    const other = makeJob('2', userId + 100, { failedReason: 'Rule not found.' });
+    const stalled = makeJob('3', userId, { state: 'active', processedOn: Date.now() - 1000 });
+    // Long runs are fine while the worker keeps renewing the lock.
+    const running = makeJob('4', userId, { state: 'active', processedOn: Date.now() - config.queue.timeoutMs * 10 });
+    lockedJobIds.add('4');
+    const byState = { failed: [failed, other], active: [stalled, running] };
+    contentQueue.getJobs.mockImplementation(async ([state]) => byState[state] || []);
+    const jobsById = { 1: failed, 2: other, 3: stalled, 4: running };
+    contentQueue.getJob.mockImplementation(async (id) => jobsById[id] || null);
+
+    await request(app).get('/api/admin/jobs').set('x-auth-token', userToken).expect(403);
+    const listed = await request(app).get('/api/admin/jobs').set('x-auth-token', adminToken).expect(200);
+    expect(listed.body).toMatchObject({ total: 3, counts: { failed: 2, stalled: 1 } });
+    expect(listed.body.items.map((job) => [job.id, job.state])).toEqual([
+      ['3', 'stalled'],
+      ['2', 'failed'],
+      ['1', 'failed'],
+    ]);
+    expect(listed.body.items[2]).toMatchObject({
+      userId,
+      user: { username: 'jobs-user' },
+      attempts: 3,
+      maxAttempts: 3,
+      failedReason: 'AI request failed.',
+      input: { keyword: 'kw-1' },
+    });
+    const mine = await request(app)
+      .get(`/api/admin/jobs?state=failed&userId=${userId}`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(mine.body.items.map((job) => job.id)).toEqual(['1']);
+    await request(app).get('/api/admin/jobs?state=active').set('x-auth-token', adminToken).expect(400);
+
+    const requeued = await request(app).post('/api/admin/jobs/1/requeue').set('x-auth-token', adminToken).expect(202);
+    expect(requeued.body).toMatchObject({ action: 'requeued', jobId: '1' });
+    expect(failed.retry).toHaveBeenCalledWith('failed');
+    await request(app).post('/api/admin/jobs/4/requeue').set('x-auth-token', adminToken).expect(409);
+
+    contentQueue.add.mockClear();
+    contentQueue.add.mockResolvedValueOnce({ id: 'copy-3', updateProgress: jest.fn() });
+    const bulk = await request(app)
+      .post('/api/admin/jobs/requeue')
+      .set('x-auth-token', adminToken)
+      .send({ jobIds: ['3', '4', '99'] })
+      .expect(200);
+    expect(bulk.body.processed).toEqual([{ id: '3', action: 'requeued', jobId: 'copy-3' }]);
+    expect(bulk.body.skipped.map((entry) => entry.id)).toEqual(['4', '99']);
+    expect(stalled.updateData).toHaveBeenCalledWith(expect.objectContaining({ cancelRequested: true }));
+    expect(contentQueue.add).toHaveBeenCalledWith(
+      'generate-content',
+      expect.objectContaining({ keyword: 'kw-3', requeuedFrom: '3' })
+    );
+
+    const discarded = await request(app)
+      .post('/api/admin/jobs/discard')
+      .set('x-auth-token', adminToken)
+      .send({ jobIds: ['2'] })
+      .expect(200);
+    expect(discarded.body.processed).toEqual([{ id: '2', action: 'discarded' }]);
+    expect(other.remove).toHaveBeenCalled();
+
+    await request(app).post('/api/admin/jobs/3/dead-letter').set('x-auth-token', adminToken).expect(409);
+    const moved = await request(app).post('/api/admin/jobs/1/dead-letter').set('x-auth-token', adminToken).expect(200);
+    expect(moved.body).toMatchObject({ id: '1', action: 'dead-lettered' });
+    expect(failed.remove).toHaveBeenCalled();
+
+    const deadLetters = await request(app).get('/api/admin/jobs/dead-letter').set('x-auth-token', adminToken).expect(200);
+    expect(deadLetters.body.total).toBe(1);
+    expect(deadLetters.body.items[0]).toMatchObject({
+      job_id: '1',
+      job_name: 'generate-content',
+      failed_reason: 'AI request failed.',
+      attempts_made: 3,
+      data: { keyword: 'kw-1', userId },
+      user: { username: 'jobs-user' },
+    });
+
+    contentQueue.add.mockResolvedValueOnce({ id: 'revived', updateProgress: jest.fn() });
+    const revived = await request(app)
+      .post(`/api/admin/jobs/dead-letter/${moved.body.deadLetterId}/requeue`)
+      .set('x-auth-token', adminToken)
+      .expect(202);
+    expect(revived.body).toMatchObject({ action: 'requeued', jobId: 'revived' });
+    expect(contentQueue.add).toHaveBeenLastCalledWith(
+      'generate-content',
+      expect.objectContaining({ keyword: 'kw-1', requeuedFrom: '1' })
+    );
+    await request(app)
+      .delete(`/api/admin/jobs/dead-letter/${moved.body.deadLetterId}`)
+      .set('x-auth-token', adminToken)
+      .expect(404);
+  });
+
+  it('notifies the owner once a job has used its final attempt', async () => {
+    const job = makeJob('7', userId, { attemptsMade: 1 });
+    expect(isFinalAttempt(job, new Error('timeout'))).toBe(false);
+    expect(isFinalAttempt(job, new UnrecoverableError('bad input'))).toBe(true);
+    expect(isFinalAttempt({ ...job, attemptsMade: 2 }, new Error('timeout'))).toBe(true);
+
+    await notifyJobFailed({ ...job, attemptsMade: 2 }, new Error('AI request failed.'));
+
+    const listed = await request(app).get('/api/notifications').set('x-auth-token', userToken).expect(200);
+    expect(listed.body.unread).toBe(1);
+    expect(listed.body.items[0]).toMatchObject({
+      type: 'job_failed',
+      title: 'Content generation failed',
+      details: { jobId: '7', keyword: 'kw-7', attemptsMade: 3, failedReason: 'AI request failed.' },
+    });
+    expect(listed.body.items[0].message).toContain('failed after 3 attempt(s)');
+
+    const adminView = await request(app).get('/api/notifications').set('x-auth-token', adminToken).expect(200);
+    expect(adminView.body.items).toEqual([]);
+    await request(app)
+      .post(`/api/notifications/${listed.body.items[0].id}/read`)
+      .set('x-auth-token', adminToken)
+      .expect(404);
+
+    const read = await request(app)
+      .post(`/api/notifications/${listed.body.items[0].id}/read`)
+      .set('x-auth-token', userToken)
+      .expect(200);
+    expect(read.body.read_at).toEqual(expect.any(String));
+    const unread = await request(app).get('/api/notifications?unread=true').set('x-auth-token', userToken).expect(200);
+    expect(unread.body).toEqual({ unread: 0, items: [] });
+  });
+});
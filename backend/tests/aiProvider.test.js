@@ -0,0 +1,150 @@
+const express = require('express');
+const { config } = require('../config');
+const {
+  isAiConfigured,
+  normalizeJsonContent,
+  requestChatCompletion,
+  requestJsonFromAi,
+} = require('../utils/aiProvider');
+
+describe('AI provider adapters', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+  const originalAiConfig = { ...config.ai };
+
+  beforeAll(async () => {
+    const stub = express();
+    stub.use(express.json());
+
+    stub.post('/v1/chat/completions', (req, res) => {
+      received.push({ provider: 'openai', headers: req.headers, body: req.body });
+      res.json({ choices: [{ message: { content: '```json\n{"answer":"openai"}\n```' } }] });
+    });
+    stub.post('/v1beta/models/:model', (req, res) => {
+      received.push({ provider: 'gemini', headers: req.headers, query: req.query, body: req.body, model: req.params.model });
+      res.json({ candidates: [{ content: { parts: [{ text: '{"answer":' }, { text: '"gemini"}' }] } }] });
+    });
+    stub.post('/v1/messages', (req, res) => {
+      received.push({ provider: 'anthropic', headers: req.headers, body: req.body });
+      res.json({ content: [{ type: 'text', text: '{"answer":"anthropic"}' }] });
+    });
+    stub.post('/api/chat', (req, res) => {
+      received.push({ provider: 'ollama', headers: req.headers, body: req.body });
+      res.json({ message: { role: 'assistant', content: '{"answer":"ollama"}' }, done: true });
+    });
+
+    await new Promise((resolve) => {
+      server = stub.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    received.length = 0;
+    Object.assign(config.ai, originalAiConfig);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('talks to OpenAI-compatible endpoints', async () => {
+    Object.assign(config.ai, {
+      provider: 'openai',
+      baseUrl: `${baseUrl}/v1`,
+      apiKey: 'sk-test',
+      chatModel: 'gpt-test',
+      chatPath: null,
+      useResponseFormat: true,
+    });
+
+    const parsed = await requestJsonFromAi('system text', 'user text');
+
+    expect(parsed).toEqual({ answer: 'openai' });
+    expect(received[0].headers.authorization).toBe('Bearer sk-test');
+    expect(received[0].body).toMatchObject({
+      model: 'gpt-test',
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: 'system text' },
+        { role: 'user', content: 'user text' },
+      ],
+    });
+  });
+
+  it('talks to Gemini generateContent endpoints', async () => {
+    Object.assign(config.ai, {
+      provider: 'gemini',
+      baseUrl: `${baseUrl}/v1beta`,
+      apiKey: 'gm-test',
+      chatModel: 'gemini-pro',
+      chatPath: null,
+      useResponseFormat: true,
+    });
+
+    const completion = await requestChatCompletion({ system: 'sys', prompt: 'hello' });
+
+    expect(JSON.parse(completion.content)).toEqual({ answer: 'gemini' });
+    expect(received[0].model).toBe('gemini-pro:generateContent');
+    expect(received[0].headers['x-goog-api-key']).toBe('gm-test');
+    expect(received[0].query.key).toBe('gm-test');
+    expect(received[0].body.contents[0].parts[0].text).toBe('sys\n\nhello');
+    expect(received[0].body.generation_config).toEqual({ response_mime_type: 'application/json' });
+  });
+
+  it('talks to Anthropic-style messages endpoints', async () => {
+    Object.assign(config.ai, {
+      provider: 'anthropic',
+      baseUrl: `${baseUrl}/v1`,
+      apiKey: 'ak-test',
+      chatModel: 'claude-test',
+      chatPath: null,
+      maxOutputTokens: 1024,
+    });
+
+    const parsed = await requestJsonFromAi('sys', 'hello');
+
+    expect(parsed).toEqual({ answer: 'anthropic' });
+    expect(received[0].headers['x-api-key']).toBe('ak-test');
+    expect(received[0].headers['anthropic-version']).toBeDefined();
+    expect(received[0].body).toMatchObject({
+      model: 'claude-test',
+      max_tokens: 1024,
+      system: 'sys',
+      messages: [{ role: 'user', content: 'hello' }],
+    });
+  });
+
+  it('talks to local Ollama endpoints without an API key', async () => {
+    Object.assign(config.ai, {
+      provider: 'ollama',
+      baseUrl,
+      apiKey: undefined,
+      chatModel: 'llama3',
+      chatPath: null,
+      useResponseFormat: true,
+    });
+
+    expect(isAiConfigured()).toBe(true);
+    const parsed = await requestJsonFromAi('sys', 'hello');
+
+    expect(parsed).toEqual({ answer: 'ollama' });
+    expect(received[0].headers.authorization).toBeUndefined();
+    expect(received[0].body).toMatchObject({ model: 'llama3', stream: false, format: 'json' });
+  });
+
+  it('reports missing configuration and unsupported providers', () => {
+    expect(isAiConfigured({ provider: 'openai', baseUrl, chatModel: 'gpt-test', apiKey: '' })).toBe(false);
+    expect(isAiConfigured({ provider: 'unknown', baseUrl, chatModel: 'x', apiKey: 'y' })).toBe(false);
+    return expect(
+      requestChatCompletion({ prompt: 'hi' }, { provider: 'unknown', baseUrl, chatModel: 'x' })
+    ).rejects.toThrow('Unsupported AI provider');
+  });
+
+  it('extracts JSON from fenced or chatty model output', () => {
+    expect(normalizeJsonContent('Sure! ```json\n{"a":1}\n``` done')).toBe('{"a":1}');
+    expect(normalizeJsonContent('Result: {"a":2} thanks')).toBe('{"a":2}');
+    expect(normalizeJsonContent('   ')).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { createApp } = require('../app');
+const db = require('../db');
+const {
+  createCitationRegistry,
+  citationLabel,
+  formatKnowledgeForPrompt,
+  applyCitations,
+} = require('../utils/citations');
+const { renderContent } = require('../utils/contentRenderer');
+
+describe('Source citations', () => {
+  let app;
+  let pool;
+  let userId;
+  let token;
+  let documentId;
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    const { Pool } = mem.adapters.createPg();
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE documents (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        file_name VARCHAR(255) NOT NULL,
+        file_path VARCHAR(255) NOT NULL
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE document_chunks (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        content TEXT NOT NULL
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE generated_content (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        meta_description TEXT,
+        body TEXT,
+        image_ids INTEGER[],
+        keyword VARCHAR(255),
+        locale VARCHAR(10),
+        details JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const hashed = await bcrypt.hash('CitePass!123', 10);
+    const users = await db.query(
+      `INSERT INTO users (username, email, password)
+       VALUES ($1, $2, $3), ($4, $5, $3)
+       RETURNING id`,
+      ['cite-user', 'cite@example.com', hashed, 'cite-other', 'cite-other@example.com']
+    );
+    userId = users.rows[0].id;
+    const document = await db.query(
+      "INSERT INTO documents (user_id, file_name, file_path) VALUES ($1, 'locks.pdf', 'uploads/locks.pdf') RETURNING id",
+      [userId]
+    );
+    documentId = document.rows[0].id;
+    await db.query(
+      `INSERT INTO document_chunks (document_id, user_id, chunk_index, content)
+       VALUES ($1, $2, 0, 'C 级锁芯可抵御技术开启。'), ($1, $2, 4, '安装前需确认门厚与开向。')`,
+      [documentId, userId]
+    );
+
+    app = createApp();
+    const login = async (email) =>
+      (await request(app).post('/api/auth/login').send({ email, password: 'CitePass!123' })).body.token;
+    token = await login('cite@example.com');
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  it('labels retrieved chunks, keeps only markers that match them and renders footnotes', () => {
+    const registry = createCitationRegistry();
+    const first = { document_id: 3, chunk_index: 0, content: 'C 级锁芯\n可抵御技术开启。' };
+    const second = { document_id: 3, chunk_index: 4, content: '安装前需确认门厚与开向。' };
+    expect(citationLabel(registry, first, 'locks.pdf')).toBe('[S1] ');
+    expect(citationLabel(registry, second, 'locks.pdf')).toBe('[S2] ');
+    expect(citationLabel(registry, first, 'locks.pdf')).toBe('[S1] ');
+    expect(citationLabel(null, first, 'locks.pdf')).toBe('');
+
+    expect(formatKnowledgeForPrompt('')).toBe('暂无额外知识库摘要。');
+    expect(formatKnowledgeForPrompt('plain notes')).toBe('plain notes');
+    expect(formatKnowledgeForPrompt('[S1] C 级锁芯')).toMatch(/^引用要求：[\s\S]+\n\n\[S1\] C 级锁芯$/);
+
+    const checked = applyCitations('选 C 级锁芯 [S1, S7]。安装前先量门厚 [S2][S1]。', registry);
+    expect(checked.body).toBe('选 C 级锁芯 [S1]。安装前先量门厚 [S2][S1]。');
+    expect(checked.invalid).toEqual(['S7']);
+    expect(checked.citations).toEqual([
+      { id: 'S1', documentId: 3, documentName: 'locks.pdf', chunkIndex: 0, preview: 'C 级锁芯 可抵御技术开启。', occurrences: 2 },
+      { id: 'S2', documentId: 3, documentName: 'locks.pdf', chunkIndex: 4, preview: '安装前需确认门厚与开向。', occurrences: 1 },
+    ]);
+
+    const seeded = createCitationRegistry(checked.citations);
+    expect(seeded.register({ documentId: 3, chunkIndex: 4 })).toBe('S2');
+    expect(seeded.register({ documentId: 5, chunkIndex: 0, text: 'new' })).toBe('S3');
+
+    const content = {
+      body: `## 选购\n\n安装前先量门厚 [S2]。选 C 级锁芯 [S1][S9]。`,
+      locale: 'zh-CN',
+      details: { citations: checked.citations },
+    };
+    const markdown = renderContent(content, [], { format: 'markdown' });
+    expect(markdown.body).toBe(
+      '## 选购\n\n安装前先量门厚 [^1]。选 C 级锁芯 [^2]。\n\n## 参考资料\n\n' +
+        '[^1]: locks.pdf — 安装前需确认门厚与开向。\n[^2]: locks.pdf — C 级锁芯 可抵御技术开启。'
+    );
+    expect(markdown.report.citations.map((ref) => [ref.number, ref.id])).toEqual([
+      [1, 'S2'],
+      [2, 'S1'],
+    ]);
+    expect(markdown.report.unresolvedCitations).toEqual(['S9']);
+
+    const html = renderContent({ ...content, locale: 'en' }, [], { format: 'html' });
+    expect(html.body).toContain('<sup class="citation"><a href="#cite-1" id="cite-ref-1">[1]</a></sup>');
+    expect(html.body).toContain('<h2>References</h2>');
+    expect(html.body).toContain('<li id="cite-2">locks.pdf — C 级锁芯 可抵御技术开启。</li>');
+  });
+
+  it('lists the cited chunks with their document name and text for the owner', async () => {
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, title, body, keyword, locale, details)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [
+        userId,
+        '智能门锁选购',
+        '量门厚 [S2]。锁芯 [S1]。删除的资料 [S3]。未知 [S8]。',
+        '智能门锁',
+        'zh-CN',
+        {
+          citations: [
+            { id: 'S1', documentId, documentName: 'old.pdf', chunkIndex: 0, preview: 'C 级锁芯' },
+            { id: 'S2', documentId, documentName: 'locks.pdf', chunkIndex: 4, preview: '安装前' },
+            { id: 'S3', documentId: documentId + 50, documentName: 'gone.pdf', chunkIndex: 1, preview: '旧资料' },
+          ],
+        },
+      ]
+    );
+    const contentId = inserted.rows[0].id;
+
+    const res = await request(app).get(`/api/content/${contentId}/citations`).set('x-auth-token', token).expect(200);
+    expect(res.body.unresolved).toEqual(['S8']);
+    expect(res.body.citations).toEqual([
+      {
+        number: 1,
+        id: 'S2',
+        documentId,
+        documentName: 'locks.pdf',
+        chunkIndex: 4,
+        text: '安装前需确认门厚与开向。',
+        preview: '安装前',
+        available: true,
+      },
+      {
+        number: 2,
+        id: 'S1',
+        documentId,
+        documentName: 'locks.pdf',
+        chunkIndex: 0,
+        text: 'C 级锁芯可抵御技术开启。',
+        preview: 'C 级锁芯',
+        available: true,
+      },
+      {
+        number: 3,
+        id: 'S3',
+        documentId: documentId + 50,
+        documentName: 'gone.pdf',
+        chunkIndex: 1,
+        text: null,
+        preview: '旧资料',
+        available: false,
+      },
+    ]);
+
+    const otherToken = (
+      await request(app).post('/api/auth/login').send({ email: 'cite-other@example.com', password: 'CitePass!123' })
+    ).body.token;
+    await request(app).get(`/api/content/${contentId}/citations`).set('x-auth-token', otherToken).expect(404);
+  });
+});
@@ -0,0 +1,1126 @@
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { createApp } = require('../app');
+const db = require('../db');
+const { contentQueue, queueEvents } = require('../queue');
+const { recordRevision } = require('../utils/contentRevisions');
+const { createTraceRecorder, saveGenerationTrace, purgeExpiredTraces } = require('../utils/generationTrace');
+const { config } = require('../config');
+const logger = require('../logger');
+const { isJobCancellation, throwIfCancelled } = require('../utils/jobControl');
+const { currentPeriod } = require('../utils/quotas');
+const { setIndexedJobState } = require('../utils/jobIndex');
+
+const collectStream = (res, callback) => {
+  res.setEncoding('utf8');
+  let data = '';
+  res.on('data', (chunk) => {
+    data += chunk;
+  });
+  res.on('end', () => callback(null, data));
+};
+
+const parseStreamEvents = (raw) =>
+  raw
+    .split('\n\n')
+    .filter((block) => block.startsWith('event:'))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', '')),
+      };
+    });
+
+describe('Generated content API', () => {
+  let app;
+  let token;
+  let userId;
+  let pool;
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    const { Pool } = mem.adapters.createPg();
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        plan_id INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE plans (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(40) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE user_quota_overrides (
+        user_id INTEGER PRIMARY KEY,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        note TEXT,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE usage_counters (
+        user_id INTEGER NOT NULL,
+        metric VARCHAR(40) NOT NULL,
+        period_start DATE NOT NULL,
+        amount BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, metric, period_start)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE ai_usage (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE generation_rules (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        rule_name VARCHAR(255) NOT NULL,
+        source_settings JSONB,
+        style_settings JSONB,
+        seo_settings JSONB,
+        media_settings JSONB,
+        ranking_settings JSONB,
+        schema_config JSONB,
+        locale VARCHAR(10),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE images (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        image_name VARCHAR(255) NOT NULL,
+        tags TEXT[],
+        image_path VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE generated_content (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        rule_id INTEGER REFERENCES generation_rules(id),
+        title VARCHAR(255) NOT NULL,
+        meta_description TEXT,
+        body TEXT,
+        image_ids INTEGER[],
+        published_url TEXT,
+        schema_payload JSONB,
+        schema_types TEXT[],
+        keyword VARCHAR(255),
+        locale VARCHAR(10),
+        details JSONB,
+        slug VARCHAR(200),
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        tags TEXT[] NOT NULL DEFAULT '{}',
+        assigned_editor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE generation_traces (
+        id SERIAL PRIMARY KEY,
+        content_id INTEGER UNIQUE NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER,
+        job_id VARCHAR(255),
+        rule_id INTEGER,
+        generation_mode VARCHAR(20) NOT NULL,
+        prompt TEXT,
+        schema_config JSONB,
+        snippets JSONB,
+        provider VARCHAR(40),
+        model VARCHAR(255),
+        parameters JSONB,
+        raw_response TEXT,
+        calls JSONB,
+        fallback_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE content_revisions (
+        id SERIAL PRIMARY KEY,
+        content_id INTEGER REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        revision_number INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        meta_description TEXT,
+        body TEXT,
+        schema_payload JSONB,
+        source VARCHAR(20) NOT NULL DEFAULT 'edit',
+        note TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE content_jobs (
+        job_id VARCHAR(255) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        job_name VARCHAR(100) NOT NULL,
+        state VARCHAR(20) NOT NULL DEFAULT 'waiting',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const hashed = await bcrypt.hash('ContentPass!123', 10);
+    const inserted = await db.query(
+      'INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['content-user', 'content@example.com', hashed, 'user']
+    );
+    userId = inserted.rows[0].id;
+
+    app = createApp();
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'content@example.com', password: 'ContentPass!123' });
+
+    token = loginRes.body.token;
+  });
+
+  afterEach(() => {
+    contentQueue.getJob.mockReset();
+    contentQueue.getJob.mockResolvedValue(null);
+    contentQueue.getJobs.mockReset();
+    contentQueue.getJobs.mockResolvedValue([]);
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  it('streams job progress and the final result', async () => {
+    const job = {
+      id: 'stream-job',
+      data: { userId },
+      progress: { stage: 'queued', percent: 10 },
+      attemptsMade: 0,
+      getState: jest.fn(async () => {
+        setImmediate(() => {
+          queueEvents.emit('progress:stream-job', {
+            jobId: 'stream-job',
+            data: { stage: 'building_prompt', percent: 45 },
+          });
+          queueEvents.emit('completed:stream-job', {
+            jobId: 'stream-job',
+            returnvalue: { id: 42, title: 'Done' },
+          });
+        });
+        return 'active';
+      }),
+    };
+    contentQueue.getJob.mockResolvedValue(job);
+
+    const issued = await request(app)
+      .post('/api/content/jobs/stream-job/stream-token')
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(issued.body.expiresIn).toBe(300);
+
+    const res = await request(app)
+      .get('/api/content/jobs/stream-job/stream')
+      .query({ token: issued.body.token })
+      .buffer(true)
+      .parse(collectStream)
+      .expect(200);
+
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    const events = parseStreamEvents(res.body);
+    expect(events.map((entry) => entry.event)).toEqual(['snapshot', 'progress', 'completed']);
+    expect(events[0].data).toMatchObject({ state: 'active', progress: { stage: 'queued' } });
+    expect(events[1].data).toEqual({ stage: 'building_prompt', percent: 45 });
+    expect(events[2].data.result).toMatchObject({ id: 42 });
+    expect(queueEvents.listenerCount('progress:stream-job')).toBe(0);
+  });
+
+  it('closes the stream immediately for finished jobs', async () => {
+    contentQueue.getJob.mockResolvedValue({
+      id: 'failed-job',
+      data: { userId },
+      progress: { stage: 'failed', percent: 100 },
+      failedReason: 'boom',
+      getState: jest.fn().mockResolvedValue('failed'),
+    });
+
+    const res = await request(app)
+      .get('/api/content/jobs/failed-job/stream')
+      .set('x-auth-token', token)
+      .buffer(true)
+      .parse(collectStream)
+      .expect(200);
+
+    const events = parseStreamEvents(res.body);
+    expect(events.map((entry) => entry.event)).toEqual(['snapshot', 'failed']);
+    expect(events[1].data).toEqual({ failedReason: 'boom' });
+  });
+
+  it('takes only job-scoped stream tokens from the URL and keeps them out of the logs', async () => {
+    contentQueue.getJob.mockResolvedValue({ id: 'stream-job', data: { userId }, getState: jest.fn() });
+    const { token: streamToken } = (
+      await request(app).post('/api/content/jobs/stream-job/stream-token').set('x-auth-token', token).expect(200)
+    ).body;
+    const errorLog = jest.spyOn(logger, 'error');
+
+    await request(app).get('/api/content/jobs/stream-job/stream').query({ token }).expect(401);
+    expect(errorLog).toHaveBeenCalledWith(
+      'Request failed',
+      expect.objectContaining({ path: '/api/content/jobs/stream-job/stream?token=[redacted]' })
+    );
+    await request(app).get('/api/content/jobs/other-job/stream').query({ token: streamToken }).expect(401);
+    await request(app).get('/api/content/jobs').set('x-auth-token', streamToken).expect(401);
+    errorLog.mockRestore();
+
+    contentQueue.getJob.mockResolvedValue(null);
+    await request(app).post('/api/content/jobs/stream-job/stream-token').set('x-auth-token', token).expect(404);
+  });
+
+  it('ends the stream when the job is removed from the queue', async () => {
+    contentQueue.getJob.mockResolvedValue({
+      id: 'removed-job',
+      data: { userId },
+      progress: {},
+      getState: jest.fn(async () => {
+        setImmediate(() => queueEvents.emit('removed:removed-job', { jobId: 'removed-job', prev: 'waiting' }));
+        return 'waiting';
+      }),
+    });
+
+    const res = await request(app)
+      .get('/api/content/jobs/removed-job/stream')
+      .set('x-auth-token', token)
+      .buffer(true)
+      .parse(collectStream)
+      .expect(200);
+
+    expect(parseStreamEvents(res.body).map((entry) => entry.event)).toEqual(['snapshot', 'removed']);
+    expect(queueEvents.listenerCount('removed:removed-job')).toBe(0);
+  });
+
+  it('hides job streams owned by other users', async () => {
+    contentQueue.getJob.mockResolvedValue({
+      id: 'foreign-job',
+      data: { userId: userId + 100 },
+      getState: jest.fn(),
+    });
+
+    await request(app)
+      .get('/api/content/jobs/foreign-job/stream')
+      .set('x-auth-token', token)
+      .expect(404);
+  });
+
+  it('lists the user\'s jobs by state and cancels or retries them', async () => {
+    const makeJob = (id, userId, overrides = {}) => ({
+      id,
+      name: 'generate-content',
+      data: { userId, keyword: `kw-${id}`, ruleId: 1 },
+      timestamp: Number(id),
+      attemptsMade: 0,
+      progress: {},
+      getState: jest.fn().mockResolvedValue(overrides.state || 'waiting'),
+      remove: jest.fn(),
+      retry: jest.fn(),
+      updateData: jest.fn(),
+      updateProgress: jest.fn(),
+      ...overrides,
+    });
+    const waiting = makeJob('1', userId, { timestamp: Date.now() });
+    const active = makeJob('2', userId, { state: 'active' });
+    const failed = makeJob('3', userId, { state: 'failed', failedReason: 'AI request failed.' });
+    const foreign = makeJob('4', userId + 100, { state: 'failed' });
+    const jobsById = { 1: waiting, 2: active, 3: failed, 4: foreign };
+    contentQueue.getJob.mockImplementation(async (id) => jobsById[id] || null);
+    const indexedState = async (jobId) =>
+      (await db.query('SELECT state FROM content_jobs WHERE job_id = $1', [jobId])).rows[0]?.state || null;
+
+    // Job 2 started after it was indexed and "gone" was removed from the queue behind the index's back.
+    await db.query('DELETE FROM content_jobs');
+    await db.query(
+      `INSERT INTO content_jobs (job_id, user_id, job_name, state, created_at)
+       VALUES ('1', $1, 'generate-content', 'waiting', '2026-01-01T00:00:01Z'),
+              ('2', $1, 'generate-content', 'waiting', '2026-01-01T00:00:02Z'),
+              ('3', $1, 'generate-content', 'failed', '2026-01-01T00:00:03Z'),
+              ('gone', $1, 'generate-content', 'failed', '2026-01-01T00:00:04Z')`,
+      [userId]
+    );
+
+    const all = await request(app).get('/api/content/jobs').set('x-auth-token', token).expect(200);
+    expect(all.body).toMatchObject({ total: 4, counts: { waiting: 2, failed: 2, active: 0 } });
+    expect(all.body.items.map((job) => [job.id, job.state])).toEqual([
+      ['3', 'failed'],
+      ['2', 'active'],
+      ['1', 'waiting'],
+    ]);
+    expect(contentQueue.getJobs).not.toHaveBeenCalled();
+    expect(await indexedState('gone')).toBeNull();
+    expect(await indexedState('2')).toBe('active');
+
+    const listed = await request(app).get('/api/content/jobs?state=failed,active').set('x-auth-token', token).expect(200);
+    expect(listed.body).toMatchObject({ total: 2, counts: { failed: 1, active: 1 } });
+    expect(listed.body.items.map((job) => [job.id, job.state])).toEqual([
+      ['3', 'failed'],
+      ['2', 'active'],
+    ]);
+    expect(listed.body.items[0]).toMatchObject({ failedReason: 'AI request failed.', input: { keyword: 'kw-3' } });
+    const secondPage = await request(app)
+      .get('/api/content/jobs?state=failed,active&pageSize=1&page=2')
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(secondPage.body).toMatchObject({ total: 2, page: 2, pageSize: 1 });
+    expect(secondPage.body.items.map((job) => job.id)).toEqual(['2']);
+    await request(app).get('/api/content/jobs?state=stuck').set('x-auth-token', token).expect(400);
+
+    const { start: periodStart } = currentPeriod();
+    await db.query(
+      `INSERT INTO usage_counters (user_id, metric, period_start, amount) VALUES ($1, 'generations', $2, 1)
+       ON CONFLICT (user_id, metric, period_start) DO UPDATE SET amount = 1`,
+      [userId, periodStart]
+    );
+    await request(app).post('/api/content/jobs/1/cancel').set('x-auth-token', token).expect(200);
+    expect(waiting.remove).toHaveBeenCalled();
+    const refunded = await db.query(
+      "SELECT amount FROM usage_counters WHERE user_id = $1 AND metric = 'generations' AND period_start = $2",
+      [userId, periodStart]
+    );
+    expect(Number(refunded.rows[0].amount)).toBe(0);
+    expect(await indexedState('1')).toBeNull();
+    const cancelling = await request(app).post('/api/content/jobs/2/cancel').set('x-auth-token', token).expect(202);
+    expect(cancelling.body.state).toBe('cancelling');
+    expect(active.updateData).toHaveBeenCalledWith(expect.objectContaining({ cancelRequested: true }));
+    await request(app).post('/api/content/jobs/3/cancel').set('x-auth-token', token).expect(409);
+    await request(app).post('/api/content/jobs/4/cancel').set('x-auth-token', token).expect(404);
+
+    await request(app).post('/api/content/jobs/2/retry').set('x-auth-token', token).expect(409);
+    const retried = await request(app).post('/api/content/jobs/3/retry').set('x-auth-token', token).expect(202);
+    expect(retried.body).toMatchObject({ jobId: '3', retryOf: '3', edited: false });
+    expect(failed.retry).toHaveBeenCalledWith('failed');
+    expect(await indexedState('3')).toBe('waiting');
+
+    contentQueue.add.mockClear();
+    contentQueue.add.mockResolvedValueOnce({ id: 'edited-job', updateProgress: jest.fn() });
+    // A worker may start the new job before the request indexes it; the later state must survive.
+    await setIndexedJobState({ id: 'edited-job', name: 'generate-content', data: { userId } }, 'active');
+    const edited = await request(app)
+      .post('/api/content/jobs/3/retry')
+      .set('x-auth-token', token)
+      .send({ keyword: 'edited keyword', locale: 'en' })
+      .expect(202);
+    expect(edited.body).toMatchObject({ jobId: 'edited-job', retryOf: '3', edited: true });
+    expect(contentQueue.add).toHaveBeenCalledWith(
+      'generate-content',
+      expect.objectContaining({ userId, keyword: 'edited keyword', locale: 'en', ruleId: 1, retryOf: '3' })
+    );
+    expect(await indexedState('edited-job')).toBe('active');
+
+    const cancellation = await throwIfCancelled({ id: '2', data: { cancelRequested: true } }).catch((err) => err);
+    expect(isJobCancellation(cancellation)).toBe(true);
+    await expect(throwIfCancelled({ id: '1', data: {} })).resolves.toBeUndefined();
+  });
+
+  it('lists, diffs and restores content revisions', async () => {
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, title, meta_description, body, image_ids)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, 'First title', 'First meta', '## Intro\nOriginal line\nShared line', []]
+    );
+    const content = inserted.rows[0];
+    const first = await recordRevision(db, content, { source: 'generation', userId });
+
+    const edited = await db.query(
+      `UPDATE generated_content SET title = $1, body = $2 WHERE id = $3 RETURNING *`,
+      ['Second title', '## Intro\nRewritten line\nShared line\nNew closing line', content.id]
+    );
+    const second = await recordRevision(db, edited.rows[0], { source: 'edit', userId });
+    expect(second.revision_number).toBe(2);
+
+    const listRes = await request(app)
+      .get(`/api/content/${content.id}/revisions`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(listRes.body.map((revision) => revision.revision_number)).toEqual([2, 1]);
+
+    const diffRes = await request(app)
+      .get(`/api/content/${content.id}/revisions/diff`)
+      .query({ from: first.id, to: second.id })
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(diffRes.body.changedFields).toEqual(['title', 'body']);
+    expect(diffRes.body.fields.body).toMatchObject({ added: 2, removed: 1 });
+    expect(diffRes.body.fields.body.changes).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ type: 'removed', line: 'Original line' }),
+        expect.objectContaining({ type: 'added', line: 'Rewritten line' }),
+        expect.objectContaining({ type: 'equal', line: 'Shared line' }),
+      ])
+    );
+
+    await db.query(
+      `UPDATE generated_content SET details = $1, updated_at = '2020-01-01T00:00:00Z' WHERE id = $2`,
+      [{ seoReport: { describes: 'second body' }, similarity: { status: 'checked', warning: true } }, content.id]
+    );
+    const restoreRes = await request(app)
+      .post(`/api/content/${content.id}/revisions/${first.id}/restore`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(restoreRes.body.content).toMatchObject({ title: 'First title', body: content.body });
+    expect(new Date(restoreRes.body.content.updated_at).getFullYear()).toBeGreaterThan(2020);
+    expect(restoreRes.body.content.details.seoReport.describes).toBeUndefined();
+    expect(restoreRes.body.content.details.seoReport.checks).toEqual(expect.any(Array));
+    expect(restoreRes.body.content.details.similarity).toMatchObject({ status: 'skipped' });
+    expect(restoreRes.body.revision).toMatchObject({ revision_number: 3, source: 'restore' });
+
+    await request(app)
+      .get(`/api/content/${content.id}/revisions/diff`)
+      .query({ from: first.id })
+      .set('x-auth-token', token)
+      .expect(400);
+    await request(app)
+      .get(`/api/content/${content.id}/revisions/diff`)
+      .query({ from: first.id, to: 'latest' })
+      .set('x-auth-token', token)
+      .expect(400);
+  });
+
+  it('queues a rewrite of one section using the original knowledge source', async () => {
+    const updateProgress = jest.fn();
+    contentQueue.add.mockResolvedValueOnce({ id: 'rewrite-job', updateProgress });
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, keyword, title, body, image_ids, details)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        userId,
+        '智能门锁',
+        '智能门锁选购指南',
+        '## 为什么需要\n\n方便。\n\n## 安装\n\n简单。',
+        [],
+        { knowledgeBase: { source: { type: 'set', id: 4 } } },
+      ]
+    );
+    const content = inserted.rows[0];
+
+    const res = await request(app)
+      .post(`/api/content/${content.id}/sections/rewrite`)
+      .set('x-auth-token', token)
+      .send({ heading: '安装', instruction: ' 更具体 ' })
+      .expect(202);
+
+    expect(res.body).toMatchObject({ jobId: 'rewrite-job', section: { type: 'heading', heading: '安装' } });
+    expect(contentQueue.add).toHaveBeenLastCalledWith('rewrite-section', {
+      contentId: content.id,
+      userId,
+      target: { heading: '安装' },
+      instruction: '更具体',
+      expectedText: '## 安装\n\n简单。',
+      knowledgeBaseId: null,
+      knowledgeSetId: 4,
+    });
+    expect(updateProgress).toHaveBeenCalledWith({ stage: 'queued', percent: 10 });
+
+    await request(app)
+      .post(`/api/content/${content.id}/sections/rewrite`)
+      .set('x-auth-token', token)
+      .send({ heading: '不存在', instruction: '更短' })
+      .expect(400);
+    await request(app)
+      .post(`/api/content/${content.id}/sections/rewrite`)
+      .set('x-auth-token', token)
+      .send({ heading: '安装', range: { start: 0, end: 3 }, instruction: '更短' })
+      .expect(400);
+  });
+
+  it('reports which SEO constraints the stored article misses', async () => {
+    const rule = await db.query(
+      `INSERT INTO generation_rules (user_id, rule_name, seo_settings)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [
+        userId,
+        'SEO Rule',
+        {
+          word_count: { min: 20, max: 60 },
+          keyword_density: { min: 5, max: 30 },
+          meta_title_length: 10,
+          meta_description_length: 40,
+          require_h1: true,
+          h2_count: 2,
+          target_keywords: ['智能门锁', '指纹识别'],
+          internal_links: { count: 1 },
+          external_links: { count: 1 },
+        },
+      ]
+    );
+    const body = [
+      '# 智能门锁选购指南',
+      '## 为什么选择智能门锁',
+      '智能门锁让回家更方便，支持 NFC 和 app 解锁。',
+      '## 安装步骤',
+      '参考[安装说明](/guides/install)完成安装。',
+    ].join('\n');
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, rule_id, keyword, title, meta_description, body, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [userId, rule.rows[0].id, '智能门锁', '智能门锁选购指南：从入门到精通', '简短描述', body, { seoReport: { passed: false } }]
+    );
+
+    const res = await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/seo-report`)
+      .set('x-auth-token', token)
+      .expect(200);
+
+    const checks = Object.fromEntries(res.body.checks.map((check) => [check.id, check]));
+    expect(res.body.passed).toBe(false);
+    expect(res.body.summary).toEqual({ total: 9, passed: 6, failed: 3 });
+    expect(checks.word_count).toMatchObject({ passed: true, measured: 48 });
+    expect(checks.keyword_density).toMatchObject({ passed: true, measured: { density: 25, occurrences: 3 } });
+    expect(checks.meta_title_length).toMatchObject({ passed: false, measured: 15 });
+    expect(checks.meta_description_length).toMatchObject({ passed: true, measured: 4 });
+    expect(checks.require_h1.passed).toBe(true);
+    expect(checks.h2_count).toMatchObject({ passed: true, measured: 2 });
+    expect(checks.target_keywords).toMatchObject({ passed: false, measured: { missing: ['指纹识别'] } });
+    expect(checks.internal_links).toMatchObject({ passed: true, measured: 1 });
+    expect(checks.external_links).toMatchObject({ passed: false, measured: 0 });
+    expect(res.body.generationReport).toEqual({ passed: false });
+  });
+
+  it('filters content by locale and counts words the way each locale does', async () => {
+    const rule = await db.query(
+      `INSERT INTO generation_rules (user_id, rule_name, seo_settings, locale)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [userId, 'English Rule', { word_count: { min: 5, max: 20 } }, 'en']
+    );
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, rule_id, keyword, locale, title, meta_description, body)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [userId, rule.rows[0].id, 'smart locks', 'en', 'Smart Lock Guide', 'How to pick a lock', "# Smart Lock Guide\n\nIt's easy to pick a smart lock."]
+    );
+
+    const listed = await request(app).get('/api/content?locale=EN-us').set('x-auth-token', token).expect(200);
+    expect(listed.body.items.map((item) => item.id)).toEqual([inserted.rows[0].id]);
+    await request(app).get('/api/content?locale=xx').set('x-auth-token', token).expect(400);
+
+    const report = await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/seo-report`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(report.body.locale).toBe('en');
+    expect(report.body.checks.find((check) => check.id === 'word_count')).toMatchObject({ passed: true, measured: 10 });
+  });
+
+  it('pages, sorts and filters the content list with total counts', async () => {
+    const rule = await db.query(
+      'INSERT INTO generation_rules (user_id, rule_name) VALUES ($1, $2) RETURNING id',
+      [userId, 'Listing Rule']
+    );
+    const ruleId = rule.rows[0].id;
+    const rows = [
+      ['智能门锁推荐', '指纹识别门锁', ['Article', 'FAQPage'], {}, null],
+      ['Lock buying guide', 'Pick a smart lock', ['Article'], { fallbackReason: 'AI request failed.' }, null],
+      ['Published lock review', 'Review body', ['Product'], {}, 'https://blog.example.com/review'],
+    ];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [title, body, schemaTypes, details, publishedUrl] of rows) {
+      // eslint-disable-next-line no-await-in-loop
+      await db.query(
+        `INSERT INTO generated_content (user_id, rule_id, title, body, schema_types, details, published_url)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [userId, ruleId, title, body, schemaTypes, details, publishedUrl]
+      );
+    }
+    const list = (query) =>
+      request(app).get(`/api/content?ruleId=${ruleId}&${query}`).set('x-auth-token', token);
+
+    const firstPage = await list('pageSize=2&sortField=title&sortOrder=asc').expect(200);
+    expect(firstPage.body).toMatchObject({ page: 1, pageSize: 2, total: 3, counts: { ai: 2, fallback: 1, published: 1 } });
+    expect(firstPage.body.items.map((item) => item.title)).toEqual(['Lock buying guide', 'Published lock review']);
+    expect(firstPage.body.items[0].rule_name).toBe('Listing Rule');
+
+    const lastPage = await list('pageSize=2&page=9&sortField=title&sortOrder=asc').expect(200);
+    expect(lastPage.body.page).toBe(2);
+    expect(lastPage.body.items.map((item) => item.title)).toEqual(['智能门锁推荐']);
+
+    expect((await list(`search=${encodeURIComponent('门锁')}`).expect(200)).body.items.map((item) => item.title)).toEqual(['智能门锁推荐']);
+    expect((await list('search=smart').expect(200)).body.total).toBe(1);
+    expect((await list(`search=${encodeURIComponent('%')}`).expect(200)).body.total).toBe(0);
+    expect((await list('search=_').expect(200)).body.total).toBe(0);
+    expect((await list('schemaType=FAQPage').expect(200)).body.total).toBe(1);
+    expect((await list('origin=fallback').expect(200)).body.items[0].title).toBe('Lock buying guide');
+    expect((await list('origin=ai&published=false').expect(200)).body.total).toBe(1);
+    expect((await list('published=true').expect(200)).body.items[0].title).toBe('Published lock review');
+    expect((await list(`to=${encodeURIComponent('2000-01-01')}`).expect(200)).body.total).toBe(0);
+
+    await list('origin=manual').expect(400);
+    await list('from=not-a-date').expect(400);
+    await list('status=unknown').expect(400);
+  });
+
+  it('edits articles with editorial fields and lets the assigned editor work on them', async () => {
+    const hashed = await bcrypt.hash('EditorPass!123', 10);
+    const editor = await db.query(
+      'INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['content-editor', 'editor@example.com', hashed, 'user']
+    );
+    const editorId = editor.rows[0].id;
+    const editorToken = (
+      await request(app).post('/api/auth/login').send({ email: 'editor@example.com', password: 'EditorPass!123' })
+    ).body.token;
+    const image = await db.query(
+      'INSERT INTO images (user_id, image_name, image_path) VALUES ($1, $2, $3) RETURNING id',
+      [userId, 'cover.png', 'uploads/cover.png']
+    );
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, keyword, title, meta_description, body)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [userId, '门锁', 'Draft title', 'Draft meta', 'Draft body']
+    );
+    const contentId = inserted.rows[0].id;
+
+    await request(app).get(`/api/content/${contentId}`).set('x-auth-token', editorToken).expect(404);
+    await request(app)
+      .patch(`/api/content/${contentId}`)
+      .set('x-auth-token', token)
+      .send({ status: 'unknown' })
+      .expect(400);
+    await request(app)
+      .patch(`/api/content/${contentId}`)
+      .set('x-auth-token', token)
+      .send({ image_ids: [999] })
+      .expect(400);
+
+    const assigned = await request(app)
+      .put(`/api/content/${contentId}`)
+      .set('x-auth-token', token)
+      .send({
+        slug: 'Smart-锁-Guide',
+        status: 'in_review',
+        tags: ['门锁', ' 门锁 ', 'security'],
+        assigned_editor_id: editorId,
+        image_ids: [image.rows[0].id],
+      })
+      .expect(200);
+    expect(assigned.body.content).toMatchObject({
+      slug: 'smart-锁-guide',
+      status: 'in_review',
+      tags: ['门锁', 'security'],
+      assigned_editor_id: editorId,
+    });
+    expect(assigned.body.revision).toBeNull();
+
+    const edited = await request(app)
+      .patch(`/api/content/${contentId}`)
+      .set('x-auth-token', editorToken)
+      .send({ title: 'Edited title', body: 'Edited body', note: 'Tightened intro', status: 'approved' })
+      .expect(200);
+    expect(edited.body.content).toMatchObject({ title: 'Edited title', status: 'approved' });
+    expect(edited.body.revision).toMatchObject({ source: 'edit', note: 'Tightened intro', user_id: editorId });
+
+    await request(app)
+      .patch(`/api/content/${contentId}`)
+      .set('x-auth-token', editorToken)
+      .send({ assigned_editor_id: null })
+      .expect(403);
+
+    const revisions = await request(app)
+      .get(`/api/content/${contentId}/revisions`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(revisions.body.map((revision) => revision.source)).toEqual(['edit', 'baseline']);
+
+    const other = await db.query(
+      'INSERT INTO generated_content (user_id, title, body) VALUES ($1, $2, $3) RETURNING id',
+      [userId, 'Other', 'Other body']
+    );
+    await request(app)
+      .patch(`/api/content/${other.rows[0].id}`)
+      .set('x-auth-token', token)
+      .send({ slug: 'smart-锁-guide' })
+      .expect(409);
+
+    const wxr = await request(app)
+      .post('/api/content/export/wxr')
+      .set('x-auth-token', token)
+      .send({ contentIds: [contentId] })
+      .expect(200);
+    expect(wxr.text).toContain('<wp:post_name><![CDATA[smart-锁-guide]]></wp:post_name>');
+    expect(wxr.text.match(/domain="post_tag"/g)).toHaveLength(2);
+  });
+
+  it('refreshes the SEO report, citations and similarity when the text is edited', async () => {
+    const rule = await db.query(
+      'INSERT INTO generation_rules (user_id, rule_name, seo_settings) VALUES ($1, $2, $3) RETURNING id',
+      [userId, 'Edit refresh', { word_count: { min: 200 } }]
+    );
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, rule_id, keyword, title, body, details)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [
+        userId,
+        rule.rows[0].id,
+        '门锁',
+        '门锁指南',
+        '锁芯 [S1]。安装 [S2]。',
+        {
+          seoReport: { passed: true, checks: [] },
+          citations: [
+            { id: 'S1', documentId: 3, documentName: 'locks.pdf', chunkIndex: 0, preview: '锁芯', occurrences: 1 },
+            { id: 'S2', documentId: 3, documentName: 'locks.pdf', chunkIndex: 1, preview: '安装', occurrences: 1 },
+          ],
+          similarity: { status: 'checked', warning: false, matches: [] },
+        },
+      ]
+    );
+    const contentId = inserted.rows[0].id;
+
+    const res = await request(app)
+      .patch(`/api/content/${contentId}`)
+      .set('x-auth-token', token)
+      .send({ body: '## 门锁\n\n锁芯 [S1]，门锁也要看安装 [S1][S5]。' })
+      .expect(200);
+    const { details } = res.body.content;
+    expect(res.body.content.body).toBe('## 门锁\n\n锁芯 [S1]，门锁也要看安装 [S1][S5]。');
+    expect(details.citations).toEqual([
+      { id: 'S1', documentId: 3, documentName: 'locks.pdf', chunkIndex: 0, preview: '锁芯', occurrences: 2 },
+    ]);
+    expect(details.invalidCitations).toEqual(['S5']);
+    expect(details.seoReport).toMatchObject({ passed: false });
+    expect(details.seoReport.checks).toEqual([expect.objectContaining({ id: 'word_count', passed: false })]);
+    expect(details.similarity).toEqual({ status: 'skipped', reason: 'embeddings_not_configured' });
+
+    const stored = await db.query('SELECT details FROM generated_content WHERE id = $1', [contentId]);
+    expect(stored.rows[0].details).toEqual(details);
+
+    const untouched = await request(app)
+      .patch(`/api/content/${contentId}`)
+      .set('x-auth-token', token)
+      .send({ tags: ['门锁'] })
+      .expect(200);
+    expect(untouched.body.content.details).toEqual(details);
+  });
+
+  it('stores the generation trace and hides it once expired', async () => {
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, keyword, title, body) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [userId, '智能锁', '智能锁选购指南', '# 智能锁选购指南']
+    );
+    const contentId = inserted.rows[0].id;
+    const recorder = createTraceRecorder();
+    recorder.addSnippets([{ documentId: 7, chunkIndex: 0, preview: '指纹识别' }]);
+    recorder.addSnippets([{ documentId: 7, chunkIndex: 0, preview: '指纹识别' }], '智能锁 安全');
+    recorder.recordCall({
+      feature: 'content_generation',
+      system: 'JSON only',
+      prompt: '请撰写关于智能锁的文章',
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      parameters: { json: true, maxOutputTokens: 4096 },
+      content: '{"title":"智能锁选购指南"}',
+      providerResponse: { choices: [] },
+    });
+    recorder.recordCall({ feature: 'content_repair', prompt: '修复', error: 'upstream timeout' });
+
+    await saveGenerationTrace({
+      contentId,
+      userId,
+      jobId: 'trace-job',
+      generationMode: 'single',
+      recorder,
+      schemaConfig: { enabled: true },
+    });
+
+    const res = await request(app).get(`/api/content/${contentId}/trace`).set('x-auth-token', token).expect(200);
+    expect(res.body).toMatchObject({
+      jobId: 'trace-job',
+      generationMode: 'single',
+      prompt: '请撰写关于智能锁的文章',
+      model: 'gpt-4o-mini',
+      parameters: { json: true, maxOutputTokens: 4096 },
+      rawResponse: '{"title":"智能锁选购指南"}',
+      schemaConfig: { enabled: true },
+      snippets: [{ documentId: 7, chunkIndex: 0, preview: '指纹识别' }],
+    });
+    expect(res.body.calls.map((call) => [call.feature, call.status])).toEqual([
+      ['content_generation', 'success'],
+      ['content_repair', 'error'],
+    ]);
+
+    await db.query('UPDATE generation_traces SET expires_at = $1 WHERE content_id = $2', [
+      new Date(Date.now() - 1000),
+      contentId,
+    ]);
+    await request(app).get(`/api/content/${contentId}/trace`).set('x-auth-token', token).expect(404);
+    expect(await purgeExpiredTraces()).toBe(1);
+
+    const recent = await saveGenerationTrace({ contentId, userId, generationMode: 'single', recorder });
+    expect(recent).toEqual(expect.any(Number));
+    expect(await purgeExpiredTraces()).toBe(0);
+    const { retentionDays } = config.traces;
+    config.traces.retentionDays = 0;
+    try {
+      expect(await purgeExpiredTraces(new Date(Date.now() + 1000))).toBe(1);
+    } finally {
+      config.traces.retentionDays = retentionDays;
+    }
+  });
+
+  it('renders image placeholders and reports unmatched ones', async () => {
+    const lock = await db.query(
+      `INSERT INTO images (user_id, image_name, tags, image_path) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [userId, 'front-door_lock.jpg', ['门锁', '入户门'], 'uploads\\front door.jpg']
+    );
+    const keypad = await db.query(
+      `INSERT INTO images (user_id, image_name, tags, image_path) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [userId, 'keypad.png', [], 'uploads/keypad.png']
+    );
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, keyword, title, meta_description, body, image_ids)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [
+        userId,
+        '智能门锁',
+        'Rendered',
+        'Meta',
+        '## 外观\n\n[IMAGE_1]\n\n## 安装\n\n[IMAGE_4]',
+        [lock.rows[0].id, keypad.rows[0].id, 9999],
+      ]
+    );
+
+    const markdownRes = await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/rendered`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(markdownRes.body.body).toMatch(
+      /^## 外观\n\n!\[智能门锁 - front door lock - 门锁 - 入户门\]\(http:\/\/127\.0\.0\.1:\d+\/uploads\/front%20door\.jpg\)/
+    );
+    expect(markdownRes.body.body).not.toContain('[IMAGE_');
+    expect(markdownRes.body.report).toMatchObject({
+      unresolvedPlaceholders: ['[IMAGE_4]'],
+      unplacedImages: [{ id: keypad.rows[0].id, image_name: 'keypad.png' }],
+      missingImageIds: [9999],
+    });
+
+    const htmlRes = await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/rendered`)
+      .query({ format: 'html' })
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(htmlRes.body.body).toContain('<h2>外观</h2>');
+    expect(htmlRes.body.body).toMatch(/<img src="http:\/\/[^"]+\/uploads\/front%20door\.jpg" alt="智能门锁 - front door lock - 门锁 - 入户门">/);
+
+    await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/rendered`)
+      .query({ format: 'pdf' })
+      .set('x-auth-token', token)
+      .expect(400);
+  });
+
+  it('escapes raw HTML and script URLs in rendered HTML', async () => {
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, title, body, image_ids)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [
+        userId,
+        'Unsafe',
+        [
+          '## 安装',
+          '门锁 <img src=x onerror=alert(1)> 安装说明',
+          '<script>alert(document.cookie)</script>',
+          '[说明书](javascript:alert(1)) [官网](https://example.com/lock) [备用](javascript&#58;alert(1))',
+        ].join('\n\n'),
+        [],
+      ]
+    );
+
+    const res = await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/rendered`)
+      .query({ format: 'html' })
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(res.body.body).toContain('<p>门锁 &lt;img src=x onerror=alert(1)&gt; 安装说明</p>');
+    expect(res.body.body).toContain('<p>&lt;script&gt;alert(document.cookie)&lt;/script&gt;</p>');
+    expect(res.body.body).not.toMatch(/<script|<img|javascript/i);
+    expect(res.body.body).toContain('<a href="#">说明书</a> <a href="https://example.com/lock">官网</a> <a href="#">备用</a>');
+  });
+
+  it('exports articles as HTML, Markdown, DOCX and WordPress WXR', async () => {
+    const image = await db.query(
+      `INSERT INTO images (user_id, image_name, tags, image_path) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [userId, 'hero.png', [], 'uploads/hero.png']
+    );
+    const schemaPayload = {
+      types: ['Article'],
+      payloads: { Article: { headline: 'Export </script> title' } },
+    };
+    const first = await db.query(
+      `INSERT INTO generated_content
+        (user_id, keyword, title, meta_description, body, image_ids, schema_payload, schema_types)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        userId,
+        'smart lock',
+        'Export "Guide"',
+        'Export meta',
+        '## Setup\n\n[IMAGE_1]\n\n- **Step** one',
+        [image.rows[0].id],
+        schemaPayload,
+        ['Article'],
+      ]
+    );
+    const second = await db.query(
+      `INSERT INTO generated_content (user_id, title, meta_description, body, image_ids)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [userId, 'Second export', 'Second meta ]]> end', 'Plain body', []]
+    );
+    const contentId = first.rows[0].id;
+
+    const htmlRes = await request(app)
+      .get(`/api/content/${contentId}/export`)
+      .query({ format: 'html' })
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(htmlRes.headers['content-type']).toContain('text/html');
+    expect(htmlRes.headers['content-disposition']).toContain('attachment; filename="Export Guide.html"');
+    expect(htmlRes.text).toContain('<script type="application/ld+json">');
+    expect(htmlRes.text).toContain('"@type": "Article"');
+    expect(htmlRes.text).toContain('Export \\u003c/script> title');
+    expect(htmlRes.text).toMatch(/<img src="http:\/\/[^"]+\/uploads\/hero\.png" alt="smart lock - hero">/);
+
+    const markdownRes = await request(app)
+      .get(`/api/content/${contentId}/export`)
+      .query({ format: 'markdown' })
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(markdownRes.text).toMatch(/^---\ntitle: "Export \\"Guide\\""\ndescription: "Export meta"\nkeyword: "smart lock"/);
+    expect(markdownRes.text).toContain('schema_types: ["Article"]');
+    expect(markdownRes.text).toMatch(/images:\n {2}- "http:\/\/[^"]+\/uploads\/hero\.png"\n---/);
+
+    const docxRes = await request(app)
+      .get(`/api/content/${contentId}/export`)
+      .query({ format: 'docx' })
+      .set('x-auth-token', token)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(docxRes.headers['content-type']).toContain('wordprocessingml.document');
+    expect(docxRes.body.subarray(0, 2).toString()).toBe('PK');
+
+    const wxrRes = await request(app)
+      .post('/api/content/export/wxr')
+      .set('x-auth-token', token)
+      .send({ contentIds: [contentId, second.rows[0].id], siteUrl: 'https://blog.example.com' })
+      .expect(200);
+    expect(wxrRes.headers['content-type']).toContain('application/rss+xml');
+    expect(wxrRes.text).toContain('<wp:base_site_url>https://blog.example.com</wp:base_site_url>');
+    expect(wxrRes.text.match(/<wp:post_type>post<\/wp:post_type>/g)).toHaveLength(2);
+    expect(wxrRes.text).toContain('<wp:post_type>attachment</wp:post_type>');
+    expect(wxrRes.text).toMatch(/<wp:attachment_url><!\[CDATA\[http:\/\/[^\]]+\/uploads\/hero\.png\]\]><\/wp:attachment_url>/);
+    expect(wxrRes.text).toContain('Second meta ]]]]><![CDATA[> end');
+
+    await request(app)
+      .post('/api/content/export/wxr')
+      .set('x-auth-token', token)
+      .send({ contentIds: [contentId, 999999] })
+      .expect(404);
+  });
+
+  it('returns ready-to-embed JSON-LD script blocks', async () => {
+    const inserted = await db.query(
+      `INSERT INTO generated_content (user_id, title, body, schema_payload)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [
+        userId,
+        'JSON-LD',
+        'Body',
+        {
+          types: ['FAQ'],
+          templateTypes: { FAQ: 'FAQPage' },
+          payloads: { FAQ: { mainEntity: [{ '@type': 'Question', name: 'Why </script>?' }] } },
+          validation: { valid: false, errors: { FAQ: [{ field: 'mainEntity.0.acceptedAnswer', keyword: 'required' }] } },
+        },
+      ]
+    );
+
+    const res = await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/schema/jsonld`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(res.body.documents).toEqual([
+      {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: [{ '@type': 'Question', name: 'Why </script>?' }],
+      },
+    ]);
+    expect(res.body.scripts[0]).toMatch(/^<script type="application\/ld\+json">[\s\S]*<\/script>$/);
+    expect(res.body.scripts[0]).toContain('Why \\u003c/script>?');
+    expect(res.body.validation.valid).toBe(false);
+
+    const htmlRes = await request(app)
+      .get(`/api/content/${inserted.rows[0].id}/schema/jsonld`)
+      .query({ format: 'html' })
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(htmlRes.headers['content-type']).toContain('text/html');
+    expect(htmlRes.text).toBe(res.body.html);
+  });
+});
@@ -0,0 +1,350 @@
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { createApp } = require('../app');
+const db = require('../db');
+const { contentQueue } = require('../queue');
+
+describe('Content batch API', () => {
+  let app;
+  let token;
+  let userId;
+  let keywordId;
+  let ruleId;
+  let pool;
+  const jobs = new Map();
+
+  const createFakeJob = (id, data, name = 'generate-content') => {
+    const job = {
+      id,
+      name,
+      data,
+      timestamp: Date.now(),
+      state: 'waiting',
+      progress: {},
+      updateProgress: jest.fn(async (progress) => {
+        job.progress = progress;
+      }),
+      getState: jest.fn(async () => job.state),
+      remove: jest.fn(async () => {
+        jobs.delete(id);
+      }),
+      retry: jest.fn(async () => {
+        job.state = 'waiting';
+      }),
+      updateData: jest.fn(async (next) => {
+        job.data = next;
+      }),
+    };
+    return job;
+  };
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    const { Pool } = mem.adapters.createPg();
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        plan_id INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE plans (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(40) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE user_quota_overrides (
+        user_id INTEGER PRIMARY KEY,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        note TEXT,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE usage_counters (
+        user_id INTEGER NOT NULL,
+        metric VARCHAR(40) NOT NULL,
+        period_start DATE NOT NULL,
+        amount BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, metric, period_start)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE ai_usage (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE keywords (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        base_keyword VARCHAR(255) NOT NULL,
+        long_tail_keywords TEXT[],
+        schema_metadata JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE keyword_variations (
+        id SERIAL PRIMARY KEY,
+        keyword_id INTEGER REFERENCES keywords(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        monthly_search_volume INTEGER,
+        weight INTEGER,
+        schema_metadata JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE generation_rules (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        rule_name VARCHAR(255) NOT NULL,
+        source_settings JSONB,
+        style_settings JSONB,
+        seo_settings JSONB,
+        media_settings JSONB,
+        ranking_settings JSONB,
+        schema_config JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE content_batches (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        keyword_id INTEGER REFERENCES keywords(id) ON DELETE SET NULL,
+        rule_id INTEGER REFERENCES generation_rules(id) ON DELETE SET NULL,
+        options JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE content_batch_items (
+        id SERIAL PRIMARY KEY,
+        batch_id INTEGER REFERENCES content_batches(id) ON DELETE CASCADE,
+        variation_id INTEGER REFERENCES keyword_variations(id) ON DELETE SET NULL,
+        keyword VARCHAR(255) NOT NULL,
+        job_id VARCHAR(64),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const hashed = await bcrypt.hash('BatchPass!123', 10);
+    const user = await db.query(
+      'INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4) RETURNING id',
+      ['batch-user', 'batch@example.com', hashed, 'user']
+    );
+    userId = user.rows[0].id;
+
+    const keyword = await db.query(
+      'INSERT INTO keywords (user_id, base_keyword) VALUES ($1, $2) RETURNING id',
+      [userId, 'smart lock']
+    );
+    keywordId = keyword.rows[0].id;
+
+    const variations = [
+      ['smart lock for apartments', 300, 40],
+      ['best smart lock 2025', 900, 90],
+      ['smart lock installation', 120, 70],
+    ];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [name, volume, weight] of variations) {
+      // eslint-disable-next-line no-await-in-loop
+      await db.query(
+        `INSERT INTO keyword_variations (keyword_id, name, monthly_search_volume, weight)
+         VALUES ($1, $2, $3, $4)`,
+        [keywordId, name, volume, weight]
+      );
+    }
+
+    const rule = await db.query(
+      'INSERT INTO generation_rules (user_id, rule_name) VALUES ($1, $2) RETURNING id',
+      [userId, 'Batch Rule']
+    );
+    ruleId = rule.rows[0].id;
+
+    app = createApp();
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'batch@example.com', password: 'BatchPass!123' });
+
+    token = loginRes.body.token;
+  });
+
+  beforeEach(() => {
+    let counter = 0;
+    jobs.clear();
+    contentQueue.add.mockImplementation(async (name, data) => {
+      counter += 1;
+      const job = createFakeJob(`batch-job-${counter}`, data, name);
+      jobs.set(job.id, job);
+      return job;
+    });
+    contentQueue.getJob.mockImplementation(async (id) => jobs.get(id) || null);
+  });
+
+  afterAll(async () => {
+    contentQueue.add.mockReset();
+    contentQueue.add.mockResolvedValue({ id: 'test-job' });
+    contentQueue.getJob.mockReset();
+    contentQueue.getJob.mockResolvedValue(null);
+    await pool.end();
+  });
+
+  it('fans out one job per top variation and reports combined progress', async () => {
+    const createRes = await request(app)
+      .post('/api/content/batches')
+      .set('x-auth-token', token)
+      .send({ keywordId, ruleId, top: 2, sortBy: 'weight' })
+      .expect(202);
+
+    expect(createRes.body.jobCount).toBe(2);
+    expect(createRes.body.jobs.map((job) => job.keyword)).toEqual([
+      'best smart lock 2025',
+      'smart lock installation',
+    ]);
+    expect(contentQueue.add).toHaveBeenCalledWith(
+      'generate-content',
+      expect.objectContaining({
+        keyword: 'best smart lock 2025',
+        ruleId,
+        userId,
+        batchId: createRes.body.batchId,
+      })
+    );
+
+    const [first, second] = Array.from(jobs.values());
+    first.state = 'completed';
+    first.returnvalue = { id: 77 };
+    second.state = 'active';
+    second.progress = { stage: 'building_prompt', percent: 50 };
+
+    const statusRes = await request(app)
+      .get(`/api/content/batches/${createRes.body.batchId}`)
+      .set('x-auth-token', token)
+      .expect(200);
+
+    expect(statusRes.body.status).toBe('running');
+    expect(statusRes.body.progress).toMatchObject({
+      total: 2,
+      percent: 75,
+      counts: { completed: 1, active: 1 },
+    });
+    expect(statusRes.body.items[0].contentId).toBe(77);
+
+    const listRes = await request(app)
+      .get('/api/content/batches')
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(listRes.body[0]).toMatchObject({ id: createRes.body.batchId, item_count: 2 });
+  });
+
+  it('cancels pending jobs and retries the batch', async () => {
+    const generationsUsed = async () => {
+      const result = await db.query(
+        "SELECT COALESCE(SUM(amount), 0) AS amount FROM usage_counters WHERE user_id = $1 AND metric = 'generations'",
+        [userId]
+      );
+      return Number(result.rows[0].amount);
+    };
+    const usedBefore = await generationsUsed();
+    const createRes = await request(app)
+      .post('/api/content/batches')
+      .set('x-auth-token', token)
+      .send({ keywordId, ruleId, sortBy: 'monthly_search_volume' })
+      .expect(202);
+    expect(createRes.body.jobCount).toBe(3);
+
+    const [first, second] = Array.from(jobs.values());
+    first.state = 'failed';
+    second.state = 'active';
+
+    const cancelRes = await request(app)
+      .post(`/api/content/batches/${createRes.body.batchId}/cancel`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(cancelRes.body).toMatchObject({ status: 'cancelled', removed: 1, cancelling: 1, finished: 1 });
+    expect(second.updateData).toHaveBeenCalledWith(expect.objectContaining({ cancelRequested: true }));
+    expect(await generationsUsed()).toBe(usedBefore + 2);
+
+    const cancelledRes = await request(app)
+      .get(`/api/content/batches/${createRes.body.batchId}`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(cancelledRes.body.status).toBe('cancelled');
+
+    const retryRes = await request(app)
+      .post(`/api/content/batches/${createRes.body.batchId}/retry`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(retryRes.body).toMatchObject({ status: 'running', retried: 1, requeued: 1 });
+    expect(first.retry).toHaveBeenCalledWith('failed');
+    expect(await generationsUsed()).toBe(usedBefore + 4);
+
+    // The flagged job stops with a failure; retrying the batch runs it again without the cancel flag.
+    second.state = 'failed';
+    const rerun = await request(app)
+      .post(`/api/content/batches/${createRes.body.batchId}/retry`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(rerun.body).toMatchObject({ retried: 1, requeued: 0 });
+    expect(second.data.cancelRequested).toBeUndefined();
+    expect(second.retry).toHaveBeenCalledWith('failed');
+
+    const afterRetry = await request(app)
+      .get(`/api/content/batches/${createRes.body.batchId}`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(afterRetry.body.progress.counts).toEqual({ waiting: 3 });
+  });
+
+  it('rejects batches for keywords the user does not own', async () => {
+    await request(app)
+      .post('/api/content/batches')
+      .set('x-auth-token', token)
+      .send({ keywordId: keywordId + 999, ruleId })
+      .expect(404);
+  });
+});
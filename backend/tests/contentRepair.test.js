@@ -0,0 +1,95 @@
+jest.mock('../utils/aiProvider', () => ({
+  ...jest.requireActual('../utils/aiProvider'),
+  requestChatCompletion: jest.fn(),
+}));
+
+const { requestChatCompletion } = require('../utils/aiProvider');
+const { detectViolations, repairContent } = require('../utils/contentRepair');
+
+const rule = {
+  style_settings: { avoid_phrases: ['最好的'] },
+  seo_settings: { target_keywords: ['智能门锁', '指纹识别'], word_count: { min: 10, max: 200 } },
+};
+
+const buildContent = () => ({
+  title: '智能门锁选购指南',
+  meta_description: '如何挑选智能门锁',
+  body: ['## 为什么需要智能门锁', '这是市面上最好的智能门锁方案。', '## 安装', '安装步骤非常简单。'].join('\n\n'),
+});
+
+describe('Content repair loop', () => {
+  afterEach(() => {
+    requestChatCompletion.mockReset();
+  });
+
+  it('detects avoided phrases, missing keywords and word range violations', () => {
+    const violations = detectViolations(buildContent(), {
+      ...rule,
+      seo_settings: { ...rule.seo_settings, word_count: { min: 500 } },
+    });
+    expect(violations).toEqual([
+      expect.objectContaining({ type: 'avoid_phrases', phrases: ['最好的'], paragraphs: [1], title: false }),
+      { type: 'target_keywords', missing: ['指纹识别'] },
+      expect.objectContaining({ type: 'word_count', min: 500 }),
+    ]);
+  });
+
+  it('patches only the offending paragraphs and records each attempt', async () => {
+    requestChatCompletion.mockResolvedValueOnce({
+      content: JSON.stringify({
+        paragraphs: [{ index: 1, text: '这是一套口碑出色的智能门锁方案。' }],
+        insertions: [{ after: 1, text: '支持指纹识别与密码双重验证。' }],
+      }),
+    });
+    const onAttempt = jest.fn();
+
+    const { content, repair } = await repairContent(buildContent(), rule, {
+      keyword: '智能门锁',
+      maxAttempts: 2,
+      onAttempt,
+    });
+
+    expect(requestChatCompletion).toHaveBeenCalledTimes(1);
+    expect(requestChatCompletion.mock.calls[0][0].prompt).toContain('最好的');
+    expect(content.body.split('\n\n')).toEqual([
+      '## 为什么需要智能门锁',
+      '这是一套口碑出色的智能门锁方案。',
+      '支持指纹识别与密码双重验证。',
+      '## 安装',
+      '安装步骤非常简单。',
+    ]);
+    expect(repair).toMatchObject({
+      resolved: true,
+      remainingViolations: [],
+      attempts: [{ attempt: 1, outcome: 'resolved', remaining: [] }],
+    });
+    expect(onAttempt.mock.calls.map(([entry]) => entry.outcome)).toEqual(['pending', 'resolved']);
+  });
+
+  it('stops after the attempt limit and discards patches that make things worse', async () => {
+    requestChatCompletion
+      .mockResolvedValueOnce({
+        content: JSON.stringify({ title: '最好的最好的门锁', paragraphs: [{ index: 1, text: '最好的' }] }),
+      })
+      .mockRejectedValueOnce(new Error('timeout'));
+
+    const original = buildContent();
+    const { content, repair } = await repairContent(original, rule, { maxAttempts: 2 });
+
+    expect(requestChatCompletion).toHaveBeenCalledTimes(2);
+    expect(content.body).toBe(original.body);
+    expect(repair.resolved).toBe(false);
+    expect(repair.attempts.map((entry) => entry.outcome)).toEqual(['rejected', 'failed']);
+    expect(repair.attempts[1].error).toBe('timeout');
+  });
+
+  it('skips the loop when the content already satisfies the rule', async () => {
+    const { repair } = await repairContent(
+      { title: '智能门锁', meta_description: '', body: '指纹识别智能门锁让生活更便利。' },
+      rule,
+      { maxAttempts: 2 }
+    );
+    expect(repair).toBeNull();
+    expect(requestChatCompletion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,272 @@
+jest.mock('../utils/embeddings', () => ({
+  ...jest.requireActual('../utils/embeddings'),
+  embeddingConfigured: true,
+  embedText: jest.fn(),
+}));
+
+const request = require('supertest');
+const { newDb, DataType } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { createApp } = require('../app');
+const db = require('../db');
+const { embedText } = require('../utils/embeddings');
+const {
+  checkContentSimilarity,
+  clusterSimilarPairs,
+  saveContentEmbedding,
+} = require('../utils/contentSimilarity');
+
+const cosineDistance = (left, right) => {
+  const a = JSON.parse(left);
+  const b = JSON.parse(right);
+  const dot = a.reduce((sum, value, index) => sum + value * b[index], 0);
+  const norm = (values) => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  return 1 - dot / (norm(a) * norm(b));
+};
+
+// pg-mem cannot parse pgvector's <=> operator, so queries reach it as calls to the registered cosine_distance.
+const withCosineFunction = (text) =>
+  typeof text === 'string' ? text.replace(/([\w.]+) <=> (\$\d+::vector|[\w.]+)/g, 'cosine_distance($1, $2)') : text;
+
+const withVectorOperator = (Pool) =>
+  class VectorPool extends Pool {
+    query(text, ...args) {
+      return super.query(withCosineFunction(text), ...args);
+    }
+
+    async connect() {
+      const client = await super.connect();
+      const query = client.query.bind(client);
+      client.query = (text, ...args) => query(withCosineFunction(text), ...args);
+      return client;
+    }
+  };
+
+describe('Content similarity', () => {
+  let app;
+  let pool;
+  let userId;
+  let otherUserId;
+  let token;
+  let otherToken;
+  const contentIds = {};
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    mem.public.registerEquivalentType({ name: 'vector', equivalentTo: DataType.text, isValid: () => true });
+    mem.public.registerFunction({
+      name: 'cosine_distance',
+      args: [mem.public.getType('vector'), mem.public.getType('vector')],
+      returns: DataType.float,
+      implementation: cosineDistance,
+    });
+    const Pool = withVectorOperator(mem.adapters.createPg().Pool);
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE generated_content (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        meta_description TEXT,
+        body TEXT,
+        keyword VARCHAR(255),
+        locale VARCHAR(10),
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        details JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE content_embeddings (
+        content_id INTEGER PRIMARY KEY REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        embedding VECTOR NOT NULL,
+        model VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE content_similarity_pairs (
+        content_id INTEGER NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+        other_id INTEGER NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        similarity REAL NOT NULL,
+        PRIMARY KEY (content_id, other_id)
+      );
+    `);
+
+    const hashed = await bcrypt.hash('SimilarPass!123', 10);
+    const users = await db.query(
+      `INSERT INTO users (username, email, password)
+       VALUES ($1, $2, $3), ($4, $5, $3)
+       RETURNING id`,
+      ['similar-user', 'similar@example.com', hashed, 'similar-other', 'similar-other@example.com']
+    );
+    userId = users.rows[0].id;
+    otherUserId = users.rows[1].id;
+
+    const articles = [
+      ['lockGuide', userId, '智能门锁选购指南', '智能门锁', [1, 0, 0]],
+      ['lockTips', userId, '智能门锁怎么选', '智能门锁推荐', [0.98, 0.05, 0]],
+      ['lockBuying', userId, '2026 智能门锁购买攻略', '智能门锁购买', [0.96, 0.1, 0.02]],
+      ['cameraGuide', userId, '家用摄像头选购', '家用摄像头', [0, 1, 0]],
+      ['cameraTips', userId, '摄像头安装要点', '摄像头安装', [0.05, 0.97, 0]],
+      ['kettle', userId, '电水壶清洁方法', '电水壶', [0, 0, 1]],
+      ['otherLock', otherUserId, '智能门锁评测', '智能门锁', [1, 0, 0]],
+    ];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [key, ownerId, title, keyword, vector] of articles) {
+      // eslint-disable-next-line no-await-in-loop
+      const inserted = await db.query(
+        'INSERT INTO generated_content (user_id, title, body, keyword) VALUES ($1, $2, $3, $4) RETURNING id',
+        [ownerId, title, `## ${title}\n\n正文`, keyword]
+      );
+      contentIds[key] = inserted.rows[0].id;
+      // eslint-disable-next-line no-await-in-loop
+      await saveContentEmbedding(db, { contentId: inserted.rows[0].id, userId: ownerId, vector });
+    }
+
+    app = createApp();
+    const login = async (email) =>
+      (await request(app).post('/api/auth/login').send({ email, password: 'SimilarPass!123' })).body.token;
+    token = await login('similar@example.com');
+    otherToken = await login('similar-other@example.com');
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  afterEach(() => {
+    embedText.mockReset();
+  });
+
+  it('groups overlapping pairs into single-link clusters', () => {
+    const clusters = clusterSimilarPairs([
+      { contentId: 1, otherId: 2, similarity: 0.95 },
+      { contentId: 7, otherId: 8, similarity: 0.99 },
+      { contentId: 2, otherId: 5, similarity: 0.91 },
+    ]);
+    expect(clusters).toEqual([
+      {
+        contentIds: [1, 2, 5],
+        maxSimilarity: 0.95,
+        pairs: [
+          { contentId: 1, otherId: 2, similarity: 0.95 },
+          { contentId: 2, otherId: 5, similarity: 0.91 },
+        ],
+      },
+      { contentIds: [7, 8], maxSimilarity: 0.99, pairs: [{ contentId: 7, otherId: 8, similarity: 0.99 }] },
+    ]);
+  });
+
+  it('warns when a new article reaches the duplicate threshold of existing ones', async () => {
+    embedText.mockResolvedValueOnce([0.99, 0.02, 0]);
+    const { vector, report } = await checkContentSimilarity(
+      { title: '智能门锁推荐', meta_description: '选购要点', body: '## 锁芯\n\nC 级锁芯更安全。' },
+      { userId, jobId: 'job-1', threshold: 0.95 }
+    );
+
+    expect(embedText).toHaveBeenCalledWith('智能门锁推荐\n选购要点\n锁芯 C 级锁芯更安全。', {
+      userId,
+      jobId: 'job-1',
+      feature: 'content_embedding',
+    });
+    expect(vector).toEqual([0.99, 0.02, 0]);
+    expect(report).toMatchObject({ status: 'checked', threshold: 0.95, warning: true });
+    expect(report.matches.slice(0, 3).map((match) => [match.contentId, match.duplicate])).toEqual([
+      [contentIds.lockGuide, true],
+      [contentIds.lockTips, true],
+      [contentIds.lockBuying, true],
+    ]);
+    expect(report.matches.map((match) => match.contentId)).not.toContain(contentIds.otherLock);
+    expect(report.topSimilarity).toBeGreaterThan(0.99);
+
+    embedText.mockResolvedValueOnce(null);
+    const failed = await checkContentSimilarity({ title: '电水壶', body: '' }, { userId });
+    expect(failed).toEqual({ vector: null, report: { status: 'failed', reason: 'embedding_failed' } });
+  });
+
+  it('lists clusters of the owner articles and their closest matches', async () => {
+    const res = await request(app).get('/api/content/clusters?threshold=0.9').set('x-auth-token', token).expect(200);
+    expect(res.body).toMatchObject({ threshold: 0.9, total: 2, truncated: false });
+    expect(res.body.clusters.map((cluster) => [cluster.id, cluster.size])).toEqual([
+      [1, 3],
+      [2, 2],
+    ]);
+    expect(res.body.clusters[0].items.map((item) => item.id)).toEqual([
+      contentIds.lockGuide,
+      contentIds.lockTips,
+      contentIds.lockBuying,
+    ]);
+    expect(res.body.clusters[0].items[0]).toMatchObject({ title: '智能门锁选购指南', keyword: '智能门锁', status: 'draft' });
+    expect(res.body.clusters[0].pairs[0].contentIds).toEqual([contentIds.lockGuide, contentIds.lockTips]);
+    expect(res.body.clusters[1].items.map((item) => item.id)).toEqual([contentIds.cameraGuide, contentIds.cameraTips]);
+
+    const other = await request(app).get('/api/content/clusters').set('x-auth-token', otherToken).expect(200);
+    expect(other.body).toMatchObject({ total: 0, clusters: [] });
+
+    await request(app).get('/api/content/clusters?threshold=0.2').set('x-auth-token', token).expect(400);
+    await request(app).get('/api/content/clusters?threshold=abc').set('x-auth-token', token).expect(400);
+
+    const similar = await request(app)
+      .get(`/api/content/${contentIds.cameraGuide}/similar?limit=2`)
+      .set('x-auth-token', token)
+      .expect(200);
+    expect(similar.body).toMatchObject({ contentId: contentIds.cameraGuide, embedded: true });
+    expect(similar.body.matches.map((match) => [match.id, match.duplicate])).toEqual([
+      [contentIds.cameraTips, true],
+      [contentIds.lockBuying, false],
+    ]);
+
+    await request(app).get(`/api/content/${contentIds.otherLock}/similar`).set('x-auth-token', token).expect(404);
+  });
+
+  it('keeps the saved neighbour pairs in step when an article is embedded again', async () => {
+    const pairsOf = async (contentId) =>
+      (
+        await db.query(
+          'SELECT content_id, other_id FROM content_similarity_pairs WHERE content_id = $1 OR other_id = $1',
+          [contentId]
+        )
+      ).rows;
+    expect(await pairsOf(contentIds.otherLock)).toEqual([]);
+    expect(await pairsOf(contentIds.kettle)).toEqual([]);
+
+    await saveContentEmbedding(db, { contentId: contentIds.kettle, userId, vector: [0.02, 0.99, 0.05] });
+    expect((await pairsOf(contentIds.kettle)).map((pair) => [pair.content_id, pair.other_id])).toEqual(
+      expect.arrayContaining([
+        [contentIds.cameraGuide, contentIds.kettle],
+        [contentIds.cameraTips, contentIds.kettle],
+      ])
+    );
+    const clustered = await request(app).get('/api/content/clusters?threshold=0.9').set('x-auth-token', token).expect(200);
+    expect(clustered.body.clusters.map((cluster) => cluster.items.map((item) => item.id))).toEqual([
+      [contentIds.lockGuide, contentIds.lockTips, contentIds.lockBuying],
+      [contentIds.cameraGuide, contentIds.cameraTips, contentIds.kettle],
+    ]);
+
+    await saveContentEmbedding(db, { contentId: contentIds.kettle, userId, vector: [0, 0, 1] });
+    expect(await pairsOf(contentIds.kettle)).toEqual([]);
+    const restored = await request(app).get('/api/content/clusters?threshold=0.9').set('x-auth-token', token).expect(200);
+    expect(restored.body.clusters.map((cluster) => cluster.size)).toEqual([3, 2]);
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../utils/aiProvider', () => ({
+  ...jest.requireActual('../utils/aiProvider'),
+  requestChatCompletion: jest.fn(),
+}));
+
+const { requestChatCompletion } = require('../utils/aiProvider');
+const { factCheckContent } = require('../utils/factCheck');
+
+const content = {
+  title: '智能门锁选购指南',
+  body: ['## 锁芯', '安居 S1 采用 B 级锁芯 [S1]。', '## 续航', '电池续航 12 个月，支持 Type-C 应急供电。'].join('\n\n'),
+};
+
+const knowledgeFor = (queryText) => {
+  if (queryText.includes('锁芯')) {
+    return {
+      content: '[S1] 安居 S1 采用 C 级锁芯，可抵御技术开启。',
+      snippets: [{ documentId: 3, documentName: 'specs.pdf', chunkIndex: 0, citationId: 'S1', preview: '安居 S1 采用 C 级锁芯' }],
+    };
+  }
+  if (queryText.includes('续航')) {
+    return {
+      content: '[S2] 标配 8 节 5 号电池，续航约 12 个月。',
+      snippets: [{ documentId: 3, documentName: 'specs.pdf', chunkIndex: 2, citationId: 'S2', preview: '续航约 12 个月' }],
+    };
+  }
+  return { content: '', snippets: [] };
+};
+
+describe('Fact check', () => {
+  afterEach(() => {
+    requestChatCompletion.mockReset();
+  });
+
+  it('labels each extracted claim against the chunks retrieved for it', async () => {
+    requestChatCompletion
+      .mockResolvedValueOnce({
+        content: JSON.stringify({
+          claims: [
+            { text: '安居 S1 采用 B 级锁芯 [S1]。', paragraph: 1 },
+            { text: '电池续航 12 个月。', paragraph: 3 },
+            { text: '支持 Type-C 应急供电。', paragraph: 3 },
+            { text: '电池续航 12 个月。', paragraph: 3 },
+          ],
+        }),
+      })
+      .mockResolvedValueOnce({
+        content: JSON.stringify({
+          results: [
+            { id: 'C1', verdict: 'contradicted', evidence: ['S1', 'S9'], explanation: '资料写明为 C 级锁芯。' },
+            { id: 'C2', verdict: 'supported', evidence: ['S2'], explanation: '资料写明续航约 12 个月。' },
+          ],
+        }),
+      });
+    const retrieveEvidence = jest.fn(async (queryText) => knowledgeFor(queryText));
+
+    const report = await factCheckContent(content, { keyword: '智能门锁', locale: 'zh-CN', retrieveEvidence });
+
+    expect(retrieveEvidence.mock.calls.map(([query]) => query)).toEqual([
+      '安居 S1 采用 B 级锁芯。',
+      '电池续航 12 个月。',
+      '支持 Type-C 应急供电。',
+    ]);
+    const verificationPrompt = requestChatCompletion.mock.calls[1][0].prompt;
+    expect(verificationPrompt).toContain('### C2\n陈述：电池续航 12 个月。\n知识库片段：\n[S2] 标配 8 节 5 号电池');
+    expect(verificationPrompt).not.toContain('### C3');
+
+    expect(report).toMatchObject({
+      status: 'completed',
+      flagged: true,
+      summary: { total: 3, supported: 1, contradicted: 1, unverified: 1 },
+    });
+    expect(report.claims).toEqual([
+      {
+        id: 'C1',
+        text: '安居 S1 采用 B 级锁芯。',
+        paragraph: 1,
+        verdict: 'contradicted',
+        explanation: '资料写明为 C 级锁芯。',
+        evidence: [{ id: 'S1', documentId: 3, documentName: 'specs.pdf', chunkIndex: 0, preview: '安居 S1 采用 C 级锁芯' }],
+        retrievedSnippets: 1,
+      },
+      expect.objectContaining({ id: 'C2', verdict: 'supported', evidence: [expect.objectContaining({ id: 'S2' })] }),
+      expect.objectContaining({ id: 'C3', verdict: 'unverified', explanation: null, evidence: [], retrievedSnippets: 0 }),
+    ]);
+  });
+
+  it('reports a failed check instead of throwing', async () => {
+    requestChatCompletion.mockRejectedValueOnce(new Error('upstream timeout'));
+
+    const report = await factCheckContent(content, { retrieveEvidence: jest.fn() });
+
+    expect(report).toMatchObject({
+      status: 'failed',
+      flagged: false,
+      error: 'upstream timeout',
+      summary: { total: 0, supported: 0, contradicted: 0, unverified: 0 },
+      claims: [],
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { buildFallbackContent } = require('../utils/fallbackContent');
+
+const rule = {
+  rule_name: '门锁评测',
+  source_settings: { brand_name: '安居', campaign_name: '双十一' },
+  style_settings: { target_audience: '新房业主', call_to_action: '立即预约安居门店免费上门测量。' },
+  seo_settings: {
+    outline: [{ title: '选购要点', objective: '说明指纹模组与锁芯等级。' }, { title: '安装须知' }],
+    meta_description_length: 20,
+  },
+  ranking_settings: {
+    enabled: true,
+    title: '2024 智能门锁推荐',
+    primary_position: 1,
+    items: [
+      { index: 2, name: '品牌B', highlight: '性价比高' },
+      { index: 1, name: '安居 S1', highlight: '3D 人脸识别' },
+    ],
+  },
+};
+
+describe('Fallback content', () => {
+  it('fills the rule outline, brand context, ranking, CTA and knowledge excerpts in the rule language', () => {
+    const content = buildFallbackContent({
+      keyword: '智能门锁',
+      rule,
+      knowledgeBaseContent: 'ignored when snippets exist',
+      snippets: [
+        { documentId: 1, chunkIndex: 0, preview: 'C 级锁芯可抵御技术开启。' },
+        { documentId: 1, chunkIndex: 3, citationId: 'S2', preview: '安装前需确认门厚与开向。' },
+      ],
+      selectedImages: [{ id: 9 }],
+      locale: 'zh-CN',
+    });
+
+    expect(content.title).toBe('智能门锁完全指南');
+    expect(content.meta_description).toHaveLength(20);
+    const sections = content.body.split('\n\n');
+    expect(sections).toEqual([
+      '- 品牌：安居\n- 活动/场景：双十一\n- 目标受众：新房业主',
+      '## 选购要点',
+      '说明指纹模组与锁芯等级。',
+      '> 参考资料：C 级锁芯可抵御技术开启。',
+      '## 视觉参考',
+      '插入以下图片：',
+      '[IMAGE_1]',
+      '## 安装须知',
+      '围绕“安装须知”展开，说明它与智能门锁的关系，并补充具体案例或数据。',
+      '> 参考资料：安装前需确认门厚与开向。 [S2]',
+      '## 2024 智能门锁推荐',
+      '1. **安居 S1**（首推） — 3D 人脸识别\n2. **品牌B** — 性价比高',
+      '## 下一步行动',
+      '立即预约安居门店免费上门测量。',
+    ]);
+    expect(content.details).toMatchObject({
+      appliedRule: '门锁评测',
+      fallbackLocale: 'zh-CN',
+      outlineSections: 2,
+      knowledgeExcerpts: 2,
+      rankingIncluded: true,
+      callToActionIncluded: true,
+    });
+  });
+
+  it('falls back to the localized default sections and splits raw knowledge text', () => {
+    const content = buildFallbackContent({
+      keyword: 'smart locks',
+      rule: {
+        rule_name: 'Reviews',
+        ranking_settings: { enabled: true, auto_generate: true, primary_position: 2 },
+        source_settings: { brand_name: 'Acme' },
+      },
+      knowledgeBaseContent: '## guide.pdf\nGrade C cylinders resist picking.\n\nCheck the door thickness first.',
+      locale: 'en',
+    });
+
+    expect(content.title).toBe('Essential Guide to smart locks');
+    expect(content.body).toContain('## Why smart locks Matters');
+    expect(content.body).toContain('> Source: Grade C cylinders resist picking.');
+    expect(content.body).toContain('> Source: Check the door thickness first.');
+    expect(content.body).not.toContain('guide.pdf');
+    expect(content.body).toContain('## Top Picks\n\nList at least 4 recommendations with Acme at position 2');
+    expect(content.body).toMatch(/## Next Steps\n\nOffer a clear call to action/);
+    expect(content.details).toMatchObject({ outlineSections: 0, knowledgeExcerpts: 2, callToActionIncluded: false });
+  });
+});
@@ -0,0 +1,100 @@
+const { UnrecoverableError } = require('bullmq');
+const { MemoryQueue } = require('../utils/memoryQueue');
+
+const waitFor = (events, event) => new Promise((resolve) => events.once(event, resolve));
+
+describe('In-memory content queue', () => {
+  const queues = [];
+  const createQueue = (processor, options = {}) => {
+    const queue = new MemoryQueue('content-generation', {
+      processor,
+      concurrency: 1,
+      defaultJobOptions: { attempts: 3, backoff: { type: 'exponential', delay: 0 } },
+      ...options,
+    });
+    queues.push(queue);
+    return queue;
+  };
+
+  afterEach(async () => {
+    await Promise.all(queues.splice(0).map((queue) => queue.close()));
+  });
+
+  it('runs jobs in process and reports progress and results like BullMQ', async () => {
+    const queue = createQueue(async (job) => {
+      await job.updateProgress({ stage: 'generating', percent: 50 });
+      return { id: 7, keyword: job.data.keyword };
+    });
+    const progress = jest.fn();
+    queue.events.on('progress', progress);
+
+    const job = await queue.add('generate-content', { keyword: '智能门锁', userId: 1 });
+    const completed = waitFor(queue.events, `completed:${job.id}`);
+    expect(await job.getState()).toBe('waiting');
+
+    await expect(completed).resolves.toMatchObject({ jobId: job.id, returnvalue: { id: 7, keyword: '智能门锁' } });
+    expect(progress).toHaveBeenCalledWith({ jobId: job.id, data: { stage: 'generating', percent: 50 } });
+
+    const fetched = await queue.getJob(job.id);
+    expect(await fetched.getState()).toBe('completed');
+    expect(fetched).toMatchObject({ attemptsMade: 1, returnvalue: { id: 7 }, progress: { percent: 50 } });
+    expect(fetched.finishedOn).toEqual(expect.any(Number));
+    expect(await queue.getJobs(['completed'], 0, 10)).toEqual([fetched]);
+    expect(await queue.getJobCounts('completed', 'failed')).toEqual({ completed: 1, failed: 0 });
+  });
+
+  it('retries failures up to the configured attempts and stops on unrecoverable errors', async () => {
+    let calls = 0;
+    const queue = createQueue(async (job) => {
+      calls += 1;
+      if (job.data.fatal) {
+        throw new UnrecoverableError('Job cancelled by user.');
+      }
+      throw new Error('AI provider timed out');
+    });
+
+    const flaky = await queue.add('generate-content', { keyword: 'retry' });
+    const failed = await waitFor(queue.events, `failed:${flaky.id}`);
+    expect(failed).toMatchObject({ failedReason: 'AI provider timed out' });
+    expect(calls).toBe(3);
+    expect(flaky.attemptsMade).toBe(3);
+
+    const fatal = await queue.add('generate-content', { keyword: 'cancel', fatal: true });
+    await waitFor(queue.events, `failed:${fatal.id}`);
+    expect(calls).toBe(4);
+    expect(await fatal.getState()).toBe('failed');
+
+    await fatal.updateData({ keyword: 'cancel', fatal: false });
+    await fatal.retry('failed');
+    await waitFor(queue.events, `failed:${fatal.id}`);
+    expect(calls).toBe(6);
+    expect(fatal.attemptsMade).toBe(3);
+    expect(fatal.failedReason).toBe('AI provider timed out');
+  });
+
+  it('removes waiting jobs before they run and refuses to remove active ones', async () => {
+    let release;
+    const processor = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          release = resolve;
+        })
+    );
+    const queue = createQueue(processor);
+
+    const active = await queue.add('generate-content', { keyword: 'first' });
+    const waiting = await queue.add('generate-content', { keyword: 'second' });
+    await waitFor(queue.events, `active:${active.id}`);
+
+    await expect(active.remove()).rejects.toThrow('being processed');
+    await waiting.remove();
+    expect(await queue.getJob(waiting.id)).toBeNull();
+    expect(await waiting.getState()).toBe('unknown');
+
+    const completed = waitFor(queue.events, `completed:${active.id}`);
+    release({ id: 1 });
+    await completed;
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(processor).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,252 @@
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { createApp } = require('../app');
+const db = require('../db');
+const { contentQueue } = require('../queue');
+const { reserveQuota, releaseQuota } = require('../utils/quotas');
+
+describe('Plans and quotas', () => {
+  let app;
+  let pool;
+  let userId;
+  let userToken;
+  let adminToken;
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    const { Pool } = mem.adapters.createPg();
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE plans (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(40) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        plan_id INTEGER REFERENCES plans(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE user_quota_overrides (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        monthly_generations INTEGER,
+        monthly_tokens BIGINT,
+        monthly_keyword_expansions INTEGER,
+        storage_bytes BIGINT,
+        max_documents INTEGER,
+        note TEXT,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE usage_counters (
+        user_id INTEGER NOT NULL,
+        metric VARCHAR(40) NOT NULL,
+        period_start DATE NOT NULL,
+        amount BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, metric, period_start)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE ai_usage (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE documents (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER,
+        file_size BIGINT NOT NULL DEFAULT 0
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE images (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER,
+        file_size BIGINT NOT NULL DEFAULT 0
+      );
+    `);
+
+    await pool.query(`
+      INSERT INTO plans (code, name, monthly_generations, monthly_tokens, monthly_keyword_expansions, storage_bytes, max_documents, is_default)
+      VALUES ('free', 'Free', 2, 1000, 5, 1000, 3, true)
+    `);
+
+    const hashed = await bcrypt.hash('PlanPass!123', 10);
+    const inserted = await db.query(
+      `INSERT INTO users (username, email, password, role)
+       VALUES ($1, $2, $3, 'user'), ($4, $5, $3, 'admin')
+       RETURNING id`,
+      ['plan-user', 'plan@example.com', hashed, 'plan-admin', 'plan-admin@example.com']
+    );
+    userId = inserted.rows[0].id;
+
+    app = createApp();
+    const login = async (email) =>
+      (await request(app).post('/api/auth/login').send({ email, password: 'PlanPass!123' })).body.token;
+    userToken = await login('plan@example.com');
+    adminToken = await login('plan-admin@example.com');
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  it('reports the default plan allowance and measures stored usage', async () => {
+    await db.query('INSERT INTO ai_usage (user_id, total_tokens) VALUES ($1, 400)', [userId]);
+    await db.query('INSERT INTO documents (user_id, file_size) VALUES ($1, 300)', [userId]);
+    await db.query('INSERT INTO images (user_id, file_size) VALUES ($1, 200)', [userId]);
+
+    const res = await request(app).get('/api/plans/me/quota').set('x-auth-token', userToken).expect(200);
+    expect(res.body.plan).toMatchObject({ code: 'free' });
+    expect(res.body.usage).toEqual({
+      generations: 0,
+      tokens: 400,
+      keyword_expansions: 0,
+      storage_bytes: 500,
+      documents: 1,
+    });
+    expect(res.body.remaining).toMatchObject({ generations: 2, tokens: 600, storage_bytes: 500, documents: 2 });
+  });
+
+  it('rejects generations beyond the monthly allowance with the remaining quota', async () => {
+    const payload = { keyword: 'quota', ruleId: 1 };
+    const queued = () => ({ id: 'quota-job', updateProgress: jest.fn() });
+    contentQueue.add.mockResolvedValueOnce(queued()).mockResolvedValueOnce(queued());
+    contentQueue.add.mockClear();
+
+    await request(app).post('/api/content/generate').set('x-auth-token', userToken).send(payload).expect(202);
+    await request(app).post('/api/content/generate').set('x-auth-token', userToken).send(payload).expect(202);
+    const rejected = await request(app)
+      .post('/api/content/generate')
+      .set('x-auth-token', userToken)
+      .send(payload)
+      .expect(429);
+
+    expect(contentQueue.add).toHaveBeenCalledTimes(2);
+    expect(rejected.body.quota).toMatchObject({
+      metric: 'generations',
+      plan: 'free',
+      limit: 2,
+      used: 2,
+      remaining: 0,
+    });
+    expect(rejected.body.quota.resetsAt).toEqual(expect.any(String));
+  });
+
+  it('books counted quotas when reserving and gives back what was not used', async () => {
+    const attempts = await Promise.allSettled(
+      Array.from({ length: 7 }, () => reserveQuota(userId, { keyword_expansions: 1, tokens: 0 }))
+    );
+    const reserved = attempts.filter((attempt) => attempt.status === 'fulfilled').map((attempt) => attempt.value);
+    expect(reserved).toHaveLength(5);
+    expect(attempts.filter((attempt) => attempt.status === 'rejected')[0].reason).toMatchObject({
+      statusCode: 429,
+      details: { quota: expect.objectContaining({ metric: 'keyword_expansions', limit: 5, remaining: 0 }) },
+    });
+
+    await releaseQuota(reserved[0]);
+    await releaseQuota(reserved[0]);
+    const quota = await request(app).get('/api/plans/me/quota').set('x-auth-token', userToken).expect(200);
+    expect(quota.body.usage.keyword_expansions).toBe(4);
+
+    contentQueue.add.mockRejectedValueOnce(new Error('redis down'));
+    const generations = quota.body.usage.generations;
+    await db.query('UPDATE plans SET monthly_generations = monthly_generations + 1');
+    await request(app)
+      .post('/api/content/generate')
+      .set('x-auth-token', userToken)
+      .send({ keyword: 'quota', ruleId: 1 })
+      .expect(500);
+    await db.query('UPDATE plans SET monthly_generations = monthly_generations - 1');
+    const afterFailure = await request(app).get('/api/plans/me/quota').set('x-auth-token', userToken).expect(200);
+    expect(afterFailure.body.usage.generations).toBe(generations);
+  });
+
+  it('lets admins manage plans, assignments and overrides', async () => {
+    await request(app)
+      .post('/api/plans')
+      .set('x-auth-token', userToken)
+      .send({ code: 'pro', name: 'Pro' })
+      .expect(403);
+
+    const created = await request(app)
+      .post('/api/plans')
+      .set('x-auth-token', adminToken)
+      .send({ code: 'pro', name: 'Pro', monthly_generations: 10, monthly_tokens: 100000 })
+      .expect(201);
+    expect(created.body).toMatchObject({ code: 'pro', monthly_generations: 10, storage_bytes: null });
+
+    await request(app)
+      .post('/api/plans')
+      .set('x-auth-token', adminToken)
+      .send({ code: 'pro', name: 'Duplicate' })
+      .expect(400);
+
+    const assigned = await request(app)
+      .put(`/api/plans/users/${userId}`)
+      .set('x-auth-token', adminToken)
+      .send({ plan_id: created.body.id })
+      .expect(200);
+    expect(assigned.body.plan).toMatchObject({ code: 'pro' });
+    expect(assigned.body.remaining).toMatchObject({ generations: 8, storage_bytes: null });
+
+    const overridden = await request(app)
+      .put(`/api/plans/users/${userId}/override`)
+      .set('x-auth-token', adminToken)
+      .send({ monthly_generations: 2, note: 'trial cap' })
+      .expect(200);
+    expect(overridden.body.limits.generations).toBe(2);
+    expect(overridden.body.override).toMatchObject({ note: 'trial cap' });
+
+    await request(app)
+      .post('/api/content/generate')
+      .set('x-auth-token', userToken)
+      .send({ keyword: 'quota', ruleId: 1 })
+      .expect(429);
+
+    await request(app).delete(`/api/plans/users/${userId}/override`).set('x-auth-token', adminToken).expect(200);
+    const status = await request(app)
+      .get(`/api/plans/users/${userId}/quota`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(status.body.limits.generations).toBe(10);
+    expect(status.body.override).toBeNull();
+
+    const free = (await request(app).get('/api/plans').set('x-auth-token', userToken).expect(200)).body.find(
+      (plan) => plan.code === 'free'
+    );
+    await request(app).delete(`/api/plans/${free.id}`).set('x-auth-token', adminToken).expect(400);
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { createApp } = require('../app');
+const db = require('../db');
+const { DEFAULT_PROMPT_TEMPLATE } = require('../utils/promptTemplates');
+
+describe('Prompt templates API', () => {
+  let app;
+  let token;
+  let pool;
+  let ruleId;
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    const { Pool } = mem.adapters.createPg();
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE prompt_templates (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        template TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE generation_rules (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        rule_name VARCHAR(255) NOT NULL,
+        source_settings JSONB,
+        style_settings JSONB,
+        seo_settings JSONB,
+        media_settings JSONB,
+        ranking_settings JSONB,
+        schema_config JSONB,
+        generation_mode VARCHAR(20) NOT NULL DEFAULT 'single',
+        prompt_template_id INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL,
+        locale VARCHAR(10),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const hashed = await bcrypt.hash('PromptPass!123', 10);
+    await db.query('INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4)', [
+      'prompt-user',
+      'prompt@example.com',
+      hashed,
+      'user',
+    ]);
+
+    app = createApp();
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'prompt@example.com', password: 'PromptPass!123' });
+    token = loginRes.body.token;
+
+    const ruleRes = await request(app)
+      .post('/api/rules')
+      .set('x-auth-token', token)
+      .send({
+        rule_name: 'Smart lock rule',
+        source_settings: { brand_name: 'SafeHome' },
+        seo_settings: { target_keywords: ['智能门锁'] },
+      })
+      .expect(200);
+    ruleId = ruleRes.body.id;
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  it('starts new templates from the shipped default and rejects unknown variables', async () => {
+    const defaultRes = await request(app).get('/api/prompt-templates/default').set('x-auth-token', token).expect(200);
+    expect(defaultRes.body.template).toBe(DEFAULT_PROMPT_TEMPLATE);
+    expect(Object.keys(defaultRes.body.variables)).toEqual(
+      expect.arrayContaining(['brand', 'audience', 'seo', 'outline', 'references', 'ranking', 'images', 'knowledge', 'schema'])
+    );
+
+    const created = await request(app)
+      .post('/api/prompt-templates')
+      .set('x-auth-token', token)
+      .send({ name: 'Copy of default' })
+      .expect(201);
+    expect(created.body.template).toBe(DEFAULT_PROMPT_TEMPLATE);
+
+    const rejected = await request(app)
+      .post('/api/prompt-templates')
+      .set('x-auth-token', token)
+      .send({ name: 'Broken', template: '写一篇关于 {{keyword}} 的文章，参考 {{competitors}}' })
+      .expect(400);
+    expect(rejected.body.error).toContain('competitors');
+  });
+
+  it('lets a rule reference a template and previews it against the rule', async () => {
+    const created = await request(app)
+      .post('/api/prompt-templates')
+      .set('x-auth-token', token)
+      .send({ name: 'Short', template: '主题：{{keyword}}\n{{brand}}\n{{seo}}\n资料：{{knowledge}}' })
+      .expect(201);
+
+    const assigned = await request(app)
+      .put(`/api/rules/${ruleId}`)
+      .set('x-auth-token', token)
+      .send({ prompt_template_id: created.body.id })
+      .expect(200);
+    expect(assigned.body.prompt_template_id).toBe(created.body.id);
+
+    const preview = await request(app)
+      .post('/api/prompt-templates/preview')
+      .set('x-auth-token', token)
+      .send({ ruleId, keyword: '智能门锁推荐', knowledgeSample: '指纹识别平均耗时 0.5 秒。' })
+      .expect(200);
+    expect(preview.body.template).toEqual({ id: created.body.id, name: 'Short', isDefault: false });
+    expect(preview.body.prompt.startsWith('主题：智能门锁推荐\n- 品牌：SafeHome\n')).toBe(true);
+    expect(preview.body.prompt).toContain('\n资料：指纹识别平均耗时 0.5 秒。\n\n**输出语言**\n');
+    expect(preview.body.prompt.endsWith('必须使用简体中文（zh-CN）撰写，语言需与目标受众匹配。')).toBe(true);
+    expect(preview.body.locale).toBe('zh-CN');
+    expect(preview.body.prompt).toContain('必须覆盖的核心关键词：智能门锁');
+    expect(preview.body.variables.unused).toEqual(
+      expect.arrayContaining(['audience', 'outline', 'references', 'ranking', 'images', 'schema'])
+    );
+
+    const reset = await request(app)
+      .put(`/api/rules/${ruleId}`)
+      .set('x-auth-token', token)
+      .send({ prompt_template_id: null })
+      .expect(200);
+    expect(reset.body.prompt_template_id).toBeNull();
+
+    const defaultPreview = await request(app)
+      .post('/api/prompt-templates/preview')
+      .set('x-auth-token', token)
+      .send({ ruleId, keyword: '智能门锁推荐' })
+      .expect(200);
+    expect(defaultPreview.body.template.isDefault).toBe(true);
+    expect(defaultPreview.body.prompt).toContain('请围绕 "智能门锁推荐" 生成高质量的营销文章');
+    expect(defaultPreview.body.prompt).not.toMatch(/\{\{\s*\w+\s*\}\}/);
+  });
+
+  it('refuses to attach another user\'s template to a rule', async () => {
+    await request(app)
+      .put(`/api/rules/${ruleId}`)
+      .set('x-auth-token', token)
+      .send({ prompt_template_id: 9999 })
+      .expect(400);
+  });
+});
@@ -39,6 +39,9 @@ describe('Generation Rules Schema Config', () => {
         media_settings JSONB,
         ranking_settings JSONB,
         schema_config JSONB,
+        generation_mode VARCHAR(20) NOT NULL DEFAULT 'single',
+        prompt_template_id INTEGER,
+        locale VARCHAR(10),
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
     `);
@@ -129,6 +132,29 @@ describe('Generation Rules Schema Config', () => {
     expect(updateRes.body.schema_config.customFields).toMatchObject({ faqCount: 3 });
   });
 
+  it('stores the generation mode on rules', async () => {
+    const createRes = await request(app)
+      .post('/api/rules')
+      .set('x-auth-token', token)
+      .send({ rule_name: 'Mode Rule', seo_settings: {} })
+      .expect(200);
+    expect(createRes.body.generation_mode).toBe('single');
+
+    const updateRes = await request(app)
+      .put(`/api/rules/${createRes.body.id}`)
+      .set('x-auth-token', token)
+      .send({ generation_mode: 'sectioned' })
+      .expect(200);
+    expect(updateRes.body.generation_mode).toBe('sectioned');
+    expect(updateRes.body.rule_name).toBe('Mode Rule');
+
+    await request(app)
+      .put(`/api/rules/${createRes.body.id}`)
+      .set('x-auth-token', token)
+      .send({ generation_mode: 'parallel' })
+      .expect(400);
+  });
+
   it('returns schema payload for generated content', async () => {
     const schemaPayload = {
       types: ['Product'],
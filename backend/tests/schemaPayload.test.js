@@ -0,0 +1,118 @@
+const { validateSchemaPayloads, applyInLanguage, buildJsonLdDocuments } = require('../utils/schemaPayload');
+
+describe('Schema payload helpers', () => {
+  const templates = {
+    Product: {
+      type: 'Product',
+      jsonSchema: {
+        type: 'object',
+        required: ['name', 'offers'],
+        properties: {
+          name: { type: 'string' },
+          url: { type: 'string', format: 'uri' },
+          offers: {
+            type: 'object',
+            required: ['price'],
+            properties: { price: { type: 'number' } },
+          },
+        },
+      },
+    },
+    FAQ: { type: 'FAQPage' },
+  };
+
+  it('reports field-level errors per schema type', () => {
+    const result = validateSchemaPayloads(
+      {
+        Product: { url: 'not a url', offers: { price: '99' } },
+        FAQ: { mainEntity: [] },
+      },
+      templates
+    );
+
+    expect(result.valid).toBe(false);
+    expect(result.validatedTypes).toEqual(['Product']);
+    expect(result.skippedTypes).toEqual(['FAQ']);
+    expect(result.errors.Product.map((error) => [error.field, error.keyword])).toEqual(
+      expect.arrayContaining([
+        ['name', 'required'],
+        ['url', 'format'],
+        ['offers.price', 'type'],
+      ])
+    );
+  });
+
+  it('accepts payloads that satisfy the template', () => {
+    const result = validateSchemaPayloads({ Product: { name: 'Lock', offers: { price: 99 } } }, templates);
+    expect(result).toMatchObject({ valid: true, errors: {} });
+  });
+
+  it('records templates whose jsonSchema cannot be compiled', () => {
+    const result = validateSchemaPayloads(
+      { Product: { name: 'Lock' } },
+      { Product: { jsonSchema: { type: 'no-such-type' } } }
+    );
+    expect(result.errors.Product[0]).toMatchObject({ keyword: 'schema' });
+  });
+
+  it('compiles each template on its own so an edited schema can keep its $id', () => {
+    const template = (required) => ({
+      Product: {
+        jsonSchema: {
+          $id: 'https://example.com/schemas/product',
+          type: 'object',
+          required,
+          properties: { name: { type: 'string' }, sku: { type: 'string' } },
+        },
+      },
+    });
+    const payloads = { Product: { name: 'Lock' } };
+
+    expect(validateSchemaPayloads(payloads, template(['name'])).valid).toBe(true);
+    const edited = validateSchemaPayloads(payloads, template(['name', 'sku']));
+    expect(edited.valid).toBe(false);
+    expect(edited.errors.Product).toEqual([expect.objectContaining({ field: 'sku', keyword: 'required' })]);
+
+    const foreignRef = validateSchemaPayloads(payloads, {
+      Product: { jsonSchema: { $ref: 'https://example.com/schemas/product' } },
+    });
+    expect(foreignRef.errors.Product).toEqual([expect.objectContaining({ keyword: 'schema' })]);
+  });
+
+  it('adds inLanguage only where the schema.org type and the template allow it', () => {
+    const payloads = applyInLanguage(
+      {
+        FAQ: { mainEntity: [] },
+        Product: { name: 'Lock' },
+        Article: { headline: 'Lock', inLanguage: 'en' },
+        Strict: { headline: 'Lock' },
+      },
+      {
+        locale: 'ja',
+        templates: { Strict: { jsonSchema: { type: 'object', additionalProperties: false, properties: { headline: {} } } } },
+        templateTypes: { FAQ: 'FAQPage', Strict: 'Article' },
+      }
+    );
+    expect(payloads).toEqual({
+      FAQ: { mainEntity: [], inLanguage: 'ja' },
+      Product: { name: 'Lock' },
+      Article: { headline: 'Lock', inLanguage: 'en' },
+      Strict: { headline: 'Lock' },
+    });
+  });
+
+  it('fills @context and the template @type for JSON-LD documents', () => {
+    const documents = buildJsonLdDocuments({
+      types: ['FAQ', 'Product'],
+      templateTypes: { FAQ: 'FAQPage' },
+      payloads: {
+        FAQ: { '@context': 'http://schema.org', '@type': 'FAQ', mainEntity: [] },
+        Product: { name: 'Lock' },
+      },
+    });
+    expect(documents).toEqual([
+      { '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: [] },
+      { '@context': 'https://schema.org', '@type': 'Product', name: 'Lock' },
+    ]);
+  });
+});
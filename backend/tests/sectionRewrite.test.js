@@ -0,0 +1,83 @@
+jest.mock('../utils/aiProvider', () => ({
+  ...jest.requireActual('../utils/aiProvider'),
+  requestChatCompletion: jest.fn(),
+}));
+
+const { requestChatCompletion } = require('../utils/aiProvider');
+const { locateSection, rewriteSection } = require('../utils/sectionRewrite');
+
+const body = [
+  '# 智能门锁选购指南',
+  '## 为什么需要智能门锁',
+  '智能门锁让回家更方便。\n\n[IMAGE_1]',
+  '## 安装步骤',
+  '安装步骤非常简单。',
+].join('\n\n');
+
+describe('Section rewrite', () => {
+  afterEach(() => {
+    requestChatCompletion.mockReset();
+  });
+
+  it('locates an H2 section up to the next heading and validates character ranges', () => {
+    const section = locateSection(body, { heading: '## 为什么需要智能门锁 ' });
+    expect(section).toMatchObject({ type: 'heading', heading: '为什么需要智能门锁' });
+    expect(section.text).toBe('## 为什么需要智能门锁\n\n智能门锁让回家更方便。\n\n[IMAGE_1]');
+    expect(body.slice(section.start, section.end)).toBe(section.text);
+
+    expect(locateSection(body, { heading: '智能门锁选购指南' })).toBeNull();
+    expect(locateSection(body, { range: { start: 0, end: 10 } })).toMatchObject({ type: 'range', text: '# 智能门锁选购指南' });
+    expect(locateSection(body, { range: { start: 5, end: body.length + 1 } })).toBeNull();
+  });
+
+  it('splices the rewritten section back, keeps the heading and restores dropped image placeholders', async () => {
+    requestChatCompletion.mockResolvedValueOnce({
+      content: JSON.stringify({ text: '指纹识别可在 0.5 秒内完成开锁，出门无需再带钥匙。' }),
+    });
+    const retrieveKnowledge = jest.fn().mockResolvedValue({
+      content: '指纹识别平均耗时 0.5 秒。',
+      retrievalMode: 'vector',
+      snippets: [{ id: 1 }],
+    });
+
+    const result = await rewriteSection({
+      content: { id: 7, keyword: '智能门锁', body },
+      target: { heading: '为什么需要智能门锁' },
+      instruction: '更具体，加入数据',
+      expectedText: locateSection(body, { heading: '为什么需要智能门锁' }).text,
+      ruleContext: { brand: '- 品牌：SafeHome' },
+      retrieveKnowledge,
+    });
+
+    expect(retrieveKnowledge).toHaveBeenCalledWith('智能门锁 为什么需要智能门锁 更具体，加入数据');
+    const { prompt } = requestChatCompletion.mock.calls[0][0];
+    expect(prompt).toContain('更具体，加入数据');
+    expect(prompt).toContain('指纹识别平均耗时 0.5 秒。');
+    expect(prompt).toContain('品牌：SafeHome');
+
+    expect(result.body).toBe(
+      [
+        '# 智能门锁选购指南',
+        '## 为什么需要智能门锁',
+        '指纹识别可在 0.5 秒内完成开锁，出门无需再带钥匙。',
+        '[IMAGE_1]',
+        '## 安装步骤',
+        '安装步骤非常简单。',
+      ].join('\n\n')
+    );
+    expect(result.section).toMatchObject({ type: 'heading', restoredPlaceholders: ['[IMAGE_1]'] });
+    expect(result.knowledge).toEqual({ retrievalMode: 'vector', snippetCount: 1 });
+  });
+
+  it('refuses to rewrite a section that changed after the request', async () => {
+    await expect(
+      rewriteSection({
+        content: { id: 7, body },
+        target: { heading: '安装步骤' },
+        instruction: '更简短',
+        expectedText: '## 安装步骤\n\n旧内容',
+      })
+    ).rejects.toThrow('Section changed since the rewrite was requested.');
+    expect(requestChatCompletion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../utils/aiProvider', () => ({
+  ...jest.requireActual('../utils/aiProvider'),
+  requestChatCompletion: jest.fn(),
+}));
+
+const { requestChatCompletion } = require('../utils/aiProvider');
+const { generateSectionedContent } = require('../utils/sectionedGeneration');
+
+const ruleContext = {
+  brand: '- 品牌：GEO Lab',
+  audience: '- 目标受众：家庭用户',
+  seo: '- 建议字数：900 ~ 1200 字',
+  references: '无额外参考链接。',
+  ranking: '',
+};
+
+const reply = (payload) => ({ content: JSON.stringify(payload) });
+
+describe('Sectioned generation', () => {
+  afterEach(() => {
+    requestChatCompletion.mockReset();
+  });
+
+  it('writes each rule outline section with its own retrieval and reports progress', async () => {
+    requestChatCompletion
+      .mockResolvedValueOnce(reply({ body: '## 选购要点\n\n关注安全等级。[IMAGE_1]' }))
+      .mockResolvedValueOnce(reply({ body: '关注安装方式。' }))
+      .mockResolvedValueOnce(
+        reply({ title: '智能门锁怎么选', meta_description: '选购指南', schema_payloads: { types: ['FAQ'] } })
+      );
+    const retrieveKnowledge = jest.fn(async (queryText) => ({
+      content: `知识：${queryText}`,
+      retrievalMode: 'vector',
+      snippets: [{ id: 1 }],
+    }));
+    const onProgress = jest.fn();
+    const rule = {
+      seo_settings: {
+        require_h1: true,
+        word_count: { min: 900 },
+        outline: [
+          { title: '选购要点', minimum_words: 600, objective: '安全' },
+          { title: '安装指南' },
+        ],
+      },
+    };
+
+    const result = await generateSectionedContent({
+      keyword: '智能门锁',
+      rule,
+      ruleContext,
+      imageCount: 3,
+      schemaInstructions: '## Schema Block',
+      retrieveKnowledge,
+      onProgress,
+    });
+
+    expect(retrieveKnowledge.mock.calls.map(([query]) => query)).toEqual(['智能门锁 选购要点 安全', '智能门锁 安装指南']);
+    const [firstPrompt, secondPrompt, metaPrompt] = requestChatCompletion.mock.calls.map(([args]) => args.prompt);
+    expect(firstPrompt).toContain('本章节不少于 600 字');
+    expect(firstPrompt).toContain('[IMAGE_1]、[IMAGE_3]');
+    expect(firstPrompt).toContain('知识：智能门锁 选购要点 安全');
+    expect(secondPrompt).toContain('本章节不少于 300 字');
+    expect(secondPrompt).toContain('[IMAGE_2]');
+    expect(metaPrompt).toContain('## Schema Block');
+
+    expect(result.title).toBe('智能门锁怎么选');
+    expect(result.schema_payloads).toEqual({ types: ['FAQ'] });
+    expect(result.body).toBe('# 智能门锁怎么选\n\n## 选购要点\n\n关注安全等级。[IMAGE_1]\n\n## 安装指南\n\n关注安装方式。');
+    expect(result.details.outline).toMatchObject({
+      source: 'rule',
+      sections: [
+        { title: '选购要点', minimumWords: 600, snippetCount: 1, retrievalMode: 'vector' },
+        { title: '安装指南', minimumWords: 300 },
+      ],
+    });
+    expect(onProgress.mock.calls.map(([progress]) => [progress.stage, progress.section || null])).toEqual([
+      ['building_outline', null],
+      ['generating_section', 1],
+      ['generating_section', 2],
+      ['writing_meta', null],
+    ]);
+  });
+
+  it('asks the model for an outline when the rule has none', async () => {
+    requestChatCompletion
+      .mockResolvedValueOnce(reply({ sections: [{ title: '背景' }, { title: '' }] }))
+      .mockResolvedValueOnce(reply({ body: '## 背景\n\n正文' }))
+      .mockResolvedValueOnce(reply({ title: '标题', meta_description: '描述' }));
+
+    const result = await generateSectionedContent({
+      keyword: '智能门锁',
+      rule: { seo_settings: { h2_count: 3 } },
+      ruleContext,
+    });
+
+    expect(requestChatCompletion.mock.calls[0][0].prompt).toContain('输出 3 个左右的章节');
+    expect(result.details.outline.source).toBe('ai');
+    expect(result.details.outline.sections).toHaveLength(1);
+    expect(result.body).toBe('## 背景\n\n正文');
+  });
+
+  it('fails when a section comes back empty', async () => {
+    requestChatCompletion.mockResolvedValueOnce(reply({ body: '' }));
+    await expect(
+      generateSectionedContent({
+        keyword: '智能门锁',
+        rule: { seo_settings: { outline: [{ title: '背景' }] } },
+        ruleContext,
+      })
+    ).rejects.toThrow('empty body for section 1');
+  });
+});
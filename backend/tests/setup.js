@@ -12,5 +12,7 @@ jest.mock('../queue', () => ({
   contentQueue: {
     add: jest.fn().mockResolvedValue({ id: 'test-job' }),
     getJob: jest.fn().mockResolvedValue(null),
+    getJobs: jest.fn().mockResolvedValue([]),
   },
+  queueEvents: new (require('events').EventEmitter)(),
 }));
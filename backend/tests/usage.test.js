@@ -0,0 +1,182 @@
+jest.mock('../utils/aiProvider', () => ({
+  ...jest.requireActual('../utils/aiProvider'),
+  requestChatCompletion: jest.fn(),
+}));
+
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const bcrypt = require('bcryptjs');
+const { createApp } = require('../app');
+const db = require('../db');
+const { config } = require('../config');
+const { requestChatCompletion, extractTokenUsage } = require('../utils/aiProvider');
+const { estimateCost, recordAiUsage, trackChatCompletion } = require('../utils/aiUsage');
+const { createTraceRecorder } = require('../utils/generationTrace');
+
+describe('AI usage accounting', () => {
+  let app;
+  let pool;
+  let userId;
+  let userToken;
+  let adminToken;
+  const originalPriceTable = config.ai.priceTable;
+
+  beforeAll(async () => {
+    const mem = newDb({
+      autoCreateForeignKeyIndices: true,
+    });
+    const { Pool } = mem.adapters.createPg();
+    pool = new Pool();
+    db.setPool(pool);
+
+    await pool.query(`
+      CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE ai_usage (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        job_id VARCHAR(255),
+        rule_id INTEGER,
+        feature VARCHAR(40) NOT NULL,
+        provider VARCHAR(40),
+        model VARCHAR(255),
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        latency_ms INTEGER,
+        estimated_cost NUMERIC(14, 6),
+        currency VARCHAR(10),
+        status VARCHAR(20) NOT NULL DEFAULT 'success',
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const hashed = await bcrypt.hash('UsagePass!123', 10);
+    const inserted = await db.query(
+      `INSERT INTO users (username, email, password, role)
+       VALUES ($1, $2, $3, 'user'), ($4, $5, $3, 'admin')
+       RETURNING id`,
+      ['usage-user', 'usage@example.com', hashed, 'usage-admin', 'usage-admin@example.com']
+    );
+    userId = inserted.rows[0].id;
+
+    app = createApp();
+    const login = async (email) =>
+      (await request(app).post('/api/auth/login').send({ email, password: 'UsagePass!123' })).body.token;
+    userToken = await login('usage@example.com');
+    adminToken = await login('usage-admin@example.com');
+
+    config.ai.priceTable = {
+      'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+      default: { prompt: 1, completion: 2 },
+    };
+  });
+
+  afterAll(async () => {
+    config.ai.priceTable = originalPriceTable;
+    await pool.end();
+  });
+
+  afterEach(() => {
+    requestChatCompletion.mockReset();
+  });
+
+  it('normalizes provider token counts and prices them per million tokens', () => {
+    expect(extractTokenUsage({ usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } })).toEqual({
+      promptTokens: 10,
+      completionTokens: 5,
+      totalTokens: 15,
+    });
+    expect(extractTokenUsage({ usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 3, totalTokenCount: 10 } }))
+      .toEqual({ promptTokens: 7, completionTokens: 3, totalTokens: 10 });
+    expect(extractTokenUsage({ usage: { input_tokens: 4, output_tokens: 6 } }, 'anthropic')).toEqual({
+      promptTokens: 4,
+      completionTokens: 6,
+      totalTokens: 10,
+    });
+    expect(extractTokenUsage({ prompt_eval_count: 2, eval_count: 8 })).toEqual({
+      promptTokens: 2,
+      completionTokens: 8,
+      totalTokens: 10,
+    });
+    expect(extractTokenUsage({ choices: [] })).toBeNull();
+
+    expect(estimateCost('GPT-4o-mini', { promptTokens: 1000000, completionTokens: 500000 })).toBe(0.45);
+    expect(estimateCost('other', { promptTokens: 1000, completionTokens: 1000 })).toBe(0.003);
+    expect(estimateCost('other', { promptTokens: 1000 }, {})).toBeNull();
+  });
+
+  it('records successful and failed calls with the job, rule and feature', async () => {
+    requestChatCompletion.mockResolvedValueOnce({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      content: '{}',
+      usage: { promptTokens: 2000, completionTokens: 1000, totalTokens: 3000 },
+    });
+    requestChatCompletion.mockRejectedValueOnce(new Error('upstream timeout'));
+    const trace = createTraceRecorder();
+    const tracking = { userId, jobId: 42, ruleId: 3, feature: 'content_generation', trace };
+
+    await trackChatCompletion({ prompt: 'hi' }, tracking);
+    await expect(trackChatCompletion({ prompt: 'hi' }, { ...tracking, feature: 'content_repair' })).rejects.toThrow(
+      'upstream timeout'
+    );
+    await recordAiUsage({ userId, feature: 'keyword_expansion', model: 'gpt-4o-mini', usage: { promptTokens: 500 } });
+    await trackChatCompletion({ prompt: 'untracked' });
+
+    const rows = (await db.query('SELECT * FROM ai_usage ORDER BY id ASC')).rows;
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({
+      job_id: '42',
+      rule_id: 3,
+      feature: 'content_generation',
+      prompt_tokens: 2000,
+      completion_tokens: 1000,
+      total_tokens: 3000,
+      currency: 'USD',
+      status: 'success',
+    });
+    expect(Number(rows[0].estimated_cost)).toBeCloseTo(0.0009);
+    expect(rows[1]).toMatchObject({ feature: 'content_repair', status: 'error', error: 'upstream timeout', total_tokens: 0 });
+    expect(rows[2]).toMatchObject({ job_id: null, feature: 'keyword_expansion', total_tokens: 500 });
+    expect(trace.calls).toEqual([
+      expect.objectContaining({ feature: 'content_generation', prompt: 'hi', content: '{}', status: 'success' }),
+      expect.objectContaining({ feature: 'content_repair', status: 'error', error: 'upstream timeout' }),
+    ]);
+  });
+
+  it('aggregates usage for the user and for admins', async () => {
+    const byFeature = await request(app).get('/api/usage').set('x-auth-token', userToken).expect(200);
+    expect(byFeature.body.totals).toMatchObject({ calls: 3, failedCalls: 1, totalTokens: 3500 });
+    expect(byFeature.body.breakdown.map((entry) => [entry.key, entry.calls])).toEqual([
+      ['content_generation', 1],
+      ['content_repair', 1],
+      ['keyword_expansion', 1],
+    ]);
+
+    const job = await request(app).get('/api/usage/jobs/42').set('x-auth-token', userToken).expect(200);
+    expect(job.body.calls).toBe(2);
+    expect(job.body.totals).toMatchObject({ promptTokens: 2000, completionTokens: 1000, totalTokens: 3000 });
+
+    await request(app).get('/api/usage?groupBy=user').set('x-auth-token', userToken).expect(400);
+    await request(app).get('/api/usage/admin').set('x-auth-token', userToken).expect(403);
+
+    const admin = await request(app)
+      .get('/api/usage/admin?feature=content_generation')
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(admin.body.breakdown).toEqual([
+      expect.objectContaining({ key: userId, username: 'usage-user', calls: 1, totalTokens: 3000 }),
+    ]);
+  });
+});
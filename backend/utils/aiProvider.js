@@ -0,0 +1,304 @@
+const axios = require('axios');
+const { config } = require('../config');
+
+const DEFAULT_SYSTEM_INSTRUCTION = 'You are a helpful assistant that responds in JSON only.';
+
+const joinPrompt = (system, prompt) => [system, prompt].filter(Boolean).join('\n\n');
+
+const readText = (value) => (typeof value === 'string' && value.trim() ? value : null);
+
+const readCount = (value) => (Number.isFinite(Number(value)) && value !== null ? Math.max(0, Math.round(Number(value))) : null);
+
+function buildUsage(promptTokens, completionTokens, totalTokens) {
+  const prompt = readCount(promptTokens);
+  const completion = readCount(completionTokens);
+  const total = readCount(totalTokens);
+  if (prompt === null && completion === null && total === null) {
+    return null;
+  }
+  return {
+    promptTokens: prompt || 0,
+    completionTokens: completion || 0,
+    totalTokens: total ?? (prompt || 0) + (completion || 0),
+  };
+}
+
+const adapters = {
+  openai: {
+    defaultPath: '/chat/completions',
+    requiresApiKey: true,
+    buildHeaders: (settings) => ({ Authorization: `Bearer ${settings.apiKey || ''}` }),
+    buildPayload: ({ system, prompt, json }, settings) => {
+      const payload = {
+        model: settings.chatModel,
+        messages: [
+          system ? { role: 'system', content: system } : null,
+          { role: 'user', content: prompt },
+        ].filter(Boolean),
+      };
+      if (json && settings.useResponseFormat) {
+        payload.response_format = { type: 'json_object' };
+      }
+      return payload;
+    },
+    extract: (data) => readText(data?.choices?.[0]?.message?.content),
+    extractUsage: (data) =>
+      data?.usage ? buildUsage(data.usage.prompt_tokens, data.usage.completion_tokens, data.usage.total_tokens) : null,
+  },
+  gemini: {
+    defaultPath: (settings) => `/models/${settings.chatModel}:generateContent`,
+    requiresApiKey: true,
+    buildHeaders: (settings) => ({ 'x-goog-api-key': settings.apiKey || '' }),
+    buildParams: (settings) => ({ key: settings.apiKey }),
+    buildPayload: ({ system, prompt, json }, settings) => {
+      const payload = {
+        contents: [
+          {
+            role: 'user',
+            parts: [{ text: joinPrompt(system, prompt) }],
+          },
+        ],
+      };
+      if (json && settings.useResponseFormat) {
+        payload.generation_config = {
+          response_mime_type: 'application/json',
+        };
+      }
+      return payload;
+    },
+    extract: (data) => {
+      if (!Array.isArray(data?.candidates)) {
+        return null;
+      }
+      const concatenated = data.candidates
+        .flatMap((candidate) => candidate?.content?.parts || [])
+        .map((part) => (typeof part?.text === 'string' ? part.text : ''))
+        .join('')
+        .trim();
+      return concatenated || null;
+    },
+    extractUsage: (data) =>
+      data?.usageMetadata
+        ? buildUsage(
+            data.usageMetadata.promptTokenCount,
+            data.usageMetadata.candidatesTokenCount,
+            data.usageMetadata.totalTokenCount
+          )
+        : null,
+  },
+  anthropic: {
+    defaultPath: '/messages',
+    requiresApiKey: true,
+    buildHeaders: (settings) => ({
+      'x-api-key': settings.apiKey || '',
+      'anthropic-version': settings.anthropicVersion,
+    }),
+    buildPayload: ({ system, prompt }, settings) => {
+      const payload = {
+        model: settings.chatModel,
+        max_tokens: settings.maxOutputTokens,
+        messages: [{ role: 'user', content: prompt }],
+      };
+      if (system) {
+        payload.system = system;
+      }
+      return payload;
+    },
+    extract: (data) => {
+      if (!Array.isArray(data?.content)) {
+        return null;
+      }
+      const concatenated = data.content
+        .filter((block) => block && block.type === 'text' && typeof block.text === 'string')
+        .map((block) => block.text)
+        .join('')
+        .trim();
+      return concatenated || null;
+    },
+    extractUsage: (data) =>
+      data?.usage ? buildUsage(data.usage.input_tokens, data.usage.output_tokens, null) : null,
+  },
+  ollama: {
+    defaultPath: '/api/chat',
+    requiresApiKey: false,
+    buildHeaders: (settings) => (settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+    buildPayload: ({ system, prompt, json }, settings) => {
+      const payload = {
+        model: settings.chatModel,
+        stream: false,
+        messages: [
+          system ? { role: 'system', content: system } : null,
+          { role: 'user', content: prompt },
+        ].filter(Boolean),
+      };
+      if (json && settings.useResponseFormat) {
+        payload.format = 'json';
+      }
+      return payload;
+    },
+    extract: (data) => readText(data?.message?.content),
+    extractUsage: (data) => buildUsage(data?.prompt_eval_count, data?.eval_count, null),
+  },
+};
+
+const SUPPORTED_PROVIDERS = Object.keys(adapters);
+
+function resolveProviderSettings(overrides = {}) {
+  return { ...config.ai, ...overrides };
+}
+
+function getAdapter(provider) {
+  const key = (provider || 'openai').toLowerCase();
+  const adapter = adapters[key];
+  if (!adapter) {
+    throw new Error(`Unsupported AI provider "${provider}". Expected one of: ${SUPPORTED_PROVIDERS.join(', ')}.`);
+  }
+  return adapter;
+}
+
+function isAiConfigured(overrides = {}) {
+  const settings = resolveProviderSettings(overrides);
+  if (!settings.baseUrl || !settings.chatModel) {
+    return false;
+  }
+  const adapter = adapters[(settings.provider || 'openai').toLowerCase()];
+  if (!adapter) {
+    return false;
+  }
+  return adapter.requiresApiKey ? Boolean(settings.apiKey) : true;
+}
+
+function resolveChatPath(pathFragment, fallback = '/chat/completions') {
+  if (!pathFragment) {
+    return fallback;
+  }
+  return pathFragment.startsWith('/') ? pathFragment : `/${pathFragment}`;
+}
+
+function resolveAdapterPath(adapter, settings) {
+  const defaultPath =
+    typeof adapter.defaultPath === 'function' ? adapter.defaultPath(settings) : adapter.defaultPath;
+  return resolveChatPath(settings.chatPath, defaultPath);
+}
+
+function buildAiClient(overrides = {}) {
+  const settings = resolveProviderSettings(overrides);
+  const adapter = getAdapter(settings.provider);
+  return axios.create({
+    baseURL: settings.baseUrl,
+    headers: {
+      'Content-Type': 'application/json',
+      ...adapter.buildHeaders(settings),
+    },
+    params: adapter.buildParams ? adapter.buildParams(settings) : undefined,
+    timeout: settings.requestTimeoutMs,
+  });
+}
+
+// Accepts any of the response shapes the supported providers (and a few
+// OpenAI-compatible proxies) return and pulls out the assistant text.
+function extractMessagePayload(data) {
+  if (typeof data?.content === 'string' && data.content.trim()) {
+    return data.content;
+  }
+  if (typeof data?.result === 'string' && data.result.trim()) {
+    return data.result;
+  }
+  if (typeof data?.text === 'string' && data.text.trim()) {
+    return data.text;
+  }
+  for (const adapter of Object.values(adapters)) {
+    const extracted = adapter.extract(data);
+    if (extracted) {
+      return extracted;
+    }
+  }
+  return null;
+}
+
+// Token counts in the shape of whichever provider answered; OpenAI-compatible proxies are common.
+function extractTokenUsage(data, provider) {
+  const preferred = adapters[(provider || '').toLowerCase()];
+  const candidates = preferred ? [preferred, ...Object.values(adapters)] : Object.values(adapters);
+  for (const adapter of candidates) {
+    const usage = adapter.extractUsage(data);
+    if (usage) {
+      return usage;
+    }
+  }
+  return null;
+}
+
+function normalizeJsonContent(raw) {
+  if (typeof raw !== 'string') {
+    return null;
+  }
+  let content = raw.trim();
+  if (!content) {
+    return null;
+  }
+
+  const fenceMatch = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenceMatch) {
+    content = fenceMatch[1].trim();
+  }
+
+  if (content.startsWith('{') || content.startsWith('[')) {
+    return content;
+  }
+
+  const firstBrace = content.indexOf('{');
+  const lastBrace = content.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+    return content.slice(firstBrace, lastBrace + 1).trim();
+  }
+
+  const firstBracket = content.indexOf('[');
+  const lastBracket = content.lastIndexOf(']');
+  if (firstBracket !== -1 && lastBracket !== -1 && lastBracket > firstBracket) {
+    return content.slice(firstBracket, lastBracket + 1).trim();
+  }
+
+  return content;
+}
+
+async function requestChatCompletion({ system, prompt, json = true }, overrides = {}) {
+  const settings = resolveProviderSettings(overrides);
+  const adapter = getAdapter(settings.provider);
+  const client = buildAiClient(settings);
+  const payload = adapter.buildPayload({ system, prompt, json }, settings);
+  const response = await client.post(resolveAdapterPath(adapter, settings), payload);
+  const data = response?.data;
+  const provider = (settings.provider || 'openai').toLowerCase();
+  return {
+    provider,
+    model: settings.chatModel,
+    content: adapter.extract(data) || extractMessagePayload(data),
+    usage: extractTokenUsage(data, provider),
+    data,
+  };
+}
+
+async function requestJsonFromAi(systemInstruction, userPrompt, overrides = {}) {
+  const completion = await requestChatCompletion(
+    { system: systemInstruction || DEFAULT_SYSTEM_INSTRUCTION, prompt: userPrompt, json: true },
+    overrides
+  );
+  const sanitized = normalizeJsonContent(completion.content);
+  if (!sanitized) {
+    throw new Error('AI response was empty');
+  }
+  return JSON.parse(sanitized);
+}
+
+module.exports = {
+  SUPPORTED_PROVIDERS,
+  isAiConfigured,
+  buildAiClient,
+  resolveChatPath,
+  extractMessagePayload,
+  extractTokenUsage,
+  normalizeJsonContent,
+  requestChatCompletion,
+  requestJsonFromAi,
+};
@@ -0,0 +1,189 @@
+const db = require('../db');
+const logger = require('../logger');
+const { config } = require('../config');
+const { normalizeJsonContent, requestChatCompletion } = require('./aiProvider');
+
+const AI_USAGE_FEATURES = [
+  'content_generation',
+  'content_repair',
+  'fact_check',
+  'section_rewrite',
+  'keyword_expansion',
+  'schema_suggestion',
+  'knowledge_retrieval',
+  'document_embedding',
+  'content_embedding',
+];
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+function resolveModelPrice(model, priceTable = config.ai.priceTable) {
+  const table = priceTable || {};
+  const key = Object.keys(table).find((name) => name.toLowerCase() === String(model || '').toLowerCase());
+  const price = table[key] || table.default;
+  return price && typeof price === 'object' ? price : null;
+}
+
+// Returns null when the model has no price so unpriced calls are not mistaken for free ones.
+function estimateCost(model, usage, priceTable) {
+  const price = resolveModelPrice(model, priceTable);
+  if (!price || !usage) {
+    return null;
+  }
+  const cost =
+    (toNumber(usage.promptTokens) * toNumber(price.prompt) +
+      toNumber(usage.completionTokens) * toNumber(price.completion)) /
+    TOKENS_PER_PRICE_UNIT;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Stores one AI call. The cost is estimated with the price table in effect at
+ * call time, so later price changes do not rewrite historical usage. Failures
+ * to record are logged and never interrupt the caller.
+ */
+async function recordAiUsage({
+  userId,
+  jobId = null,
+  ruleId = null,
+  feature,
+  provider = null,
+  model = null,
+  usage = null,
+  latencyMs = null,
+  status = 'success',
+  error = null,
+}) {
+  if (!userId || !feature) {
+    return null;
+  }
+  const promptTokens = toNumber(usage?.promptTokens);
+  const completionTokens = toNumber(usage?.completionTokens);
+  const totalTokens = toNumber(usage?.totalTokens) || promptTokens + completionTokens;
+  const cost = estimateCost(model, usage);
+  try {
+    const result = await db.query(
+      `INSERT INTO ai_usage (user_id, job_id, rule_id, feature, provider, model, prompt_tokens, completion_tokens,
+                             total_tokens, latency_ms, estimated_cost, currency, status, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING id`,
+      [
+        userId,
+        jobId === null || jobId === undefined ? null : String(jobId),
+        ruleId || null,
+        feature,
+        provider,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        latencyMs === null ? null : Math.round(latencyMs),
+        cost,
+        cost === null ? null : config.ai.priceCurrency,
+        status,
+        error ? String(error).slice(0, 1000) : null,
+      ]
+    );
+    return result.rows[0].id;
+  } catch (err) {
+    logger.warn('Failed to record AI usage', { userId, jobId, feature, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * requestChatCompletion plus usage accounting. `tracking` carries
+ * { userId, jobId, ruleId, feature }; without a userId nothing is recorded.
+ * An optional `tracking.trace` recorder (utils/generationTrace) also receives
+ * the prompt and raw response of the call.
+ */
+async function trackChatCompletion(request, tracking, overrides = {}) {
+  const { trace, ...usageTracking } = tracking || {};
+  const provider = (overrides.provider || config.ai.provider || 'openai').toLowerCase();
+  const model = overrides.chatModel || config.ai.chatModel;
+  const parameters = {
+    json: request.json !== false,
+    useResponseFormat: overrides.useResponseFormat ?? config.ai.useResponseFormat,
+    maxOutputTokens: overrides.maxOutputTokens ?? config.ai.maxOutputTokens,
+  };
+  const startedAt = Date.now();
+  try {
+    const completion = await requestChatCompletion(request, overrides);
+    const latencyMs = Date.now() - startedAt;
+    if (tracking) {
+      await recordAiUsage({
+        ...usageTracking,
+        provider: completion?.provider,
+        model: completion?.model,
+        usage: completion?.usage,
+        latencyMs,
+      });
+    }
+    if (trace) {
+      trace.recordCall({
+        feature: usageTracking.feature,
+        system: request.system,
+        prompt: request.prompt,
+        provider: completion?.provider || provider,
+        model: completion?.model || model,
+        parameters,
+        content: completion?.content,
+        providerResponse: completion?.data,
+        usage: completion?.usage,
+        latencyMs,
+      });
+    }
+    return completion;
+  } catch (err) {
+    const latencyMs = Date.now() - startedAt;
+    const error = err?.response?.data?.error?.message || err.message;
+    if (tracking) {
+      await recordAiUsage({
+        ...usageTracking,
+        provider,
+        model,
+        latencyMs,
+        status: 'error',
+        error,
+      });
+    }
+    if (trace) {
+      trace.recordCall({
+        feature: usageTracking.feature,
+        system: request.system,
+        prompt: request.prompt,
+        provider,
+        model,
+        parameters,
+        providerResponse: err?.response?.data,
+        latencyMs,
+        error,
+      });
+    }
+    throw err;
+  }
+}
+
+// Tracked counterpart of requestJsonFromAi.
+async function trackJsonFromAi(systemInstruction, userPrompt, tracking, overrides = {}) {
+  const completion = await trackChatCompletion(
+    { system: systemInstruction, prompt: userPrompt, json: true },
+    tracking,
+    overrides
+  );
+  const sanitized = normalizeJsonContent(completion.content);
+  if (!sanitized) {
+    throw new Error('AI response was empty');
+  }
+  return JSON.parse(sanitized);
+}
+
+module.exports = {
+  AI_USAGE_FEATURES,
+  estimateCost,
+  recordAiUsage,
+  trackChatCompletion,
+  trackJsonFromAi,
+};
@@ -0,0 +1,195 @@
+const { getLocaleInfo } = require('./locale');
+const { escapeHtml } = require('./html');
+
+const CITATION_MARKER_PATTERN = /\[(S\d+(?:\s*[,，、]\s*S\d+)*)\]/g;
+const CITATION_LABEL_PATTERN = /\[S\d+\]/;
+const CITATION_ID_SEPARATOR = /\s*[,，、]\s*/;
+const STRIPPED_MARKER_PATTERN = new RegExp(`[ \\t]*${CITATION_MARKER_PATTERN.source}`, 'g');
+const MAX_CITATION_PREVIEW_LENGTH = 200;
+const EMPTY_KNOWLEDGE_TEXT = '暂无额外知识库摘要。';
+
+const CITATION_INSTRUCTIONS = `引用要求：
+- 每段知识库摘要前的 [S1]、[S2] 等为片段编号。
+- 正文中来自知识库的事实、数据或结论，需在该句末尾标注对应编号，例如 [S1] 或 [S1][S3]。
+- 只能使用下方已出现的编号，不要编造编号；标题与 Meta Description 中不要标注。`;
+
+const compactPreview = (text) => {
+  const compact = String(text || '').replace(/\s+/g, ' ').trim();
+  return compact.length > MAX_CITATION_PREVIEW_LENGTH ? `${compact.slice(0, MAX_CITATION_PREVIEW_LENGTH)}…` : compact;
+};
+
+const parseCitationIds = (list) => list.split(CITATION_ID_SEPARATOR).map((id) => id.toUpperCase());
+
+/**
+ * Hands out stable snippet ids (S1, S2, ...) per document chunk for one article.
+ * Seeding it with the citations stored on the content keeps ids unchanged when a
+ * section is rewritten with freshly retrieved chunks.
+ */
+function createCitationRegistry(existing = []) {
+  const entries = [];
+  const byKey = new Map();
+  const byId = new Map();
+  let nextNumber = 1;
+
+  const keyOf = (documentId, chunkIndex) => `${Number(documentId)}:${Number(chunkIndex)}`;
+  const add = (entry) => {
+    entries.push(entry);
+    byKey.set(keyOf(entry.documentId, entry.chunkIndex), entry);
+    byId.set(entry.id, entry);
+    nextNumber = Math.max(nextNumber, Number(entry.id.slice(1)) + 1);
+  };
+
+  (Array.isArray(existing) ? existing : [])
+    .filter((entry) => entry && /^S\d+$/.test(entry.id) && !byId.has(entry.id))
+    .forEach(({ id, documentId, documentName, chunkIndex, preview }) =>
+      add({ id, documentId, documentName: documentName || null, chunkIndex, preview: preview || '' })
+    );
+
+  return {
+    entries,
+    register({ documentId, chunkIndex, documentName, text }) {
+      const known = byKey.get(keyOf(documentId, chunkIndex));
+      if (known) {
+        return known.id;
+      }
+      const entry = {
+        id: `S${nextNumber}`,
+        documentId: Number(documentId),
+        documentName: documentName || null,
+        chunkIndex: Number(chunkIndex),
+        preview: compactPreview(text),
+      };
+      add(entry);
+      return entry.id;
+    },
+    get(id) {
+      return byId.get(String(id || '').toUpperCase()) || null;
+    },
+  };
+}
+
+const registerChunk = (registry, chunk, documentName) =>
+  registry
+    ? registry.register({
+        documentId: chunk.document_id,
+        chunkIndex: chunk.chunk_index,
+        documentName,
+        text: chunk.content,
+      })
+    : null;
+
+// Prefix for a chunk in the knowledge prompt; empty when the article is not collecting citations.
+const citationLabel = (registry, chunk, documentName) =>
+  registry ? `[${registerChunk(registry, chunk, documentName)}] ` : '';
+
+function formatKnowledgeForPrompt(knowledge) {
+  if (!knowledge || !knowledge.trim()) {
+    return EMPTY_KNOWLEDGE_TEXT;
+  }
+  return CITATION_LABEL_PATTERN.test(knowledge) ? `${CITATION_INSTRUCTIONS}\n\n${knowledge}` : knowledge;
+}
+
+/**
+ * Checks the model's [Sn] markers against the chunks that were actually retrieved.
+ * Unknown ids are dropped from the text; citations are listed in order of first use.
+ */
+function applyCitations(text, registry) {
+  const occurrences = new Map();
+  const invalid = new Set();
+  const body = String(text || '').replace(CITATION_MARKER_PATTERN, (match, list) =>
+    parseCitationIds(list)
+      .filter((id) => {
+        if (!registry || !registry.get(id)) {
+          invalid.add(id);
+          return false;
+        }
+        occurrences.set(id, (occurrences.get(id) || 0) + 1);
+        return true;
+      })
+      .map((id) => `[${id}]`)
+      .join('')
+  );
+  return {
+    body,
+    citations: Array.from(occurrences, ([id, count]) => ({ ...registry.get(id), occurrences: count })),
+    invalid: Array.from(invalid),
+  };
+}
+
+const stripCitationMarkers = (text) =>
+  typeof text === 'string' ? text.replace(STRIPPED_MARKER_PATTERN, '').trim() : text;
+
+// Ids in order of first appearance, which is also the footnote numbering.
+function listCitedIds(text) {
+  const ids = [];
+  String(text || '').replace(CITATION_MARKER_PATTERN, (match, list) => {
+    parseCitationIds(list).forEach((id) => {
+      if (!ids.includes(id)) {
+        ids.push(id);
+      }
+    });
+    return match;
+  });
+  return ids;
+}
+
+const describeSource = (citation) =>
+  `${citation.documentName || `#${citation.documentId}`}${citation.preview ? ` — ${citation.preview}` : ''}`;
+
+/**
+ * Turns [Sn] markers into numbered footnotes: Markdown footnotes ([^1]) or HTML
+ * superscript links, followed by a localized reference list.
+ */
+function renderCitations(markdown, citations, { format = 'markdown', locale } = {}) {
+  const known = new Map((Array.isArray(citations) ? citations : []).map((citation) => [citation.id, citation]));
+  const numbers = new Map();
+  const unresolved = new Set();
+
+  const body = String(markdown || '').replace(CITATION_MARKER_PATTERN, (match, list) =>
+    parseCitationIds(list)
+      .map((id) => {
+        if (!known.has(id)) {
+          unresolved.add(id);
+          return '';
+        }
+        if (!numbers.has(id)) {
+          numbers.set(id, numbers.size + 1);
+        }
+        const number = numbers.get(id);
+        return format === 'html'
+          ? `<sup class="citation"><a href="#cite-${number}" id="cite-ref-${number}">[${number}]</a></sup>`
+          : `[^${number}]`;
+      })
+      .join('')
+  );
+
+  const references = Array.from(numbers, ([id, number]) => {
+    const { occurrences, ...citation } = known.get(id);
+    return { number, ...citation };
+  });
+  if (!references.length) {
+    return { body, references, unresolved: Array.from(unresolved) };
+  }
+
+  const heading = getLocaleInfo(locale).referencesHeading;
+  const list =
+    format === 'html'
+      ? `<section class="references">\n<h2>${escapeHtml(heading)}</h2>\n<ol>\n${references
+          .map((ref) => `<li id="cite-${ref.number}">${escapeHtml(describeSource(ref))}</li>`)
+          .join('\n')}\n</ol>\n</section>`
+      : `## ${heading}\n\n${references.map((ref) => `[^${ref.number}]: ${describeSource(ref)}`).join('\n')}`;
+
+  return { body: `${body.trimEnd()}\n\n${list}`, references, unresolved: Array.from(unresolved) };
+}
+
+module.exports = {
+  CITATION_MARKER_PATTERN,
+  createCitationRegistry,
+  registerChunk,
+  citationLabel,
+  formatKnowledgeForPrompt,
+  applyCitations,
+  stripCitationMarkers,
+  listCitedIds,
+  renderCitations,
+};
@@ -0,0 +1,32 @@
+const CONTENT_STATUSES = ['draft', 'in_review', 'approved', 'published', 'archived'];
+const DEFAULT_CONTENT_STATUS = 'draft';
+
+// Lowercase letters and digits of any script joined by single hyphens, so Chinese slugs work like WordPress's.
+const SLUG_PATTERN = /^[\p{Ll}\p{Lo}\p{N}]+(?:-[\p{Ll}\p{Lo}\p{N}]+)*$/u;
+const MAX_TAGS = 30;
+
+const normalizeSlug = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null);
+
+function normalizeTags(tags) {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : [])
+    .map((tag) => (typeof tag === 'string' ? tag.trim() : ''))
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_TAGS);
+}
+
+module.exports = {
+  CONTENT_STATUSES,
+  DEFAULT_CONTENT_STATUS,
+  SLUG_PATTERN,
+  MAX_TAGS,
+  normalizeSlug,
+  normalizeTags,
+};
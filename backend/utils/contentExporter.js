@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  AlignmentType,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  ImageRun,
+  Packer,
+  Paragraph,
+  TextRun,
+} = require('docx');
+const { isSafeUrl, renderContent } = require('./contentRenderer');
+const { escapeHtml } = require('./html');
+const { buildJsonLdDocuments, renderJsonLdScript } = require('./schemaPayload');
+const { resolveLocale } = require('./locale');
+
+const EXPORT_FORMATS = {
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  },
+};
+
+const UPLOAD_ROOT = path.resolve(__dirname, '..', 'uploads');
+const DOCX_MAX_IMAGE_WIDTH = 600;
+
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const toIsoDate = (value) => new Date(value || Date.now()).toISOString();
+
+function buildExportFilename(content, extension) {
+  const base = String(content.title || '')
+    .replace(/[\\/:*?"<>|\r\n]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+  return `${base || `content-${content.id}`}.${extension}`;
+}
+
+function exportHtml(content, images, { keyword, assetBaseUrl } = {}) {
+  const rendered = renderContent(content, images, { format: 'html', keyword, assetBaseUrl });
+  const jsonLd = buildJsonLdDocuments(content.schema_payload).map(renderJsonLdScript);
+  const html = [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(resolveLocale(content.locale))}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(content.title)}</title>`,
+    content.meta_description ? `<meta name="description" content="${escapeHtml(content.meta_description)}">` : null,
+    ...jsonLd,
+    '</head>',
+    '<body>',
+    '<article>',
+    `<h1>${escapeHtml(content.title)}</h1>`,
+    rendered.body.trim(),
+    '</article>',
+    '</body>',
+    '</html>',
+    '',
+  ]
+    .filter((line) => line !== null)
+    .join('\n');
+  return { body: html, report: rendered.report };
+}
+
+function exportMarkdown(content, images, { keyword, assetBaseUrl } = {}) {
+  const rendered = renderContent(content, images, { format: 'markdown', keyword, assetBaseUrl });
+  const imageUrls = rendered.report.placeholders
+    .filter((entry) => entry.resolved)
+    .map((entry) => entry.url)
+    .concat(rendered.report.unplacedImages.map((image) => image.url));
+  // JSON-encoded scalars are valid YAML, which keeps quotes and non-ASCII titles safe.
+  const frontMatter = [
+    '---',
+    `title: ${JSON.stringify(content.title || '')}`,
+    `description: ${JSON.stringify(content.meta_description || '')}`,
+    keyword ? `keyword: ${JSON.stringify(keyword)}` : null,
+    content.slug ? `slug: ${JSON.stringify(content.slug)}` : null,
+    Array.isArray(content.tags) && content.tags.length
+      ? `tags: [${content.tags.map((tag) => JSON.stringify(tag)).join(', ')}]`
+      : null,
+    `lang: ${JSON.stringify(resolveLocale(content.locale))}`,
+    `date: ${toIsoDate(content.created_at)}`,
+    Array.isArray(content.schema_types) && content.schema_types.length
+      ? `schema_types: [${content.schema_types.map((type) => JSON.stringify(type)).join(', ')}]`
+      : null,
+    imageUrls.length ? `images:\n${imageUrls.map((url) => `  - ${JSON.stringify(url)}`).join('\n')}` : null,
+    '---',
+  ]
+    .filter(Boolean)
+    .join('\n');
+  return { body: `${frontMatter}\n\n${rendered.body.trim()}\n`, report: rendered.report };
+}
+
+function readImageSize(buffer) {
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length > 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+const imageTypeFromPath = (filePath) => {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (extension === 'jpeg') {
+    return 'jpg';
+  }
+  return ['jpg', 'png', 'gif', 'bmp'].includes(extension) ? extension : null;
+};
+
+async function loadImageFile(imagePath) {
+  if (!imagePath || /^https?:\/\//i.test(imagePath)) {
+    return null;
+  }
+  const absolute = path.resolve(__dirname, '..', String(imagePath).replace(/\\/g, '/'));
+  const type = imageTypeFromPath(absolute);
+  if (!type || !absolute.startsWith(`${UPLOAD_ROOT}${path.sep}`)) {
+    return null;
+  }
+  try {
+    const data = await fs.promises.readFile(absolute);
+    const size = readImageSize(data) || { width: DOCX_MAX_IMAGE_WIDTH, height: Math.round(DOCX_MAX_IMAGE_WIDTH * 0.66) };
+    const scale = Math.min(1, DOCX_MAX_IMAGE_WIDTH / size.width);
+    return {
+      data,
+      type,
+      width: Math.round(size.width * scale),
+      height: Math.round(size.height * scale),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+const parseInlineRuns = (text) =>
+  String(text)
+    .split(/(\*\*[^*]+\*\*|\[[^\]]+\]\([^)]+\))/g)
+    .filter(Boolean)
+    .map((part) => {
+      const bold = part.match(/^\*\*([^*]+)\*\*$/);
+      if (bold) {
+        return new TextRun({ text: bold[1], bold: true });
+      }
+      const link = part.match(/^\[([^\]]+)\]\(([^)]+)\)$/);
+      // Links with unsafe schemes keep their text, as in the HTML rendering, but lose the target.
+      if (link && !isSafeUrl(link[2])) {
+        return new TextRun(link[1]);
+      }
+      if (link) {
+        return new ExternalHyperlink({
+          link: link[2],
+          children: [new TextRun({ text: link[1], style: 'Hyperlink' })],
+        });
+      }
+      return new TextRun(part.replace(/[*_`]/g, ''));
+    });
+
+const HEADING_LEVELS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4];
+
+async function buildImageParagraph(imagePath, alt, url) {
+  const file = await loadImageFile(imagePath);
+  if (!file) {
+    return new Paragraph({
+      children: [new ExternalHyperlink({ link: url, children: [new TextRun({ text: alt, style: 'Hyperlink' })] })],
+    });
+  }
+  return new Paragraph({
+    alignment: AlignmentType.CENTER,
+    children: [
+      new ImageRun({
+        type: file.type,
+        data: file.data,
+        transformation: { width: file.width, height: file.height },
+        altText: { name: alt, description: alt, title: alt },
+      }),
+    ],
+  });
+}
+
+// Images are embedded from the upload directory so the document stays readable offline;
+// selected images the body never placed are appended at the end.
+async function exportDocx(content, images, { keyword, assetBaseUrl } = {}) {
+  const rendered = renderContent(content, images, { format: 'markdown', keyword, assetBaseUrl });
+  const imagesByUrl = new Map(
+    rendered.report.placeholders
+      .filter((entry) => entry.resolved)
+      .map((entry) => [encodeURI(entry.url), (images || []).find((image) => Number(image.id) === entry.imageId)])
+  );
+
+  const paragraphs = [new Paragraph({ text: content.title || '', heading: HeadingLevel.TITLE })];
+  if (content.meta_description) {
+    paragraphs.push(new Paragraph({ children: [new TextRun({ text: content.meta_description, italics: true })] }));
+  }
+
+  // Word has no Markdown footnotes, so [^n] references and definitions become plain [n] labels.
+  const blocks = rendered.body
+    .replace(/\[\^(\d+)\]:?/g, '[$1]')
+    .split(/\n{2,}/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const block of blocks) {
+    const image = block.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
+    const heading = block.match(/^(#{1,4})\s+(.+)$/);
+    if (image) {
+      // eslint-disable-next-line no-await-in-loop
+      paragraphs.push(await buildImageParagraph(imagesByUrl.get(image[2])?.image_path, image[1], image[2]));
+    } else if (heading) {
+      paragraphs.push(new Paragraph({ text: heading[2], heading: HEADING_LEVELS[heading[1].length - 1] }));
+    } else {
+      block.split('\n').forEach((line) => {
+        const bullet = line.match(/^\s*[-*+]\s+(.+)$/);
+        if (bullet) {
+          paragraphs.push(new Paragraph({ children: parseInlineRuns(bullet[1]), bullet: { level: 0 } }));
+        } else {
+          paragraphs.push(new Paragraph({ children: parseInlineRuns(line.replace(/^>\s?/, '')) }));
+        }
+      });
+    }
+  }
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const unplaced of rendered.report.unplacedImages) {
+    const source = (images || []).find((entry) => Number(entry.id) === unplaced.id);
+    // eslint-disable-next-line no-await-in-loop
+    paragraphs.push(await buildImageParagraph(source?.image_path, unplaced.alt, unplaced.url));
+  }
+
+  const document = new Document({
+    title: content.title || '',
+    description: content.meta_description || '',
+    sections: [{ children: paragraphs }],
+  });
+  return { body: await Packer.toBuffer(document), report: rendered.report };
+}
+
+// The keyword stays a tag next to the editorial tags, without duplicates.
+const postTags = (content) => {
+  const tags = [content.keyword, ...(Array.isArray(content.tags) ? content.tags : [])].filter(Boolean);
+  return tags.filter(
+    (tag, index) => tags.findIndex((other) => other.toLowerCase() === tag.toLowerCase()) === index
+  );
+};
+
+/**
+ * Builds a WordPress eXtended RSS file. Posts are imported as drafts and every
+ * referenced image becomes an attachment item that WordPress downloads on import.
+ */
+function exportWxr(contents, imagesById, { siteUrl = '', assetBaseUrl } = {}) {
+  let attachmentId = 0;
+  // A WXR channel has a single language; mixed exports keep the first article's locale.
+  const channelLocale = resolveLocale(...contents.map((content) => content.locale));
+  const maxPostId = contents.reduce((max, content) => Math.max(max, Number(content.id) || 0), 0);
+  const items = contents.map((content) => {
+    const images = (content.image_ids || []).map((id) => imagesById.get(Number(id))).filter(Boolean);
+    const rendered = renderContent(content, images, { format: 'html', keyword: content.keyword, assetBaseUrl });
+    const jsonLd = buildJsonLdDocuments(content.schema_payload).map(renderJsonLdScript);
+    const postDate = toIsoDate(content.created_at).replace('T', ' ').slice(0, 19);
+    const post = [
+      '<item>',
+      `<title>${escapeHtml(content.title)}</title>`,
+      `<content:encoded>${cdata([rendered.body.trim(), ...jsonLd].join('\n'))}</content:encoded>`,
+      `<excerpt:encoded>${cdata(content.meta_description || '')}</excerpt:encoded>`,
+      `<wp:post_id>${content.id}</wp:post_id>`,
+      `<wp:post_date>${cdata(postDate)}</wp:post_date>`,
+      `<wp:post_date_gmt>${cdata(postDate)}</wp:post_date_gmt>`,
+      '<wp:comment_status>closed</wp:comment_status>',
+      '<wp:ping_status>closed</wp:ping_status>',
+      `<wp:post_name>${cdata(content.slug || `content-${content.id}`)}</wp:post_name>`,
+      '<wp:status>draft</wp:status>',
+      '<wp:post_parent>0</wp:post_parent>',
+      '<wp:post_type>post</wp:post_type>',
+      ...postTags(content).map(
+        (tag) => `<category domain="post_tag" nicename="${escapeHtml(tag)}">${cdata(tag)}</category>`
+      ),
+      '</item>',
+    ];
+    const attachments = images.map((image) => {
+      attachmentId += 1;
+      const url = rendered.report.placeholders.find((entry) => entry.imageId === Number(image.id))?.url
+        || rendered.report.unplacedImages.find((entry) => entry.id === Number(image.id))?.url;
+      return [
+        '<item>',
+        `<title>${escapeHtml(image.image_name)}</title>`,
+        `<wp:post_id>${maxPostId + attachmentId}</wp:post_id>`,
+        `<wp:post_name>${cdata(`image-${image.id}`)}</wp:post_name>`,
+        '<wp:status>inherit</wp:status>',
+        `<wp:post_parent>${content.id}</wp:post_parent>`,
+        '<wp:post_type>attachment</wp:post_type>',
+        `<wp:attachment_url>${cdata(url)}</wp:attachment_url>`,
+        '</item>',
+      ].join('\n');
+    });
+    return [post.filter(Boolean).join('\n'), ...attachments].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" ?>',
+    '<rss version="2.0"',
+    '  xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"',
+    '  xmlns:content="http://purl.org/rss/1.0/modules/content/"',
+    '  xmlns:wfw="http://wellformedweb.org/CommentAPI/"',
+    '  xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    '  xmlns:wp="http://wordpress.org/export/1.2/">',
+    '<channel>',
+    '<title>GEO generated content</title>',
+    `<link>${escapeHtml(siteUrl)}</link>`,
+    `<language>${escapeHtml(channelLocale)}</language>`,
+    '<wp:wxr_version>1.2</wp:wxr_version>',
+    `<wp:base_site_url>${escapeHtml(siteUrl)}</wp:base_site_url>`,
+    `<wp:base_blog_url>${escapeHtml(siteUrl)}</wp:base_blog_url>`,
+    ...items,
+    '</channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+const EXPORTERS = {
+  html: exportHtml,
+  markdown: exportMarkdown,
+  docx: exportDocx,
+};
+
+async function exportContent(format, content, images, options) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format "${format}".`);
+  }
+  const { body, report } = await exporter(content, images, options);
+  return {
+    ...EXPORT_FORMATS[format],
+    filename: buildExportFilename(content, EXPORT_FORMATS[format].extension),
+    body,
+    report,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportContent,
+  exportWxr,
+};
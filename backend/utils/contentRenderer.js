@@ -0,0 +1,132 @@
+const { Marked } = require('marked');
+const { renderCitations } = require('./citations');
+const { escapeHtml } = require('./html');
+
+const IMAGE_PLACEHOLDER_PATTERN = /\[IMAGE_(\d+)\]/gi;
+const RENDER_FORMATS = ['markdown', 'html'];
+const SAFE_URL_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+
+const decodeCodePoint = (code) => (code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '');
+
+// Browsers decode entities and drop control characters before reading the scheme, so the check does too.
+function isSafeUrl(href) {
+  const normalized = String(href || '')
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => decodeCodePoint(Number.parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, decimal) => decodeCodePoint(Number.parseInt(decimal, 10)))
+    .replace(/&colon;/gi, ':')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0020\u007f]/g, '');
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+// Bodies come from the model and from editors, so raw HTML is shown as text and script URLs are dropped.
+const safeMarked = new Marked({
+  renderer: {
+    html: ({ text, block }) => (block ? `<p>${escapeHtml(text.trim())}</p>\n` : escapeHtml(text)),
+  },
+  walkTokens: (token) => {
+    if ((token.type === 'link' || token.type === 'image') && !isSafeUrl(token.href)) {
+      // eslint-disable-next-line no-param-reassign
+      token.href = '#';
+    }
+  },
+});
+
+const resolveImageUrl = (imagePath, assetBaseUrl = '') => {
+  if (!imagePath) {
+    return null;
+  }
+  const normalized = String(imagePath).replace(/\\/g, '/');
+  if (/^https?:\/\//i.test(normalized)) {
+    return normalized;
+  }
+  const relative = normalized.startsWith('/') ? normalized : `/${normalized}`;
+  return `${String(assetBaseUrl || '').replace(/\/+$/, '')}${relative}`;
+};
+
+const humanizeImageName = (name) =>
+  String(name || '')
+    .replace(/\.[a-z0-9]{2,5}$/i, '')
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Alt text combines the article keyword, the file name and the first tags, without repeats.
+function buildImageAltText(image, { keyword } = {}) {
+  const parts = [keyword, humanizeImageName(image.image_name), ...(image.tags || []).slice(0, 3)]
+    .map((part) => String(part || '').replace(/[[\]]/g, '').trim())
+    .filter(Boolean);
+  const unique = parts.filter(
+    (part, index) => parts.findIndex((other) => other.toLowerCase() === part.toLowerCase()) === index
+  );
+  return unique.join(' - ') || 'image';
+}
+
+// Placeholder [IMAGE_n] refers to the n-th entry of image_ids, which keeps the worker's selection order.
+function orderImages(imageIds, images) {
+  const byId = new Map((images || []).map((image) => [Number(image.id), image]));
+  return (imageIds || []).map((id) => ({ id: Number(id), image: byId.get(Number(id)) || null }));
+}
+
+function renderContent(content, images, { format = 'markdown', keyword, assetBaseUrl } = {}) {
+  const ordered = orderImages(content.image_ids, images);
+  const placed = new Set();
+  const placeholders = [];
+  const unresolvedPlaceholders = [];
+
+  const markdown = String(content.body || '').replace(IMAGE_PLACEHOLDER_PATTERN, (match, rawIndex) => {
+    const index = Number(rawIndex);
+    const slot = ordered[index - 1];
+    const placeholder = `[IMAGE_${index}]`;
+    if (!slot || !slot.image) {
+      placeholders.push({ placeholder, imageId: slot ? slot.id : null, resolved: false });
+      unresolvedPlaceholders.push(placeholder);
+      return '';
+    }
+    placed.add(slot.id);
+    const url = resolveImageUrl(slot.image.image_path, assetBaseUrl);
+    const alt = buildImageAltText(slot.image, { keyword });
+    placeholders.push({ placeholder, imageId: slot.id, resolved: true, url, alt });
+    return `![${alt}](${encodeURI(url)})`;
+  });
+
+  const unplacedImages = ordered
+    .filter((slot) => slot.image && !placed.has(slot.id))
+    .map((slot) => ({
+      id: slot.id,
+      image_name: slot.image.image_name,
+      url: resolveImageUrl(slot.image.image_path, assetBaseUrl),
+      alt: buildImageAltText(slot.image, { keyword }),
+    }));
+  const missingImageIds = ordered.filter((slot) => !slot.image).map((slot) => slot.id);
+  // Citation markers survive Markdown parsing as plain text, so the HTML footnotes are added afterwards.
+  const cited = renderCitations(
+    format === 'html' ? safeMarked.parse(markdown) : markdown,
+    content.details?.citations,
+    { format, locale: content.locale }
+  );
+
+  return {
+    format,
+    title: content.title,
+    meta_description: content.meta_description,
+    body: cited.body,
+    report: {
+      placeholders,
+      unresolvedPlaceholders: Array.from(new Set(unresolvedPlaceholders)),
+      unplacedImages,
+      missingImageIds,
+      citations: cited.references,
+      unresolvedCitations: cited.unresolved,
+    },
+  };
+}
+
+module.exports = {
+  RENDER_FORMATS,
+  isSafeUrl,
+  resolveImageUrl,
+  buildImageAltText,
+  renderContent,
+};
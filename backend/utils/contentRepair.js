@@ -0,0 +1,271 @@
+const { config } = require('../config');
+const logger = require('../logger');
+const { normalizeJsonContent } = require('./aiProvider');
+const { trackChatCompletion } = require('./aiUsage');
+const { countWords, countOccurrences, toPlainText } = require('./seoAnalyzer');
+const { getLocaleInfo } = require('./locale');
+
+const splitParagraphs = (body) =>
+  String(body || '')
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+
+const containsPhrase = (text, phrase) => countOccurrences(String(text || ''), phrase) > 0;
+
+function detectViolations(content, rule, { locale } = {}) {
+  const style = rule?.style_settings || {};
+  const seo = rule?.seo_settings || {};
+  const violations = [];
+
+  const avoidPhrases = Array.isArray(style.avoid_phrases) ? style.avoid_phrases.filter(Boolean) : [];
+  if (avoidPhrases.length) {
+    const paragraphs = splitParagraphs(content.body);
+    const phrases = avoidPhrases.filter(
+      (phrase) =>
+        containsPhrase(content.title, phrase) ||
+        containsPhrase(content.meta_description, phrase) ||
+        containsPhrase(content.body, phrase)
+    );
+    if (phrases.length) {
+      const searchable = `${content.title || ''}\n${content.meta_description || ''}\n${content.body || ''}`;
+      violations.push({
+        type: 'avoid_phrases',
+        phrases,
+        occurrences: phrases.reduce((total, phrase) => total + countOccurrences(searchable, phrase), 0),
+        title: phrases.some((phrase) => containsPhrase(content.title, phrase)),
+        metaDescription: phrases.some((phrase) => containsPhrase(content.meta_description, phrase)),
+        paragraphs: paragraphs
+          .map((paragraph, index) => (phrases.some((phrase) => containsPhrase(paragraph, phrase)) ? index : null))
+          .filter((index) => index !== null),
+      });
+    }
+  }
+
+  const targetKeywords = Array.isArray(seo.target_keywords) ? seo.target_keywords.filter(Boolean) : [];
+  if (targetKeywords.length) {
+    const searchable = `${content.title || ''}\n${content.meta_description || ''}\n${toPlainText(content.body)}`;
+    const missing = targetKeywords.filter((item) => !containsPhrase(searchable, String(item)));
+    if (missing.length) {
+      violations.push({ type: 'target_keywords', missing });
+    }
+  }
+
+  const min = Number(seo.word_count?.min) || null;
+  const max = Number(seo.word_count?.max) || null;
+  if (min || max) {
+    const measured = countWords(content.body, locale);
+    if ((min && measured < min) || (max && measured > max)) {
+      violations.push({ type: 'word_count', measured, min, max });
+    }
+  }
+
+  return violations;
+}
+
+const violationWeight = (violations) =>
+  violations.reduce((total, violation) => {
+    if (violation.type === 'avoid_phrases') {
+      return total + violation.occurrences;
+    }
+    if (violation.type === 'target_keywords') {
+      return total + violation.missing.length;
+    }
+    return total + 1;
+  }, 0);
+
+const summarizeViolations = (violations) =>
+  violations.map((violation) => {
+    if (violation.type === 'avoid_phrases') {
+      return { type: violation.type, phrases: violation.phrases };
+    }
+    if (violation.type === 'target_keywords') {
+      return { type: violation.type, missing: violation.missing };
+    }
+    return { type: violation.type, measured: violation.measured, min: violation.min, max: violation.max };
+  });
+
+function buildRepairPrompt(content, violations, { keyword, locale } = {}) {
+  const paragraphs = splitParagraphs(content.body);
+  const issues = [];
+  let needsFullBody = false;
+  const focusParagraphs = new Set();
+
+  violations.forEach((violation) => {
+    if (violation.type === 'avoid_phrases') {
+      const locations = [
+        violation.title ? '标题' : null,
+        violation.metaDescription ? 'Meta Description' : null,
+        ...violation.paragraphs.map((index) => `P${index}`),
+      ].filter(Boolean);
+      violation.paragraphs.forEach((index) => focusParagraphs.add(index));
+      issues.push(
+        `- 出现了禁止使用的词语：${violation.phrases.join('、')}（位置：${locations.join('、')}）。请改写这些位置并彻底去掉这些词语。`
+      );
+    } else if (violation.type === 'target_keywords') {
+      needsFullBody = true;
+      issues.push(
+        `- 缺少必须覆盖的核心关键词：${violation.missing.join('、')}。请在最相关的段落中自然融入，或插入新的段落。`
+      );
+    } else if (violation.type === 'word_count') {
+      needsFullBody = true;
+      const range = [violation.min ? `不少于 ${violation.min} 字` : null, violation.max ? `不超过 ${violation.max} 字` : null]
+        .filter(Boolean)
+        .join('，');
+      const action =
+        violation.min && violation.measured < violation.min
+          ? '请通过插入新段落补充有价值的信息'
+          : '请精简最冗长的段落（text 为空字符串表示删除该段落）';
+      issues.push(`- 正文当前约 ${violation.measured} 字，要求${range}。${action}。`);
+    }
+  });
+
+  const listed = paragraphs
+    .map((paragraph, index) => ({ paragraph, index }))
+    .filter(({ index }) => needsFullBody || focusParagraphs.has(index))
+    .map(({ paragraph, index }) => `[P${index}]\n${paragraph}`)
+    .join('\n\n');
+
+  return `
+你是一名严谨的内容编辑。下面这篇${keyword ? `关于「${keyword}」的` : ''}文章违反了生成规则，请只修改有问题的部分，其余内容必须保持原样。
+
+**需要修复的问题**
+${issues.join('\n')}
+
+**当前标题**：${content.title || ''}
+**当前 Meta Description**：${content.meta_description || ''}
+
+**正文段落（按编号引用）**
+${listed}
+
+请仅返回 JSON，格式如下，只包含需要修改的字段：
+{
+  "title": "（可选）修改后的标题",
+  "meta_description": "（可选）修改后的 Meta Description",
+  "paragraphs": [{ "index": 0, "text": "改写后的完整段落" }],
+  "insertions": [{ "after": 0, "text": "插入到该段落之后的新段落" }]
+}
+保持 Markdown 格式、[IMAGE_n] 占位符与 [Sn] 引用标记不变，${locale ? `改写内容使用${getLocaleInfo(locale).language}，` : ''}不要输出解释。`.trim();
+}
+
+function applyRepairPatch(content, patch) {
+  if (!patch || typeof patch !== 'object') {
+    return content;
+  }
+  const paragraphs = splitParagraphs(content.body);
+  const replacements = new Map();
+  (Array.isArray(patch.paragraphs) ? patch.paragraphs : []).forEach((entry) => {
+    const index = Number(entry?.index);
+    if (Number.isInteger(index) && index >= 0 && index < paragraphs.length && typeof entry.text === 'string') {
+      replacements.set(index, entry.text.trim());
+    }
+  });
+  const insertions = new Map();
+  (Array.isArray(patch.insertions) ? patch.insertions : []).forEach((entry) => {
+    const after = Number(entry?.after);
+    if (Number.isInteger(after) && after >= -1 && after < paragraphs.length && typeof entry.text === 'string' && entry.text.trim()) {
+      insertions.set(after, [...(insertions.get(after) || []), entry.text.trim()]);
+    }
+  });
+
+  const nextParagraphs = [...(insertions.get(-1) || [])];
+  paragraphs.forEach((paragraph, index) => {
+    const replacement = replacements.has(index) ? replacements.get(index) : paragraph;
+    if (replacement) {
+      nextParagraphs.push(replacement);
+    }
+    nextParagraphs.push(...(insertions.get(index) || []));
+  });
+
+  return {
+    ...content,
+    title: typeof patch.title === 'string' && patch.title.trim() ? patch.title.trim() : content.title,
+    meta_description:
+      typeof patch.meta_description === 'string' && patch.meta_description.trim()
+        ? patch.meta_description.trim()
+        : content.meta_description,
+    body: nextParagraphs.join('\n\n'),
+  };
+}
+
+/**
+ * Sends up to `maxAttempts` targeted follow-up requests until the content
+ * satisfies avoid_phrases, target_keywords and the word range. A patch that
+ * makes things worse is discarded. `repair` is null when nothing needed fixing.
+ */
+async function repairContent(
+  content,
+  rule,
+  { keyword, locale, jobId, tracking, maxAttempts = config.ai.repairMaxAttempts, onAttempt } = {}
+) {
+  const initialViolations = detectViolations(content, rule, { locale });
+  if (!initialViolations.length) {
+    return { content, repair: null };
+  }
+
+  let current = content;
+  let violations = initialViolations;
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= maxAttempts && violations.length; attempt += 1) {
+    const entry = { attempt, violations: summarizeViolations(violations), outcome: 'pending' };
+    if (onAttempt) {
+      // eslint-disable-next-line no-await-in-loop
+      await onAttempt({ ...entry, maxAttempts });
+    }
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await trackChatCompletion(
+        {
+          system: 'You are a meticulous content editor that responds in JSON only.',
+          prompt: buildRepairPrompt(current, violations, { keyword, locale }),
+          json: true,
+        },
+        tracking
+      );
+      const patch = JSON.parse(normalizeJsonContent(response.content) || 'null');
+      const candidate = applyRepairPatch(current, patch);
+      const remaining = detectViolations(candidate, rule, { locale });
+      if (violationWeight(remaining) > violationWeight(violations)) {
+        entry.outcome = 'rejected';
+      } else {
+        entry.outcome =
+          remaining.length === 0
+            ? 'resolved'
+            : violationWeight(remaining) < violationWeight(violations)
+            ? 'improved'
+            : 'unchanged';
+        current = candidate;
+        violations = remaining;
+      }
+    } catch (err) {
+      entry.outcome = 'failed';
+      entry.error = err?.response?.data?.error?.message || err.message;
+      logger.warn('Content repair attempt failed', { jobId, attempt, error: entry.error });
+    }
+    entry.remaining = summarizeViolations(violations);
+    attempts.push(entry);
+    if (onAttempt) {
+      // eslint-disable-next-line no-await-in-loop
+      await onAttempt({ ...entry, maxAttempts });
+    }
+  }
+
+  return {
+    content: current,
+    repair: {
+      maxAttempts,
+      initialViolations: summarizeViolations(initialViolations),
+      attempts,
+      resolved: violations.length === 0,
+      remainingViolations: summarizeViolations(violations),
+    },
+  };
+}
+
+module.exports = {
+  detectViolations,
+  buildRepairPrompt,
+  applyRepairPatch,
+  repairContent,
+};
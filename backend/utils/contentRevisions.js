@@ -0,0 +1,80 @@
+const { diffLines } = require('./lineDiff');
+
+const REVISION_FIELDS = ['title', 'meta_description', 'body', 'schema_payload'];
+const REVISION_SOURCES = new Set(['generation', 'regeneration', 'edit', 'restore', 'baseline']);
+
+const serializeField = (field, value) => {
+  if (field === 'schema_payload') {
+    return value ? JSON.stringify(value, null, 2) : '';
+  }
+  return value || '';
+};
+
+// Serializes revision numbering per article; the lock is held until the caller's transaction ends.
+async function lockContentRow(executor, contentId) {
+  await executor.query('SELECT id FROM generated_content WHERE id = $1 FOR UPDATE', [contentId]);
+}
+
+async function recordRevision(executor, content, { source = 'edit', userId, note = null } = {}) {
+  if (!REVISION_SOURCES.has(source)) {
+    throw new Error(`Unknown revision source "${source}".`);
+  }
+  await lockContentRow(executor, content.id);
+  const latest = await executor.query(
+    'SELECT COALESCE(MAX(revision_number), 0)::int AS latest FROM content_revisions WHERE content_id = $1',
+    [content.id]
+  );
+  const revisionNumber = Number(latest.rows[0]?.latest || 0) + 1;
+  const result = await executor.query(
+    `INSERT INTO content_revisions
+      (content_id, user_id, revision_number, title, meta_description, body, schema_payload, source, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      content.id,
+      userId || content.user_id,
+      revisionNumber,
+      content.title,
+      content.meta_description || null,
+      content.body || null,
+      content.schema_payload || null,
+      source,
+      note,
+    ]
+  );
+  return result.rows[0];
+}
+
+// Legacy rows predate revision tracking; snapshot them once before the first change.
+async function ensureBaselineRevision(executor, content) {
+  await lockContentRow(executor, content.id);
+  const existing = await executor.query(
+    'SELECT 1 FROM content_revisions WHERE content_id = $1 LIMIT 1',
+    [content.id]
+  );
+  if (existing.rows.length > 0) {
+    return null;
+  }
+  return recordRevision(executor, content, { source: 'baseline', userId: content.user_id });
+}
+
+function diffRevisions(from, to) {
+  const fields = REVISION_FIELDS.reduce((acc, field) => {
+    acc[field] = diffLines(serializeField(field, from[field]), serializeField(field, to[field]));
+    return acc;
+  }, {});
+  return {
+    from: { id: from.id, revisionNumber: from.revision_number, createdAt: from.created_at },
+    to: { id: to.id, revisionNumber: to.revision_number, createdAt: to.created_at },
+    changedFields: REVISION_FIELDS.filter((field) => fields[field].changed),
+    fields,
+  };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  lockContentRow,
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions,
+};
@@ -0,0 +1,207 @@
+const db = require('../db');
+const { config } = require('../config');
+const { toPlainText } = require('./seoAnalyzer');
+const { embeddingConfigured, vectorLiteral, embedText } = require('./embeddings');
+
+const MAX_EMBEDDING_INPUT_LENGTH = 6000;
+const DEFAULT_MATCH_LIMIT = 5;
+const MAX_CLUSTER_PAIRS = 2000;
+const MIN_CLUSTER_THRESHOLD = 0.5;
+const MAX_NEIGHBOURS = 20;
+
+const roundSimilarity = (distance) => Math.round((1 - Number(distance)) * 10000) / 10000;
+
+// Title and meta carry the search intent, so they lead the text that gets embedded.
+function buildEmbeddingInput(content) {
+  return [content.title, content.meta_description, toPlainText(content.body)]
+    .map((part) => String(part || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_EMBEDDING_INPUT_LENGTH);
+}
+
+// pgvector's <=> is the cosine distance, 1 - cosine similarity; similarities are reported back as 0..1 scores.
+// Ordering by the operator alone lets the HNSW index serve the query, so the threshold is applied to its rows.
+async function findSimilarContent(
+  executor,
+  { userId, vector, excludeContentId = null, threshold = 0, limit = DEFAULT_MATCH_LIMIT }
+) {
+  const result = await executor.query(
+    `SELECT gc.id, gc.title, gc.keyword, gc.status, gc.created_at, ce.embedding <=> $1::vector AS distance
+     FROM content_embeddings ce
+     JOIN generated_content gc ON gc.id = ce.content_id
+     WHERE ce.user_id = $2 AND ce.content_id <> $3
+     ORDER BY ce.embedding <=> $1::vector
+     LIMIT $4`,
+    [typeof vector === 'string' ? vector : vectorLiteral(vector), userId, excludeContentId || 0, limit]
+  );
+  return result.rows
+    .filter((row) => Number(row.distance) <= 1 - threshold)
+    .map(({ distance, ...row }) => ({ ...row, similarity: roundSimilarity(distance) }));
+}
+
+async function clearSimilarityPairs(executor, contentId) {
+  await executor.query('DELETE FROM content_similarity_pairs WHERE content_id = $1 OR other_id = $1', [contentId]);
+}
+
+/**
+ * Stores an article's vector together with its nearest neighbours, so clusters
+ * are read from the saved pairs instead of comparing every article with every
+ * other one. Each pair is kept once, with the lower content id first.
+ */
+async function saveContentEmbedding(executor, { contentId, userId, vector }) {
+  await executor.query(
+    `INSERT INTO content_embeddings (content_id, user_id, embedding, model, updated_at)
+     VALUES ($1, $2, $3::vector, $4, $5)
+     ON CONFLICT (content_id) DO UPDATE
+       SET embedding = EXCLUDED.embedding, model = EXCLUDED.model, updated_at = EXCLUDED.updated_at`,
+    [contentId, userId, vectorLiteral(vector), config.ai.embeddingModel || null, new Date()]
+  );
+  await clearSimilarityPairs(executor, contentId);
+  const neighbours = await findSimilarContent(executor, {
+    userId,
+    vector,
+    excludeContentId: contentId,
+    threshold: MIN_CLUSTER_THRESHOLD,
+    limit: MAX_NEIGHBOURS,
+  });
+  // eslint-disable-next-line no-restricted-syntax
+  for (const neighbour of neighbours) {
+    // eslint-disable-next-line no-await-in-loop
+    await executor.query(
+      `INSERT INTO content_similarity_pairs (user_id, content_id, other_id, similarity)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (content_id, other_id) DO UPDATE SET similarity = EXCLUDED.similarity`,
+      [userId, Math.min(contentId, neighbour.id), Math.max(contentId, neighbour.id), neighbour.similarity]
+    );
+  }
+}
+
+/**
+ * Embeds an article and compares it with the user's other articles. The report
+ * lists the closest matches and warns once one reaches the duplicate threshold;
+ * the vector is returned so it can be stored together with the content.
+ */
+async function checkContentSimilarity(
+  content,
+  { userId, jobId, excludeContentId = null, threshold = config.ai.duplicateThreshold } = {}
+) {
+  if (!embeddingConfigured) {
+    return { vector: null, report: { status: 'skipped', reason: 'embeddings_not_configured' } };
+  }
+  const vector = await embedText(buildEmbeddingInput(content), { userId, jobId, feature: 'content_embedding' });
+  if (!vector) {
+    return { vector: null, report: { status: 'failed', reason: 'embedding_failed' } };
+  }
+  const matches = await findSimilarContent(db, { userId, vector, excludeContentId });
+  const duplicates = matches.filter((match) => match.similarity >= threshold);
+  return {
+    vector,
+    report: {
+      status: 'checked',
+      checkedAt: new Date().toISOString(),
+      threshold,
+      warning: duplicates.length > 0,
+      topSimilarity: matches.length ? matches[0].similarity : null,
+      matches: matches.map(({ id, title, keyword, similarity }) => ({
+        contentId: id,
+        title,
+        keyword,
+        similarity,
+        duplicate: similarity >= threshold,
+      })),
+    },
+  };
+}
+
+// Re-embeds an edited article. A failed embedding drops the outdated vector so clusters stop using it.
+async function refreshContentSimilarity(content) {
+  const { vector, report } = await checkContentSimilarity(content, {
+    userId: content.user_id,
+    excludeContentId: content.id,
+  });
+  return db.withTransaction(async (client) => {
+    const current = await client.query('SELECT details FROM generated_content WHERE id = $1 FOR UPDATE', [
+      content.id,
+    ]);
+    if (!current.rows[0]) {
+      return null;
+    }
+    const details = { ...(current.rows[0].details || {}), similarity: report };
+    await client.query('UPDATE generated_content SET details = $1 WHERE id = $2', [details, content.id]);
+    if (vector) {
+      await saveContentEmbedding(client, { contentId: content.id, userId: content.user_id, vector });
+    } else if (report.status === 'failed') {
+      await client.query('DELETE FROM content_embeddings WHERE content_id = $1', [content.id]);
+      await clearSimilarityPairs(client, content.id);
+    }
+    return details;
+  });
+}
+
+// Single-link grouping: articles joined by any pair above the threshold share a cluster.
+function clusterSimilarPairs(pairs) {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) {
+      root = parent.get(root);
+    }
+    parent.set(id, root);
+    return root;
+  };
+  pairs.forEach(({ contentId, otherId }) => {
+    [contentId, otherId].forEach((id) => {
+      if (!parent.has(id)) {
+        parent.set(id, id);
+      }
+    });
+    parent.set(find(contentId), find(otherId));
+  });
+
+  const clusters = new Map();
+  pairs.forEach((pair) => {
+    const root = find(pair.contentId);
+    const cluster = clusters.get(root) || { contentIds: new Set(), pairs: [] };
+    cluster.contentIds.add(pair.contentId);
+    cluster.contentIds.add(pair.otherId);
+    cluster.pairs.push(pair);
+    clusters.set(root, cluster);
+  });
+
+  return Array.from(clusters.values())
+    .map((cluster) => ({
+      contentIds: Array.from(cluster.contentIds).sort((a, b) => a - b),
+      maxSimilarity: Math.max(...cluster.pairs.map((pair) => pair.similarity)),
+      pairs: cluster.pairs.sort((a, b) => b.similarity - a.similarity),
+    }))
+    .sort((a, b) => b.contentIds.length - a.contentIds.length || b.maxSimilarity - a.maxSimilarity);
+}
+
+async function listSimilarityClusters(userId, { threshold = config.ai.duplicateThreshold } = {}) {
+  const result = await db.query(
+    `SELECT content_id, other_id, similarity
+     FROM content_similarity_pairs
+     WHERE user_id = $1 AND similarity >= $2
+     ORDER BY similarity DESC, content_id ASC, other_id ASC
+     LIMIT $3`,
+    [userId, threshold, MAX_CLUSTER_PAIRS]
+  );
+  const pairs = result.rows.map((row) => ({
+    contentId: row.content_id,
+    otherId: row.other_id,
+    similarity: Number(row.similarity),
+  }));
+  return { pairs, truncated: pairs.length >= MAX_CLUSTER_PAIRS, clusters: clusterSimilarPairs(pairs) };
+}
+
+module.exports = {
+  MIN_CLUSTER_THRESHOLD,
+  buildEmbeddingInput,
+  findSimilarContent,
+  saveContentEmbedding,
+  checkContentSimilarity,
+  refreshContentSimilarity,
+  clusterSimilarPairs,
+  listSimilarityClusters,
+};
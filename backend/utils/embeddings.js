@@ -0,0 +1,62 @@
+const axios = require('axios');
+const { config } = require('../config');
+const logger = require('../logger');
+const { extractTokenUsage } = require('./aiProvider');
+const { recordAiUsage } = require('./aiUsage');
+
+const embeddingConfigured =
+  Boolean(config.ai.embeddingModel) &&
+  Boolean((config.ai.embeddingBaseUrl || config.ai.baseUrl) && (config.ai.embeddingApiKey || config.ai.apiKey));
+
+const embeddingClient = embeddingConfigured
+  ? axios.create({
+      baseURL: config.ai.embeddingBaseUrl || config.ai.baseUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.ai.embeddingApiKey || config.ai.apiKey}`,
+      },
+      timeout: config.ai.requestTimeoutMs,
+    })
+  : null;
+
+const vectorLiteral = (values) => (Array.isArray(values) ? `[${values.join(',')}]` : null);
+
+// Embeds a single text and records the usage under `feature`; returns null when embeddings are unavailable.
+async function embedText(text, { userId, jobId, feature } = {}) {
+  const normalizedText = typeof text === 'string' ? text.trim() : '';
+  if (!embeddingConfigured || !embeddingClient || !normalizedText) {
+    return null;
+  }
+
+  const startedAt = Date.now();
+  try {
+    const response = await embeddingClient.post('/v1/embeddings', {
+      model: config.ai.embeddingModel,
+      input: normalizedText,
+    });
+    await recordAiUsage({
+      userId,
+      jobId,
+      feature,
+      provider: 'embedding',
+      model: config.ai.embeddingModel,
+      usage: extractTokenUsage(response?.data, 'openai'),
+      latencyMs: Date.now() - startedAt,
+    });
+    return response?.data?.data?.[0]?.embedding || null;
+  } catch (err) {
+    logger.warn('Failed to generate embedding', {
+      error: err.response ? err.response.data : err.message,
+      jobId,
+      feature,
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  embeddingConfigured,
+  embeddingClient,
+  vectorLiteral,
+  embedText,
+};
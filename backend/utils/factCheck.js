@@ -0,0 +1,163 @@
+const { config } = require('../config');
+const logger = require('../logger');
+const { normalizeJsonContent } = require('./aiProvider');
+const { trackChatCompletion } = require('./aiUsage');
+const { getLocaleInfo } = require('./locale');
+const { stripCitationMarkers } = require('./citations');
+
+const FACT_CHECK_VERDICTS = ['supported', 'contradicted', 'unverified'];
+const MAX_EVIDENCE_LENGTH = 2000;
+const SYSTEM_PROMPT = 'You are a meticulous fact checker that responds in JSON only.';
+
+const splitParagraphs = (body) =>
+  String(body || '')
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+
+async function requestJson(prompt, tracking) {
+  const response = await trackChatCompletion({ system: SYSTEM_PROMPT, prompt, json: true }, tracking);
+  return JSON.parse(normalizeJsonContent(response.content) || 'null');
+}
+
+function buildClaimExtractionPrompt(content, { keyword, maxClaims }) {
+  const paragraphs = splitParagraphs(content.body)
+    .map((paragraph, index) => `[P${index}]\n${paragraph}`)
+    .join('\n\n');
+  return `
+你是一名严谨的事实核查编辑。请从下面这篇${keyword ? `关于「${keyword}」的` : ''}文章中找出可以用资料核实的事实性陈述，重点关注产品规格、参数、数字、日期、价格、认证与排名等具体信息。
+
+**要求**
+- 最多列出 ${maxClaims} 条，优先选择最具体、最容易出错的陈述。
+- 每条陈述需完整独立、脱离上下文也能理解，尽量保留原文表述；观点、建议与营销口号不要列出。
+- paragraph 为陈述所在的段落编号。
+
+**正文段落（按编号引用）**
+${paragraphs}
+
+请仅返回 JSON：{ "claims": [{ "text": "事实陈述", "paragraph": 0 }] }`.trim();
+}
+
+function buildVerificationPrompt(claims, { locale }) {
+  const blocks = claims
+    .map((claim) => `### ${claim.id}\n陈述：${claim.text}\n知识库片段：\n${claim.evidenceText}`)
+    .join('\n\n');
+  return `
+你是一名严谨的事实核查编辑。请只根据每条陈述下方的知识库片段判断该陈述是否成立，不要使用常识或外部知识。
+
+**判定标准**
+- supported：片段明确支持该陈述，数字、规格等细节一致。
+- contradicted：片段给出了与陈述不一致的信息。
+- unverified：片段未涉及该陈述或不足以判断。
+
+${blocks}
+
+evidence 填写作为依据的片段编号（如 S1），explanation 使用${getLocaleInfo(locale).language}简要说明依据。
+请仅返回 JSON：{ "results": [{ "id": "C1", "verdict": "supported", "evidence": ["S1"], "explanation": "说明" }] }`.trim();
+}
+
+function normalizeClaims(parsed, paragraphCount, maxClaims) {
+  const seen = new Set();
+  return (Array.isArray(parsed?.claims) ? parsed.claims : [])
+    .map((claim) => ({
+      text: stripCitationMarkers(typeof claim === 'string' ? claim : claim?.text || ''),
+      paragraph: Number.isInteger(claim?.paragraph) && claim.paragraph < paragraphCount ? claim.paragraph : null,
+    }))
+    .filter((claim) => {
+      if (!claim.text || seen.has(claim.text)) {
+        return false;
+      }
+      seen.add(claim.text);
+      return true;
+    })
+    .slice(0, maxClaims)
+    .map((claim, index) => ({ id: `C${index + 1}`, ...claim }));
+}
+
+const summarizeClaims = (claims) =>
+  FACT_CHECK_VERDICTS.reduce(
+    (summary, verdict) => ({ ...summary, [verdict]: claims.filter((claim) => claim.verdict === verdict).length }),
+    { total: claims.length }
+  );
+
+/**
+ * Optional verification pass: extracts factual claims from the body, retrieves
+ * knowledge chunks for each claim and asks the model to label every claim
+ * supported, contradicted or unverified using only those chunks. Claims without
+ * any retrieved knowledge are unverified without a model call. Errors are
+ * reported on the result instead of failing the job.
+ */
+async function factCheckContent(
+  content,
+  { keyword, locale, retrieveEvidence, maxClaims = config.ai.factCheckMaxClaims, jobId, tracking, onProgress } = {}
+) {
+  const checkedAt = new Date().toISOString();
+  try {
+    const paragraphCount = splitParagraphs(content.body).length;
+    const claims = normalizeClaims(
+      await requestJson(buildClaimExtractionPrompt(content, { keyword, maxClaims }), tracking),
+      paragraphCount,
+      maxClaims
+    );
+    if (onProgress) {
+      await onProgress({ claims: claims.length });
+    }
+
+    const withEvidence = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const claim of claims) {
+      // eslint-disable-next-line no-await-in-loop
+      const knowledge = retrieveEvidence ? await retrieveEvidence(claim.text) : null;
+      const evidenceText = String(knowledge?.content || '').slice(0, MAX_EVIDENCE_LENGTH);
+      withEvidence.push({
+        ...claim,
+        evidenceText,
+        snippets: Array.isArray(knowledge?.snippets) ? knowledge.snippets : [],
+      });
+    }
+
+    const checkable = withEvidence.filter((claim) => claim.evidenceText.trim());
+    const parsed = checkable.length
+      ? await requestJson(buildVerificationPrompt(checkable, { locale }), tracking)
+      : null;
+    const results = new Map(
+      (Array.isArray(parsed?.results) ? parsed.results : [])
+        .filter((result) => result?.id)
+        .map((result) => [String(result.id), result])
+    );
+
+    const checked = withEvidence.map(({ evidenceText, snippets, ...claim }) => {
+      const result = evidenceText.trim() ? results.get(claim.id) : null;
+      const cited = new Set(Array.isArray(result?.evidence) ? result.evidence.map(String) : []);
+      return {
+        ...claim,
+        verdict: FACT_CHECK_VERDICTS.includes(result?.verdict) ? result.verdict : 'unverified',
+        explanation: typeof result?.explanation === 'string' ? result.explanation.trim() : null,
+        evidence: snippets
+          .filter((snippet) => snippet.citationId && cited.has(snippet.citationId))
+          .map(({ citationId, documentId, documentName, chunkIndex, preview }) => ({
+            id: citationId,
+            documentId,
+            documentName,
+            chunkIndex,
+            preview,
+          })),
+        retrievedSnippets: snippets.length,
+      };
+    });
+
+    const summary = summarizeClaims(checked);
+    return { status: 'completed', checkedAt, flagged: summary.contradicted > 0, summary, claims: checked };
+  } catch (err) {
+    const error = err?.response?.data?.error?.message || err.message;
+    logger.warn('Fact check failed', { jobId, error });
+    return { status: 'failed', checkedAt, flagged: false, error, summary: summarizeClaims([]), claims: [] };
+  }
+}
+
+module.exports = {
+  FACT_CHECK_VERDICTS,
+  buildClaimExtractionPrompt,
+  buildVerificationPrompt,
+  factCheckContent,
+};
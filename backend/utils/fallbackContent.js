@@ -0,0 +1,140 @@
+const { resolveLocale, getFallbackCopy } = require('./locale');
+
+const MAX_FALLBACK_EXCERPTS = 5;
+const MAX_EXCERPT_LENGTH = 200;
+
+const clipExcerpt = (text) => {
+  const compact = String(text || '').replace(/\s+/g, ' ').trim();
+  return compact.length > MAX_EXCERPT_LENGTH ? `${compact.slice(0, MAX_EXCERPT_LENGTH)}…` : compact;
+};
+
+// Snippet previews are preferred, cited by their [Sn] id; without them the combined knowledge text is split into paragraphs.
+function collectExcerpts(knowledgeBaseContent, snippets) {
+  const previews = (Array.isArray(snippets) ? snippets : []).filter((snippet) => snippet?.preview);
+  if (previews.length) {
+    return previews
+      .slice(0, MAX_FALLBACK_EXCERPTS)
+      .map((snippet) => `${clipExcerpt(snippet.preview)}${snippet.citationId ? ` [${snippet.citationId}]` : ''}`);
+  }
+  return String(knowledgeBaseContent || '')
+    .split(/\n{2,}/)
+    .map((paragraph) =>
+      paragraph
+        .split('\n')
+        .filter((line) => !line.trim().startsWith('#'))
+        .join(' ')
+    )
+    .map(clipExcerpt)
+    .filter(Boolean)
+    .slice(0, MAX_FALLBACK_EXCERPTS);
+}
+
+function buildContextLines(rule, copy) {
+  const source = rule?.source_settings || {};
+  const style = rule?.style_settings || {};
+  return [
+    ['brand', source.brand_name],
+    ['campaign', source.campaign_name],
+    ['region', source.target_region],
+    ['audience', style.target_audience],
+    ['valueProps', style.value_props],
+  ]
+    .filter(([, value]) => typeof value === 'string' && value.trim())
+    .map(([label, value]) => `- ${copy.labels[label]}${value.trim()}`);
+}
+
+// Mirrors the ranking block of the AI prompt: explicit items in index order, the primary position flagged.
+function buildRankingSection(rule, copy) {
+  const ranking = rule?.ranking_settings;
+  if (!ranking?.enabled) {
+    return null;
+  }
+  const heading = `## ${ranking.title || copy.ranking.title}`;
+  const position = Math.max(1, ranking.primary_position || 1);
+  const items = Array.isArray(ranking.items)
+    ? [...ranking.items].sort((a, b) => (a.index || 0) - (b.index || 0))
+    : [];
+  if (items.length === 0) {
+    return ranking.auto_generate
+      ? [heading, copy.ranking.placeholder(rule.source_settings?.brand_name, position)]
+      : null;
+  }
+  const primaryItem = items.find((item) => (item.index || 0) === position) || items[0];
+  const list = items
+    .map((item, idx) => {
+      const name = `**${item.name || `#${idx + 1}`}**${item === primaryItem ? copy.ranking.primary : ''}`;
+      const note = item.highlight || item.description;
+      return `${idx + 1}. ${name}${note ? ` — ${note}` : ''}`;
+    })
+    .join('\n');
+  return [heading, list];
+}
+
+/**
+ * Skeleton article used when AI is unavailable or its output cannot be parsed.
+ * It follows the rule's outline, brand context, ranking list and CTA, quotes the
+ * retrieved knowledge, and is written in the job's locale.
+ */
+function buildFallbackContent({ keyword, rule, knowledgeBaseContent, snippets, selectedImages = [], locale }) {
+  const copy = getFallbackCopy(locale);
+  const { why, practices, visuals, next } = copy.sections(keyword);
+  const seo = rule?.seo_settings || {};
+  const outline = (Array.isArray(seo.outline) ? seo.outline : []).filter(
+    (section) => typeof section?.title === 'string' && section.title.trim()
+  );
+
+  const bodySections = outline.length
+    ? outline.map((section) => [
+        `## ${section.title.trim()}`,
+        section.objective || copy.outline(section.title.trim(), keyword),
+      ])
+    : [[...why], [...practices]];
+
+  const excerpts = collectExcerpts(knowledgeBaseContent, snippets);
+  excerpts.forEach((excerpt, index) => {
+    bodySections[index % bodySections.length].push(`> ${copy.labels.source}${excerpt}`);
+  });
+
+  const hasImages = Array.isArray(selectedImages) && selectedImages.length > 0;
+  if (hasImages) {
+    const placeholders = selectedImages.map((_, idx) => `[IMAGE_${idx + 1}]`).join('\n\n');
+    bodySections[0].push(visuals[0], `${visuals[1]}\n\n${placeholders}`);
+  }
+
+  const contextLines = buildContextLines(rule, copy);
+  const rankingSection = buildRankingSection(rule, copy);
+  const callToAction =
+    typeof rule?.style_settings?.call_to_action === 'string' ? rule.style_settings.call_to_action.trim() : '';
+
+  const sections = [
+    contextLines.length ? contextLines.join('\n') : null,
+    ...bodySections.flat(),
+    ...(rankingSection || []),
+    next[0],
+    callToAction || next[1],
+  ].filter(Boolean);
+
+  const metaDescription = copy.metaDescription(keyword);
+  const metaLimit = Number(seo.meta_description_length);
+
+  return {
+    title: copy.title(keyword),
+    meta_description:
+      Number.isInteger(metaLimit) && metaLimit > 0 ? metaDescription.slice(0, metaLimit) : metaDescription,
+    body: sections.join('\n\n'),
+    details: {
+      appliedRule: rule?.rule_name || 'default',
+      hasKnowledgeBase: Boolean(knowledgeBaseContent),
+      imagesIncluded: hasImages,
+      fallbackLocale: resolveLocale(locale),
+      outlineSections: outline.length,
+      knowledgeExcerpts: excerpts.length,
+      rankingIncluded: Boolean(rankingSection),
+      callToActionIncluded: Boolean(callToAction),
+    },
+  };
+}
+
+module.exports = {
+  buildFallbackContent,
+};
@@ -0,0 +1,150 @@
+const db = require('../db');
+const logger = require('../logger');
+const { config } = require('../config');
+
+const MAX_TRACE_TEXT_LENGTH = 200000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const clipText = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_TRACE_TEXT_LENGTH ? `${text.slice(0, MAX_TRACE_TEXT_LENGTH)}\n[Truncated]` : text;
+};
+
+const isTracingEnabled = () => config.traces.retentionDays > 0;
+
+/**
+ * Collects every AI call and knowledge snippet of one generation job. Passed as
+ * `tracking.trace` so trackChatCompletion can record calls made by nested helpers
+ * (sectioned generation, repair) without threading another argument through them.
+ */
+function createTraceRecorder() {
+  const calls = [];
+  const snippets = [];
+  const seenSnippets = new Set();
+
+  return {
+    calls,
+    snippets,
+    recordCall({ feature, system, prompt, provider, model, parameters, content, providerResponse, usage, latencyMs, error }) {
+      calls.push({
+        feature: feature || null,
+        provider: provider || null,
+        model: model || null,
+        parameters: parameters || null,
+        system: clipText(system),
+        prompt: clipText(prompt),
+        content: clipText(content),
+        providerResponse: clipText(providerResponse),
+        usage: usage || null,
+        latencyMs: latencyMs === undefined ? null : latencyMs,
+        status: error ? 'error' : 'success',
+        error: error ? String(error) : null,
+      });
+    },
+    addSnippets(entries, queryText = null) {
+      (Array.isArray(entries) ? entries : []).forEach((snippet) => {
+        const key = `${snippet.documentId}:${snippet.chunkIndex}`;
+        if (seenSnippets.has(key)) {
+          return;
+        }
+        seenSnippets.add(key);
+        snippets.push(queryText ? { ...snippet, queryText } : snippet);
+      });
+    },
+  };
+}
+
+// The first content_generation call is the article prompt (or the outline prompt in sectioned mode).
+async function saveGenerationTrace({
+  contentId,
+  userId,
+  jobId = null,
+  ruleId = null,
+  generationMode,
+  recorder,
+  schemaConfig = null,
+  fallbackReason = null,
+}) {
+  if (!isTracingEnabled() || !contentId || !recorder) {
+    return null;
+  }
+  const primary = recorder.calls.find((call) => call.feature === 'content_generation') || recorder.calls[0] || null;
+  const now = new Date();
+  try {
+    const result = await db.query(
+      `INSERT INTO generation_traces
+        (content_id, user_id, job_id, rule_id, generation_mode, prompt, schema_config, snippets, provider,
+         model, parameters, raw_response, calls, fallback_reason, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       ON CONFLICT (content_id) DO NOTHING
+       RETURNING id`,
+      [
+        contentId,
+        userId,
+        jobId === null || jobId === undefined ? null : String(jobId),
+        ruleId || null,
+        generationMode,
+        primary?.prompt || null,
+        schemaConfig ? JSON.stringify(schemaConfig) : null,
+        JSON.stringify(recorder.snippets),
+        primary?.provider || null,
+        primary?.model || null,
+        primary?.parameters ? JSON.stringify(primary.parameters) : null,
+        primary?.content || null,
+        JSON.stringify(recorder.calls),
+        fallbackReason,
+        now,
+        new Date(now.getTime() + config.traces.retentionDays * DAY_MS),
+      ]
+    );
+    return result.rows[0]?.id || null;
+  } catch (err) {
+    logger.warn('Failed to store generation trace', { contentId, jobId, error: err.message });
+    return null;
+  }
+}
+
+// Also drops traces older than the current retention, so lowering it (or 0, which turns tracing off) applies to old rows.
+async function purgeExpiredTraces(now = new Date()) {
+  const cutoff = new Date(now.getTime() - Math.max(config.traces.retentionDays, 0) * DAY_MS);
+  try {
+    const result = await db.query(
+      'DELETE FROM generation_traces WHERE expires_at <= $1 OR created_at <= $2 RETURNING id',
+      [now, cutoff]
+    );
+    if (result.rows.length) {
+      logger.info('Purged expired generation traces', { count: result.rows.length });
+    }
+    return result.rows.length;
+  } catch (err) {
+    logger.warn('Failed to purge expired generation traces', { error: err.message });
+    return 0;
+  }
+}
+
+let purgeTimer = null;
+
+// Runs on its own timer so traces expire even while no generations run.
+function scheduleTracePurge(intervalMs = PURGE_INTERVAL_MS) {
+  if (purgeTimer) {
+    return purgeTimer;
+  }
+  purgeExpiredTraces();
+  purgeTimer = setInterval(() => purgeExpiredTraces(), intervalMs);
+  if (typeof purgeTimer.unref === 'function') {
+    purgeTimer.unref();
+  }
+  return purgeTimer;
+}
+
+module.exports = {
+  createTraceRecorder,
+  isTracingEnabled,
+  saveGenerationTrace,
+  purgeExpiredTraces,
+  scheduleTracePurge,
+};
@@ -0,0 +1,82 @@
+const { Job, UnrecoverableError } = require('bullmq');
+
+const JOB_STATES = ['waiting', 'delayed', 'prioritized', 'active', 'completed', 'failed'];
+const PENDING_JOB_STATES = new Set(['waiting', 'delayed', 'prioritized', 'waiting-children']);
+const JOB_CANCELLED_REASON = 'Job cancelled by user.';
+
+// Generation inputs a failed job may be retried with; anything else is kept from the original job.
+const RETRY_INPUT_FIELDS = [
+  'keyword',
+  'knowledgeBaseId',
+  'knowledgeSetId',
+  'imageIds',
+  'imageCollectionId',
+  'imageTags',
+  'imageCount',
+  'ruleId',
+  'locale',
+  'schemaConfig',
+  'schemaEntities',
+  'schemaOverrides',
+  'factCheck',
+];
+
+const isJobCancellation = (err) => err instanceof UnrecoverableError && err.message === JOB_CANCELLED_REASON;
+
+// attemptsMade counts finished attempts, so it does not include the one that just threw yet.
+const isFinalAttempt = (job, err) =>
+  err instanceof UnrecoverableError || (job.attemptsMade || 0) + 1 >= (job.opts?.attempts || 1);
+
+/**
+ * Active jobs cannot be removed from BullMQ, so cancelling one only flags its
+ * data; the worker calls this between stages and stops without retrying. The
+ * flag is re-read from Redis because the worker holds its own copy of the data.
+ */
+async function throwIfCancelled(job) {
+  let cancelled = Boolean(job?.data?.cancelRequested);
+  if (!cancelled && job?.queue && job.id) {
+    const latest = await Job.fromId(job.queue, job.id);
+    cancelled = Boolean(latest?.data?.cancelRequested);
+  }
+  if (cancelled) {
+    throw new UnrecoverableError(JOB_CANCELLED_REASON);
+  }
+}
+
+function summarizeJob(job, state) {
+  const data = job.data || {};
+  return {
+    id: job.id,
+    name: job.name,
+    state,
+    cancelled: Boolean(data.cancelRequested),
+    progress: job.progress || {},
+    attempts: job.attemptsMade || 0,
+    failedReason: state === 'failed' ? job.failedReason || null : null,
+    input: {
+      keyword: data.keyword || null,
+      ruleId: data.ruleId || null,
+      locale: data.locale || null,
+      contentId: data.contentId || null,
+      batchId: data.batchId || null,
+    },
+    retryOf: data.retryOf || null,
+    contentId: state === 'completed' ? job.returnvalue?.id || job.returnvalue?.content?.id || null : null,
+    timestamps: {
+      timestamp: job.timestamp,
+      processedOn: job.processedOn,
+      finishedOn: job.finishedOn,
+    },
+  };
+}
+
+module.exports = {
+  JOB_STATES,
+  PENDING_JOB_STATES,
+  JOB_CANCELLED_REASON,
+  RETRY_INPUT_FIELDS,
+  isJobCancellation,
+  isFinalAttempt,
+  throwIfCancelled,
+  summarizeJob,
+};
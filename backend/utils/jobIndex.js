@@ -0,0 +1,89 @@
+const db = require('../db');
+const logger = require('../logger');
+
+/**
+ * The queue is shared by all users, so each user's jobs and their last known
+ * state are mirrored in content_jobs for listing and counting. The queue stays
+ * the source of truth: a failed write is logged and never fails the job.
+ *
+ * Called once a job is enqueued. A worker may already have picked it up and
+ * recorded a later state, which is kept.
+ */
+async function indexJob(jobId, userId, jobName) {
+  if (!jobId || !userId) {
+    return;
+  }
+  try {
+    await db.query(
+      `INSERT INTO content_jobs (job_id, user_id, job_name, state)
+       VALUES ($1, $2, $3, 'waiting')
+       ON CONFLICT (job_id) DO NOTHING`,
+      [String(jobId), userId, jobName]
+    );
+  } catch (err) {
+    logger.warn('Failed to index content job', { jobId, userId, error: err.message });
+  }
+}
+
+// Upserts, so a state change recorded before the enqueuing request indexed the job is not lost.
+async function setIndexedJobState(job, state) {
+  const userId = job?.data?.userId;
+  if (!job?.id || !userId) {
+    return;
+  }
+  try {
+    await db.query(
+      `INSERT INTO content_jobs (job_id, user_id, job_name, state)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (job_id) DO UPDATE SET state = EXCLUDED.state, updated_at = CURRENT_TIMESTAMP`,
+      [String(job.id), userId, job.name, state]
+    );
+  } catch (err) {
+    logger.warn('Failed to update indexed job state', { jobId: job.id, state, error: err.message });
+  }
+}
+
+async function unindexJob(jobId) {
+  try {
+    await db.query('DELETE FROM content_jobs WHERE job_id = $1', [String(jobId)]);
+  } catch (err) {
+    logger.warn('Failed to remove indexed job', { jobId, error: err.message });
+  }
+}
+
+async function countIndexedJobs(userId, states) {
+  const placeholders = states.map((_state, index) => `$${index + 2}`).join(', ');
+  const result = await db.query(
+    `SELECT state, COUNT(*)::int AS count
+     FROM content_jobs
+     WHERE user_id = $1 AND state IN (${placeholders})
+     GROUP BY state`,
+    [userId, ...states]
+  );
+  return states.reduce((acc, state) => {
+    const row = result.rows.find((entry) => entry.state === state);
+    acc[state] = row ? Number(row.count) : 0;
+    return acc;
+  }, {});
+}
+
+async function listIndexedJobs(userId, states, { limit, offset }) {
+  const placeholders = states.map((_state, index) => `$${index + 2}`).join(', ');
+  const result = await db.query(
+    `SELECT job_id, state
+     FROM content_jobs
+     WHERE user_id = $1 AND state IN (${placeholders})
+     ORDER BY created_at DESC, job_id DESC
+     LIMIT $${states.length + 2} OFFSET $${states.length + 3}`,
+    [userId, ...states, limit, offset]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  indexJob,
+  setIndexedJobState,
+  unindexJob,
+  countIndexedJobs,
+  listIndexedJobs,
+};
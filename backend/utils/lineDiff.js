@@ -0,0 +1,58 @@
+const splitLines = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+  return String(value).replace(/\r\n/g, '\n').split('\n');
+};
+
+// Classic LCS table walk; article bodies are a few hundred lines, so the
+// quadratic table stays small.
+function diffLines(before, after) {
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  const rows = oldLines.length;
+  const cols = newLines.length;
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      table[i][j] =
+        oldLines[i] === newLines[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      changes.push({ type: 'equal', line: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      changes.push({ type: 'removed', line: oldLines[i], oldLine: i + 1 });
+      i += 1;
+    } else {
+      changes.push({ type: 'added', line: newLines[j], newLine: j + 1 });
+      j += 1;
+    }
+  }
+  while (i < rows) {
+    changes.push({ type: 'removed', line: oldLines[i], oldLine: i + 1 });
+    i += 1;
+  }
+  while (j < cols) {
+    changes.push({ type: 'added', line: newLines[j], newLine: j + 1 });
+    j += 1;
+  }
+
+  const added = changes.filter((change) => change.type === 'added').length;
+  const removed = changes.filter((change) => change.type === 'removed').length;
+  return { changed: added > 0 || removed > 0, added, removed, changes };
+}
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,276 @@
+const DEFAULT_LOCALE = 'zh-CN';
+
+// wordUnit "character" follows the 字数/文字数 convention; "word" counts segmented words.
+const LOCALES = {
+  'zh-CN': { language: '简体中文', wordUnit: 'character', referencesHeading: '参考资料' },
+  'zh-TW': { language: '繁體中文', wordUnit: 'character', referencesHeading: '參考資料' },
+  en: { language: 'English', wordUnit: 'word', referencesHeading: 'References' },
+  ja: { language: '日本語', wordUnit: 'character', referencesHeading: '参考文献' },
+  ko: { language: '한국어', wordUnit: 'word', referencesHeading: '참고 자료' },
+  es: { language: 'Español', wordUnit: 'word', referencesHeading: 'Referencias' },
+  fr: { language: 'Français', wordUnit: 'word', referencesHeading: 'Références' },
+  de: { language: 'Deutsch', wordUnit: 'word', referencesHeading: 'Quellen' },
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+const TRADITIONAL_CHINESE_PATTERN = /^zh[-_](tw|hk|mo|hant)/i;
+
+function normalizeLocale(value) {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return null;
+  }
+  const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === raw.toLowerCase());
+  if (exact) {
+    return exact;
+  }
+  if (TRADITIONAL_CHINESE_PATTERN.test(raw)) {
+    return 'zh-TW';
+  }
+  const language = raw.split(/[-_]/)[0].toLowerCase();
+  if (language === 'zh') {
+    return 'zh-CN';
+  }
+  return SUPPORTED_LOCALES.find((locale) => locale === language) || null;
+}
+
+// The first candidate that maps to a supported locale wins, e.g. job locale before rule locale.
+const resolveLocale = (...candidates) =>
+  candidates.map(normalizeLocale).find(Boolean) || DEFAULT_LOCALE;
+
+const getLocaleInfo = (locale) => LOCALES[normalizeLocale(locale) || DEFAULT_LOCALE];
+
+const describeOutputLanguage = (locale) =>
+  `全文（标题、Meta Description、正文）必须使用${getLocaleInfo(locale).language}（${resolveLocale(locale)}）撰写，语言需与目标受众匹配。`;
+
+const FALLBACK_COPY = {
+  'zh-CN': {
+    title: (keyword) => `${keyword}完全指南`,
+    metaDescription: (keyword) => `了解${keyword}如何影响你的营销策略，并获取贴合需求的实用步骤。`,
+    sections: (keyword) => ({
+      why: [`## 为什么${keyword}很重要`, `说明${keyword}对目标受众的意义，以及它与当前市场趋势的关联。`],
+      practices: ['## 最佳实践', '提供可落地的建议，引用知识库中的要点，并指出适合插入图片的位置。'],
+      visuals: ['## 视觉参考', '插入以下图片：'],
+      next: ['## 下一步行动', `给出明确的行动号召，并总结采用${keyword}相关策略的收益。`],
+    }),
+    outline: (title, keyword) => `围绕“${title}”展开，说明它与${keyword}的关系，并补充具体案例或数据。`,
+    labels: {
+      brand: '品牌：',
+      campaign: '活动/场景：',
+      audience: '目标受众：',
+      valueProps: '核心价值：',
+      region: '目标地区：',
+      source: '参考资料：',
+    },
+    ranking: {
+      title: '推荐榜单',
+      primary: '（首推）',
+      placeholder: (brand, position) =>
+        `列出至少 4 个推荐条目，第 ${position} 位为${brand || '主推品牌'}，并说明各自的亮点与适用人群。`,
+    },
+  },
+  'zh-TW': {
+    title: (keyword) => `${keyword}完全指南`,
+    metaDescription: (keyword) => `了解${keyword}如何影響你的行銷策略，並取得貼合需求的實用步驟。`,
+    sections: (keyword) => ({
+      why: [`## 為什麼${keyword}很重要`, `說明${keyword}對目標受眾的意義，以及它與當前市場趨勢的關聯。`],
+      practices: ['## 最佳實踐', '提供可落地的建議，引用知識庫中的要點，並指出適合插入圖片的位置。'],
+      visuals: ['## 視覺參考', '插入以下圖片：'],
+      next: ['## 下一步行動', `給出明確的行動呼籲，並總結採用${keyword}相關策略的效益。`],
+    }),
+    outline: (title, keyword) => `圍繞「${title}」展開，說明它與${keyword}的關係，並補充具體案例或數據。`,
+    labels: {
+      brand: '品牌：',
+      campaign: '活動/場景：',
+      audience: '目標受眾：',
+      valueProps: '核心價值：',
+      region: '目標地區：',
+      source: '參考資料：',
+    },
+    ranking: {
+      title: '推薦榜單',
+      primary: '（首推）',
+      placeholder: (brand, position) =>
+        `列出至少 4 個推薦項目，第 ${position} 位為${brand || '主推品牌'}，並說明各自的亮點與適用族群。`,
+    },
+  },
+  en: {
+    title: (keyword) => `Essential Guide to ${keyword}`,
+    metaDescription: (keyword) =>
+      `Discover how ${keyword} can impact your marketing strategy with practical steps tailored to your needs.`,
+    sections: (keyword) => ({
+      why: [
+        `## Why ${keyword} Matters`,
+        `Discuss the importance of ${keyword} for the target audience and how it connects to current market dynamics.`,
+      ],
+      practices: [
+        '## Best Practices',
+        'Provide actionable tips, referencing any knowledge base snippets and highlighting when images should be inserted.',
+      ],
+      visuals: ['## Visual Inspiration', 'Incorporate the following visuals:'],
+      next: [
+        '## Next Steps',
+        `Offer a clear call to action and summarize the benefits of adopting strategies related to ${keyword}.`,
+      ],
+    }),
+    outline: (title, keyword) =>
+      `Expand on "${title}" and explain how it relates to ${keyword}, adding concrete examples or data.`,
+    labels: {
+      brand: 'Brand: ',
+      campaign: 'Campaign: ',
+      audience: 'Target audience: ',
+      valueProps: 'Value proposition: ',
+      region: 'Target region: ',
+      source: 'Source: ',
+    },
+    ranking: {
+      title: 'Top Picks',
+      primary: ' (Top pick)',
+      placeholder: (brand, position) =>
+        `List at least 4 recommendations with ${brand || 'the featured brand'} at position ${position}, noting each one's strengths and ideal users.`,
+    },
+  },
+  ja: {
+    title: (keyword) => `${keyword}完全ガイド`,
+    metaDescription: (keyword) => `${keyword}がマーケティング戦略に与える影響と、ニーズに合った実践的なステップを紹介します。`,
+    sections: (keyword) => ({
+      why: [`## ${keyword}が重要な理由`, `${keyword}がターゲット読者にとってなぜ重要なのか、現在の市場動向との関係を説明します。`],
+      practices: ['## ベストプラクティス', 'ナレッジベースの情報を引用しながら実践的なヒントを紹介し、画像を挿入すべき箇所を示します。'],
+      visuals: ['## ビジュアル参考', '以下の画像を挿入してください：'],
+      next: ['## 次のステップ', `明確な行動喚起を示し、${keyword}に関する施策を取り入れるメリットをまとめます。`],
+    }),
+    outline: (title, keyword) => `「${title}」について、${keyword}との関係を説明し、具体的な事例やデータを補足します。`,
+    labels: {
+      brand: 'ブランド：',
+      campaign: 'キャンペーン：',
+      audience: 'ターゲット読者：',
+      valueProps: '提供価値：',
+      region: '対象地域：',
+      source: '参考情報：',
+    },
+    ranking: {
+      title: 'おすすめランキング',
+      primary: '（一押し）',
+      placeholder: (brand, position) =>
+        `少なくとも4件のおすすめを挙げ、${position}位には${brand || '主力ブランド'}を置き、それぞれの強みと向いている人を説明します。`,
+    },
+  },
+  ko: {
+    title: (keyword) => `${keyword} 완벽 가이드`,
+    metaDescription: (keyword) => `${keyword}이(가) 마케팅 전략에 미치는 영향과 상황에 맞는 실용적인 단계를 알아보세요.`,
+    sections: (keyword) => ({
+      why: [`## ${keyword}이(가) 중요한 이유`, `${keyword}이(가) 타깃 독자에게 왜 중요한지, 현재 시장 흐름과 어떤 관련이 있는지 설명합니다.`],
+      practices: ['## 모범 사례', '지식 베이스의 내용을 인용해 실행 가능한 팁을 제공하고 이미지를 넣을 위치를 안내합니다.'],
+      visuals: ['## 참고 이미지', '다음 이미지를 삽입하세요:'],
+      next: ['## 다음 단계', `명확한 행동 유도와 함께 ${keyword} 관련 전략을 도입했을 때의 이점을 정리합니다.`],
+    }),
+    outline: (title, keyword) => `"${title}"을(를) 중심으로 ${keyword}와(과)의 관계를 설명하고 구체적인 사례나 데이터를 보완합니다.`,
+    labels: {
+      brand: '브랜드: ',
+      campaign: '캠페인: ',
+      audience: '타깃 독자: ',
+      valueProps: '핵심 가치: ',
+      region: '대상 지역: ',
+      source: '참고 자료: ',
+    },
+    ranking: {
+      title: '추천 순위',
+      primary: ' (최고 추천)',
+      placeholder: (brand, position) =>
+        `최소 4개의 추천 항목을 나열하고 ${position}위에는 ${brand || '주력 브랜드'}을(를) 두며 각 항목의 장점과 적합한 사용자를 설명합니다.`,
+    },
+  },
+  es: {
+    title: (keyword) => `Guía esencial sobre ${keyword}`,
+    metaDescription: (keyword) =>
+      `Descubre cómo ${keyword} puede influir en tu estrategia de marketing con pasos prácticos adaptados a tus necesidades.`,
+    sections: (keyword) => ({
+      why: [`## Por qué importa ${keyword}`, `Explica la importancia de ${keyword} para el público objetivo y su relación con el mercado actual.`],
+      practices: ['## Buenas prácticas', 'Ofrece consejos aplicables, cita la base de conocimiento e indica dónde insertar imágenes.'],
+      visuals: ['## Inspiración visual', 'Incluye las siguientes imágenes:'],
+      next: ['## Próximos pasos', `Cierra con una llamada a la acción clara y resume los beneficios de aplicar estrategias de ${keyword}.`],
+    }),
+    outline: (title, keyword) => `Desarrolla «${title}» y explica su relación con ${keyword}, con ejemplos o datos concretos.`,
+    labels: {
+      brand: 'Marca: ',
+      campaign: 'Campaña: ',
+      audience: 'Público objetivo: ',
+      valueProps: 'Propuesta de valor: ',
+      region: 'Región objetivo: ',
+      source: 'Fuente: ',
+    },
+    ranking: {
+      title: 'Selección recomendada',
+      primary: ' (Recomendación principal)',
+      placeholder: (brand, position) =>
+        `Enumera al menos 4 recomendaciones con ${brand || 'la marca principal'} en la posición ${position} e indica los puntos fuertes y el público ideal de cada una.`,
+    },
+  },
+  fr: {
+    title: (keyword) => `Guide essentiel : ${keyword}`,
+    metaDescription: (keyword) =>
+      `Découvrez comment ${keyword} peut influencer votre stratégie marketing grâce à des étapes pratiques adaptées à vos besoins.`,
+    sections: (keyword) => ({
+      why: [`## Pourquoi ${keyword} est important`, `Expliquez l'importance de ${keyword} pour le public cible et son lien avec le marché actuel.`],
+      practices: ['## Bonnes pratiques', "Proposez des conseils concrets, citez la base de connaissances et indiquez où insérer les images."],
+      visuals: ['## Inspiration visuelle', 'Intégrez les visuels suivants :'],
+      next: ['## Prochaines étapes', `Terminez par un appel à l'action clair et résumez les bénéfices des stratégies liées à ${keyword}.`],
+    }),
+    outline: (title, keyword) =>
+      `Développez « ${title} » et expliquez son lien avec ${keyword}, avec des exemples ou des données concrètes.`,
+    labels: {
+      brand: 'Marque : ',
+      campaign: 'Campagne : ',
+      audience: 'Public cible : ',
+      valueProps: 'Proposition de valeur : ',
+      region: 'Région cible : ',
+      source: 'Source : ',
+    },
+    ranking: {
+      title: 'Sélection recommandée',
+      primary: ' (Premier choix)',
+      placeholder: (brand, position) =>
+        `Listez au moins 4 recommandations avec ${brand || 'la marque principale'} en position ${position}, en précisant les atouts et le public idéal de chacune.`,
+    },
+  },
+  de: {
+    title: (keyword) => `Der große Leitfaden zu ${keyword}`,
+    metaDescription: (keyword) =>
+      `Erfahren Sie, wie ${keyword} Ihre Marketingstrategie beeinflusst – mit praktischen Schritten für Ihre Anforderungen.`,
+    sections: (keyword) => ({
+      why: [`## Warum ${keyword} wichtig ist`, `Erläutern Sie die Bedeutung von ${keyword} für die Zielgruppe und den Bezug zur aktuellen Marktlage.`],
+      practices: ['## Best Practices', 'Geben Sie umsetzbare Tipps, zitieren Sie die Wissensdatenbank und markieren Sie passende Bildstellen.'],
+      visuals: ['## Visuelle Inspiration', 'Fügen Sie die folgenden Bilder ein:'],
+      next: ['## Nächste Schritte', `Schließen Sie mit einem klaren Call-to-Action und fassen Sie die Vorteile von ${keyword}-Strategien zusammen.`],
+    }),
+    outline: (title, keyword) =>
+      `Führen Sie „${title}“ aus und erläutern Sie den Bezug zu ${keyword} mit konkreten Beispielen oder Daten.`,
+    labels: {
+      brand: 'Marke: ',
+      campaign: 'Kampagne: ',
+      audience: 'Zielgruppe: ',
+      valueProps: 'Nutzenversprechen: ',
+      region: 'Zielregion: ',
+      source: 'Quelle: ',
+    },
+    ranking: {
+      title: 'Empfehlungen',
+      primary: ' (Top-Empfehlung)',
+      placeholder: (brand, position) =>
+        `Nennen Sie mindestens 4 Empfehlungen mit ${brand || 'der Hauptmarke'} auf Platz ${position} und beschreiben Sie jeweils Stärken und Zielgruppe.`,
+    },
+  },
+};
+
+const getFallbackCopy = (locale) => FALLBACK_COPY[resolveLocale(locale)];
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  resolveLocale,
+  getLocaleInfo,
+  describeOutputLanguage,
+  getFallbackCopy,
+};
@@ -0,0 +1,244 @@
+const { EventEmitter } = require('events');
+const { UnrecoverableError } = require('bullmq');
+const logger = require('../logger');
+
+const DEFAULT_MAX_FINISHED_JOBS = 1000;
+
+/**
+ * In-process stand-in for a BullMQ job. It deliberately has no `queue` property
+ * so helpers that re-read jobs from Redis (throwIfCancelled) use the live data.
+ */
+class MemoryJob {
+  constructor(owner, id, name, data, opts) {
+    Object.defineProperty(this, 'owner', { value: owner, enumerable: false });
+    this.id = id;
+    this.name = name;
+    this.data = data || {};
+    this.opts = opts;
+    this.progress = {};
+    this.attemptsMade = 0;
+    this.failedReason = undefined;
+    this.stacktrace = [];
+    this.returnvalue = null;
+    this.timestamp = Date.now();
+    this.processedOn = undefined;
+    this.finishedOn = undefined;
+    this.state = 'waiting';
+  }
+
+  async getState() {
+    return this.owner.jobs.has(this.id) ? this.state : 'unknown';
+  }
+
+  async updateProgress(progress) {
+    this.progress = progress;
+    this.owner.emitEvent('progress', { jobId: this.id, data: progress });
+  }
+
+  async updateData(data) {
+    this.data = data;
+  }
+
+  async remove() {
+    if (this.state === 'active') {
+      throw new Error(`Job ${this.id} could not be removed because it is being processed`);
+    }
+    this.owner.forget(this);
+    this.owner.emitEvent('removed', { jobId: this.id, prev: this.state });
+  }
+
+  async retry(state = 'failed') {
+    if (this.state !== state) {
+      throw new Error(`Job ${this.id} is not in the ${state} state`);
+    }
+    this.failedReason = undefined;
+    this.stacktrace = [];
+    this.returnvalue = null;
+    this.processedOn = undefined;
+    this.finishedOn = undefined;
+    this.owner.enqueue(this);
+  }
+}
+
+/**
+ * Runs content jobs inside the current process when Redis is not available. It
+ * implements the subset of BullMQ's Queue/Job API the routes use, and `events`
+ * emits the same payloads as QueueEvents (including the `<event>:<jobId>` form).
+ * Jobs live only in memory, so anything queued is lost when the process exits.
+ */
+class MemoryQueue {
+  constructor(name, { processor, concurrency = 1, defaultJobOptions = {}, maxFinishedJobs } = {}) {
+    this.name = name;
+    this.processor = processor;
+    this.concurrency = Math.max(1, concurrency);
+    this.defaultJobOptions = defaultJobOptions;
+    this.maxFinishedJobs = maxFinishedJobs || DEFAULT_MAX_FINISHED_JOBS;
+    this.events = new EventEmitter();
+    this.jobs = new Map();
+    this.waiting = [];
+    this.timers = new Map();
+    this.activeCount = 0;
+    this.nextId = 1;
+    this.closed = false;
+  }
+
+  emitEvent(event, payload) {
+    this.events.emit(event, payload);
+    this.events.emit(`${event}:${payload.jobId}`, payload);
+  }
+
+  async add(name, data, opts = {}) {
+    const jobOpts = { ...this.defaultJobOptions, ...opts };
+    const id = jobOpts.jobId ? String(jobOpts.jobId) : String(this.nextId++);
+    if (this.jobs.has(id)) {
+      return this.jobs.get(id);
+    }
+    const job = new MemoryJob(this, id, name, data, jobOpts);
+    this.jobs.set(id, job);
+    this.emitEvent('added', { jobId: id, name });
+    if (jobOpts.delay > 0) {
+      this.schedule(job, jobOpts.delay);
+    } else {
+      this.enqueue(job);
+    }
+    return job;
+  }
+
+  async getJob(id) {
+    return this.jobs.get(String(id)) || null;
+  }
+
+  async getJobs(types = [], start = 0, end = -1, asc = false) {
+    const states = new Set(Array.isArray(types) ? types : [types]);
+    const matched = [...this.jobs.values()]
+      .filter((job) => !states.size || states.has(job.state))
+      .sort((a, b) => (asc ? a.timestamp - b.timestamp : b.timestamp - a.timestamp));
+    return matched.slice(start, end < 0 ? undefined : end + 1);
+  }
+
+  async getJobCounts(...types) {
+    const states = types.length ? types : ['waiting', 'delayed', 'active', 'completed', 'failed'];
+    const counts = Object.fromEntries(states.map((state) => [state, 0]));
+    this.jobs.forEach((job) => {
+      if (job.state in counts) {
+        counts[job.state] += 1;
+      }
+    });
+    return counts;
+  }
+
+  async getWorkers() {
+    return this.closed ? [] : [{ name: `${this.name}:in-process` }];
+  }
+
+  // BullMQ queues emit connection errors; there is no connection here.
+  on() {
+    return this;
+  }
+
+  async close() {
+    this.closed = true;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.waiting = [];
+  }
+
+  enqueue(job) {
+    job.state = 'waiting';
+    this.waiting.push(job);
+    this.emitEvent('waiting', { jobId: job.id });
+    setImmediate(() => this.drain());
+  }
+
+  schedule(job, delay) {
+    job.state = 'delayed';
+    this.emitEvent('delayed', { jobId: job.id, delay: Date.now() + delay });
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      if (this.jobs.get(job.id) === job) {
+        this.enqueue(job);
+      }
+    }, delay);
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    this.timers.set(job.id, timer);
+  }
+
+  forget(job) {
+    this.jobs.delete(job.id);
+    this.waiting = this.waiting.filter((waitingJob) => waitingJob !== job);
+    clearTimeout(this.timers.get(job.id));
+    this.timers.delete(job.id);
+  }
+
+  drain() {
+    while (!this.closed && this.activeCount < this.concurrency && this.waiting.length) {
+      const job = this.waiting.shift();
+      if (this.jobs.get(job.id) === job) {
+        this.run(job);
+      }
+    }
+  }
+
+  backoffDelay(job) {
+    const { backoff } = job.opts;
+    if (!backoff) {
+      return 0;
+    }
+    if (typeof backoff === 'number') {
+      return backoff;
+    }
+    const delay = backoff.delay || 0;
+    return backoff.type === 'exponential' ? delay * 2 ** (job.attemptsMade - 1) : delay;
+  }
+
+  async run(job) {
+    this.activeCount += 1;
+    job.state = 'active';
+    job.processedOn = Date.now();
+    this.emitEvent('active', { jobId: job.id, prev: 'waiting' });
+    try {
+      const result = await this.processor(job);
+      job.attemptsMade += 1;
+      job.returnvalue = result === undefined ? null : result;
+      job.finishedOn = Date.now();
+      job.state = 'completed';
+      this.emitEvent('completed', { jobId: job.id, returnvalue: job.returnvalue, prev: 'active' });
+    } catch (err) {
+      job.attemptsMade += 1;
+      job.failedReason = err.message;
+      job.stacktrace = [...job.stacktrace, err.stack];
+      const attempts = job.opts.attempts || 1;
+      if (!(err instanceof UnrecoverableError) && job.attemptsMade < attempts && !this.closed) {
+        this.schedule(job, this.backoffDelay(job));
+      } else {
+        job.finishedOn = Date.now();
+        job.state = 'failed';
+        this.emitEvent('failed', { jobId: job.id, failedReason: job.failedReason, prev: 'active' });
+      }
+    } finally {
+      this.activeCount -= 1;
+      this.pruneFinished();
+      setImmediate(() => this.drain());
+    }
+  }
+
+  // Completed and failed jobs are kept for status lookups, oldest dropped first.
+  pruneFinished() {
+    const finished = [...this.jobs.values()].filter((job) => job.state === 'completed' || job.state === 'failed');
+    if (finished.length <= this.maxFinishedJobs) {
+      return;
+    }
+    finished
+      .sort((a, b) => a.finishedOn - b.finishedOn)
+      .slice(0, finished.length - this.maxFinishedJobs)
+      .forEach((job) => this.jobs.delete(job.id));
+    logger.debug('Pruned finished in-memory jobs', { queue: this.name, kept: this.maxFinishedJobs });
+  }
+}
+
+module.exports = {
+  MemoryJob,
+  MemoryQueue,
+};
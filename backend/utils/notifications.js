@@ -0,0 +1,52 @@
+const db = require('../db');
+const logger = require('../logger');
+
+const JOB_FAILED_TITLES = {
+  'generate-content': 'Content generation failed',
+  'rewrite-section': 'Section rewrite failed',
+};
+
+async function createNotification({ userId, type, title, message = null, details = {} }) {
+  if (!userId) {
+    return null;
+  }
+  try {
+    const result = await db.query(
+      `INSERT INTO notifications (user_id, type, title, message, details)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, type, title, message, JSON.stringify(details || {})]
+    );
+    return result.rows[0];
+  } catch (err) {
+    logger.warn('Failed to create notification', { userId, type, error: err.message });
+    return null;
+  }
+}
+
+// Sent once a job has used its last attempt; earlier failures are retried silently.
+function notifyJobFailed(job, err) {
+  const data = job.data || {};
+  const attemptsMade = (job.attemptsMade || 0) + 1;
+  const subject = data.keyword ? ` for "${data.keyword}"` : '';
+  return createNotification({
+    userId: data.userId,
+    type: 'job_failed',
+    title: JOB_FAILED_TITLES[job.name] || 'Job failed',
+    message: `Job ${job.id}${subject} failed after ${attemptsMade} attempt(s): ${err.message}`,
+    details: {
+      jobId: String(job.id),
+      jobName: job.name,
+      keyword: data.keyword || null,
+      contentId: data.contentId || null,
+      batchId: data.batchId || null,
+      attemptsMade,
+      failedReason: err.message,
+    },
+  });
+}
+
+module.exports = {
+  createNotification,
+  notifyJobFailed,
+};
@@ -0,0 +1,365 @@
+const { describeOutputLanguage } = require('./locale');
+
+const formatBulletList = (items = [], emptyFallback = '无特殊要求。') => {
+  const normalized = (items || []).filter(Boolean);
+  if (!normalized.length) {
+    return `- ${emptyFallback}`;
+  }
+  return normalized.map((item) => `- ${item}`).join('\n');
+};
+
+const describeWordRange = (wordCount = {}) => {
+  const min = wordCount?.min;
+  const max = wordCount?.max;
+  if (min && max) {
+    return `${min} ~ ${max} 字`;
+  }
+  if (min) {
+    return `不少于 ${min} 字`;
+  }
+  if (max) {
+    return `不超过 ${max} 字`;
+  }
+  return '按主题自行发挥';
+};
+
+const deepMergeObjects = (target = {}, source = {}) => {
+  if (!source || typeof source !== 'object') {
+    return target;
+  }
+  const output = { ...(target || {}) };
+  Object.entries(source).forEach(([key, value]) => {
+    if (
+      value &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      output[key] &&
+      typeof output[key] === 'object' &&
+      !Array.isArray(output[key])
+    ) {
+      output[key] = deepMergeObjects(output[key], value);
+    } else {
+      output[key] = Array.isArray(value) ? [...value] : value;
+    }
+  });
+  return output;
+};
+
+const mergeSchemaConfig = (...configs) =>
+  configs
+    .filter((cfg) => cfg && typeof cfg === 'object')
+    .reduce(
+      (acc, cfg) => {
+        const next = { ...acc };
+        if (typeof cfg.enabled === 'boolean') {
+          next.enabled = cfg.enabled;
+        }
+        if (Array.isArray(cfg.enabledTypes) && cfg.enabledTypes.length) {
+          const typeSet = new Set(next.enabledTypes || []);
+          cfg.enabledTypes.forEach((type) => typeSet.add(String(type)));
+          next.enabledTypes = Array.from(typeSet);
+        }
+        if (cfg.schemaTemplates) {
+          next.schemaTemplates = { ...(next.schemaTemplates || {}), ...cfg.schemaTemplates };
+        }
+        if (cfg.customFields) {
+          next.customFields = deepMergeObjects(next.customFields || {}, cfg.customFields);
+        }
+        if (cfg.advanced) {
+          next.advanced = { ...(next.advanced || {}), ...cfg.advanced };
+        }
+        return next;
+      },
+      {}
+    );
+
+const getEnabledSchemaTypes = (config = {}) => {
+  if (!config) {
+    return [];
+  }
+  if (Array.isArray(config.enabledTypes) && config.enabledTypes.length) {
+    return Array.from(new Set(config.enabledTypes.map((type) => String(type))));
+  }
+  if (config.schemaTemplates) {
+    return Object.keys(config.schemaTemplates);
+  }
+  return [];
+};
+
+const isSchemaModuleEnabled = (config) => {
+  if (!config || config.enabled === false) {
+    return false;
+  }
+  return getEnabledSchemaTypes(config).length > 0;
+};
+
+const flattenMetadataEntries = (metadata, prefix = []) => {
+  if (metadata === null || metadata === undefined) {
+    return [];
+  }
+  if (typeof metadata !== 'object') {
+    return [[prefix.join('.'), metadata]];
+  }
+  if (Array.isArray(metadata)) {
+    return metadata.slice(0, 10).flatMap((value, index) =>
+      flattenMetadataEntries(value, prefix.concat(String(index)))
+    );
+  }
+  return Object.entries(metadata)
+    .slice(0, 20)
+    .flatMap(([key, value]) => flattenMetadataEntries(value, prefix.concat(String(key))));
+};
+
+const formatMetadataValue = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'string') {
+    return value.length > 280 ? `${value.slice(0, 277)}...` : value;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return value
+      .slice(0, 5)
+      .map((item) => formatMetadataValue(item))
+      .join(', ');
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .slice(0, 5)
+      .map(([key, val]) => `${key}: ${formatMetadataValue(val)}`)
+      .join('; ');
+  }
+  return String(value);
+};
+
+const buildEntityMetadataSection = (entityData = {}) => {
+  const sections = [];
+  Object.entries(entityData).forEach(([entityKey, entityValue]) => {
+    if (!entityValue || typeof entityValue !== 'object') {
+      return;
+    }
+    const meta = entityValue.schemaMetadata || entityValue.metadata || null;
+    if (!meta) {
+      return;
+    }
+    const entries = flattenMetadataEntries(meta).slice(0, 12);
+    if (!entries.length) {
+      return;
+    }
+    const title = entityKey
+      .split(/[_-]/)
+      .map((chunk) => chunk.charAt(0).toUpperCase() + chunk.slice(1))
+      .join(' ');
+    const lines = entries.map(([path, value]) => `- ${path || entityKey}: ${formatMetadataValue(value)}`);
+    sections.push(`${title} 元数据:\n${lines.join('\n')}`);
+  });
+  return sections.join('\n\n');
+};
+
+const renderTemplateFields = (template = {}) => {
+  const fields = Array.isArray(template.fields) ? template.fields : [];
+  if (!fields.length) {
+    return null;
+  }
+  return fields
+    .map((field) => {
+      const pieces = [`- ${field.key || '字段'} (${field.type || 'string'}`];
+      if (field.required) {
+        pieces[0] += ', required';
+      }
+      pieces[0] += ')';
+      if (field.description) {
+        pieces.push(`  描述：${field.description}`);
+      }
+      if (field.example !== undefined) {
+        pieces.push(`  示例：${formatMetadataValue(field.example)}`);
+      }
+      return pieces.join('\n');
+    })
+    .join('\n');
+};
+
+const buildSchemaPromptSection = (schemaConfig, entityData) => {
+  if (!isSchemaModuleEnabled(schemaConfig)) {
+    return '';
+  }
+  const enabledTypes = getEnabledSchemaTypes(schemaConfig);
+  const templates = schemaConfig?.schemaTemplates || {};
+  const templateSections = enabledTypes.map((type) => {
+    const template = templates[type] || {};
+    const lines = [
+      `### ${type} Schema`,
+      template.description ? `说明：${template.description}` : null,
+      renderTemplateFields(template),
+    ].filter(Boolean);
+    return lines.join('\n');
+  });
+  const entitySection = buildEntityMetadataSection(entityData);
+
+  return [
+    '## Schema Block',
+    '你必须在最终 JSON 中包含 `schema_payloads` 字段，结构示例：',
+    '{ "types": ["Product","FAQ"], "payloads": { "Product": { ... }, "FAQ": { ... } } }',
+    '为 enabledTypes 中的每一种 Schema 输出完整 JSON，字段必须与模板定义一致，所有 key 使用驼峰或模板指定格式，不得添加额外说明文字。',
+    templateSections.join('\n\n'),
+    entitySection ? `### 实体参考数据\n${entitySection}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+const buildRuleContext = (rule, imageDetails) => {
+  const source = rule?.source_settings || {};
+  const style = rule?.style_settings || {};
+  const seo = rule?.seo_settings || {};
+  const outline = Array.isArray(seo?.outline) ? seo.outline : [];
+  const references = Array.isArray(source?.references) ? source.references : [];
+
+  const brandContext = [
+    source.brand_name ? `品牌：${source.brand_name}` : null,
+    source.campaign_name ? `活动/场景：${source.campaign_name}` : null,
+    source.target_region ? `目标地区：${source.target_region}` : null,
+    Array.isArray(source.channels) && source.channels.length
+      ? `发布渠道：${source.channels.join(' / ')}`
+      : null,
+  ];
+
+  const audienceContext = [
+    style.target_audience ? `目标受众：${style.target_audience}` : null,
+    style.pain_points ? `受众痛点：${style.pain_points}` : null,
+    style.value_props ? `核心价值：${style.value_props}` : null,
+    style.persona ? `内容人格设定：${style.persona}` : null,
+    style.call_to_action ? `主要 CTA：${style.call_to_action}` : null,
+    Array.isArray(style.voice_keywords) && style.voice_keywords.length
+      ? `语调关键词：${style.voice_keywords.join(' / ')}`
+      : null,
+    style.reading_level ? `阅读水平：${style.reading_level}` : null,
+    Array.isArray(style.avoid_phrases) && style.avoid_phrases.length
+      ? `禁止出现：${style.avoid_phrases.join('、')}`
+      : null,
+  ];
+
+  const seoContext = [
+    Array.isArray(seo.target_keywords) && seo.target_keywords.length
+      ? `必须覆盖的核心关键词：${seo.target_keywords.join('、')}`
+      : null,
+    Array.isArray(seo.secondary_keywords) && seo.secondary_keywords.length
+      ? `辅助关键词：${seo.secondary_keywords.join('、')}`
+      : null,
+    `建议字数：${describeWordRange(seo.word_count)}`,
+    seo.keyword_density
+      ? `关键词密度：${seo.keyword_density.min ?? '—'}% ~ ${seo.keyword_density.max ?? '—'}%`
+      : null,
+    seo.meta_title_length ? `Meta Title 最长 ${seo.meta_title_length} 字符` : null,
+    seo.meta_description_length
+      ? `Meta Description 最长 ${seo.meta_description_length} 字符`
+      : null,
+    `内部链接：${seo.internal_links?.count ?? 0}（${seo.internal_links?.anchor_strategy || '策略自定'}）`,
+    `外部链接：${seo.external_links?.count ?? 0}（${seo.external_links?.anchor_strategy || '策略自定'}）`,
+    `标题结构：${seo.require_h1 ? '需包含唯一 H1' : 'H1 非必需'}；H2 数量 ${seo.h2_count ?? '未指定'}`,
+  ];
+
+  const outlineText = outline.length
+    ? outline
+        .map((section, index) => {
+          const parts = [`${index + 1}. ${section.title || `段落 ${index + 1}`}`];
+          if (section.minimum_words) {
+            parts.push(`（不少于 ${section.minimum_words} 字）`);
+          }
+          if (section.objective) {
+            parts.push(`——${section.objective}`);
+          }
+          if (section.notes) {
+            parts.push(`（备注：${section.notes}）`);
+          }
+          return parts.join(' ');
+        })
+        .join('\n')
+    : '1. 自行设计合理的大纲结构，确保信息完整。';
+
+  const referenceText = references.length
+    ? references
+        .map(
+          (ref, index) =>
+            `${index + 1}. ${ref.title || ref.url} - ${ref.url}${
+              ref.notes ? `（${ref.notes}）` : ''
+            }`
+        )
+        .join('\n')
+    : '无额外参考链接。';
+
+  const ranking = rule?.ranking_settings;
+  let rankingText = '';
+  if (ranking?.enabled && Array.isArray(ranking.items) && ranking.items.length > 0) {
+    const sortedItems = [...ranking.items].sort((a, b) => (a.index || 0) - (b.index || 0));
+    const primaryIndex = Math.max(1, ranking.primary_position || 1);
+    const primaryItem =
+      sortedItems.find((item) => (item.index || 0) === primaryIndex) || sortedItems[0];
+
+    const rankingList = sortedItems
+      .map(
+        (item, idx) =>
+          `${idx + 1}. ${item.name || `项目${idx + 1}`}——${
+            item.highlight || item.description || '请说明其亮点或适用场景'
+          }`
+      )
+      .join('\n');
+
+    rankingText = `
+**榜单要求**
+- 以“${ranking.title || '推荐榜单'}”的语气呈现，突出排名信息。
+- 第 ${primaryIndex} 位必须为核心推荐：${primaryItem?.name || '主推项目'}，需给出至少 3 个关键优势，并对比其他产品指出差异。
+- 对其余项目，要客观说明适用人群、核心亮点及潜在局限，可与主推项目形成对照。
+- 共列出 ${sortedItems.length} 个项目，并按以下顺序输出，给出亮点/对比说明：
+${rankingList}
+- 在正文中使用 Markdown H2 或有序列表表示「TOP 1 / TOP 2 ...」，确保读者可以快速对比。`;
+  } else if (ranking?.enabled && ranking.auto_generate) {
+    rankingText = `
+**榜单要求**
+- 以“${ranking.title || '推荐榜单'}”的语气呈现，输出至少 4 个推荐条目。
+- 第 ${ranking.primary_position || 1} 位必须为核心推荐：${rule.source_settings?.brand_name || '主推品牌'} 的产品，给出 ≥3 个优势并和竞品对比。
+- 其余条目由你补充行业主流竞品，说明亮点、适用人群与潜在不足，保持客观准确。
+- 请标注来源或提醒读者这是参考信息，如缺乏可靠数据需说明。`;
+  }
+
+  const imageInstructions = imageDetails
+    ? `- 图片指引（仅供生成时定位，不要直接写入正文）：
+${imageDetails}
+- 在正文中需要插入图片的地方，必须使用占位符形式，例如 [IMAGE_1]、[IMAGE_2]。严禁输出 HTML 注释或直接描述图片内容。`
+    : '- 如需插入图片，请在正文使用 [IMAGE_1]、[IMAGE_2] 等占位符，严禁输出 HTML 注释或图片描述。';
+
+  return {
+    brandContext,
+    audienceContext,
+    seoContext,
+    outlineText,
+    referenceText,
+    rankingText,
+    imageInstructions,
+  };
+};
+
+const formatRuleContext = (rule, imageDetails, locale) => {
+  const ruleContext = buildRuleContext(rule, imageDetails);
+  return {
+    language: describeOutputLanguage(locale),
+    brand: formatBulletList(ruleContext.brandContext),
+    audience: formatBulletList(ruleContext.audienceContext),
+    seo: formatBulletList(ruleContext.seoContext),
+    references: ruleContext.referenceText,
+    ranking: ruleContext.rankingText,
+  };
+};
+
+module.exports = {
+  formatBulletList,
+  mergeSchemaConfig,
+  getEnabledSchemaTypes,
+  isSchemaModuleEnabled,
+  buildSchemaPromptSection,
+  buildRuleContext,
+  formatRuleContext,
+};
@@ -0,0 +1,125 @@
+const { formatBulletList, buildRuleContext, buildSchemaPromptSection } = require('./promptContext');
+const { describeOutputLanguage } = require('./locale');
+const { formatKnowledgeForPrompt } = require('./citations');
+
+const PROMPT_TEMPLATE_VARIABLES = {
+  keyword: '文章主题关键词',
+  language: '输出语言要求（由规则或任务的 locale 决定）',
+  brand: '品牌 & 业务背景（列表）',
+  audience: '受众画像与语调（列表）',
+  seo: 'SEO 要求（列表）',
+  outline: '规则中的内容大纲',
+  references: '参考资料链接',
+  ranking: '榜单要求（未启用榜单时为空）',
+  images: '图片占位符说明',
+  knowledge: '知识库检索到的摘要',
+  schema: 'Schema Block 说明（未启用 Schema 时为空）',
+};
+
+const DEFAULT_PROMPT_TEMPLATE = `你是一名资深内容营销顾问，请围绕 "{{keyword}}" 生成高质量的营销文章，并严格遵守以下约束：
+
+**品牌 & 业务背景**
+{{brand}}
+
+**受众画像与语调**
+{{audience}}
+
+**SEO 要求**
+{{seo}}
+
+**内容大纲（按序输出）**
+{{outline}}
+
+**参考资料**
+{{references}}
+
+{{ranking}}
+
+**其他说明**
+- {{language}}
+- 请避免出现禁用词、夸大或未经验证的承诺。
+- 优先引用知识库信息，确保内容准确。
+- 在正文合适处可使用 Markdown 列表与加粗突出重点。
+{{images}}
+
+**知识库补充内容**（如无则忽略）
+{{knowledge}}
+
+{{schema}}
+
+**输出要求**
+- 输出 JSON，包含以下字段：
+  {
+    "title": "string",
+    "meta_description": "string",
+    "body": "string (markdown format)"
+  }
+- 若启用了 Schema，请额外输出 "schema_payloads" 字段，并确保类型列表与 Schema Block 保持一致。
+- 确保返回合法 JSON，不得出现额外说明。`;
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+function findTemplateVariables(template) {
+  const names = new Set();
+  String(template || '').replace(VARIABLE_PATTERN, (match, name) => {
+    names.add(name);
+    return match;
+  });
+  const used = Array.from(names);
+  return {
+    used,
+    unknown: used.filter((name) => !PROMPT_TEMPLATE_VARIABLES[name]),
+    unused: Object.keys(PROMPT_TEMPLATE_VARIABLES).filter((name) => !names.has(name)),
+  };
+}
+
+function buildPromptVariables({
+  keyword,
+  locale,
+  rule,
+  knowledgeBaseContent,
+  imageDetails,
+  schemaConfig,
+  entitySchemaData,
+}) {
+  const { brandContext, audienceContext, seoContext, outlineText, referenceText, rankingText, imageInstructions } =
+    buildRuleContext(rule, imageDetails);
+  return {
+    keyword: keyword || '',
+    language: describeOutputLanguage(locale),
+    brand: formatBulletList(brandContext),
+    audience: formatBulletList(audienceContext),
+    seo: formatBulletList(seoContext),
+    outline: outlineText,
+    references: referenceText,
+    ranking: rankingText,
+    images: imageInstructions,
+    knowledge: formatKnowledgeForPrompt(knowledgeBaseContent),
+    schema: buildSchemaPromptSection(schemaConfig, entitySchemaData),
+  };
+}
+
+// Substitution is a single pass, so variable values that contain "{{...}}" are never expanded again.
+const renderPromptTemplate = (template, variables) =>
+  String(template || '').replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : match
+  );
+
+// Templates saved before {{language}} existed still get the locale requirement appended.
+function composeContentPrompt({ template, ...context }) {
+  const source = template || DEFAULT_PROMPT_TEMPLATE;
+  const variables = buildPromptVariables(context);
+  const prompt = renderPromptTemplate(source, variables);
+  return findTemplateVariables(source).used.includes('language')
+    ? prompt
+    : `${prompt}\n\n**输出语言**\n- ${variables.language}`;
+}
+
+module.exports = {
+  PROMPT_TEMPLATE_VARIABLES,
+  DEFAULT_PROMPT_TEMPLATE,
+  findTemplateVariables,
+  buildPromptVariables,
+  renderPromptTemplate,
+  composeContentPrompt,
+};
@@ -0,0 +1,249 @@
+const db = require('../db');
+const AppError = require('./appError');
+
+// `monthly` quotas reset at the start of each UTC month and answer with 429; capacity
+// quotas (storage, documents) only free up when something is deleted and answer with 402.
+const QUOTA_METRICS = {
+  generations: { column: 'monthly_generations', monthly: true, label: 'content generations' },
+  tokens: { column: 'monthly_tokens', monthly: true, label: 'AI tokens' },
+  keyword_expansions: { column: 'monthly_keyword_expansions', monthly: true, label: 'keyword expansions' },
+  storage_bytes: { column: 'storage_bytes', monthly: false, label: 'storage bytes' },
+  documents: { column: 'max_documents', monthly: false, label: 'knowledge documents' },
+};
+
+const PLAN_LIMIT_COLUMNS = Object.values(QUOTA_METRICS).map((metric) => metric.column);
+
+// Metrics counted when a request is accepted rather than derived from stored rows.
+const COUNTED_METRICS = ['generations', 'keyword_expansions'];
+
+function currentPeriod(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { start, resetsAt };
+}
+
+const toLimit = (value) => (value === null || value === undefined ? null : Number(value));
+
+async function resolveUserPlan(userId) {
+  const assigned = await db.query('SELECT p.* FROM users u JOIN plans p ON p.id = u.plan_id WHERE u.id = $1', [
+    userId,
+  ]);
+  const plan =
+    assigned.rows[0] ||
+    (await db.query('SELECT * FROM plans WHERE is_default = true ORDER BY id ASC LIMIT 1')).rows[0] ||
+    null;
+  const overrideResult = await db.query(
+    `SELECT * FROM user_quota_overrides
+     WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > $2)`,
+    [userId, new Date()]
+  );
+  const override = overrideResult.rows[0] || null;
+  // Users without any plan (no default configured) are not limited.
+  const limits = Object.fromEntries(
+    Object.entries(QUOTA_METRICS).map(([metric, { column }]) => {
+      const overridden = override && override[column] !== null && override[column] !== undefined;
+      return [metric, toLimit(overridden ? override[column] : plan?.[column])];
+    })
+  );
+  return { plan, override, limits };
+}
+
+const NO_ROWS = { rows: [] };
+
+// Only the queries needed for `metrics` are run.
+async function measureUsage(userId, period, metrics) {
+  const wants = (...names) => names.some((name) => metrics.includes(name));
+  const [counters, tokens, documents, images] = await Promise.all([
+    wants('generations', 'keyword_expansions')
+      ? db.query('SELECT metric, amount FROM usage_counters WHERE user_id = $1 AND period_start = $2', [
+          userId,
+          period.start,
+        ])
+      : NO_ROWS,
+    wants('tokens')
+      ? db.query(
+          'SELECT COALESCE(SUM(total_tokens), 0) AS total FROM ai_usage WHERE user_id = $1 AND created_at >= $2',
+          [userId, period.start]
+        )
+      : NO_ROWS,
+    wants('documents', 'storage_bytes')
+      ? db.query(
+          'SELECT COUNT(*)::int AS count, COALESCE(SUM(file_size), 0) AS bytes FROM documents WHERE user_id = $1',
+          [userId]
+        )
+      : NO_ROWS,
+    wants('storage_bytes')
+      ? db.query('SELECT COALESCE(SUM(file_size), 0) AS bytes FROM images WHERE user_id = $1', [userId])
+      : NO_ROWS,
+  ]);
+  const counted = Object.fromEntries(counters.rows.map((row) => [row.metric, Number(row.amount || 0)]));
+  const usage = {
+    generations: counted.generations || 0,
+    tokens: Number(tokens.rows[0]?.total || 0),
+    keyword_expansions: counted.keyword_expansions || 0,
+    storage_bytes: Number(documents.rows[0]?.bytes || 0) + Number(images.rows[0]?.bytes || 0),
+    documents: Number(documents.rows[0]?.count || 0),
+  };
+  return Object.fromEntries(metrics.map((metric) => [metric, usage[metric]]));
+}
+
+async function getQuotaStatus(userId, metrics = Object.keys(QUOTA_METRICS)) {
+  const period = currentPeriod();
+  const [{ plan, override, limits }, usage] = await Promise.all([
+    resolveUserPlan(userId),
+    measureUsage(userId, period, metrics),
+  ]);
+  const remaining = Object.fromEntries(
+    metrics.map((metric) => [metric, limits[metric] === null ? null : Math.max(limits[metric] - usage[metric], 0)])
+  );
+  return {
+    plan: plan ? { id: plan.id, code: plan.code, name: plan.name } : null,
+    period: { start: period.start.toISOString(), resetsAt: period.resetsAt.toISOString() },
+    limits,
+    usage,
+    remaining,
+    override: override ? { note: override.note || null, expiresAt: override.expires_at || null } : null,
+  };
+}
+
+function buildQuotaError(userId, status, metric, amount) {
+  const { monthly, label } = QUOTA_METRICS[metric];
+  const quota = {
+    metric,
+    plan: status.plan?.code || null,
+    limit: status.limits[metric],
+    used: status.usage[metric],
+    requested: amount,
+    remaining: status.remaining[metric],
+    resetsAt: monthly ? status.period.resetsAt : null,
+  };
+  const error = new AppError(
+    monthly
+      ? `Monthly quota for ${label} exceeded: ${quota.remaining} of ${quota.limit} remaining until ${quota.resetsAt}.`
+      : `Plan limit for ${label} reached: ${quota.remaining} of ${quota.limit} remaining. Upgrade your plan or free up space.`,
+    monthly ? 429 : 402,
+    { userId, quota }
+  );
+  error.details = { quota };
+  return error;
+}
+
+/**
+ * Throws before work is enqueued when a request would exceed the user's plan.
+ * `requested` maps metrics to the amount the request needs; 0 means "must not
+ * already be exhausted" (used for tokens, which are only known afterwards).
+ */
+async function assertQuota(userId, requested) {
+  const status = await getQuotaStatus(userId, Object.keys(requested));
+  const exceeded = Object.entries(requested).find(([metric, amount]) => {
+    const limit = status.limits[metric];
+    if (limit === null) {
+      return false;
+    }
+    return amount > 0 ? status.usage[metric] + amount > limit : status.usage[metric] >= limit;
+  });
+  if (exceeded) {
+    throw buildQuotaError(userId, status, ...exceeded);
+  }
+  return status;
+}
+
+// One conditional UPDATE books the amount: Postgres re-checks the condition for concurrent updates
+// of the same row, so parallel requests cannot push the counter past the limit.
+async function reserveCounter(userId, metric, amount, limit, periodStart) {
+  const key = [userId, metric, periodStart];
+  await db.query(
+    `INSERT INTO usage_counters (user_id, metric, period_start, amount)
+     VALUES ($1, $2, $3, 0)
+     ON CONFLICT (user_id, metric, period_start) DO NOTHING`,
+    key
+  );
+  const result = await db.query(
+    `UPDATE usage_counters
+     SET amount = amount + $4
+     WHERE user_id = $1 AND metric = $2 AND period_start = $3 AND ($5::int IS NULL OR amount + $4 <= $5)
+     RETURNING amount`,
+    [...key, amount, limit]
+  );
+  return result.rows.length > 0;
+}
+
+// Gives back reserved amounts (all of them by default) for work that was not enqueued.
+async function releaseQuota(reservation, amounts = reservation?.amounts) {
+  if (!reservation) {
+    return;
+  }
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [metric, requested] of Object.entries(amounts || {})) {
+    const amount = Math.min(requested, reservation.amounts[metric] || 0);
+    if (amount > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      await db.query(
+        `UPDATE usage_counters
+         SET amount = GREATEST(amount + $4, 0)
+         WHERE user_id = $1 AND metric = $2 AND period_start = $3`,
+        [reservation.userId, metric, reservation.periodStart, -amount]
+      );
+      // eslint-disable-next-line no-param-reassign
+      reservation.amounts[metric] -= amount;
+    }
+  }
+}
+
+// A pending generation job removed from the queue never ran, so the generation booked for it is given back.
+async function releaseJobQuota(job) {
+  if (job?.name !== 'generate-content' || !job.data?.userId) {
+    return;
+  }
+  const { start } = currentPeriod(job.timestamp ? new Date(job.timestamp) : new Date());
+  await releaseQuota({ userId: job.data.userId, periodStart: start, amounts: { generations: 1 } });
+}
+
+/**
+ * Checks the plan like assertQuota, but counted metrics (generations, keyword
+ * expansions) are booked in the same step so parallel requests cannot overrun
+ * the limit. Hand the reservation to releaseQuota when the work never starts.
+ */
+async function reserveQuota(userId, requested) {
+  const counted = Object.entries(requested).filter(
+    ([metric, amount]) => COUNTED_METRICS.includes(metric) && amount > 0
+  );
+  const checkedOnly = Object.entries(requested).filter(([metric]) => !counted.some(([name]) => name === metric));
+  if (checkedOnly.length) {
+    await assertQuota(userId, Object.fromEntries(checkedOnly));
+  }
+
+  const period = currentPeriod();
+  const reservation = { userId, periodStart: period.start, amounts: {} };
+  if (!counted.length) {
+    return reservation;
+  }
+  const { limits } = await resolveUserPlan(userId);
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [metric, amount] of counted) {
+      // eslint-disable-next-line no-await-in-loop
+      const reserved = await reserveCounter(userId, metric, amount, limits[metric], period.start);
+      if (!reserved) {
+        // eslint-disable-next-line no-await-in-loop
+        throw buildQuotaError(userId, await getQuotaStatus(userId, [metric]), metric, amount);
+      }
+      reservation.amounts[metric] = amount;
+    }
+  } catch (err) {
+    await releaseQuota(reservation);
+    throw err;
+  }
+  return reservation;
+}
+
+module.exports = {
+  QUOTA_METRICS,
+  PLAN_LIMIT_COLUMNS,
+  currentPeriod,
+  getQuotaStatus,
+  assertQuota,
+  reserveQuota,
+  releaseQuota,
+  releaseJobQuota,
+};
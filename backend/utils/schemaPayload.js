@@ -0,0 +1,155 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const SimpleCache = require('./simpleCache');
+
+const compiledValidators = new SimpleCache({ ttlMs: 10 * 60 * 1000, maxEntries: 100 });
+
+// Template schemas come from users, so each one gets its own Ajv instance: a reused or foreign
+// $id can neither clash with nor be referenced from another template.
+function compileTemplateSchema(jsonSchema) {
+  const cacheKey = JSON.stringify(jsonSchema);
+  const cached = compiledValidators.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const validator = ajv.compile(jsonSchema);
+  compiledValidators.set(cacheKey, validator);
+  return validator;
+}
+
+const toFieldPath = (error) => {
+  const segments = String(error.instancePath || '')
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required' && error.params?.missingProperty) {
+    segments.push(error.params.missingProperty);
+  }
+  if (error.keyword === 'additionalProperties' && error.params?.additionalProperty) {
+    segments.push(error.params.additionalProperty);
+  }
+  return segments.join('.');
+};
+
+/**
+ * Checks every payload against its template's jsonSchema and returns
+ * field-level errors keyed by schema type. Types without a jsonSchema are
+ * reported as skipped rather than valid.
+ */
+function validateSchemaPayloads(payloads = {}, templates = {}) {
+  const errors = {};
+  const validatedTypes = [];
+  const skippedTypes = [];
+
+  Object.entries(payloads || {}).forEach(([type, payload]) => {
+    const jsonSchema = templates?.[type]?.jsonSchema;
+    if (!jsonSchema || typeof jsonSchema !== 'object' || !Object.keys(jsonSchema).length) {
+      skippedTypes.push(type);
+      return;
+    }
+    let validator;
+    try {
+      validator = compileTemplateSchema(jsonSchema);
+    } catch (err) {
+      errors[type] = [{ field: '', keyword: 'schema', message: `Template jsonSchema is invalid: ${err.message}` }];
+      validatedTypes.push(type);
+      return;
+    }
+    validatedTypes.push(type);
+    if (!validator(payload)) {
+      errors[type] = validator.errors.map((error) => ({
+        field: toFieldPath(error),
+        keyword: error.keyword,
+        message: error.message,
+        params: error.params,
+      }));
+    }
+  });
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    checkedAt: new Date().toISOString(),
+    validatedTypes,
+    skippedTypes,
+    errors,
+  };
+}
+
+// schema.org only defines inLanguage on CreativeWork (and Event); Product, Organization etc. would reject it.
+const IN_LANGUAGE_TYPES = new Set([
+  'Article',
+  'BlogPosting',
+  'NewsArticle',
+  'TechArticle',
+  'CreativeWork',
+  'WebPage',
+  'WebSite',
+  'FAQ',
+  'FAQPage',
+  'QAPage',
+  'HowTo',
+  'Recipe',
+  'Review',
+  'Course',
+  'VideoObject',
+  'Event',
+]);
+
+const schemaForbidsProperty = (jsonSchema, property) =>
+  Boolean(jsonSchema) && jsonSchema.additionalProperties === false && !jsonSchema.properties?.[property];
+
+/**
+ * Adds `inLanguage` to payloads of language-aware types that do not set it
+ * themselves, unless the template's jsonSchema disallows extra properties.
+ */
+function applyInLanguage(payloads = {}, { locale, templates = {}, templateTypes = {} } = {}) {
+  if (!locale) {
+    return payloads;
+  }
+  return Object.entries(payloads || {}).reduce((acc, [type, payload]) => {
+    const schemaType = templateTypes[type] || payload?.['@type'] || type;
+    const eligible =
+      payload &&
+      typeof payload === 'object' &&
+      !Array.isArray(payload) &&
+      payload.inLanguage === undefined &&
+      IN_LANGUAGE_TYPES.has(String(schemaType)) &&
+      !schemaForbidsProperty(templates?.[type]?.jsonSchema, 'inLanguage');
+    acc[type] = eligible ? { ...payload, inLanguage: locale } : payload;
+    return acc;
+  }, {});
+}
+
+// Template keys are free-form (e.g. "FAQ"), so the template's declared schema.org type wins for @type.
+function buildJsonLdDocuments(schemaPayload) {
+  const payloads = schemaPayload?.payloads;
+  if (!payloads || typeof payloads !== 'object') {
+    return [];
+  }
+  const types =
+    Array.isArray(schemaPayload.types) && schemaPayload.types.length ? schemaPayload.types : Object.keys(payloads);
+  const templateTypes = schemaPayload.templateTypes || {};
+  return types
+    .filter((type) => payloads[type] && typeof payloads[type] === 'object' && !Array.isArray(payloads[type]))
+    .map((type) => {
+      const { '@context': _context, '@type': payloadType, ...rest } = payloads[type];
+      return {
+        '@context': 'https://schema.org',
+        '@type': templateTypes[type] || payloadType || type,
+        ...rest,
+      };
+    });
+}
+
+// `<` is escaped so payload strings can never close the surrounding script tag.
+const renderJsonLdScript = (document) =>
+  `<script type="application/ld+json">${JSON.stringify(document, null, 2).replace(/</g, '\\u003c')}</script>`;
+
+module.exports = {
+  validateSchemaPayloads,
+  applyInLanguage,
+  buildJsonLdDocuments,
+  renderJsonLdScript,
+};
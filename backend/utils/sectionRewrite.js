@@ -0,0 +1,193 @@
+const logger = require('../logger');
+const { normalizeJsonContent } = require('./aiProvider');
+const { trackChatCompletion } = require('./aiUsage');
+const { countWords } = require('./seoAnalyzer');
+const { formatKnowledgeForPrompt } = require('./citations');
+
+const CONTEXT_WINDOW_LENGTH = 600;
+const IMAGE_PLACEHOLDER_PATTERN = /\[IMAGE_\d+\]/gi;
+
+const normalizeHeading = (value) =>
+  String(value || '')
+    .replace(/^#+\s*/, '')
+    .replace(/\s+#+\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+/**
+ * Resolves the part of the body to rewrite. An H2 section runs from its
+ * heading line up to the next H1/H2 (or the end of the body); a range is a
+ * pair of character offsets. Returns null when the target does not exist.
+ */
+function locateSection(body, { heading, range } = {}) {
+  const text = String(body || '');
+  if (range) {
+    const start = Number(range.start);
+    const end = Number(range.end);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > text.length) {
+      return null;
+    }
+    return { type: 'range', heading: null, start, end, text: text.slice(start, end) };
+  }
+
+  const wanted = normalizeHeading(heading);
+  if (!wanted) {
+    return null;
+  }
+  const headingPattern = /^(#{1,2})[ \t]+(.+?)[ \t]*$/gm;
+  const headings = [];
+  let match = headingPattern.exec(text);
+  while (match) {
+    headings.push({ level: match[1].length, title: match[2], start: match.index });
+    match = headingPattern.exec(text);
+  }
+  const index = headings.findIndex((item) => item.level === 2 && normalizeHeading(item.title) === wanted);
+  if (index === -1) {
+    return null;
+  }
+  const start = headings[index].start;
+  const next = headings[index + 1];
+  const end = next ? next.start : text.length;
+  const sectionText = text.slice(start, end).replace(/\s+$/, '');
+  return {
+    type: 'heading',
+    heading: headings[index].title.trim(),
+    start,
+    end: start + sectionText.length,
+    text: sectionText,
+  };
+}
+
+function buildSectionRewritePrompt({ keyword, ruleContext = {}, section, instruction, before, after, knowledge }) {
+  const requirements = [
+    section.type === 'heading'
+      ? `- 保留首行 "## ${section.heading}" 作为本章节标题，只改写该章节内容，不要新增其他 H1/H2 标题。`
+      : '- 只改写「待改写片段」本身，输出内容将原样替换该片段，不要重复上下文中的文字。',
+    '- 保持 Markdown 格式，原有的 [IMAGE_n] 图片占位符必须保留。',
+    '- 原有的 [Sn] 引用标记在对应内容仍保留时一并保留。',
+    '- 与上下文保持衔接，语调与全文一致，优先引用知识库中的事实与数据。',
+    ruleContext.language ? `- ${ruleContext.language}` : null,
+  ].filter(Boolean);
+
+  return `
+你是一名资深内容编辑，正在修改一篇关于 "${keyword || ''}" 的文章中的一个片段。
+
+**品牌 & 业务背景**
+${ruleContext.brand || '无特殊要求。'}
+
+**受众画像与语调**
+${ruleContext.audience || '无特殊要求。'}
+
+**SEO 要求**
+${ruleContext.seo || '无特殊要求。'}
+
+**修改指令**
+${instruction}
+
+**改写要求**
+${requirements.join('\n')}
+
+**上文（仅供参考，不要输出）**
+${before || '（无）'}
+
+**待改写片段**
+${section.text}
+
+**下文（仅供参考，不要输出）**
+${after || '（无）'}
+
+**知识库补充内容**（如无则忽略）
+${formatKnowledgeForPrompt(knowledge)}
+
+**输出要求**
+- 输出 JSON：{ "text": "改写后的片段 (markdown format)" }
+- 确保返回合法 JSON，不得出现额外说明。`.trim();
+}
+
+// Placeholders the model dropped are appended so images chosen at generation time stay in the article.
+const restorePlaceholders = (original, rewritten) => {
+  const kept = new Set((rewritten.match(IMAGE_PLACEHOLDER_PATTERN) || []).map((item) => item.toUpperCase()));
+  const missing = Array.from(new Set((original.match(IMAGE_PLACEHOLDER_PATTERN) || []).map((item) => item.toUpperCase())))
+    .filter((item) => !kept.has(item));
+  return {
+    text: missing.length ? `${rewritten}\n\n${missing.join('\n\n')}` : rewritten,
+    restored: missing,
+  };
+};
+
+/**
+ * Rewrites one section of a stored article and returns the spliced body.
+ * `expectedText` guards against edits made between the request and the
+ * rewrite: if the located section no longer matches, nothing is changed.
+ */
+async function rewriteSection({
+  content,
+  target,
+  instruction,
+  expectedText,
+  ruleContext,
+  retrieveKnowledge,
+  jobId,
+  tracking,
+}) {
+  const body = String(content.body || '');
+  const section = locateSection(body, target);
+  if (!section) {
+    throw new Error('Section not found in the current content.');
+  }
+  if (typeof expectedText === 'string' && section.text !== expectedText) {
+    throw new Error('Section changed since the rewrite was requested.');
+  }
+
+  const queryText = [content.keyword, section.heading, instruction].filter(Boolean).join(' ');
+  const knowledge = retrieveKnowledge ? await retrieveKnowledge(queryText) : null;
+  const response = await trackChatCompletion(
+    {
+      system: 'You are a meticulous content editor that responds in JSON only.',
+      prompt: buildSectionRewritePrompt({
+        keyword: content.keyword,
+        ruleContext,
+        section,
+        instruction,
+        before: body.slice(Math.max(0, section.start - CONTEXT_WINDOW_LENGTH), section.start),
+        after: body.slice(section.end, section.end + CONTEXT_WINDOW_LENGTH),
+        knowledge: knowledge?.content || '',
+      }),
+      json: true,
+    },
+    tracking
+  );
+  const parsed = JSON.parse(normalizeJsonContent(response.content) || 'null');
+  let rewritten = typeof parsed?.text === 'string' ? parsed.text.trim() : '';
+  if (!rewritten) {
+    throw new Error('AI returned an empty section.');
+  }
+  if (section.type === 'heading' && !/^##\s+/.test(rewritten)) {
+    rewritten = `## ${section.heading}\n\n${rewritten}`;
+  }
+  const { text, restored } = restorePlaceholders(section.text, rewritten);
+
+  logger.info('Rewrote content section', { jobId, contentId: content.id, type: section.type });
+  return {
+    body: `${body.slice(0, section.start)}${text}${body.slice(section.end)}`,
+    section: {
+      type: section.type,
+      heading: section.heading,
+      start: section.start,
+      end: section.start + text.length,
+      originalWords: countWords(section.text, content.locale),
+      rewrittenWords: countWords(text, content.locale),
+      restoredPlaceholders: restored,
+    },
+    knowledge: {
+      retrievalMode: knowledge?.retrievalMode || 'none',
+      snippetCount: Array.isArray(knowledge?.snippets) ? knowledge.snippets.length : 0,
+    },
+  };
+}
+
+module.exports = {
+  locateSection,
+  rewriteSection,
+};
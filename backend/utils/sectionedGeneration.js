@@ -0,0 +1,255 @@
+const logger = require('../logger');
+const { normalizeJsonContent } = require('./aiProvider');
+const { trackChatCompletion } = require('./aiUsage');
+const { countWords } = require('./seoAnalyzer');
+const { formatKnowledgeForPrompt } = require('./citations');
+
+const DEFAULT_SECTION_COUNT = 5;
+const MAX_SECTIONS = 12;
+const META_BODY_PREVIEW_LENGTH = 6000;
+const SECTION_PERCENT_START = 45;
+const SECTION_PERCENT_END = 65;
+
+const SYSTEM_PROMPT = 'You are a helpful content generation assistant that responds in JSON only.';
+
+async function requestJson(prompt, tracking) {
+  const response = await trackChatCompletion({ system: SYSTEM_PROMPT, prompt, json: true }, tracking);
+  const sanitized = normalizeJsonContent(response.content);
+  if (!sanitized) {
+    throw new Error('AI returned an empty response.');
+  }
+  return JSON.parse(sanitized);
+}
+
+const toPositiveInteger = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : null;
+};
+
+const normalizeSections = (sections) =>
+  (Array.isArray(sections) ? sections : [])
+    .filter((section) => section && String(section.title || '').trim())
+    .slice(0, MAX_SECTIONS)
+    .map((section) => ({
+      title: String(section.title).trim(),
+      objective: section.objective ? String(section.objective) : null,
+      notes: section.notes ? String(section.notes) : null,
+      minimumWords: toPositiveInteger(section.minimum_words ?? section.minimumWords),
+    }));
+
+// Sections without their own target share the article minimum evenly.
+function applyWordTargets(sections, wordCount = {}) {
+  const articleMin = toPositiveInteger(wordCount?.min);
+  if (!articleMin || !sections.length) {
+    return sections;
+  }
+  const reserved = sections.reduce((sum, section) => sum + (section.minimumWords || 0), 0);
+  const open = sections.filter((section) => !section.minimumWords).length;
+  const share = open ? Math.ceil(Math.max(articleMin - reserved, 0) / open) : 0;
+  return sections.map((section) => ({
+    ...section,
+    minimumWords: section.minimumWords || share || null,
+  }));
+}
+
+const composeOutlinePrompt = ({ keyword, ruleContext, sectionCount }) => `
+你是一名资深内容策划，请为主题 "${keyword}" 设计一篇长文的大纲。
+
+**品牌 & 业务背景**
+${ruleContext.brand}
+
+**受众画像与语调**
+${ruleContext.audience}
+
+**SEO 要求**
+${ruleContext.seo}
+
+${ruleContext.ranking || ''}
+
+**输出要求**
+- 输出 ${sectionCount} 个左右的章节，每个章节对应正文中的一个 H2。${ruleContext.language ? `\n- ${ruleContext.language}` : ''}
+- 输出 JSON：{ "sections": [{ "title": "章节标题", "objective": "本章节要解决的问题", "minimum_words": 300 }] }
+- 确保返回合法 JSON，不得出现额外说明。`;
+
+const composeSectionPrompt = ({ keyword, ruleContext, sections, index, knowledge, imagePlaceholders }) => {
+  const section = sections[index];
+  const outlineOverview = sections
+    .map((item, position) => `${position + 1}. ${item.title}${position === index ? '（当前章节）' : ''}`)
+    .join('\n');
+  const requirements = [
+    `- 只撰写第 ${index + 1} 个章节，以 "## ${section.title}" 开头，不要撰写其他章节或全文总结。`,
+    section.minimumWords ? `- 本章节不少于 ${section.minimumWords} 字。` : null,
+    section.objective ? `- 章节目标：${section.objective}` : null,
+    section.notes ? `- 备注：${section.notes}` : null,
+    imagePlaceholders.length
+      ? `- 在合适位置插入以下图片占位符：${imagePlaceholders.join('、')}，严禁输出 HTML 注释或图片描述。`
+      : '- 本章节不需要插入图片占位符。',
+    '- 可使用 H3、Markdown 列表与加粗突出重点，优先引用知识库信息，避免与其他章节重复。',
+    ruleContext.language ? `- ${ruleContext.language}` : null,
+  ].filter(Boolean);
+
+  return `
+你是一名资深内容营销顾问，正在分章节撰写主题为 "${keyword}" 的长文。
+
+**品牌 & 业务背景**
+${ruleContext.brand}
+
+**受众画像与语调**
+${ruleContext.audience}
+
+**SEO 要求**
+${ruleContext.seo}
+
+**全文大纲**
+${outlineOverview}
+
+**参考资料**
+${ruleContext.references}
+
+${index === 0 && ruleContext.ranking ? ruleContext.ranking : ''}
+
+**本章节要求**
+${requirements.join('\n')}
+
+**知识库补充内容**（如无则忽略）
+${formatKnowledgeForPrompt(knowledge)}
+
+**输出要求**
+- 输出 JSON：{ "body": "string (markdown format)" }
+- 确保返回合法 JSON，不得出现额外说明。`;
+};
+
+const composeMetaPrompt = ({ keyword, ruleContext, body, schemaInstructions }) => `
+你是一名资深 SEO 编辑，下面是一篇围绕 "${keyword}" 的完整文章，请为其撰写标题与 Meta Description。
+
+**SEO 要求**
+${ruleContext.seo}
+
+**文章正文**
+${body.length > META_BODY_PREVIEW_LENGTH ? `${body.slice(0, META_BODY_PREVIEW_LENGTH)}\n……（后文略）` : body}
+
+${schemaInstructions ? `${schemaInstructions}\n` : ''}
+**输出要求**
+- 输出 JSON：{ "title": "string", "meta_description": "string" }${ruleContext.language ? `\n- ${ruleContext.language}` : ''}
+- 若启用了 Schema，请额外输出 "schema_payloads" 字段，并确保类型列表与 Schema Block 保持一致。
+- 确保返回合法 JSON，不得出现额外说明。`;
+
+// [IMAGE_n] placeholders are spread round-robin so every section gets its share of visuals.
+const assignImagePlaceholders = (imageCount, sectionCount) => {
+  const assignments = Array.from({ length: sectionCount }, () => []);
+  for (let index = 0; index < imageCount; index += 1) {
+    assignments[index % sectionCount].push(`[IMAGE_${index + 1}]`);
+  }
+  return assignments;
+};
+
+const ensureSectionHeading = (body, title) => {
+  const trimmed = String(body || '').trim();
+  return /^##\s+/.test(trimmed) ? trimmed : `## ${title}\n\n${trimmed}`;
+};
+
+/**
+ * Outline-first generation: confirm the rule outline (or ask the model for
+ * one), write each section with its own knowledge retrieval, then write the
+ * meta fields for the assembled article. The result has the same shape as a
+ * single-pass AI response so the rest of the worker pipeline is unchanged.
+ */
+async function generateSectionedContent({
+  keyword,
+  locale,
+  rule,
+  ruleContext,
+  imageCount = 0,
+  schemaInstructions = '',
+  retrieveKnowledge,
+  onProgress = async () => {},
+  jobId,
+  tracking,
+}) {
+  const seo = rule?.seo_settings || {};
+  let outlineSource = 'rule';
+  let sections = normalizeSections(seo.outline);
+
+  await onProgress({ stage: 'building_outline', percent: SECTION_PERCENT_START });
+  if (!sections.length) {
+    outlineSource = 'ai';
+    const sectionCount = Math.min(toPositiveInteger(seo.h2_count) || DEFAULT_SECTION_COUNT, MAX_SECTIONS);
+    const outline = await requestJson(composeOutlinePrompt({ keyword, ruleContext, sectionCount }), tracking);
+    sections = normalizeSections(outline?.sections);
+    if (!sections.length) {
+      throw new Error('AI outline did not contain any sections.');
+    }
+  }
+  sections = applyWordTargets(sections, seo.word_count);
+
+  const imageAssignments = assignImagePlaceholders(imageCount, sections.length);
+  const sectionBodies = [];
+  const sectionDetails = [];
+  const step = (SECTION_PERCENT_END - SECTION_PERCENT_START) / sections.length;
+
+  for (let index = 0; index < sections.length; index += 1) {
+    const section = sections[index];
+    // eslint-disable-next-line no-await-in-loop
+    await onProgress({
+      stage: 'generating_section',
+      percent: Math.round(SECTION_PERCENT_START + step * index),
+      section: index + 1,
+      totalSections: sections.length,
+      sectionTitle: section.title,
+    });
+    const queryText = [keyword, section.title, section.objective].filter(Boolean).join(' ');
+    // eslint-disable-next-line no-await-in-loop
+    const knowledge = retrieveKnowledge ? await retrieveKnowledge(queryText) : null;
+    // eslint-disable-next-line no-await-in-loop
+    const response = await requestJson(
+      composeSectionPrompt({
+        keyword,
+        ruleContext,
+        sections,
+        index,
+        knowledge: knowledge?.content || '',
+        imagePlaceholders: imageAssignments[index],
+      }),
+      tracking
+    );
+    if (typeof response?.body !== 'string' || !response.body.trim()) {
+      throw new Error(`AI returned an empty body for section ${index + 1}.`);
+    }
+    const body = ensureSectionHeading(response.body, section.title);
+    sectionBodies.push(body);
+    sectionDetails.push({
+      title: section.title,
+      minimumWords: section.minimumWords,
+      words: countWords(body, locale),
+      retrievalMode: knowledge?.retrievalMode || 'none',
+      snippetCount: Array.isArray(knowledge?.snippets) ? knowledge.snippets.length : 0,
+    });
+    logger.info('Generated article section', { jobId, section: index + 1, totalSections: sections.length });
+  }
+
+  await onProgress({ stage: 'writing_meta', percent: SECTION_PERCENT_END });
+  const assembledBody = sectionBodies.join('\n\n');
+  const meta = await requestJson(
+    composeMetaPrompt({ keyword, ruleContext, body: assembledBody, schemaInstructions }),
+    tracking
+  );
+  const title = typeof meta?.title === 'string' && meta.title.trim() ? meta.title.trim() : keyword;
+
+  return {
+    ...meta,
+    title,
+    meta_description: typeof meta?.meta_description === 'string' ? meta.meta_description : '',
+    body: seo.require_h1 ? `# ${title}\n\n${assembledBody}` : assembledBody,
+    details: {
+      generationMode: 'sectioned',
+      outline: {
+        source: outlineSource,
+        sections: sectionDetails,
+      },
+    },
+  };
+}
+
+module.exports = {
+  generateSectionedContent,
+};
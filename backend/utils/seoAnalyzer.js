@@ -0,0 +1,266 @@
+const { getLocaleInfo, normalizeLocale } = require('./locale');
+
+const CJK_CHAR_PATTERN = /[぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]/g;
+const LATIN_WORD_PATTERN = /[A-Za-z0-9À-ɏ]+(?:['’-][A-Za-z0-9À-ɏ]+)*/g;
+const MARKDOWN_LINK_PATTERN = /!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+const BARE_URL_PATTERN = /(^|[\s(])(https?:\/\/[^\s)]+)/g;
+
+const toPlainText = (markdown) =>
+  String(markdown || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/\[IMAGE_\d+\]/gi, ' ')
+    .replace(MARKDOWN_LINK_PATTERN, (_match, text) => ` ${text} `)
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/[*_`>~|]/g, ' ');
+
+const segmenters = new Map();
+const getWordSegmenter = (locale) => {
+  if (!segmenters.has(locale)) {
+    segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+  }
+  return segmenters.get(locale);
+};
+
+// CJK characters count as one word each; everything else is split on word boundaries.
+// Locales that count in words (en, ko, ...) use the locale's own word segmentation instead.
+function countWords(text, locale) {
+  const plain = toPlainText(text);
+  const normalizedLocale = normalizeLocale(locale);
+  if (normalizedLocale && getLocaleInfo(normalizedLocale).wordUnit === 'word') {
+    return Array.from(getWordSegmenter(normalizedLocale).segment(plain)).filter((segment) => segment.isWordLike).length;
+  }
+  const cjkCount = (plain.match(CJK_CHAR_PATTERN) || []).length;
+  const latinCount = (plain.replace(CJK_CHAR_PATTERN, ' ').match(LATIN_WORD_PATTERN) || []).length;
+  return cjkCount + latinCount;
+}
+
+const countCharacters = (text) => Array.from(String(text || '').trim()).length;
+
+function countOccurrences(haystack, needle) {
+  if (!needle) {
+    return 0;
+  }
+  const source = haystack.toLowerCase();
+  const target = needle.toLowerCase();
+  let count = 0;
+  let index = source.indexOf(target);
+  while (index !== -1) {
+    count += 1;
+    index = source.indexOf(target, index + target.length);
+  }
+  return count;
+}
+
+function extractHeadings(body) {
+  const lines = String(body || '').split('\n');
+  let inFence = false;
+  const headings = [];
+  lines.forEach((line) => {
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+    const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      headings.push({ level: match[1].length, text: match[2] });
+    }
+  });
+  return headings;
+}
+
+function extractLinks(body) {
+  const text = String(body || '');
+  const links = [];
+  let match;
+  const markdownLinks = new RegExp(MARKDOWN_LINK_PATTERN.source, 'g');
+  while ((match = markdownLinks.exec(text)) !== null) {
+    if (!match[0].startsWith('!')) {
+      links.push(match[2]);
+    }
+  }
+  const withoutMarkdownLinks = text.replace(MARKDOWN_LINK_PATTERN, ' ');
+  const bareUrls = new RegExp(BARE_URL_PATTERN.source, 'g');
+  while ((match = bareUrls.exec(withoutMarkdownLinks)) !== null) {
+    links.push(match[2]);
+  }
+  return links;
+}
+
+function classifyLinks(links, internalDomains = []) {
+  const domains = internalDomains.map((domain) => String(domain).toLowerCase().replace(/^www\./, ''));
+  return links.reduce(
+    (acc, href) => {
+      if (!/^https?:\/\//i.test(href)) {
+        acc.internal.push(href);
+        return acc;
+      }
+      let host = '';
+      try {
+        host = new URL(href).hostname.toLowerCase().replace(/^www\./, '');
+      } catch (_err) {
+        host = '';
+      }
+      if (host && domains.some((domain) => host === domain || host.endsWith(`.${domain}`))) {
+        acc.internal.push(href);
+      } else {
+        acc.external.push(href);
+      }
+      return acc;
+    },
+    { internal: [], external: [] }
+  );
+}
+
+const inRange = (value, { min, max } = {}) =>
+  (typeof min !== 'number' || value >= min) && (typeof max !== 'number' || value <= max);
+
+const hasRange = (range) => range && (typeof range.min === 'number' || typeof range.max === 'number');
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const normalizeRange = (range) =>
+  range && typeof range === 'object'
+    ? { min: toNumber(range.min) ?? undefined, max: toNumber(range.max) ?? undefined }
+    : null;
+
+function resolvePrimaryKeyword(seo, keyword) {
+  if (keyword) {
+    return keyword;
+  }
+  if (seo.primary_keyword) {
+    return seo.primary_keyword;
+  }
+  return Array.isArray(seo.target_keywords) && seo.target_keywords.length ? seo.target_keywords[0] : null;
+}
+
+/**
+ * Measures a stored article against the rule's seo_settings. Only constraints
+ * that the rule actually sets are checked.
+ */
+function analyzeSeoCompliance(content = {}, seoSettings = {}, { keyword, locale } = {}) {
+  const seo = seoSettings || {};
+  const title = content.title || '';
+  const metaDescription = content.meta_description || '';
+  const body = content.body || '';
+  const checks = [];
+  const addCheck = (id, label, passed, expected, measured) => {
+    checks.push({ id, label, passed: Boolean(passed), expected, measured });
+  };
+
+  const wordCount = countWords(body, locale);
+  const wordRange = normalizeRange(seo.word_count);
+  if (hasRange(wordRange)) {
+    addCheck('word_count', 'Word count', inRange(wordCount, wordRange), wordRange, wordCount);
+  }
+
+  const primaryKeyword = resolvePrimaryKeyword(seo, keyword);
+  const densityRange = normalizeRange(seo.keyword_density);
+  if (hasRange(densityRange) && primaryKeyword) {
+    const occurrences = countOccurrences(toPlainText(body), primaryKeyword);
+    const keywordUnits = Math.max(1, countWords(primaryKeyword, locale));
+    const density = wordCount ? Number(((occurrences * keywordUnits * 100) / wordCount).toFixed(2)) : 0;
+    addCheck(
+      'keyword_density',
+      'Keyword density (%)',
+      inRange(density, densityRange),
+      { ...densityRange, keyword: primaryKeyword },
+      { density, occurrences }
+    );
+  }
+
+  const metaTitleLength = toNumber(seo.meta_title_length);
+  if (metaTitleLength) {
+    const length = countCharacters(title);
+    addCheck('meta_title_length', 'Meta title length', length > 0 && length <= metaTitleLength, { max: metaTitleLength }, length);
+  }
+
+  const metaDescriptionLength = toNumber(seo.meta_description_length);
+  if (metaDescriptionLength) {
+    const length = countCharacters(metaDescription);
+    addCheck(
+      'meta_description_length',
+      'Meta description length',
+      length > 0 && length <= metaDescriptionLength,
+      { max: metaDescriptionLength },
+      length
+    );
+  }
+
+  const headings = extractHeadings(body);
+  if (seo.require_h1) {
+    const h1Count = headings.filter((heading) => heading.level === 1).length;
+    addCheck('require_h1', 'Single H1 heading', h1Count === 1, 1, h1Count);
+  }
+
+  const h2Expected = toNumber(seo.h2_count);
+  const h2Range = h2Expected !== null ? { min: h2Expected, max: h2Expected } : normalizeRange(seo.h2_count);
+  if (hasRange(h2Range)) {
+    const h2Count = headings.filter((heading) => heading.level === 2).length;
+    addCheck('h2_count', 'H2 heading count', inRange(h2Count, h2Range), h2Expected ?? h2Range, h2Count);
+  }
+
+  if (Array.isArray(seo.target_keywords) && seo.target_keywords.length) {
+    const searchable = `${title}\n${metaDescription}\n${toPlainText(body)}`;
+    const missing = seo.target_keywords.filter((item) => item && countOccurrences(searchable, String(item)) === 0);
+    addCheck(
+      'target_keywords',
+      'Target keywords present',
+      missing.length === 0,
+      seo.target_keywords,
+      { missing }
+    );
+  }
+
+  const internalExpected = toNumber(seo.internal_links?.count);
+  const externalExpected = toNumber(seo.external_links?.count);
+  if (internalExpected || externalExpected) {
+    const internalDomains = Array.isArray(seo.internal_links?.domains) ? seo.internal_links.domains : [];
+    const links = classifyLinks(extractLinks(body), internalDomains);
+    if (internalExpected) {
+      addCheck(
+        'internal_links',
+        'Internal links',
+        links.internal.length >= internalExpected,
+        { min: internalExpected },
+        links.internal.length
+      );
+    }
+    if (externalExpected) {
+      addCheck(
+        'external_links',
+        'External links',
+        links.external.length >= externalExpected,
+        { min: externalExpected },
+        links.external.length
+      );
+    }
+  }
+
+  const passedCount = checks.filter((check) => check.passed).length;
+  return {
+    checkedAt: new Date().toISOString(),
+    locale: normalizeLocale(locale),
+    passed: passedCount === checks.length,
+    summary: { total: checks.length, passed: passedCount, failed: checks.length - passedCount },
+    checks,
+  };
+}
+
+module.exports = {
+  analyzeSeoCompliance,
+  countWords,
+  countCharacters,
+  countOccurrences,
+  extractHeadings,
+  toPlainText,
+};
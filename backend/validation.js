@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const AppError = require('./utils/appError');
+const { SUPPORTED_LOCALES } = require('./utils/locale');
+const { CONTENT_STATUSES, SLUG_PATTERN, MAX_TAGS } = require('./utils/contentEditorial');
 
 const validate = (schema) => (req, _res, next) => {
   const { error } = schema.validate(req.body, { abortEarly: true, stripUnknown: true });
@@ -145,6 +147,9 @@ const ruleSchemas = {
     seo_settings: Joi.object().unknown(true),
     media_settings: Joi.object().unknown(true),
     ranking_settings: Joi.object().unknown(true),
+    generation_mode: Joi.string().valid('single', 'sectioned'),
+    prompt_template_id: Joi.number().integer().allow(null),
+    locale: Joi.string().valid(...SUPPORTED_LOCALES).allow(null),
     schemaConfig: schemaConfigSchema,
   }),
   updateRule: Joi.object({
@@ -154,6 +159,9 @@ const ruleSchemas = {
     seo_settings: Joi.object().unknown(true),
     media_settings: Joi.object().unknown(true),
     ranking_settings: Joi.object().unknown(true),
+    generation_mode: Joi.string().valid('single', 'sectioned'),
+    prompt_template_id: Joi.number().integer().allow(null),
+    locale: Joi.string().valid(...SUPPORTED_LOCALES).allow(null),
     schemaConfig: schemaConfigSchema,
   }),
 };
@@ -172,6 +180,27 @@ const schemaEntitiesSchema = Joi.object({
   custom: Joi.array().items(schemaEntityMetadata),
 }).unknown(true);
 
+const promptTemplateSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    description: Joi.string().allow('', null),
+    template: Joi.string().min(1).max(20000),
+  }),
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(255),
+    description: Joi.string().allow('', null),
+    template: Joi.string().min(1).max(20000),
+  }).or('name', 'description', 'template'),
+  preview: Joi.object({
+    ruleId: Joi.number().integer().required(),
+    keyword: Joi.string().min(1).max(255).required(),
+    locale: Joi.string().valid(...SUPPORTED_LOCALES),
+    templateId: Joi.number().integer(),
+    template: Joi.string().min(1).max(20000),
+    knowledgeSample: Joi.string().max(8000).allow('', null),
+  }).oxor('templateId', 'template'),
+};
+
 const contentGenerationSchemas = {
   generateContent: Joi.object({
     keyword: Joi.string().min(1).required(),
@@ -181,9 +210,58 @@ const contentGenerationSchemas = {
     imageTags: Joi.array().items(Joi.string()),
     imageCount: Joi.number().integer().min(0).allow(null),
     ruleId: Joi.number().integer().required(),
+    locale: Joi.string().valid(...SUPPORTED_LOCALES),
     schemaConfig: schemaConfigSchema,
     schemaEntities: schemaEntitiesSchema,
     schemaOverrides: Joi.object().unknown(true),
+    factCheck: Joi.boolean(),
+  }),
+  rewriteSection: Joi.object({
+    heading: Joi.string().trim().min(1).max(255),
+    range: Joi.object({
+      start: Joi.number().integer().min(0).required(),
+      end: Joi.number().integer().min(1).required(),
+    }),
+    instruction: Joi.string().trim().min(1).max(1000).required(),
+    knowledgeBaseId: Joi.number().integer().allow(null),
+    knowledgeSetId: Joi.number().integer().allow(null),
+  })
+    .xor('heading', 'range')
+    .oxor('knowledgeBaseId', 'knowledgeSetId'),
+  // Every field is optional; omitted ones keep the failed job's value.
+  retryJob: Joi.object({
+    keyword: Joi.string().min(1),
+    knowledgeBaseId: Joi.number().integer().allow('', null),
+    knowledgeSetId: Joi.number().integer().allow(null),
+    imageIds: Joi.array().items(Joi.number().integer()),
+    imageCollectionId: Joi.number().integer().allow(null),
+    imageTags: Joi.array().items(Joi.string()),
+    imageCount: Joi.number().integer().min(0).allow(null),
+    ruleId: Joi.number().integer(),
+    locale: Joi.string().valid(...SUPPORTED_LOCALES),
+    schemaConfig: schemaConfigSchema,
+    schemaEntities: schemaEntitiesSchema,
+    schemaOverrides: Joi.object().unknown(true).allow(null),
+    factCheck: Joi.boolean().allow(null),
+  }),
+};
+
+const contentBatchSchemas = {
+  createBatch: Joi.object({
+    keywordId: Joi.number().integer().required(),
+    variationIds: Joi.array().items(Joi.number().integer()).min(1).max(100),
+    top: Joi.number().integer().min(1).max(100),
+    sortBy: Joi.string().valid('weight', 'monthly_search_volume'),
+    ruleId: Joi.number().integer().required(),
+    knowledgeBaseId: Joi.number().integer().allow('', null),
+    knowledgeSetId: Joi.number().integer().allow('', null),
+    imageCollectionId: Joi.number().integer().allow(null),
+    imageTags: Joi.array().items(Joi.string()),
+    imageCount: Joi.number().integer().min(0).allow(null),
+    locale: Joi.string().valid(...SUPPORTED_LOCALES),
+    schemaConfig: schemaConfigSchema,
+    schemaOverrides: Joi.object().unknown(true),
+    factCheck: Joi.boolean(),
   }),
 };
 
@@ -195,6 +273,29 @@ const contentScheduleSchemas = {
   }),
 };
 
+const contentEditSchemas = {
+  update: Joi.object({
+    title: Joi.string().trim().min(1).max(255),
+    meta_description: Joi.string().allow('', null),
+    body: Joi.string().allow(''),
+    image_ids: Joi.array().items(Joi.number().integer()).max(50).unique(),
+    schema_payload: Joi.object().unknown(true).allow(null),
+    published_url: Joi.string().uri().max(2048).allow('', null),
+    slug: Joi.string().trim().lowercase().max(200).pattern(SLUG_PATTERN).allow('', null),
+    status: Joi.string().valid(...CONTENT_STATUSES),
+    tags: Joi.array().items(Joi.string().trim().min(1).max(100)).max(MAX_TAGS),
+    assigned_editor_id: Joi.number().integer().allow(null),
+    note: Joi.string().max(500).allow('', null),
+  }).min(1),
+};
+
+const contentExportSchemas = {
+  wxr: Joi.object({
+    contentIds: Joi.array().items(Joi.number().integer()).min(1).max(100).unique().required(),
+    siteUrl: Joi.string().uri().allow('', null),
+  }),
+};
+
 const imageCollectionSchemas = {
   create: Joi.object({
     name: Joi.string().min(1).max(255).required(),
@@ -236,6 +337,51 @@ const knowledgeSetSchemas = {
   }).or('name', 'description', 'schemaMetadata'),
 };
 
+const planLimitSchema = Joi.number().integer().min(0).allow(null);
+const planLimitFields = {
+  monthly_generations: planLimitSchema,
+  monthly_tokens: planLimitSchema,
+  monthly_keyword_expansions: planLimitSchema,
+  storage_bytes: planLimitSchema,
+  max_documents: planLimitSchema,
+};
+
+const planSchemas = {
+  create: Joi.object({
+    code: Joi.string()
+      .pattern(/^[a-z0-9_-]+$/)
+      .max(40)
+      .required(),
+    name: Joi.string().trim().min(1).max(255).required(),
+    ...planLimitFields,
+    is_default: Joi.boolean(),
+  }),
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(255),
+    ...planLimitFields,
+    is_default: Joi.boolean(),
+  }).min(1),
+  assign: Joi.object({
+    plan_id: Joi.number().integer().allow(null).required(),
+  }),
+  override: Joi.object({
+    ...planLimitFields,
+    note: Joi.string().max(1000).allow('', null),
+    expires_at: Joi.date().iso().allow(null),
+  }).min(1),
+};
+
+const adminJobSchemas = {
+  bulk: Joi.object({
+    jobIds: Joi.array()
+      .items(Joi.alternatives().try(Joi.string().max(255), Joi.number().integer()))
+      .min(1)
+      .max(100)
+      .unique()
+      .required(),
+  }),
+};
+
 module.exports = {
   validate,
   authSchemas,
@@ -243,9 +389,15 @@ module.exports = {
   keywordSchemaMetadataSchemas,
   imageSchemas,
   ruleSchemas,
+  promptTemplateSchemas,
   contentGenerationSchemas,
+  contentBatchSchemas,
   contentScheduleSchemas,
+  contentEditSchemas,
+  contentExportSchemas,
   imageCollectionSchemas,
   documentSchemas,
   knowledgeSetSchemas,
+  planSchemas,
+  adminJobSchemas,
 };